@@ -12,6 +12,7 @@ const i18nextMiddleware = require('i18next-http-middleware');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const webauthnRoutes = require('./routes/webauthn');
 const fileRoutes = require('./routes/files');
 const folderRoutes = require('./routes/folders');
 const shareRoutes = require('./routes/shares');
@@ -19,13 +20,23 @@ const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const paymentRoutes = require('./routes/payments');
 const notificationRoutes = require('./routes/notifications');
+const batchRoutes = require('./routes/batch');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const uploadService = require('./services/uploadService');
+const realtimeService = require('./services/realtimeService');
 
 const app = express();
 
+// Behind a load balancer, client addresses come from X-Forwarded-For. Share link
+// IP rules and rate limiting depend on req.ip being the real client.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -37,7 +48,10 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Chunk PUTs are authenticated and bounded by their upload session; counting
+  // them would cap resumable uploads at a few hundred MB per window
+  skip: (req) => req.method === 'PUT' && /^\/api\/files\/uploads\/[^/]+\/chunks\//.test(req.path)
 });
 app.use(limiter);
 
@@ -83,6 +97,7 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Routes
+app.use('/api/auth/webauthn', webauthnRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/folders', folderRoutes);
@@ -91,6 +106,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/batch', batchRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -114,9 +130,21 @@ if (process.env.NODE_ENV !== 'test') {
       return sequelize.sync({ alter: true }); // Use { force: true } in development to drop and recreate tables
     })
     .then(() => {
-      app.listen(PORT, () => {
+      const server = app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
       });
+
+      // Socket.io shares the HTTP server for live notifications and progress
+      realtimeService.attach(server)
+        .catch(err => console.error('Unable to start real-time notifications:', err));
+
+      // Expire abandoned chunked upload sessions every hour
+      setInterval(() => {
+        uploadService.expireSessions()
+          .catch(err => console.error('Error expiring upload sessions:', err));
+      }, 60 * 60 * 1000).unref();
+
+      // Background jobs (thumbnails, email, purge, ZIP exports) run in worker.js
     })
     .catch(err => {
       console.error('Unable to connect to the database:', err);
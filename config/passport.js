@@ -6,18 +6,21 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
 const bcrypt = require('bcryptjs');
 const { User } = require('../models');
+const sessionService = require('../services/sessionService');
 
 const jwtOptions = {
   jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
   secretOrKey: process.env.JWT_SECRET
 };
 
-// JWT Strategy
-passport.use(new JwtStrategy(jwtOptions, async (payload, done) => {
+// JWT Strategy. Access tokens name their device session and stop working as
+// soon as it is revoked or expires; req.deviceSession is the session used.
+passport.use(new JwtStrategy({ ...jwtOptions, passReqToCallback: true }, async (req, payload, done) => {
   try {
-    const user = await User.findByPk(payload.id);
-    if (user) {
-      return done(null, user);
+    const auth = await sessionService.authenticate(payload);
+    if (auth) {
+      req.deviceSession = auth.session;
+      return done(null, auth.user);
     }
     return done(null, false);
   } catch (error) {
@@ -0,0 +1,249 @@
+const Queue = require('bull');
+const MemoryQueue = require('./memoryQueue');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+// Named queues with their default retry policy. Options passed to enqueue() win.
+// Completed and failed jobs are kept (up to a limit) so admins can inspect them.
+const QUEUES = {
+  thumbnails: {
+    concurrency: parseInt(process.env.PREVIEW_CONCURRENCY) || 1,
+    processor: () => require('./processors/thumbnails'),
+    options: {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: 500,
+      removeOnFail: 1000
+    }
+  },
+  'virus-scan': {
+    concurrency: 2,
+    processor: () => require('./processors/virusScan'),
+    options: {
+      attempts: 5,
+      backoff: { type: 'exponential', delay: 10000 },
+      removeOnComplete: 500,
+      removeOnFail: 1000
+    }
+  },
+  'search-index': {
+    concurrency: 2,
+    processor: () => require('./processors/searchIndex'),
+    options: {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 30000 },
+      removeOnComplete: 500,
+      removeOnFail: 1000
+    }
+  },
+  email: {
+    concurrency: 5,
+    processor: () => require('./processors/email'),
+    options: {
+      attempts: 5,
+      backoff: { type: 'exponential', delay: 60000 },
+      removeOnComplete: 500,
+      removeOnFail: 1000
+    }
+  },
+  purge: {
+    concurrency: 1,
+    processor: () => require('./processors/purge'),
+    options: {
+      attempts: 3,
+      backoff: { type: 'fixed', delay: 5 * 60 * 1000 },
+      removeOnComplete: 100,
+      removeOnFail: 100
+    }
+  },
+  quota: {
+    concurrency: 1,
+    processor: () => require('./processors/quota'),
+    options: {
+      attempts: 3,
+      backoff: { type: 'fixed', delay: 5 * 60 * 1000 },
+      removeOnComplete: 100,
+      removeOnFail: 100
+    }
+  },
+  zip: {
+    concurrency: 1,
+    processor: () => require('./processors/zip'),
+    options: {
+      attempts: 2,
+      backoff: { type: 'fixed', delay: 60000 },
+      removeOnComplete: 200,
+      removeOnFail: 200
+    }
+  }
+};
+
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed'];
+
+const queues = new Map();
+
+// Redis-backed Bull by default; tests use the in-process stand-in
+const getDriver = () => process.env.JOB_QUEUE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'bull');
+
+const isQueue = (name) => Object.prototype.hasOwnProperty.call(QUEUES, name);
+
+const getQueue = (name) => {
+  if (!isQueue(name)) {
+    throw new Error(`Unknown queue: ${name}`);
+  }
+
+  if (!queues.has(name)) {
+    queues.set(name, getDriver() === 'memory' ? new MemoryQueue(name) : new Queue(name, REDIS_URL));
+  }
+
+  return queues.get(name);
+};
+
+// Record a job's progress on File.metadata.processing[queue] and push it to
+// the owner's sockets. Best effort: a failure here must never fail the job itself.
+const trackFileJob = async (fileId, queueName, state) => {
+  const { File, sequelize } = require('../models');
+
+  try {
+    const file = await sequelize.transaction(async (transaction) => {
+      const file = await File.findByPk(fileId, { transaction, lock: true, paranoid: false });
+      if (!file) return null;
+
+      const metadata = { ...(file.metadata || {}) };
+      metadata.processing = {
+        ...(metadata.processing || {}),
+        [queueName]: { ...state, updatedAt: new Date() }
+      };
+
+      // Reassign so Sequelize sees the JSON column change
+      file.metadata = metadata;
+      await file.save({ transaction });
+      return file;
+    });
+
+    if (file) {
+      require('../services/realtimeService').emitToUser(file.userId, 'file:processing', {
+        fileId,
+        queue: queueName,
+        ...state
+      });
+    }
+  } catch (error) {
+    console.error(`Error recording ${queueName} job status for file ${fileId}:`, error);
+  }
+};
+
+const enqueue = async (name, data = {}, options = {}) => {
+  const job = await getQueue(name).add(data, { ...QUEUES[name].options, ...options });
+
+  if (data.fileId) {
+    await trackFileJob(data.fileId, name, { jobId: String(job.id), status: 'queued', attempts: 0 });
+  }
+
+  return job;
+};
+
+// Wrap a processor so file jobs report their status as they run
+const withTracking = (name, processor) => async (job) => {
+  const { fileId } = job.data;
+  const attempt = job.attemptsMade + 1;
+
+  if (fileId) {
+    await trackFileJob(fileId, name, { jobId: String(job.id), status: 'active', attempts: attempt });
+  }
+
+  try {
+    const result = await processor(job);
+
+    if (fileId) {
+      await trackFileJob(fileId, name, { jobId: String(job.id), status: 'completed', attempts: attempt });
+    }
+
+    return result;
+  } catch (error) {
+    if (fileId) {
+      const willRetry = attempt < (job.opts.attempts || 1);
+      await trackFileJob(fileId, name, {
+        jobId: String(job.id),
+        status: willRetry ? 'retrying' : 'failed',
+        attempts: attempt,
+        error: error.message
+      });
+    }
+
+    throw error;
+  }
+};
+
+// Attach processors. Run by the worker process, not the web server.
+const startProcessing = (names = Object.keys(QUEUES)) => {
+  const started = [];
+
+  for (const name of names) {
+    const definition = QUEUES[name];
+    if (!definition) {
+      throw new Error(`Unknown queue: ${name}`);
+    }
+
+    const queue = getQueue(name);
+    queue.process(definition.concurrency, withTracking(name, definition.processor()));
+    queue.on('failed', (job, err) => {
+      console.error(`Job ${name}#${job.id} failed (attempt ${job.attemptsMade}):`, err.message);
+    });
+
+    started.push(name);
+  }
+
+  return started;
+};
+
+// Register repeatable jobs (Bull de-duplicates repeat jobs across restarts)
+const scheduleRepeatableJobs = async () => {
+  await enqueue('purge', { type: 'trash' }, {
+    jobId: 'trash-purge',
+    repeat: { cron: process.env.TRASH_PURGE_CRON || '0 3 * * *' }
+  });
+
+  await enqueue('purge', { type: 'sessions' }, {
+    jobId: 'session-purge',
+    repeat: { cron: process.env.SESSION_PURGE_CRON || '30 3 * * *' }
+  });
+
+  await enqueue('quota', { type: 'reconcile' }, {
+    jobId: 'quota-reconcile',
+    repeat: { cron: process.env.QUOTA_RECONCILE_CRON || '0 4 * * *' }
+  });
+};
+
+// Admin/API view of a job
+const describeJob = async (queueName, job) => ({
+  id: String(job.id),
+  queue: queueName,
+  state: await job.getState(),
+  data: job.data,
+  attemptsMade: job.attemptsMade,
+  maxAttempts: job.opts.attempts || 1,
+  failedReason: job.failedReason || null,
+  result: job.returnvalue === undefined ? null : job.returnvalue,
+  createdAt: job.timestamp ? new Date(job.timestamp) : null,
+  processedAt: job.processedOn ? new Date(job.processedOn) : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+});
+
+const closeQueues = async () => {
+  await Promise.all(Array.from(queues.values()).map(queue => queue.close()));
+  queues.clear();
+};
+
+module.exports = {
+  QUEUES,
+  JOB_STATES,
+  isQueue,
+  getQueue,
+  enqueue,
+  trackFileJob,
+  startProcessing,
+  scheduleRepeatableJobs,
+  describeJob,
+  closeQueues
+};
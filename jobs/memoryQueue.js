@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+
+// In-process stand-in for a Bull queue, used under test (JOB_QUEUE_DRIVER=memory).
+// It implements the subset of Bull's API the job subsystem relies on.
+// Retries run immediately (backoff is ignored); `delay` is honoured and repeatable
+// jobs are kept as delayed but never fire.
+class MemoryJob {
+  constructor(queue, id, data, opts) {
+    this.queue = queue;
+    this.id = id;
+    this.name = '__default__';
+    this.data = data;
+    this.opts = opts;
+    this.state = 'waiting';
+    this.timestamp = Date.now();
+    this.attemptsMade = 0;
+    this.processedOn = null;
+    this.finishedOn = null;
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.returnvalue = null;
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  async retry() {
+    if (this.state !== 'failed') {
+      throw new Error('Only failed jobs can be retried');
+    }
+
+    this.failedReason = undefined;
+    this.finishedOn = null;
+    this.queue.enqueueJob(this);
+  }
+
+  async remove() {
+    if (this.state === 'active') {
+      throw new Error(`Could not remove job ${this.id}, it is locked`);
+    }
+
+    this.queue.removeJob(this);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      data: this.data,
+      opts: this.opts,
+      timestamp: this.timestamp,
+      attemptsMade: this.attemptsMade,
+      failedReason: this.failedReason,
+      stacktrace: this.stacktrace,
+      returnvalue: this.returnvalue,
+      processedOn: this.processedOn,
+      finishedOn: this.finishedOn
+    };
+  }
+}
+
+class MemoryQueue extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.timers = new Set();
+    this.nextId = 1;
+    this.handler = null;
+    this.concurrency = 1;
+    this.active = 0;
+    this.idleWaiters = [];
+  }
+
+  async add(data, opts = {}) {
+    if (opts.jobId && this.jobs.has(String(opts.jobId))) {
+      return this.jobs.get(String(opts.jobId));
+    }
+
+    const id = opts.jobId ? String(opts.jobId) : String(this.nextId++);
+    const job = new MemoryJob(this, id, data, opts);
+    this.jobs.set(id, job);
+
+    if (opts.repeat) {
+      job.state = 'delayed';
+    } else if (opts.delay > 0) {
+      job.state = 'delayed';
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this.enqueueJob(job);
+      }, opts.delay);
+      timer.unref();
+      this.timers.add(timer);
+    } else {
+      this.enqueueJob(job);
+    }
+
+    return job;
+  }
+
+  process(concurrency, handler) {
+    if (typeof concurrency === 'function') {
+      handler = concurrency;
+      concurrency = 1;
+    }
+
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.drain();
+  }
+
+  enqueueJob(job) {
+    job.state = 'waiting';
+    this.waiting.push(job);
+    this.emit('waiting', job.id);
+    setImmediate(() => this.drain());
+  }
+
+  removeJob(job) {
+    this.jobs.delete(job.id);
+    this.waiting = this.waiting.filter(waiting => waiting !== job);
+    job.state = 'removed';
+    this.notifyIdle();
+  }
+
+  drain() {
+    while (this.handler && this.active < this.concurrency && this.waiting.length > 0) {
+      this.run(this.waiting.shift());
+    }
+    this.notifyIdle();
+  }
+
+  async run(job) {
+    this.active += 1;
+    job.state = 'active';
+    job.processedOn = Date.now();
+    this.emit('active', job);
+
+    try {
+      job.returnvalue = await this.handler(job);
+      job.attemptsMade += 1;
+      job.state = 'completed';
+      job.finishedOn = Date.now();
+      this.emit('completed', job, job.returnvalue);
+
+      if (job.opts.removeOnComplete === true) {
+        this.jobs.delete(job.id);
+      }
+    } catch (error) {
+      job.attemptsMade += 1;
+      job.failedReason = error.message;
+      job.stacktrace.push(error.stack);
+
+      if (job.attemptsMade < (job.opts.attempts || 1)) {
+        this.emit('failed', job, error);
+        this.enqueueJob(job);
+      } else {
+        job.state = 'failed';
+        job.finishedOn = Date.now();
+        this.emit('failed', job, error);
+
+        if (job.opts.removeOnFail === true) {
+          this.jobs.delete(job.id);
+        }
+      }
+    } finally {
+      this.active -= 1;
+      setImmediate(() => this.drain());
+    }
+  }
+
+  async getJob(id) {
+    return this.jobs.get(String(id)) || null;
+  }
+
+  // Newest first, like Bull's default ordering
+  async getJobs(types = [], start = 0, end = -1) {
+    const jobs = Array.from(this.jobs.values())
+      .filter(job => types.length === 0 || types.includes(job.state))
+      .sort((a, b) => b.timestamp - a.timestamp || Number(b.id) - Number(a.id));
+
+    return jobs.slice(start, end < 0 ? undefined : end + 1);
+  }
+
+  async getJobCounts() {
+    const counts = { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, paused: 0 };
+    for (const job of this.jobs.values()) {
+      if (counts[job.state] !== undefined) counts[job.state] += 1;
+    }
+    return counts;
+  }
+
+  // Resolves once nothing is waiting or running (delayed jobs don't count)
+  whenIdle() {
+    return new Promise(resolve => {
+      this.idleWaiters.push(resolve);
+      setImmediate(() => this.notifyIdle());
+    });
+  }
+
+  notifyIdle() {
+    if (this.active === 0 && (this.waiting.length === 0 || !this.handler)) {
+      const waiters = this.idleWaiters.splice(0);
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  async close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.handler = null;
+    this.removeAllListeners();
+  }
+}
+
+module.exports = MemoryQueue;
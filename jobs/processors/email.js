@@ -0,0 +1,13 @@
+const emailService = require('../../services/emailService');
+
+// Deliver an email queued with emailService.queue(method, ...args)
+module.exports = async (job) => {
+  const { method, args = [] } = job.data;
+
+  if (!/^send[A-Z]/.test(method || '') || typeof emailService[method] !== 'function') {
+    throw new Error(`Unknown email type: ${method}`);
+  }
+
+  await emailService[method](...args);
+  return { method };
+};
@@ -0,0 +1,28 @@
+const fileService = require('../../services/fileService');
+const sessionService = require('../../services/sessionService');
+const webauthnService = require('../../services/webauthnService');
+const bruteForceService = require('../../services/bruteForceService');
+const { storage } = require('../../services/storage');
+
+// Housekeeping deletes: the recycle bin sweep, expired ZIP exports, ended
+// sign-in sessions, unanswered WebAuthn challenges and stale failed-attempt
+// counters
+module.exports = async (job) => {
+  if (job.data.type === 'export') {
+    await storage.delete(job.data.key);
+    return { deleted: job.data.key };
+  }
+
+  if (job.data.type === 'sessions') {
+    const purged = await sessionService.purge();
+    return {
+      ...purged,
+      webauthnChallenges: await webauthnService.purgeChallenges(),
+      authThrottles: await bruteForceService.purge()
+    };
+  }
+
+  const retentionDays = job.data.retentionDays || fileService.getTrashRetentionDays();
+  // The counts are the job's result, shown by the job status endpoints
+  return await fileService.purgeExpiredTrash(retentionDays);
+};
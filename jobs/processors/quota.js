@@ -0,0 +1,7 @@
+const quotaService = require('../../services/quotaService');
+
+// Nightly correction of storage usage drift and stale quota reservations.
+// The counts are the job's result, shown by the job status endpoints.
+module.exports = async () => {
+  return await quotaService.reconcile();
+};
@@ -0,0 +1,7 @@
+const searchService = require('../../services/searchService');
+
+// Extract the text of a clean file into the search index
+module.exports = async (job) => {
+  const file = await searchService.index(job.data.fileId);
+  return { fileId: job.data.fileId, indexedChars: file && file.contentText ? file.contentText.length : 0 };
+};
@@ -0,0 +1,7 @@
+const previewService = require('../../services/previewService');
+
+// Render WebP thumbnails (and video sprites) for a newly stored file version
+module.exports = async (job) => {
+  const file = await previewService.generate(job.data.fileId);
+  return { fileId: job.data.fileId, status: file ? file.previewStatus : 'missing' };
+};
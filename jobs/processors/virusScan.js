@@ -0,0 +1,12 @@
+const scanService = require('../../services/scanService');
+
+// Scan newly stored contents; infected files are quarantined
+module.exports = async (job) => {
+  const file = await scanService.scan(job.data.fileId);
+
+  return {
+    fileId: job.data.fileId,
+    status: file ? file.scanStatus : 'missing',
+    signature: file ? file.scanResult.signature || null : null
+  };
+};
@@ -0,0 +1,56 @@
+const { PassThrough } = require('stream');
+const { User, Notification } = require('../../models');
+const fileService = require('../../services/fileService');
+const permissionService = require('../../services/permissionService');
+const { storage } = require('../../services/storage');
+const jobs = require('..');
+
+// How long a finished export stays downloadable
+const EXPORT_TTL_MS = (parseInt(process.env.ZIP_EXPORT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Build a ZIP export of a selection into storage for a later download.
+// Access is checked again here since it may have changed since the request.
+module.exports = async (job) => {
+  const { userId, fileIds = [], folderIds = [], name } = job.data;
+
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const files = [];
+  for (const id of fileIds) {
+    files.push(await permissionService.getFile(user, id, 'viewer'));
+  }
+
+  const folders = [];
+  for (const id of folderIds) {
+    folders.push(await permissionService.getFolder(user, id, 'viewer'));
+  }
+
+  const entries = await fileService.getZipEntries(files, folders);
+  const key = `exports/${userId}/${job.id}.zip`;
+
+  const output = new PassThrough();
+  await Promise.all([
+    fileService.streamZip(entries, output),
+    storage.put(key, output, { contentType: 'application/zip' })
+  ]);
+
+  const { size } = await storage.stat(key);
+  const expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+
+  await jobs.enqueue('purge', { type: 'export', key }, { delay: EXPORT_TTL_MS });
+
+  await Notification.create({
+    userId,
+    type: 'export_ready',
+    title: 'Your ZIP archive is ready',
+    message: `"${name}.zip" is ready to download until ${expiresAt.toUTCString()}.`,
+    actionUrl: `/api/files/zip/${job.id}/download`,
+    actionText: 'Download',
+    metadata: { jobId: String(job.id), size }
+  });
+
+  return { key, name, size, entryCount: entries.length, expiresAt };
+};
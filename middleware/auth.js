@@ -1,8 +1,41 @@
 const passport = require('passport');
 const { User } = require('../models');
+const accessTokenService = require('../services/accessTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const bruteForceService = require('../services/bruteForceService');
+const { rejectThrottled } = require('./bruteForce');
 
-// JWT Authentication middleware
-const authenticateJWT = passport.authenticate('jwt', { session: false });
+const authenticateSession = passport.authenticate('jwt', { session: false });
+
+// Personal access tokens travel as bearer tokens too, told apart by their prefix
+const getAccessToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith(`Bearer ${accessTokenService.prefix}`) ? header.slice(7) : null;
+};
+
+// JWT Authentication middleware. Also accepts personal access tokens, which
+// must carry the scopes the route declared with requireScope().
+const authenticateJWT = (req, res, next) => {
+  const token = getAccessToken(req);
+  if (!token) {
+    return authenticateSession(req, res, next);
+  }
+
+  accessTokenService.authenticate(token, req)
+    .then((accessToken) => {
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token'
+        });
+      }
+
+      req.user = accessToken.user;
+      req.accessToken = accessToken;
+      checkScopes(req, res, next);
+    })
+    .catch(next);
+};
 
 // Local authentication middleware
 const authenticateLocal = passport.authenticate('local', { session: false });
@@ -66,6 +99,48 @@ const authorize = (...roles) => {
   };
 };
 
+// Logins carry all of the user's rights. A personal access token only works
+// on routes that declare scopes, and only if it was granted all of them.
+const checkScopes = (req, res, next) => {
+  if (!req.accessToken) {
+    return next();
+  }
+
+  const required = req.requiredScopes || [];
+  if (required.length === 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this endpoint'
+    });
+  }
+
+  const missing = required.filter(scope => !req.accessToken.scopes.includes(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `This access token is missing the ${missing.join(', ')} scope`,
+      requiredScopes: missing
+    });
+  }
+
+  next();
+};
+
+// Scope-check middleware. Declare a route's scopes ahead of authenticateJWT,
+// which checks them once it knows the token; used after authentication it
+// checks straight away.
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    req.requiredScopes = [...new Set([...(req.requiredScopes || []), ...scopes])];
+
+    if (!req.user) {
+      return next();
+    }
+
+    checkScopes(req, res, next);
+  };
+};
+
 // Admin only middleware
 const requireAdmin = authorize('admin');
 
@@ -88,10 +163,39 @@ const requirePremium = (req, res, next) => {
   next();
 };
 
-// Optional authentication (doesn't fail if no user)
-const optionalAuth = passport.authenticate('jwt', { session: false });
+// Optional authentication (doesn't fail if no user). A personal access token
+// without the route's scopes counts as no user.
+const optionalAuth = (req, res, next) => {
+  const token = getAccessToken(req);
+  if (token) {
+    return accessTokenService.authenticate(token, req)
+      .then((accessToken) => {
+        const required = req.requiredScopes || [];
+        if (accessToken && required.length > 0 && required.every(scope => accessToken.scopes.includes(scope))) {
+          req.user = accessToken.user;
+          req.accessToken = accessToken;
+        }
+        next();
+      })
+      .catch(next);
+  }
 
-// Two-factor authentication check
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (err) {
+      return next(err);
+    }
+
+    if (user) {
+      req.user = user;
+    }
+
+    next();
+  })(req, res, next);
+};
+
+// Step-up check for sensitive actions. Users with 2FA (TOTP or WebAuthn) must
+// have confirmed it on this session within the step-up window, or send a TOTP
+// token or recovery code as `twoFactorToken` with the request.
 const require2FA = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -100,19 +204,40 @@ const require2FA = async (req, res, next) => {
     });
   }
 
-  if (req.user.twoFactorEnabled && !req.user.twoFactorVerified) {
+  try {
+    if (twoFactorService.isRecentlyVerified(req.deviceSession) || !(await twoFactorService.isEnabled(req.user))) {
+      return next();
+    }
+
+    const code = req.body?.twoFactorToken;
+    if (code) {
+      const throttled = await bruteForceService.check('two_factor', req.user.id, req.ip);
+      if (throttled) {
+        return rejectThrottled(res, throttled);
+      }
+
+      if (await twoFactorService.verify(req.user, code, req)) {
+        await bruteForceService.succeed('two_factor', req.user.id);
+        await twoFactorService.markVerified(req.deviceSession);
+        return next();
+      }
+
+      await bruteForceService.fail('two_factor', req.user.id, req, { userId: req.user.id });
+    }
+
     return res.status(403).json({
       success: false,
-      message: 'Two-factor authentication required',
+      message: code ? 'Invalid two-factor token' : 'Two-factor authentication required',
       requires2FA: true
     });
+  } catch (error) {
+    next(error);
   }
-
-  next();
 };
 
-// Resource ownership check
-const requireOwnership = (modelName) => {
+// Resource ownership check. Files and folders also accept collaborator grants
+// of at least `role` (viewer, editor or owner), including ones inherited from a parent folder.
+const requireOwnership = (modelName, role = 'owner') => {
   return async (req, res, next) => {
     try {
       const { id } = req.params;
@@ -135,10 +260,18 @@ const requireOwnership = (modelName) => {
       }
 
       if (resource.userId !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
+        const type = { File: 'file', Folder: 'folder' }[modelName];
+        const permissionService = require('../services/permissionService');
+        const grantedRole = type ? await permissionService.getRole(req.user, resource, type) : null;
+
+        if (!permissionService.hasRole(grantedRole, role)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied'
+          });
+        }
+
+        req.accessRole = grantedRole;
       }
 
       req.resource = resource;
@@ -154,6 +287,7 @@ module.exports = {
   authenticateJWT,
   authenticateLocal,
   authorize,
+  requireScope,
   requireAdmin,
   requirePremium,
   optionalAuth,
@@ -0,0 +1,36 @@
+const bruteForceService = require('../services/bruteForceService');
+
+// Answer a caller who has to wait before trying again
+const rejectThrottled = (res, { retryAfter, locked }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: locked
+      ? 'Too many failed attempts. Try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter
+  });
+};
+
+// Refuse attempts while the account or IP is locked out of `scope` or waiting
+// out a delay. getKey picks the account from the request (after validation).
+// The route reports the outcome with bruteForceService.fail() or succeed().
+const throttle = (scope, getKey) => {
+  return async (req, res, next) => {
+    try {
+      const blocked = await bruteForceService.check(scope, getKey(req), req.ip);
+      if (blocked) {
+        return rejectThrottled(res, blocked);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  throttle,
+  rejectThrottled
+};
@@ -1,68 +1,123 @@
 const multer = require('multer');
-const multerS3 = require('multer-s3');
-const { S3Client } = require('@aws-sdk/client-s3');
-const path = require('path');
 const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
 const { AppError } = require('./errorHandler');
+const { storage } = require('../services/storage');
+const quotaService = require('../services/quotaService');
+const EncryptionUtil = require('../utils/encryption');
 
-// Configure AWS S3
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// Per-file limit for uploads, and files per multi-file request
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024; // 100MB
+const MAX_UPLOAD_FILES = 10;
+
+// Multer storage engine that streams uploads into the configured storage backend,
+// hashing on the way through so the checksum never needs a second read.
+// With `encrypt` set, contents are encrypted at rest under a fresh data key.
+// Nothing is written until the request's quota reservation (see reserveQuota) succeeds.
+class AdapterStorage {
+  constructor(prefix, { encrypt = false } = {}) {
+    this.prefix = prefix;
+    this.encrypt = encrypt;
   }
-});
 
-// Local storage configuration
-const localStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads'));
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-    cb(null, `${Date.now()}-${uniqueSuffix}-${file.originalname}`);
+  _handleFile(req, file, cb) {
+    Promise.resolve(req.reserveUpload && req.reserveUpload())
+      .then(() => this.store(req, file, cb))
+      .catch(cb);
   }
-});
-
-// S3 storage configuration
-const s3Storage = multerS3({
-  s3: s3Client,
-  bucket: process.env.S3_BUCKET_NAME,
-  metadata: (req, file, cb) => {
-    cb(null, { fieldName: file.fieldname });
-  },
-  key: (req, file, cb) => {
+
+  store(req, file, cb) {
     const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-    cb(null, `uploads/${Date.now()}-${uniqueSuffix}-${file.originalname}`);
+    const filename = `${Date.now()}-${uniqueSuffix}-${file.originalname.replace(/[/\\]/g, '_')}`;
+    const key = `${this.prefix}/${filename}`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        hash.update(chunk);
+        size += chunk.length;
+        done(null, chunk);
+      }
+    });
+
+    const streams = [file.stream, counter];
+    let encryption = {};
+    if (this.encrypt && EncryptionUtil.isEnabled()) {
+      const { dataKey, wrappedKey } = EncryptionUtil.generateDataKey();
+      streams.push(EncryptionUtil.createEncryptStream(dataKey));
+      encryption = { isEncrypted: true, encryptionKey: wrappedKey };
+    }
+
+    pipeline(...streams, () => {});
+
+    storage.put(key, streams[streams.length - 1], { contentType: file.mimetype })
+      .then(() => cb(null, { key, path: key, filename, size, checksum: hash.digest('hex'), ...encryption }))
+      .catch(cb);
   }
-});
+
+  _removeFile(req, file, cb) {
+    storage.delete(file.key).then(() => cb(null), cb);
+  }
+}
+
+// Hold quota for a request's uploads before any bytes are stored. The owner
+// is resolved when the first file arrives, so form fields sent ahead of it
+// (such as folderId) can decide it. Unused quota is released with the response.
+const reserveQuota = (resolveOwner, maxBytes) => (req, res, next) => {
+  let pending = null;
+
+  req.reserveUpload = () => {
+    pending = pending || (async () => {
+      // The body length bounds what can be stored; without one, assume the largest allowed upload
+      const bytes = Number(req.headers['content-length']) || maxBytes;
+      req.quotaReservation = await quotaService.reserve(await resolveOwner(req), bytes);
+    })();
+    return pending;
+  };
+
+  res.on('close', () => {
+    if (req.quotaReservation) {
+      quotaService.release(req.quotaReservation)
+        .catch(err => console.error('Error releasing quota reservation:', err));
+    }
+  });
+
+  next();
+};
+
+// Delete stored uploads that won't be saved
+const discardUploads = async (files) => {
+  for (const file of files) {
+    await storage.delete(file.key).catch(() => {});
+  }
+};
+
+// Allowed file types
+const allowedTypes = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'video/mp4',
+  'video/avi',
+  'video/mov',
+  'audio/mp3',
+  'audio/wav',
+  'application/zip',
+  'application/x-rar-compressed'
+];
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = [
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'text/plain',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'video/mp4',
-    'video/avi',
-    'video/mov',
-    'audio/mp3',
-    'audio/wav',
-    'application/zip',
-    'application/x-rar-compressed'
-  ];
-
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -72,26 +127,47 @@ const fileFilter = (req, file, cb) => {
 
 // Single file upload
 const uploadSingle = multer({
-  storage: process.env.STORAGE_TYPE === 's3' ? s3Storage : localStorage,
+  storage: new AdapterStorage('uploads', { encrypt: true }),
   fileFilter,
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB
+    fileSize: MAX_UPLOAD_SIZE
   }
 }).single('file');
 
 // Multiple files upload
 const uploadMultiple = multer({
-  storage: process.env.STORAGE_TYPE === 's3' ? s3Storage : localStorage,
+  storage: new AdapterStorage('uploads', { encrypt: true }),
   fileFilter,
   limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB per file
-    files: 10 // Max 10 files
+    fileSize: MAX_UPLOAD_SIZE,
+    files: MAX_UPLOAD_FILES
   }
 }).array('files', 10);
 
+// Upload through a write-enabled share link (req.shareLink), narrowed by the
+// link's own type and size restrictions
+const uploadToShareLink = (req, res, next) => {
+  const { shareLink } = req;
+  const maxFileSize = MAX_UPLOAD_SIZE;
+
+  multer({
+    storage: new AdapterStorage('uploads', { encrypt: true }),
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype) || !shareLink.acceptsType(file.mimetype)) {
+        return cb(new AppError('Invalid file type for this upload link', 400), false);
+      }
+      cb(null, true);
+    },
+    limits: {
+      fileSize: shareLink.maxUploadSize ? Math.min(Number(shareLink.maxUploadSize), maxFileSize) : maxFileSize,
+      files: 1
+    }
+  }).single('file')(req, res, next);
+};
+
 // Profile avatar upload
 const uploadAvatar = multer({
-  storage: process.env.STORAGE_TYPE === 's3' ? s3Storage : localStorage,
+  storage: new AdapterStorage('avatars'),
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
@@ -138,8 +214,14 @@ const handleUploadError = (error, req, res, next) => {
 };
 
 module.exports = {
+  MAX_UPLOAD_SIZE,
+  MAX_UPLOAD_FILES,
+  allowedTypes,
+  reserveQuota,
+  discardUploads,
   uploadSingle,
   uploadMultiple,
   uploadAvatar,
+  uploadToShareLink,
   handleUploadError
 };
@@ -0,0 +1,27 @@
+const bcrypt = require('bcryptjs');
+
+// Share link passwords used to be stored as entered. The ShareLink hooks now
+// hash them and the share routes compare with bcrypt, so hash any plaintext
+// passwords left from before; links created since are already hashed.
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+module.exports = {
+  async up(queryInterface) {
+    const { sequelize } = queryInterface;
+    const links = await sequelize.query(
+      'SELECT id, password FROM "ShareLinks" WHERE password IS NOT NULL',
+      { type: sequelize.QueryTypes.SELECT }
+    );
+
+    for (const { id, password } of links) {
+      if (BCRYPT_HASH.test(password)) continue;
+
+      const salt = await bcrypt.genSalt(10);
+      await queryInterface.bulkUpdate('ShareLinks', { password: await bcrypt.hash(password, salt) }, { id });
+    }
+  },
+
+  async down() {
+    // Hashes can't be turned back into the original passwords
+  }
+};
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Failed attempts at one guessable secret, counted per account (or share link)
+// and per IP. Repeated failures impose a growing delay (blockedUntil) and then
+// a temporary lockout (lockedUntil).
+const AuthThrottle = sequelize.define('AuthThrottle', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  scope: {
+    type: DataTypes.ENUM('login', 'two_factor', 'password_reset', 'share_password'),
+    allowNull: false
+  },
+  kind: {
+    type: DataTypes.ENUM('account', 'ip'),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false // Email, user id or share token for accounts; the address for IPs
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true // Who to alert about a lockout: the account or share link owner
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lockouts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  blockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['scope', 'kind', 'subject'] },
+    { fields: ['userId'] },
+    { fields: ['lockedUntil'] }
+  ]
+});
+
+AuthThrottle.prototype.isLocked = function() {
+  return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+};
+
+module.exports = AuthThrottle;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A stored object, shared by every file row (versions and other users' files
+// included) whose contents have the same sha256. Deleted with its last reference.
+const Blob = sequelize.define('Blob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false // plaintext size
+  },
+  path: {
+    type: DataTypes.STRING,
+    allowNull: false // storage key
+  },
+  isEncrypted: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  encryptionKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  refCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // file rows pointing at this blob
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['refCount'] }
+  ]
+});
+
+module.exports = Blob;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One signed-in device. Access tokens carry its id and stop working once it
+// is revoked or expires; its refresh tokens are rotated on every use.
+const DeviceSession = sequelize.define('DeviceSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false // Pushed back each time the session is refreshed
+  },
+  twoFactorVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Last 2FA confirmation, at login or a later step-up
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.ENUM('logout', 'revoked', 'reuse_detected', 'password_change', 'account_disabled'),
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['expiresAt'] },
+    { fields: ['revokedAt'] }
+  ]
+});
+
+DeviceSession.prototype.isActive = function() {
+  return !this.revokedAt && new Date(this.expiresAt) > new Date();
+};
+
+module.exports = DeviceSession;
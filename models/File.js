@@ -1,6 +1,18 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Full-text search and array columns are PostgreSQL features; the SQLite test
+// database stores tags as JSON and searches with LIKE instead
+const isPostgres = sequelize.getDialect() === 'postgres';
+
+// Fields that feed the search vector, by weight (A ranks highest)
+const SEARCH_WEIGHTS = {
+  originalName: 'A',
+  tags: 'B',
+  description: 'C',
+  contentText: 'D'
+};
+
 const File = sequelize.define('File', {
   id: {
     type: DataTypes.UUID,
@@ -35,6 +47,26 @@ const File = sequelize.define('File', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  previewStatus: {
+    type: DataTypes.ENUM('none', 'pending', 'ready', 'failed'),
+    defaultValue: 'none'
+  },
+  previews: {
+    type: DataTypes.JSON,
+    defaultValue: {} // { sizes: { small|medium|large: { key, width, height } }, sprite?, generatedAt }
+  },
+  scanStatus: {
+    type: DataTypes.ENUM('pending', 'clean', 'infected', 'error'),
+    defaultValue: 'pending' // only clean files can be downloaded
+  },
+  scanResult: {
+    type: DataTypes.JSON,
+    defaultValue: {} // { engine, signature?, error?, scannedAt, releasedBy?, releasedAt? }
+  },
+  quarantinedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   isEncrypted: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -43,20 +75,36 @@ const File = sequelize.define('File', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  blobId: {
+    type: DataTypes.UUID,
+    allowNull: true, // path and encryption fields above mirror the blob's
+    references: {
+      model: 'Blobs',
+      key: 'id'
+    }
+  },
   version: {
     type: DataTypes.INTEGER,
     defaultValue: 1
   },
   parentVersionId: {
     type: DataTypes.UUID,
-    allowNull: true,
+    allowNull: true, // null for the current version; set on retained older versions
     references: {
       model: 'Files',
       key: 'id'
     }
   },
+  uploadedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
   tags: {
-    type: DataTypes.ARRAY(DataTypes.STRING),
+    type: isPostgres ? DataTypes.ARRAY(DataTypes.STRING) : DataTypes.JSON,
     defaultValue: []
   },
   description: {
@@ -75,6 +123,10 @@ const File = sequelize.define('File', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  trashedWithId: {
+    type: DataTypes.UUID,
+    allowNull: true // File or folder whose deletion moved this row to the trash
+  },
   downloadCount: {
     type: DataTypes.INTEGER,
     defaultValue: 0
@@ -91,6 +143,16 @@ const File = sequelize.define('File', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  contentText: {
+    type: DataTypes.TEXT,
+    allowNull: true // text extracted from PDFs, documents and plain text for search
+  },
+  ...(isPostgres && {
+    searchVector: {
+      type: DataTypes.TSVECTOR,
+      allowNull: true
+    }
+  }),
   metadata: {
     type: DataTypes.JSON,
     defaultValue: {}
@@ -101,13 +163,51 @@ const File = sequelize.define('File', {
   indexes: [
     { fields: ['userId'] },
     { fields: ['folderId'] },
+    { fields: ['parentVersionId'] },
+    { fields: ['blobId'] },
     { fields: ['isPublic'] },
     { fields: ['isDeleted'] },
+    { fields: ['trashedWithId'] },
     { fields: ['mimeType'] },
+    { fields: ['scanStatus'] },
     { fields: ['tags'] },
-    { fields: ['createdAt'] }
+    { fields: ['createdAt'] },
+    ...(isPostgres ? [{ using: 'gin', fields: ['searchVector'] }] : [])
   ]
 });
 
+File.SEARCH_WEIGHTS = SEARCH_WEIGHTS;
+
+// Recompute the weighted search vector from the row's stored fields
+File.prototype.updateSearchVector = async function(options = {}) {
+  if (!isPostgres) return;
+
+  const queryInterface = sequelize.getQueryInterface();
+  const column = (attribute) => queryInterface.quoteIdentifier(File.rawAttributes[attribute].field);
+  const text = (attribute) => {
+    const value = attribute === 'tags' ? `array_to_string(${column('tags')}, ' ')` : column(attribute);
+    // Split names like "q3_report-final.pdf" into separate words
+    return `regexp_replace(coalesce(${value}, ''), '[_.\\-]+', ' ', 'g')`;
+  };
+
+  const vector = Object.entries(SEARCH_WEIGHTS)
+    .map(([attribute, weight]) => `setweight(to_tsvector(:config, ${text(attribute)}), '${weight}')`)
+    .join(' || ');
+
+  await sequelize.query(
+    `UPDATE ${queryInterface.quoteTable(File.getTableName())} SET ${column('searchVector')} = ${vector} WHERE ${column('id')} = :id`,
+    {
+      replacements: { id: this.id, config: process.env.SEARCH_LANGUAGE || 'english' },
+      transaction: options.transaction
+    }
+  );
+};
+
+File.afterSave(async (file, options) => {
+  if (Object.keys(SEARCH_WEIGHTS).some(attribute => file.changed(attribute))) {
+    await file.updateSearchVector(options);
+  }
+});
+
 // Associations will be defined in index.js
 module.exports = File;
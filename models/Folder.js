@@ -39,6 +39,10 @@ const Folder = sequelize.define('Folder', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  trashedWithId: {
+    type: DataTypes.UUID,
+    allowNull: true // Folder whose deletion moved this folder to the trash
+  },
   color: {
     type: DataTypes.STRING,
     allowNull: true
@@ -59,7 +63,8 @@ const Folder = sequelize.define('Folder', {
     { fields: ['parentId'] },
     { fields: ['path'] },
     { fields: ['isPublic'] },
-    { fields: ['isDeleted'] }
+    { fields: ['isDeleted'] },
+    { fields: ['trashedWithId'] }
   ]
 });
 
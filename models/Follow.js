@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One user following another; followers see the followed user's public activity in their feed
+const Follow = sequelize.define('Follow', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  followerId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  followingId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['followerId', 'followingId'] },
+    { fields: ['followingId'] }
+  ]
+});
+
+module.exports = Follow;
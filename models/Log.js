@@ -11,17 +11,37 @@ const Log = sequelize.define('Log', {
     type: DataTypes.ENUM(
       'user_login',
       'user_logout',
+      'session_revoke',
+      'refresh_token_reuse',
+      'access_token_create',
+      'access_token_revoke',
+      'account_lockout',
+      'admin_lockout_clear',
       'user_register',
       'file_upload',
       'file_download',
       'file_delete',
+      'file_restore',
+      'file_permanent_delete',
       'file_share',
+      'file_version_create',
+      'file_version_restore',
+      'file_move',
+      'file_copy',
+      'file_quarantine',
+      'file_quarantine_release',
       'folder_create',
       'folder_delete',
+      'folder_restore',
       'folder_share',
+      'folder_move',
+      'folder_copy',
+      'batch_operation',
       'admin_user_ban',
       'admin_user_unban',
       'admin_file_delete',
+      'admin_job_retry',
+      'admin_job_cancel',
       'payment_process',
       'subscription_create',
       'subscription_cancel',
@@ -30,7 +50,12 @@ const Log = sequelize.define('Log', {
       'settings_update',
       'password_change',
       'two_factor_enable',
-      'two_factor_disable'
+      'two_factor_disable',
+      'two_factor_confirm',
+      'recovery_code_use',
+      'recovery_codes_regenerate',
+      'webauthn_register',
+      'webauthn_remove'
     ),
     allowNull: false
   },
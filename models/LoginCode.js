@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A one-time code handed to the frontend after an OAuth sign-in, which it
+// exchanges for the session's tokens. Only its sha256 is stored, and it is
+// deleted when redeemed.
+const LoginCode = sequelize.define('LoginCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = LoginCode;
@@ -17,7 +17,11 @@ const Notification = sequelize.define('Notification', {
       'payment_failed',
       'system_announcement',
       'file_deleted',
-      'folder_shared'
+      'folder_shared',
+      'file_uploaded',
+      'export_ready',
+      'file_quarantined',
+      'storage_warning'
     ),
     allowNull: false
   },
@@ -77,6 +81,17 @@ const Notification = sequelize.define('Notification', {
   ]
 });
 
+// Push new notifications to the user's open sockets once they are committed
+Notification.afterCreate((notification, options) => {
+  const push = () => require('../services/realtimeService').pushNotification(notification);
+
+  if (options.transaction) {
+    options.transaction.afterCommit(push);
+  } else {
+    push();
+  }
+});
+
 // Instance methods
 Notification.prototype.markAsRead = async function() {
   this.isRead = true;
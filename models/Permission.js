@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Rank of each collaborator role; a higher role includes everything below it
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+const Permission = sequelize.define('Permission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  role: {
+    type: DataTypes.ENUM('viewer', 'editor', 'owner'),
+    allowNull: false,
+    defaultValue: 'viewer'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false, // Invites for addresses without an account are matched on this
+    validate: {
+      isEmail: true
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true // Null until the invited address belongs to an account
+  },
+  grantedBy: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  fileId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  folderId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['email'] },
+    { fields: ['fileId'] },
+    { fields: ['folderId'] }
+  ],
+  hooks: {
+    beforeValidate: (permission) => {
+      if (permission.email) {
+        permission.email = permission.email.toLowerCase();
+      }
+    }
+  }
+});
+
+// Instance methods
+Permission.prototype.isPending = function() {
+  return !this.userId;
+};
+
+Permission.prototype.includes = function(role) {
+  return ROLE_RANK[this.role] >= ROLE_RANK[role];
+};
+
+Permission.ROLE_RANK = ROLE_RANK;
+
+module.exports = Permission;
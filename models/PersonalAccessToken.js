@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A long-lived token for scripts and CI, limited to the scopes it was granted.
+// Only the sha256 of the token is stored; tokenPrefix identifies it in listings.
+const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  tokenPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Never expires
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+PersonalAccessToken.prototype.isExpired = function() {
+  return Boolean(this.expiresAt) && new Date(this.expiresAt) <= new Date();
+};
+
+module.exports = PersonalAccessToken;
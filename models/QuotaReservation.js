@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Storage held against a user's quota for bytes that are about to be written,
+// so concurrent uploads can't overrun it between check and save
+const QuotaReservation = sequelize.define('QuotaReservation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  bytes: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  uploadSessionId: {
+    type: DataTypes.UUID,
+    allowNull: true // Held for a chunked upload session until it completes or ends
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Request reservations lapse on their own if never released; session ones don't
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['uploadSessionId'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = QuotaReservation;
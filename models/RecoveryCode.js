@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A one-time code that stands in for a TOTP token when the authenticator is
+// lost. Only its sha256 is stored; usedAt is set once it has been redeemed.
+const RecoveryCode = sequelize.define('RecoveryCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'codeHash'] }
+  ]
+});
+
+module.exports = RecoveryCode;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per request made against a share link, successful or not
+const ShareAccess = sequelize.define('ShareAccess', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shareLinkId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true // Set when the visitor was signed in
+  },
+  action: {
+    type: DataTypes.ENUM('view', 'download', 'zip', 'upload'),
+    allowNull: false
+  },
+  outcome: {
+    type: DataTypes.ENUM(
+      'allowed',
+      'blocked', // IP address not permitted by the link
+      'unauthorized', // Missing or wrong password
+      'denied',
+      'expired',
+      'failed'
+    ),
+    allowNull: false
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  referrer: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['shareLinkId', 'createdAt'] },
+    { fields: ['outcome'] }
+  ]
+});
+
+module.exports = ShareAccess;
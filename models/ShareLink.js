@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
+const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
+const IpRangeUtil = require('../utils/ipRange');
 
 const ShareLink = sequelize.define('ShareLink', {
   id: {
@@ -44,9 +46,29 @@ const ShareLink = sequelize.define('ShareLink', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  lastAccessedIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  allowedTypes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [] // MIME types (or `type/*`) accepted by upload links; empty allows any
+  },
+  maxUploadSize: {
+    type: DataTypes.BIGINT,
+    allowNull: true // Per-file limit in bytes for upload links
+  },
+  uploadCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
   ipWhitelist: {
     type: DataTypes.ARRAY(DataTypes.STRING),
-    defaultValue: []
+    defaultValue: [] // Addresses or CIDR ranges; when set, only these may use the link
+  },
+  ipBlacklist: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: [] // Addresses or CIDR ranges that may never use the link
   },
   metadata: {
     type: DataTypes.JSON,
@@ -64,6 +86,21 @@ const ShareLink = sequelize.define('ShareLink', {
   ]
 });
 
+// Hash link passwords; the share routes compare against them with bcrypt
+ShareLink.beforeCreate(async (shareLink) => {
+  if (shareLink.password) {
+    const salt = await bcrypt.genSalt(10);
+    shareLink.password = await bcrypt.hash(shareLink.password, salt);
+  }
+});
+
+ShareLink.beforeUpdate(async (shareLink) => {
+  if (shareLink.changed('password') && shareLink.password) {
+    const salt = await bcrypt.genSalt(10);
+    shareLink.password = await bcrypt.hash(shareLink.password, salt);
+  }
+});
+
 // Instance methods
 ShareLink.prototype.isExpired = function() {
   if (!this.expiresAt) return false;
@@ -77,9 +114,33 @@ ShareLink.prototype.canDownload = function() {
   return true;
 };
 
+// Folder links with write access act as drop boxes that accept uploads
+ShareLink.prototype.canUpload = function() {
+  if (!this.isActive) return false;
+  if (this.isExpired()) return false;
+  return Boolean(this.folderId) && ['write', 'admin'].includes(this.permissions);
+};
+
+ShareLink.prototype.acceptsType = function(mimeType) {
+  if (!this.allowedTypes || this.allowedTypes.length === 0) return true;
+  return this.allowedTypes.some(type => (
+    type.endsWith('/*') ? mimeType.startsWith(type.slice(0, -1)) : type === mimeType
+  ));
+};
+
+// Deny rules win over allow rules; an empty whitelist allows everyone else
+ShareLink.prototype.isIpAllowed = function(ip) {
+  if (IpRangeUtil.matches(this.ipBlacklist, ip)) return false;
+  if (this.ipWhitelist && this.ipWhitelist.length > 0) {
+    return IpRangeUtil.matches(this.ipWhitelist, ip);
+  }
+  return true;
+};
+
 ShareLink.prototype.recordAccess = async function(ip) {
   this.accessCount += 1;
   this.lastAccessed = new Date();
+  this.lastAccessedIp = IpRangeUtil.normalize(ip) || null;
   await this.save();
 };
 
@@ -88,4 +149,9 @@ ShareLink.prototype.recordDownload = async function() {
   await this.save();
 };
 
+ShareLink.prototype.recordUpload = async function() {
+  this.uploadCount += 1;
+  await this.save();
+};
+
 module.exports = ShareLink;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UploadSession = sequelize.define('UploadSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  originalName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  totalSize: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  chunkSize: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  totalChunks: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  receivedChunks: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  checksum: {
+    type: DataTypes.STRING,
+    allowNull: false // Expected sha256 of the assembled file
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'completed', 'aborted', 'expired', 'failed'),
+    defaultValue: 'active'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['status'] },
+    { fields: ['expiresAt'] }
+  ]
+});
+
+// Instance methods
+UploadSession.prototype.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+UploadSession.prototype.isActive = function() {
+  return this.status === 'active' && !this.isExpired();
+};
+
+// Expected byte length of a chunk; only the last one may be shorter
+UploadSession.prototype.getChunkLength = function(index) {
+  if (index < this.totalChunks - 1) return this.chunkSize;
+  return Number(this.totalSize) - this.chunkSize * (this.totalChunks - 1);
+};
+
+UploadSession.prototype.getMissingChunks = function() {
+  const received = new Set(this.receivedChunks);
+  const missing = [];
+  for (let i = 0; i < this.totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  return missing;
+};
+
+UploadSession.prototype.getReceivedBytes = function() {
+  return this.receivedChunks.reduce((sum, index) => sum + this.getChunkLength(index), 0);
+};
+
+module.exports = UploadSession;
@@ -70,7 +70,11 @@ const User = sequelize.define('User', {
   },
   storageUsed: {
     type: DataTypes.BIGINT,
-    defaultValue: 0
+    defaultValue: 0 // kept up to date by quotaService; reconciled against File sizes nightly
+  },
+  storageWarningLevel: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0 // highest quota warning (percent) sent since usage last fell below it
   },
   storageLimit: {
     type: DataTypes.BIGINT,
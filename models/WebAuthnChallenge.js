@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A challenge handed out for one WebAuthn ceremony. It is deleted when the
+// response comes back, so each one can be answered once.
+const WebAuthnChallenge = sequelize.define('WebAuthnChallenge', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true // Passwordless logins start before we know who is signing in
+  },
+  purpose: {
+    type: DataTypes.ENUM('registration', 'authentication'),
+    allowNull: false
+  },
+  challenge: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['expiresAt'] }
+  ]
+});
+
+module.exports = WebAuthnChallenge;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A registered FIDO2/WebAuthn authenticator (passkey or security key). Every
+// credential works as a second factor; passwordless ones can also sign in alone.
+const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  credentialId: {
+    type: DataTypes.STRING(1024), // base64url, as the browser reports it
+    allowNull: false,
+    unique: true
+  },
+  publicKey: {
+    type: DataTypes.TEXT, // base64url COSE key
+    allowNull: false
+  },
+  counter: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  transports: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  deviceType: {
+    type: DataTypes.ENUM('singleDevice', 'multiDevice'),
+    allowNull: true
+  },
+  backedUp: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  passwordless: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = WebAuthnCredential;
@@ -10,6 +10,20 @@ const Subscription = require('./Subscription');
 const Notification = require('./Notification');
 const Report = require('./Report');
 const Log = require('./Log');
+const UploadSession = require('./UploadSession');
+const Permission = require('./Permission');
+const ShareAccess = require('./ShareAccess');
+const Blob = require('./Blob');
+const QuotaReservation = require('./QuotaReservation');
+const Follow = require('./Follow');
+const DeviceSession = require('./DeviceSession');
+const RefreshToken = require('./RefreshToken');
+const LoginCode = require('./LoginCode');
+const PersonalAccessToken = require('./PersonalAccessToken');
+const RecoveryCode = require('./RecoveryCode');
+const WebAuthnCredential = require('./WebAuthnCredential');
+const WebAuthnChallenge = require('./WebAuthnChallenge');
+const AuthThrottle = require('./AuthThrottle');
 
 // Define associations
 
@@ -22,6 +36,15 @@ User.hasOne(Subscription, { foreignKey: 'userId', as: 'subscription' });
 User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
 User.hasMany(Report, { foreignKey: 'reporterId', as: 'reports' });
 User.hasMany(Log, { foreignKey: 'userId', as: 'logs' });
+User.hasMany(UploadSession, { foreignKey: 'userId', as: 'uploadSessions' });
+User.hasMany(Permission, { foreignKey: 'userId', as: 'permissions' });
+User.hasMany(QuotaReservation, { foreignKey: 'userId', as: 'quotaReservations' });
+User.hasMany(Follow, { foreignKey: 'followerId', as: 'followingLinks' });
+User.hasMany(Follow, { foreignKey: 'followingId', as: 'followerLinks' });
+User.hasMany(DeviceSession, { foreignKey: 'userId', as: 'deviceSessions' });
+User.hasMany(PersonalAccessToken, { foreignKey: 'userId', as: 'accessTokens' });
+User.hasMany(RecoveryCode, { foreignKey: 'userId', as: 'recoveryCodes' });
+User.hasMany(WebAuthnCredential, { foreignKey: 'userId', as: 'webauthnCredentials' });
 
 // File associations
 File.belongsTo(User, { foreignKey: 'userId', as: 'owner' });
@@ -31,6 +54,9 @@ File.hasMany(Report, { foreignKey: 'fileId', as: 'reports' });
 File.hasMany(Log, { foreignKey: 'resourceId', as: 'logs' });
 File.belongsTo(File, { foreignKey: 'parentVersionId', as: 'parentVersion' });
 File.hasMany(File, { foreignKey: 'parentVersionId', as: 'versions' });
+File.belongsTo(User, { foreignKey: 'uploadedBy', as: 'uploader' });
+File.hasMany(Permission, { foreignKey: 'fileId', as: 'permissions' });
+File.belongsTo(Blob, { foreignKey: 'blobId', as: 'blob' });
 
 // Folder associations
 Folder.belongsTo(User, { foreignKey: 'userId', as: 'owner' });
@@ -40,11 +66,13 @@ Folder.hasMany(File, { foreignKey: 'folderId', as: 'files' });
 Folder.hasMany(ShareLink, { foreignKey: 'folderId', as: 'shareLinks' });
 Folder.hasMany(Report, { foreignKey: 'folderId', as: 'reports' });
 Folder.hasMany(Log, { foreignKey: 'resourceId', as: 'logs' });
+Folder.hasMany(Permission, { foreignKey: 'folderId', as: 'permissions' });
 
 // ShareLink associations
 ShareLink.belongsTo(User, { foreignKey: 'userId', as: 'creator' });
 ShareLink.belongsTo(File, { foreignKey: 'fileId', as: 'file' });
 ShareLink.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+ShareLink.hasMany(ShareAccess, { foreignKey: 'shareLinkId', as: 'accesses' });
 
 // Payment associations
 Payment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -64,6 +92,54 @@ Report.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
 // Log associations
 Log.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+// UploadSession associations
+UploadSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+UploadSession.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+UploadSession.belongsTo(File, { foreignKey: 'fileId', as: 'file' });
+
+// Permission associations
+Permission.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Permission.belongsTo(User, { foreignKey: 'grantedBy', as: 'granter' });
+Permission.belongsTo(File, { foreignKey: 'fileId', as: 'file' });
+Permission.belongsTo(Folder, { foreignKey: 'folderId', as: 'folder' });
+
+// ShareAccess associations
+ShareAccess.belongsTo(ShareLink, { foreignKey: 'shareLinkId', as: 'shareLink' });
+ShareAccess.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Blob associations
+Blob.hasMany(File, { foreignKey: 'blobId', as: 'files' });
+
+// QuotaReservation associations
+QuotaReservation.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+QuotaReservation.belongsTo(UploadSession, { foreignKey: 'uploadSessionId', as: 'uploadSession' });
+
+// Follow associations
+Follow.belongsTo(User, { foreignKey: 'followerId', as: 'follower' });
+Follow.belongsTo(User, { foreignKey: 'followingId', as: 'following' });
+
+// DeviceSession associations
+DeviceSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+DeviceSession.hasMany(RefreshToken, { foreignKey: 'sessionId', as: 'refreshTokens' });
+
+// RefreshToken associations
+RefreshToken.belongsTo(DeviceSession, { foreignKey: 'sessionId', as: 'session' });
+
+// LoginCode associations
+LoginCode.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// PersonalAccessToken associations
+PersonalAccessToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// RecoveryCode associations
+RecoveryCode.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// WebAuthnCredential associations
+WebAuthnCredential.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// AuthThrottle associations
+AuthThrottle.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 // Export all models
 module.exports = {
   sequelize,
@@ -75,5 +151,19 @@ module.exports = {
   Subscription,
   Notification,
   Report,
-  Log
+  Log,
+  UploadSession,
+  Permission,
+  ShareAccess,
+  Blob,
+  QuotaReservation,
+  Follow,
+  DeviceSession,
+  RefreshToken,
+  LoginCode,
+  PersonalAccessToken,
+  RecoveryCode,
+  WebAuthnCredential,
+  WebAuthnChallenge,
+  AuthThrottle
 };
@@ -1,10 +1,23 @@
 const express = require('express');
 const { User, File, Payment, Log, Report } = require('../models');
-const { requireAdmin } = require('../middleware/auth');
+const { authenticateJWT, requireScope, requireAdmin, require2FA } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const fileService = require('../services/fileService');
+const quotaService = require('../services/quotaService');
+const scanService = require('../services/scanService');
+const blobService = require('../services/blobService');
+const sessionService = require('../services/sessionService');
+const bruteForceService = require('../services/bruteForceService');
+const jobs = require('../jobs');
 
 const router = express.Router();
 
+// Personal access tokens need admin:read to look and admin:write for anything else
+router.use((req, res, next) => requireScope(['GET', 'HEAD'].includes(req.method) ? 'admin:read' : 'admin:write')(req, res, next));
+
+// requireAdmin checks req.user, so every admin route needs the JWT first
+router.use(authenticateJWT);
+
 /**
  * @swagger
  * /api/admin/dashboard:
@@ -26,7 +39,7 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
   ] = await Promise.all([
     User.count(),
     User.count({ where: { isActive: true } }),
-    File.count({ where: { isDeleted: false } }),
+    File.count({ where: { isDeleted: false, parentVersionId: null } }),
     File.sum('size', { where: { isDeleted: false } }),
     Payment.sum('amount'),
     Report.findAll({
@@ -132,11 +145,12 @@ router.get('/users', requireAdmin, asyncHandler(async (req, res) => {
  * /api/admin/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: Users with 2FA enabled must have confirmed it recently (see /api/auth/confirm-2fa) or send `twoFactorToken`.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  */
-router.put('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/users/:id', requireAdmin, require2FA, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { role, isActive, storageLimit } = req.body;
 
@@ -160,6 +174,13 @@ router.put('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
 
   await user.save();
 
+  // Disabling an account or changing its role signs it out everywhere, as a ban does
+  if (oldValues.isActive && user.isActive === false) {
+    await sessionService.revokeAll(user.id, { reason: 'account_disabled' });
+  } else if (user.role !== oldValues.role) {
+    await sessionService.revokeAll(user.id, { reason: 'revoked' });
+  }
+
   // Log admin action
   await Log.create({
     userId: req.user.id,
@@ -190,11 +211,12 @@ router.put('/users/:id', requireAdmin, asyncHandler(async (req, res) => {
  * /api/admin/users/{id}/ban:
  *   post:
  *     summary: Ban user
+ *     description: Users with 2FA enabled must have confirmed it recently (see /api/auth/confirm-2fa) or send `twoFactorToken`.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
+router.post('/users/:id/ban', requireAdmin, require2FA, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
 
@@ -209,6 +231,9 @@ router.post('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
   user.isActive = false;
   await user.save();
 
+  // Sign the user out everywhere
+  await sessionService.revokeAll(user.id, { reason: 'account_disabled' });
+
   // Log ban
   await Log.create({
     userId: req.user.id,
@@ -224,6 +249,99 @@ router.post('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed-attempt lockouts and delays on a user's account and share links
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/users/:id/unlock', requireAdmin, asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.params.id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const cleared = await bruteForceService.unlockUser(user.id);
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'admin_lockout_clear',
+    description: `Cleared lockouts for user ${user.email}`,
+    category: 'admin',
+    resourceId: user.id,
+    metadata: { cleared }
+  });
+
+  res.json({
+    success: true,
+    message: 'User unlocked successfully',
+    cleared
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: List accounts, share links and IPs currently locked out after failed attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/lockouts', requireAdmin, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const { count, rows } = await bruteForceService.listLockouts({
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    lockouts: rows.map(row => bruteForceService.format(row)),
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{id}:
+ *   delete:
+ *     summary: Lift a lockout
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/lockouts/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const lockout = await bruteForceService.unlock(req.params.id);
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'admin_lockout_clear',
+    description: `Lifted ${lockout.scope} lockout on ${lockout.kind === 'ip' ? `IP ${lockout.subject}` : lockout.subject}`,
+    category: 'admin',
+    resourceId: lockout.id,
+    metadata: { scope: lockout.scope, kind: lockout.kind, subject: lockout.subject }
+  });
+
+  res.json({
+    success: true,
+    message: 'Lockout lifted'
+  });
+}));
+
 /**
  * @swagger
  * /api/admin/files:
@@ -237,7 +355,7 @@ router.get('/files', requireAdmin, asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, search, userId } = req.query;
   const offset = (page - 1) * limit;
 
-  const whereClause = { isDeleted: false };
+  const whereClause = { isDeleted: false, parentVersionId: null };
   if (search) {
     whereClause.originalName = { [require('sequelize').Op.iLike]: `%${search}%` };
   }
@@ -295,6 +413,11 @@ router.delete('/files/:id/delete', requireAdmin, asyncHandler(async (req, res) =
 
   await file.destroy();
 
+  // Files in the trash were already taken off the owner's quota
+  if (!file.isDeleted) {
+    await quotaService.credit(file.userId, file.size);
+  }
+
   // Log admin file deletion
   await Log.create({
     userId: req.user.id,
@@ -310,6 +433,122 @@ router.delete('/files/:id/delete', requireAdmin, asyncHandler(async (req, res) =
   });
 }));
 
+/**
+ * @swagger
+ * /api/admin/quarantine:
+ *   get:
+ *     summary: List quarantined files awaiting review
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/quarantine', requireAdmin, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, userId } = req.query;
+  const offset = (page - 1) * limit;
+
+  const whereClause = { scanStatus: 'infected' };
+  if (userId) whereClause.userId = userId;
+
+  const { count, rows: files } = await File.findAndCountAll({
+    where: whereClause,
+    include: [{ model: User, as: 'owner', attributes: ['id', 'name', 'email'] }],
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    order: [['quarantinedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    files: files.map(file => ({
+      id: file.id,
+      originalName: file.originalName,
+      size: file.size,
+      mimeType: file.mimeType,
+      version: file.version,
+      isCurrentVersion: !file.parentVersionId,
+      signature: file.scanResult?.signature || null,
+      engine: file.scanResult?.engine || null,
+      quarantinedAt: file.quarantinedAt,
+      isDeleted: file.isDeleted,
+      owner: file.owner,
+      uploadedBy: file.uploadedBy,
+      createdAt: file.createdAt
+    })),
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/quarantine/{id}/release:
+ *   post:
+ *     summary: Release a quarantined file after review (false positive)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/quarantine/:id/release', requireAdmin, asyncHandler(async (req, res) => {
+  const file = await File.findOne({ where: { id: req.params.id, scanStatus: 'infected' } });
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quarantined file not found'
+    });
+  }
+
+  await scanService.release(file, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'File released from quarantine'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/quarantine/{id}:
+ *   delete:
+ *     summary: Permanently delete a quarantined file
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/quarantine/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const file = await File.findOne({
+    where: { id: req.params.id, scanStatus: 'infected' },
+    include: [{ model: User, as: 'owner' }]
+  });
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quarantined file not found'
+    });
+  }
+
+  await fileService.permanentlyDeleteFile(file.id);
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'admin_file_delete',
+    description: `Admin deleted quarantined file: ${file.originalName} (owned by ${file.owner.email})`,
+    category: 'admin',
+    resourceId: file.id,
+    metadata: { signature: file.scanResult?.signature }
+  });
+
+  res.json({
+    success: true,
+    message: 'Quarantined file deleted'
+  });
+}));
+
 /**
  * @swagger
  * /api/admin/reports:
@@ -449,6 +688,206 @@ router.get('/logs', requireAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *           enum: [thumbnails, virus-scan, search-index, email, purge, quota, zip]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, active, delayed, completed, failed]
+ */
+router.get('/jobs', requireAdmin, asyncHandler(async (req, res) => {
+  const { queue, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (queue && !jobs.isQueue(queue)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unknown queue'
+    });
+  }
+
+  if (status && !jobs.JOB_STATES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Unknown job status'
+    });
+  }
+
+  const names = queue ? [queue] : Object.keys(jobs.QUEUES);
+  const states = status ? [status] : jobs.JOB_STATES;
+
+  // Take the newest page * limit jobs of every queue, then merge them by age
+  const counts = {};
+  const found = [];
+  for (const name of names) {
+    const bullQueue = jobs.getQueue(name);
+    counts[name] = await bullQueue.getJobCounts();
+
+    const queueJobs = await bullQueue.getJobs(states, 0, page * limit - 1);
+    found.push(...queueJobs.filter(Boolean).map(job => ({ name, job })));
+  }
+
+  found.sort((a, b) => b.job.timestamp - a.job.timestamp);
+  const pageJobs = found.slice((page - 1) * limit, page * limit);
+  const total = Object.values(counts)
+    .reduce((sum, queueCounts) => sum + states.reduce((n, state) => n + (queueCounts[state] || 0), 0), 0);
+
+  res.json({
+    success: true,
+    counts,
+    jobs: await Promise.all(pageJobs.map(({ name, job }) => jobs.describeJob(name, job))),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  });
+}));
+
+// Load :queue/:id for the job routes below, or answer 404
+const findJob = async (req, res) => {
+  const job = jobs.isQueue(req.params.queue)
+    ? await jobs.getQueue(req.params.queue).getJob(req.params.id)
+    : null;
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  return job;
+};
+
+/**
+ * @swagger
+ * /api/admin/jobs/{queue}/{id}:
+ *   get:
+ *     summary: Get a background job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/jobs/:queue/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    job: {
+      ...await jobs.describeJob(req.params.queue, job),
+      options: job.opts,
+      stacktrace: job.stacktrace || []
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/jobs/{queue}/{id}/retry:
+ *   post:
+ *     summary: Retry a failed background job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/jobs/:queue/:id/retry', requireAdmin, asyncHandler(async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+
+  if (await job.getState() !== 'failed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Only failed jobs can be retried'
+    });
+  }
+
+  await job.retry();
+
+  if (job.data.fileId) {
+    await jobs.trackFileJob(job.data.fileId, req.params.queue, {
+      jobId: String(job.id),
+      status: 'queued',
+      attempts: job.attemptsMade
+    });
+  }
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'admin_job_retry',
+    description: `Admin retried ${req.params.queue} job ${job.id}`,
+    category: 'admin',
+    metadata: { queue: req.params.queue, jobId: String(job.id) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Job queued for retry',
+    job: await jobs.describeJob(req.params.queue, job)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/admin/jobs/{queue}/{id}:
+ *   delete:
+ *     summary: Cancel a background job that is not running
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/jobs/:queue/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const job = await findJob(req, res);
+  if (!job) return;
+
+  // Running jobs hold a lock and can't be removed
+  if (await job.getState() === 'active') {
+    return res.status(409).json({
+      success: false,
+      message: 'Job is running and cannot be cancelled'
+    });
+  }
+
+  await job.remove();
+
+  if (job.data.fileId) {
+    await jobs.trackFileJob(job.data.fileId, req.params.queue, {
+      jobId: String(job.id),
+      status: 'cancelled',
+      attempts: job.attemptsMade
+    });
+  }
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'admin_job_cancel',
+    description: `Admin cancelled ${req.params.queue} job ${job.id}`,
+    category: 'admin',
+    metadata: { queue: req.params.queue, jobId: String(job.id) }
+  });
+
+  res.json({
+    success: true,
+    message: 'Job cancelled'
+  });
+}));
+
 /**
  * @swagger
  * /api/admin/stats:
@@ -475,7 +914,7 @@ router.get('/stats', requireAdmin, asyncHandler(async (req, res) => {
     reports
   ] = await Promise.all([
     User.count({ where: dateFilter }),
-    File.count({ where: { ...dateFilter, isDeleted: false } }),
+    File.count({ where: { ...dateFilter, isDeleted: false, parentVersionId: null } }),
     Payment.sum('amount', { where: dateFilter }),
     Report.count({ where: dateFilter })
   ]);
@@ -492,4 +931,32 @@ router.get('/stats', requireAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/admin/storage/dedup:
+ *   get:
+ *     summary: Storage saved by content deduplication
+ *     description: Logical bytes count every file, version and trashed file; physical bytes count each stored blob once.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: top
+ *         description: Number of most-shared blobs to list
+ *         schema:
+ *           type: integer
+ *           default: 10
+ */
+router.get('/storage/dedup', requireAdmin, asyncHandler(async (req, res) => {
+  const top = Math.min(Math.max(parseInt(req.query.top) || 10, 1), 100);
+
+  const dedup = await blobService.getDedupStats({ top });
+
+  res.json({
+    success: true,
+    dedup
+  });
+}));
+
 module.exports = router;
@@ -1,17 +1,26 @@
 const express = require('express');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const { User, Log } = require('../models');
-const { authenticate, authenticateJWT } = require('../middleware/auth');
+const { authenticate, authenticateJWT, require2FA } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { throttle } = require('../middleware/bruteForce');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const webauthnService = require('../services/webauthnService');
+const bruteForceService = require('../services/bruteForceService');
 
 const router = express.Router();
 
+// Reset links work for an hour. Asking for another one within a few minutes of
+// the last counts against the address, so reset emails can't flood an inbox.
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+const RESET_RESEND_WINDOW = 5 * 60 * 1000;
+
 /**
  * @swagger
  * /api/auth/register:
@@ -122,16 +131,22 @@ router.post('/register', [
  *                 type: string
  *               twoFactorToken:
  *                 type: string
+ *                 description: A TOTP token, or one of the recovery codes if the authenticator is lost
+ *               webauthn:
+ *                 type: object
+ *                 description: A WebAuthn assertion ({ challengeId, response }) answering the options from a 401 requires2FA response
  */
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').exists(),
-  body('twoFactorToken').optional().isLength({ min: 6, max: 6 })
-], asyncHandler(async (req, res) => {
-  const { email, password, twoFactorToken } = req.body;
+  body('twoFactorToken').optional().isLength({ min: 6, max: 20 }),
+  body('webauthn.challengeId').optional().isUUID()
+], throttle('login', req => req.body.email), asyncHandler(async (req, res) => {
+  const { email, password, twoFactorToken, webauthn } = req.body;
 
   const user = await User.findOne({ where: { email } });
   if (!user) {
+    await bruteForceService.fail('login', email, req);
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
@@ -140,6 +155,7 @@ router.post('/login', [
 
   const isValidPassword = await user.comparePassword(password);
   if (!isValidPassword) {
+    await bruteForceService.fail('login', email, req, { userId: user.id });
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password'
@@ -153,22 +169,25 @@ router.post('/login', [
     });
   }
 
-  if (user.twoFactorEnabled) {
-    if (!twoFactorToken) {
+  let twoFactorMethod = null;
+  const twoFactorMethods = await twoFactorService.getMethods(user);
+  if (twoFactorMethods.length > 0) {
+    if (!twoFactorToken && !webauthn) {
       return res.status(401).json({
         success: false,
         message: 'Two-factor authentication required',
-        requires2FA: true
+        requires2FA: true,
+        twoFactorMethods,
+        // Security keys need a challenge to sign; send the assertion back as `webauthn`
+        ...(twoFactorMethods.includes('webauthn') && {
+          webauthn: await webauthnService.authenticationOptions(user)
+        })
       });
     }
 
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token: twoFactorToken
-    });
-
-    if (!verified) {
+    twoFactorMethod = await twoFactorService.confirm(user, { token: twoFactorToken, webauthn }, req);
+    if (!twoFactorMethod) {
+      await bruteForceService.fail('login', email, req, { userId: user.id });
       return res.status(401).json({
         success: false,
         message: 'Invalid two-factor token'
@@ -176,29 +195,38 @@ router.post('/login', [
     }
   }
 
+  await bruteForceService.succeed('login', email);
+
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate JWT
-  const token = jwt.sign(
-    { id: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
+  // Each login is a new device session with its own refresh token
+  const { sessionId, token, refreshToken, expiresIn } = await sessionService.create(user, req, {
+    twoFactorVerified: Boolean(twoFactorMethod)
+  });
 
   // Log login
   await Log.create({
     userId: user.id,
     action: 'user_login',
     description: `User logged in: ${email}`,
-    category: 'authentication'
+    category: 'authentication',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: { sessionId, twoFactorMethod }
   });
 
   res.json({
     success: true,
     message: 'Login successful',
     token,
+    refreshToken,
+    expiresIn,
+    // Nudge users signing in with a recovery code to set up a new authenticator
+    ...(twoFactorMethod === 'recovery_code' && {
+      recoveryCodesRemaining: await twoFactorService.countRecoveryCodes(user.id)
+    }),
     user: {
       id: user.id,
       email: user.email,
@@ -210,6 +238,75 @@ router.post('/login', [
   });
 }));
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Refresh tokens can be used once. Presenting one that was already used revokes its whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { token, refreshToken, expiresIn } = await sessionService.refresh(req.body.refreshToken, req);
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Sign out, revoking the current session and its refresh token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/logout', authenticateJWT, asyncHandler(async (req, res) => {
+  await sessionService.revoke(req.user.id, req.deviceSession.id, 'logout');
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'user_logout',
+    description: `User logged out: ${req.user.email}`,
+    category: 'authentication',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: { sessionId: req.deviceSession.id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
 /**
  * @swagger
  * /api/auth/verify-email:
@@ -268,10 +365,18 @@ router.post('/verify-email', [
  */
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail()
-], asyncHandler(async (req, res) => {
+], throttle('password_reset', req => req.body.email), asyncHandler(async (req, res) => {
   const { email } = req.body;
 
+  // Unknown addresses always count, as guesses; known ones only when a reset
+  // email went out moments ago, so a real user asking again isn't locked out
   const user = await User.findOne({ where: { email } });
+  const recentlySent = user && user.resetPasswordExpires &&
+    new Date(user.resetPasswordExpires).getTime() - RESET_TOKEN_TTL > Date.now() - RESET_RESEND_WINDOW;
+  if (!user || recentlySent) {
+    await bruteForceService.fail('password_reset', email, req, { userId: user?.id });
+  }
+
   if (!user) {
     return res.status(404).json({
       success: false,
@@ -281,7 +386,7 @@ router.post('/forgot-password', [
 
   const resetToken = emailService.generateToken();
   user.resetPasswordToken = resetToken;
-  user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+  user.resetPasswordExpires = Date.now() + RESET_TOKEN_TTL;
   await user.save();
 
   await emailService.sendPasswordResetEmail(user, resetToken);
@@ -327,6 +432,9 @@ router.post('/reset-password', [
   user.resetPasswordExpires = null;
   await user.save();
 
+  // Whoever knew the old password is signed out
+  await sessionService.revokeAll(user.id, { reason: 'password_change' });
+
   // Log password change
   await Log.create({
     userId: user.id,
@@ -400,26 +508,34 @@ router.post('/setup-2fa', authenticateJWT, asyncHandler(async (req, res) => {
  */
 router.post('/verify-2fa', authenticateJWT, [
   body('token').isLength({ min: 6, max: 6 })
-], asyncHandler(async (req, res) => {
+], throttle('two_factor', req => req.user.id), asyncHandler(async (req, res) => {
   const { token } = req.body;
   const user = req.user;
 
-  const verified = speakeasy.totp.verify({
-    secret: user.twoFactorSecret,
-    encoding: 'base32',
-    token
-  });
+  if (user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication already enabled'
+    });
+  }
 
-  if (!verified) {
+  if (!twoFactorService.verifyTotp(user, token)) {
+    await bruteForceService.fail('two_factor', user.id, req, { userId: user.id });
     return res.status(400).json({
       success: false,
       message: 'Invalid token'
     });
   }
 
+  await bruteForceService.succeed('two_factor', user.id);
+
   user.twoFactorEnabled = true;
   await user.save();
 
+  // Enrolling proves the authenticator works, so it counts as a confirmation too
+  const recoveryCodes = await twoFactorService.generateRecoveryCodes(user.id);
+  await twoFactorService.markVerified(req.deviceSession);
+
   // Log 2FA enable
   await Log.create({
     userId: user.id,
@@ -430,15 +546,17 @@ router.post('/verify-2fa', authenticateJWT, [
 
   res.json({
     success: true,
-    message: 'Two-factor authentication enabled successfully'
+    message: 'Two-factor authentication enabled successfully. Store these recovery codes somewhere safe; they will not be shown again.',
+    recoveryCodes
   });
 }));
 
 /**
  * @swagger
- * /api/auth/disable-2fa:
+ * /api/auth/confirm-2fa:
  *   post:
- *     summary: Disable two-factor authentication
+ *     summary: Confirm two-factor authentication before a sensitive action
+ *     description: Sensitive endpoints answer 403 with `requires2FA` unless 2FA was confirmed on this session within the last few minutes.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -448,35 +566,164 @@ router.post('/verify-2fa', authenticateJWT, [
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - token
  *             properties:
  *               token:
  *                 type: string
+ *                 description: A TOTP token or a recovery code
+ *               webauthn:
+ *                 type: object
+ *                 description: A WebAuthn assertion ({ challengeId, response }) for options from /api/auth/webauthn/confirm/options
  */
-router.post('/disable-2fa', authenticateJWT, [
-  body('token').isLength({ min: 6, max: 6 })
-], asyncHandler(async (req, res) => {
-  const { token } = req.body;
+router.post('/confirm-2fa', authenticateJWT, [
+  body('token').if(body('webauthn').not().exists()).isLength({ min: 6, max: 20 }),
+  body('webauthn.challengeId').optional().isUUID()
+], throttle('two_factor', req => req.user.id), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   const user = req.user;
 
-  const verified = speakeasy.totp.verify({
-    secret: user.twoFactorSecret,
-    encoding: 'base32',
-    token
-  });
+  if (!(await twoFactorService.isEnabled(user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
 
-  if (!verified) {
+  const method = await twoFactorService.confirm(user, { token: req.body.token, webauthn: req.body.webauthn }, req);
+  if (!method) {
+    await bruteForceService.fail('two_factor', user.id, req, { userId: user.id });
     return res.status(400).json({
       success: false,
       message: 'Invalid token'
     });
   }
 
+  await bruteForceService.succeed('two_factor', user.id);
+  await twoFactorService.markVerified(req.deviceSession);
+
+  await Log.create({
+    userId: user.id,
+    action: 'two_factor_confirm',
+    description: 'Two-factor authentication confirmed for a sensitive action',
+    category: 'security',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: { sessionId: req.deviceSession.id, method }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication confirmed',
+    verifiedUntil: twoFactorService.verifiedUntil(req.deviceSession)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/recovery-codes:
+ *   get:
+ *     summary: Count the unused two-factor recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/recovery-codes', authenticateJWT, asyncHandler(async (req, res) => {
+  if (!(await twoFactorService.isEnabled(req.user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  res.json({
+    success: true,
+    remaining: await twoFactorService.countRecoveryCodes(req.user.id)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/recovery-codes:
+ *   post:
+ *     summary: Replace the two-factor recovery codes
+ *     description: Invalidates every earlier code. Requires a recent 2FA confirmation.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/recovery-codes', authenticateJWT, require2FA, asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (!(await twoFactorService.isEnabled(user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const recoveryCodes = await twoFactorService.generateRecoveryCodes(user.id);
+
+  await Log.create({
+    userId: user.id,
+    action: 'recovery_codes_regenerate',
+    description: 'Two-factor recovery codes regenerated',
+    category: 'security',
+    severity: 'medium',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated. Earlier codes no longer work.',
+    recoveryCodes
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/disable-2fa:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires a recent 2FA confirmation, or a TOTP token or recovery code sent as `twoFactorToken`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ */
+router.post('/disable-2fa', authenticateJWT, require2FA, asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (!user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
   user.twoFactorEnabled = false;
   user.twoFactorSecret = null;
   await user.save();
 
+  // Recovery codes stay while a passkey or security key still guards the account
+  if (!(await twoFactorService.isEnabled(user))) {
+    await twoFactorService.deleteRecoveryCodes(user.id);
+  }
+
   // Log 2FA disable
   await Log.create({
     userId: user.id,
@@ -492,18 +739,62 @@ router.post('/disable-2fa', authenticateJWT, [
 }));
 
 // OAuth routes
+/**
+ * @swagger
+ * /api/auth/oauth/exchange:
+ *   post:
+ *     summary: Exchange the one-time code from an OAuth callback for tokens
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ */
+router.post('/oauth/exchange', [
+  body('code').isString().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await sessionService.redeemLoginCode(req.body.code);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired sign-in code'
+    });
+  }
+
+  const { token, refreshToken, expiresIn } = await sessionService.create(user, req);
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn
+  });
+}));
+
 router.get('/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
 
 router.get('/google/callback',
   passport.authenticate('google', { failureRedirect: '/login' }),
   asyncHandler(async (req, res) => {
-    const token = jwt.sign(
-      { id: req.user.id, email: req.user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const code = await sessionService.createLoginCode(req.user);
 
-    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?token=${token}`);
+    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${code}`);
   })
 );
 
@@ -512,13 +803,9 @@ router.get('/github', passport.authenticate('github', { scope: ['user:email'] })
 router.get('/github/callback',
   passport.authenticate('github', { failureRedirect: '/login' }),
   asyncHandler(async (req, res) => {
-    const token = jwt.sign(
-      { id: req.user.id, email: req.user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const code = await sessionService.createLoginCode(req.user);
 
-    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?token=${token}`);
+    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${code}`);
   })
 );
 
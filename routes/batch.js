@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateJWT, requireScope } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const batchService = require('../services/batchService');
+const fileService = require('../services/fileService');
+
+const router = express.Router();
+
+// Parameters each action can't do without
+const requireActionParams = (operation) => {
+  if (['addTags', 'removeTags'].includes(operation.action) && !(Array.isArray(operation.tags) && operation.tags.length > 0)) {
+    throw new Error(`${operation.action} needs a non-empty tags array`);
+  }
+  if (operation.action === 'setPublic' && typeof operation.isPublic !== 'boolean') {
+    throw new Error('setPublic needs isPublic to be true or false');
+  }
+  return true;
+};
+
+// Sharing through a batch also needs the scope for managing shares
+const requireBatchScopes = (req, res, next) => {
+  const operations = Array.isArray(req.body.operations) ? req.body.operations : [];
+  const sharing = operations.some(operation => operation && operation.action === 'share');
+
+  requireScope('files:write', ...(sharing ? ['shares:manage'] : []))(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/batch:
+ *   post:
+ *     summary: Apply operations to many files and folders in one request
+ *     description: "Operations run in order and every item gets its own result. Deletes, restores and moves commit item by item; tag, visibility and share changes in an operation are applied to all permitted items in one transaction."
+ *     tags: [Batch]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - action
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [delete, restore, move, addTags, removeTags, setPublic, share]
+ *                     files:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     folders:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     destinationId:
+ *                       type: string
+ *                       nullable: true
+ *                     onConflict:
+ *                       type: string
+ *                       enum: [fail, rename, overwrite]
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     isPublic:
+ *                       type: boolean
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     password:
+ *                       type: string
+ *                     maxDownloads:
+ *                       type: integer
+ *                     permissions:
+ *                       type: string
+ *                       enum: [read, write, admin]
+ */
+router.post('/', requireBatchScopes, authenticateJWT, [
+  body('operations').isArray({ min: 1, max: 50 }),
+  body('operations.*.action').isIn(batchService.actions),
+  body('operations.*').custom(requireActionParams),
+  body('operations.*.files').optional().isArray(),
+  body('operations.*.files.*').isUUID(),
+  body('operations.*.folders').optional().isArray(),
+  body('operations.*.folders.*').isUUID(),
+  body('operations.*.destinationId').optional({ values: 'null' }).isUUID(),
+  body('operations.*.onConflict').optional().isIn(fileService.conflictPolicies),
+  body('operations.*.tags.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('operations.*.expiresAt').optional().isISO8601(),
+  body('operations.*.password').optional().isLength({ min: 4 }),
+  body('operations.*.maxDownloads').optional().isInt({ min: 1 }),
+  body('operations.*.permissions').optional().isIn(['read', 'write', 'admin'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { operations } = req.body;
+
+  if (batchService.countItems(operations) > batchService.maxItems) {
+    return res.status(400).json({
+      success: false,
+      message: `A batch can include at most ${batchService.maxItems} items`
+    });
+  }
+
+  const { summary, results } = await batchService.run(req.user, operations);
+
+  res.json({
+    success: summary.failed === 0,
+    summary,
+    results
+  });
+}));
+
+module.exports = router;
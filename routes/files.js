@@ -1,13 +1,43 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { File, Folder, ShareLink, Log } = require('../models');
-const { authenticateJWT, requirePremium } = require('../middleware/auth');
-const { uploadSingle, uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { authenticateJWT, requireScope, requirePremium } = require('../middleware/auth');
+const {
+  MAX_UPLOAD_SIZE,
+  MAX_UPLOAD_FILES,
+  uploadSingle,
+  uploadMultiple,
+  reserveQuota,
+  discardUploads,
+  handleUploadError
+} = require('../middleware/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
 const fileService = require('../services/fileService');
+const uploadService = require('../services/uploadService');
+const permissionService = require('../services/permissionService');
+const previewService = require('../services/previewService');
+const scanService = require('../services/scanService');
+const searchService = require('../services/searchService');
+const { storage } = require('../services/storage');
+const jobs = require('../jobs');
+const DownloadUtil = require('../utils/download');
+const IpRangeUtil = require('../utils/ipRange');
 
 const router = express.Router();
 
+// Uploads into a shared folder need editor access and belong to the folder's owner
+const resolveUploadOwner = async (req) => {
+  const { folderId } = req.body || {};
+  const folder = folderId ? await permissionService.getFolder(req.user, folderId, 'editor') : null;
+  return folder ? folder.userId : req.user.id;
+};
+
+// New versions are charged to the file's owner
+const resolveVersionOwner = async (req) => {
+  const file = await permissionService.getFile(req.user, req.params.id, 'editor');
+  return file.userId;
+};
+
 /**
  * @swagger
  * /api/files/upload:
@@ -35,7 +65,7 @@ const router = express.Router();
  *                 items:
  *                   type: string
  */
-router.post('/upload', authenticateJWT, (req, res, next) => {
+router.post('/upload', requireScope('files:write'), authenticateJWT, reserveQuota(resolveUploadOwner, MAX_UPLOAD_SIZE), (req, res, next) => {
   uploadSingle(req, res, (err) => {
     if (err) {
       return handleUploadError(err, req, res, next);
@@ -52,14 +82,22 @@ router.post('/upload', authenticateJWT, (req, res, next) => {
 
   const { folderId, description, tags } = req.body;
 
-  // Validate file size
-  await fileService.validateFileSize(req.user.id, req.file.size);
+  // folderId may have come after the file; the quota is then checked when saving
+  let ownerId;
+  try {
+    ownerId = await resolveUploadOwner(req);
+  } catch (error) {
+    await discardUploads([req.file]);
+    throw error;
+  }
 
   const file = await fileService.saveFile(
     req.file,
+    ownerId,
+    folderId || null,
+    { description, tags: tags ? JSON.parse(tags) : [] },
     req.user.id,
-    folderId,
-    { description, tags: tags ? JSON.parse(tags) : [] }
+    { reservation: req.quotaReservation }
   );
 
   res.status(201).json({
@@ -85,7 +123,7 @@ router.post('/upload', authenticateJWT, (req, res, next) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/upload-multiple', authenticateJWT, (req, res, next) => {
+router.post('/upload-multiple', requireScope('files:write'), authenticateJWT, reserveQuota(resolveUploadOwner, MAX_UPLOAD_SIZE * MAX_UPLOAD_FILES), (req, res, next) => {
   uploadMultiple(req, res, (err) => {
     if (err) {
       return handleUploadError(err, req, res, next);
@@ -103,15 +141,30 @@ router.post('/upload-multiple', authenticateJWT, (req, res, next) => {
   const { folderId, description, tags } = req.body;
   const uploadedFiles = [];
 
-  for (const file of req.files) {
-    await fileService.validateFileSize(req.user.id, file.size);
+  let ownerId;
+  try {
+    ownerId = await resolveUploadOwner(req);
+  } catch (error) {
+    await discardUploads(req.files);
+    throw error;
+  }
 
-    const savedFile = await fileService.saveFile(
-      file,
-      req.user.id,
-      folderId,
-      { description, tags: tags ? JSON.parse(tags) : [] }
-    );
+  for (const [index, file] of req.files.entries()) {
+    let savedFile;
+    try {
+      savedFile = await fileService.saveFile(
+        file,
+        ownerId,
+        folderId || null,
+        { description, tags: tags ? JSON.parse(tags) : [] },
+        req.user.id,
+        { reservation: req.quotaReservation }
+      );
+    } catch (error) {
+      // saveFile discards its own upload; the ones after it won't be saved either
+      await discardUploads(req.files.slice(index + 1));
+      throw error;
+    }
 
     uploadedFiles.push({
       id: savedFile.id,
@@ -128,311 +181,296 @@ router.post('/upload-multiple', authenticateJWT, (req, res, next) => {
   });
 }));
 
+const formatUploadSession = (session) => ({
+  id: session.id,
+  originalName: session.originalName,
+  mimeType: session.mimeType,
+  totalSize: Number(session.totalSize),
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: session.receivedChunks,
+  missingChunks: session.getMissingChunks(),
+  receivedBytes: session.getReceivedBytes(),
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
 /**
  * @swagger
- * /api/files/{id}/download:
- *   get:
- *     summary: Download a file
+ * /api/files/uploads:
+ *   post:
+ *     summary: Start a resumable chunked upload session
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - originalName
+ *               - mimeType
+ *               - totalSize
+ *               - checksum
+ *             properties:
+ *               originalName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               totalSize:
+ *                 type: integer
+ *               checksum:
+ *                 type: string
+ *                 description: sha256 of the whole file (hex)
+ *               chunkSize:
+ *                 type: integer
+ *               folderId:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
  */
-router.get('/:id/download', authenticateJWT, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const file = await File.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
-  });
-
-  if (!file) {
-    return res.status(404).json({
+router.post('/uploads', requireScope('files:write'), authenticateJWT, [
+  body('originalName').trim().isLength({ min: 1, max: 255 }),
+  body('mimeType').isString(),
+  body('totalSize').isInt({ min: 0 }).toInt(),
+  body('checksum').isHash('sha256'),
+  body('chunkSize').optional().isInt({ min: 1 }).toInt(),
+  body('folderId').optional().isUUID(),
+  body('description').optional().trim(),
+  body('tags').optional().isArray()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'File not found'
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
 
-  // Update download count
-  file.downloadCount += 1;
-  file.lastAccessed = new Date();
-  await file.save();
+  const session = await uploadService.createSession(req.user, req.body);
 
-  // Log download
-  await Log.create({
-    userId: req.user.id,
-    action: 'file_download',
-    description: `Downloaded file: ${file.originalName}`,
-    category: 'file_management',
-    resourceId: file.id
+  res.status(201).json({
+    success: true,
+    message: 'Upload session created',
+    session: formatUploadSession(session)
   });
-
-  const fileStream = await fileService.getFileStream(file.id);
-
-  res.setHeader('Content-Type', file.mimeType);
-  res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
-  res.setHeader('Content-Length', file.size);
-
-  fileStream.pipe(res);
 }));
 
 /**
  * @swagger
- * /api/files/{id}:
+ * /api/files/uploads/{sessionId}:
  *   get:
- *     summary: Get file details
+ *     summary: Get upload session progress (received chunks and offsets)
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', authenticateJWT, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const file = await File.findOne({
-    where: { id, userId: req.user.id, isDeleted: false },
-    include: [{ model: Folder, as: 'folder' }]
-  });
-
-  if (!file) {
-    return res.status(404).json({
-      success: false,
-      message: 'File not found'
-    });
-  }
+router.get('/uploads/:sessionId', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.sessionId, req.user.id);
 
   res.json({
     success: true,
-    file: {
-      id: file.id,
-      originalName: file.originalName,
-      size: file.size,
-      mimeType: file.mimeType,
-      description: file.description,
-      tags: file.tags,
-      thumbnailPath: file.thumbnailPath,
-      createdAt: file.createdAt,
-      downloadCount: file.downloadCount,
-      viewCount: file.viewCount,
-      folder: file.folder
-    }
+    session: formatUploadSession(session)
   });
 }));
 
 /**
  * @swagger
- * /api/files:
- *   get:
- *     summary: Get user's files
+ * /api/files/uploads/{sessionId}/chunks/{index}:
+ *   put:
+ *     summary: Upload a numbered chunk (zero-based) as the raw request body
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: folderId
+ *       - in: header
+ *         name: X-Chunk-Checksum
  *         schema:
  *           type: string
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
+ *         description: Optional sha256 of this chunk (hex)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
  */
-router.get('/', authenticateJWT, asyncHandler(async (req, res) => {
-  const { folderId, page = 1, limit = 20 } = req.query;
-  const offset = (page - 1) * limit;
+router.put('/uploads/:sessionId/chunks/:index', requireScope('files:write'), authenticateJWT,
+  express.raw({ type: () => true, limit: uploadService.maxChunkSize }),
+  asyncHandler(async (req, res) => {
+    const session = await uploadService.getSession(req.params.sessionId, req.user.id);
 
-  const whereClause = {
-    userId: req.user.id,
-    isDeleted: false
-  };
+    const updated = await uploadService.writeChunk(
+      session,
+      Number(req.params.index),
+      req.body,
+      req.get('X-Chunk-Checksum')
+    );
 
-  if (folderId) {
-    whereClause.folderId = folderId;
-  }
+    res.json({
+      success: true,
+      session: formatUploadSession(updated)
+    });
+  }));
 
-  const { count, rows: files } = await File.findAndCountAll({
-    where: whereClause,
-    include: [{ model: Folder, as: 'folder' }],
-    order: [['createdAt', 'DESC']],
-    limit: parseInt(limit),
-    offset: parseInt(offset)
-  });
+/**
+ * @swagger
+ * /api/files/uploads/{sessionId}/complete:
+ *   post:
+ *     summary: Assemble uploaded chunks into a file and verify its checksum
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/uploads/:sessionId/complete', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.sessionId, req.user.id);
 
-  res.json({
+  const file = await uploadService.completeSession(session);
+
+  res.status(201).json({
     success: true,
-    files: files.map(file => ({
+    message: 'File uploaded successfully',
+    file: {
       id: file.id,
       originalName: file.originalName,
       size: file.size,
       mimeType: file.mimeType,
+      checksum: file.checksum,
       thumbnailPath: file.thumbnailPath,
-      createdAt: file.createdAt,
-      folder: file.folder
-    })),
-    pagination: {
-      total: count,
-      page: parseInt(page),
-      pages: Math.ceil(count / limit),
-      limit: parseInt(limit)
+      createdAt: file.createdAt
     }
   });
 }));
 
 /**
  * @swagger
- * /api/files/{id}:
- *   put:
- *     summary: Update file metadata
+ * /api/files/uploads/{sessionId}:
+ *   delete:
+ *     summary: Abort an upload session and discard its chunks
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', authenticateJWT, [
-  body('description').optional().trim(),
-  body('tags').optional().isArray()
-], asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { description, tags } = req.body;
-
-  const file = await File.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
-  });
-
-  if (!file) {
-    return res.status(404).json({
-      success: false,
-      message: 'File not found'
-    });
-  }
-
-  const oldValues = {
-    description: file.description,
-    tags: file.tags
-  };
-
-  if (description !== undefined) file.description = description;
-  if (tags !== undefined) file.tags = tags;
+router.delete('/uploads/:sessionId', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const session = await uploadService.getSession(req.params.sessionId, req.user.id);
 
-  await file.save();
+  await uploadService.abortSession(session);
 
-  // Log update
-  await Log.create({
-    userId: req.user.id,
-    action: 'settings_update',
-    description: `Updated file metadata: ${file.originalName}`,
-    category: 'file_management',
-    resourceId: file.id,
-    oldValues,
-    newValues: { description, tags }
+  res.json({
+    success: true,
+    message: 'Upload session aborted'
   });
+}));
+
+/**
+ * @swagger
+ * /api/files/trash:
+ *   get:
+ *     summary: List files and folders in the recycle bin
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/trash', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { files, folders } = await fileService.getTrash(req.user.id);
+  const retentionDays = fileService.getTrashRetentionDays();
+  const purgeAt = (deletedAt) => new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
 
   res.json({
     success: true,
-    message: 'File updated successfully',
-    file: {
+    retentionDays,
+    files: files.map(file => ({
       id: file.id,
       originalName: file.originalName,
-      description: file.description,
-      tags: file.tags
-    }
+      size: file.size,
+      mimeType: file.mimeType,
+      folderId: file.folderId,
+      deletedAt: file.deletedAt,
+      purgeAt: purgeAt(file.deletedAt)
+    })),
+    folders: folders.map(folder => ({
+      id: folder.id,
+      name: folder.name,
+      path: folder.path,
+      deletedAt: folder.deletedAt,
+      purgeAt: purgeAt(folder.deletedAt)
+    }))
   });
 }));
 
 /**
  * @swagger
- * /api/files/{id}:
+ * /api/files/trash:
  *   delete:
- *     summary: Delete a file (soft delete)
+ *     summary: Empty the recycle bin (permanently delete everything in it)
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
-  const { id } = req.params;
+router.delete('/trash', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const deleted = await fileService.emptyTrash(req.user.id);
 
-  await fileService.deleteFile(id, req.user.id);
+  await Log.create({
+    userId: req.user.id,
+    action: 'file_permanent_delete',
+    description: `Emptied trash: ${deleted.files} files, ${deleted.folders} folders`,
+    category: 'file_management',
+    metadata: deleted
+  });
 
   res.json({
     success: true,
-    message: 'File deleted successfully'
+    message: 'Trash emptied successfully',
+    deleted
   });
 }));
 
 /**
  * @swagger
- * /api/files/search:
- *   get:
- *     summary: Search files
+ * /api/files/{id}/restore:
+ *   post:
+ *     summary: Restore a file from the recycle bin
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: q
- *         required: true
- *         schema:
- *           type: string
- *       - in: query
- *         name: mimeType
- *         schema:
- *           type: string
- *       - in: query
- *         name: folderId
- *         schema:
- *           type: string
  */
-router.get('/search', authenticateJWT, asyncHandler(async (req, res) => {
-  const { q, mimeType, folderId } = req.query;
-
-  if (!q) {
-    return res.status(400).json({
-      success: false,
-      message: 'Search query is required'
-    });
-  }
-
-  const files = await fileService.searchFiles(q, req.user.id, { mimeType, folderId });
+router.post('/:id/restore', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const file = await fileService.restoreFile(req.params.id, req.user.id);
 
   res.json({
     success: true,
-    files: files.map(file => ({
+    message: 'File restored successfully',
+    file: {
       id: file.id,
       originalName: file.originalName,
-      size: file.size,
-      mimeType: file.mimeType,
-      thumbnailPath: file.thumbnailPath,
-      folder: file.folder
-    }))
+      folderId: file.folderId
+    }
   });
 }));
 
 /**
  * @swagger
- * /api/files/{id}/share:
- *   post:
- *     summary: Create share link for file
+ * /api/files/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a file and its versions
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:id/share', authenticateJWT, [
-  body('expiresAt').optional().isISO8601(),
-  body('password').optional().isLength({ min: 4 }),
-  body('maxDownloads').optional().isInt({ min: 1 }),
-  body('permissions').optional().isIn(['read', 'write', 'admin'])
-], asyncHandler(async (req, res) => {
+router.delete('/:id/permanent', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { expiresAt, password, maxDownloads, permissions } = req.body;
 
   const file = await File.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
+    where: { id, userId: req.user.id, parentVersionId: null },
+    paranoid: false
   });
 
   if (!file) {
@@ -442,15 +480,820 @@ router.post('/:id/share', authenticateJWT, [
     });
   }
 
-  const shareLink = await ShareLink.create({
-    userId: req.user.id,
-    fileId: id,
-    token: require('crypto').randomBytes(32).toString('hex'),
-    expiresAt,
-    password,
-    maxDownloads,
-    permissions: permissions || 'read'
-  });
+  await fileService.permanentlyDeleteFile(file.id);
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'file_permanent_delete',
+    description: `Permanently deleted file: ${file.originalName}`,
+    category: 'file_management',
+    resourceId: file.id
+  });
+
+  res.json({
+    success: true,
+    message: 'File permanently deleted'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/zip:
+ *   post:
+ *     summary: Download a selection of files and folders as a ZIP archive
+ *     description: With async true the archive is built by the zip queue and the response is 202 with a job id to poll.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               folderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               name:
+ *                 type: string
+ *               async:
+ *                 type: boolean
+ */
+router.post('/zip', requireScope('files:read'), authenticateJWT, [
+  body('fileIds').optional().isArray({ max: 500 }),
+  body('fileIds.*').isUUID(),
+  body('folderIds').optional().isArray({ max: 100 }),
+  body('folderIds.*').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('async').optional().isBoolean().toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const fileIds = [...new Set(req.body.fileIds || [])];
+  const folderIds = [...new Set(req.body.folderIds || [])];
+
+  if (fileIds.length === 0 && folderIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Select at least one file or folder'
+    });
+  }
+
+  const files = [];
+  for (const id of fileIds) {
+    const file = await permissionService.getFile(req.user, id, 'viewer');
+    scanService.assertDownloadable(file);
+    files.push(file);
+  }
+
+  const folders = [];
+  for (const id of folderIds) {
+    folders.push(await permissionService.getFolder(req.user, id, 'viewer'));
+  }
+
+  const zipName = (req.body.name || (folders.length === 1 && files.length === 0 ? folders[0].name : 'download'))
+    .replace(/["/\\]/g, '_');
+
+  if (req.body.async) {
+    const job = await jobs.enqueue('zip', { userId: req.user.id, fileIds, folderIds, name: zipName });
+
+    return res.status(202).json({
+      success: true,
+      message: 'ZIP archive queued',
+      data: {
+        jobId: String(job.id),
+        statusUrl: `/api/files/zip/${job.id}`
+      }
+    });
+  }
+
+  const entries = await fileService.getZipEntries(files, folders);
+
+  if (!entries.some(entry => entry.file)) {
+    return res.status(404).json({
+      success: false,
+      message: 'No files found in selection'
+    });
+  }
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'file_download',
+    description: `Downloaded ZIP archive: ${zipName}.zip`,
+    category: 'file_management',
+    metadata: { fileIds, folderIds, entryCount: entries.length }
+  });
+
+  await DownloadUtil.sendZip(res, entries, zipName);
+}));
+
+// The caller's own ZIP export job, or null
+const findZipExport = async (req) => {
+  const job = await jobs.getQueue('zip').getJob(req.params.jobId);
+  return job && job.data.userId === req.user.id ? job : null;
+};
+
+/**
+ * @swagger
+ * /api/files/zip/{jobId}:
+ *   get:
+ *     summary: Get the status of a queued ZIP archive
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/zip/:jobId', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const job = await findZipExport(req);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Export not found'
+    });
+  }
+
+  const state = await job.getState();
+  const result = state === 'completed' ? job.returnvalue : null;
+
+  res.json({
+    success: true,
+    data: {
+      jobId: String(job.id),
+      state,
+      name: job.data.name,
+      size: result ? result.size : null,
+      expiresAt: result ? result.expiresAt : null,
+      failedReason: state === 'failed' ? job.failedReason : null,
+      downloadUrl: result ? `/api/files/zip/${job.id}/download` : null
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/zip/{jobId}/download:
+ *   get:
+ *     summary: Download a finished ZIP archive
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/zip/:jobId/download', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const job = await findZipExport(req);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Export not found'
+    });
+  }
+
+  if (await job.getState() !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Export is not ready yet'
+    });
+  }
+
+  const { key, name } = job.returnvalue;
+  if (!await storage.exists(key)) {
+    return res.status(410).json({
+      success: false,
+      message: 'Export has expired'
+    });
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.zip"`);
+  await DownloadUtil.sendStored(req, res, key, {
+    contentType: 'application/zip',
+    etag: `"export-${job.id}"`
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/download:
+ *   get:
+ *     summary: Download a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/download', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const file = await permissionService.getFile(req.user, id, 'viewer');
+  scanService.assertDownloadable(file);
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
+
+  const download = DownloadUtil.prepare(req, res, file);
+
+  if (download.isNewDownload) {
+    // Update download count
+    file.downloadCount += 1;
+    file.lastAccessed = new Date();
+    await file.save();
+
+    // Log download
+    await Log.create({
+      userId: req.user.id,
+      action: 'file_download',
+      description: `Downloaded file: ${file.originalName}`,
+      category: 'file_management',
+      resourceId: file.id
+    });
+  }
+
+  await DownloadUtil.send(req, res, file, download);
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/thumbnail:
+ *   get:
+ *     summary: Get a file's thumbnail as WebP
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [small, medium, large]
+ *           default: medium
+ */
+router.get('/:id/thumbnail', requireScope('files:read'), authenticateJWT, [
+  query('size').optional().isIn(Object.keys(previewService.sizes))
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const size = req.query.size || 'medium';
+  const file = await permissionService.getFile(req.user, req.params.id, 'viewer');
+  const preview = file.previews?.sizes?.[size];
+
+  if (!preview) {
+    // Files thumbnailed before previews existed only have a single JPEG
+    if (file.thumbnailPath && file.previewStatus === 'none') {
+      return await DownloadUtil.sendStored(req, res, file.thumbnailPath, {
+        contentType: 'image/jpeg',
+        etag: `"${file.checksum}-thumbnail"`
+      });
+    }
+
+    if (file.previewStatus === 'pending') {
+      return res.status(202).json({
+        success: false,
+        message: 'Preview is still being generated'
+      });
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: 'No preview available for this file'
+    });
+  }
+
+  await DownloadUtil.sendStored(req, res, preview.key, {
+    contentType: 'image/webp',
+    etag: `"${file.checksum}-${size}"`
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/sprite:
+ *   get:
+ *     summary: Get a video's scrub sprite (a row of evenly spaced frames) as WebP
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/sprite', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const file = await permissionService.getFile(req.user, req.params.id, 'viewer');
+  const sprite = file.previews?.sprite;
+
+  if (!sprite) {
+    return res.status(file.previewStatus === 'pending' ? 202 : 404).json({
+      success: false,
+      message: file.previewStatus === 'pending' ? 'Preview is still being generated' : 'No sprite available for this file'
+    });
+  }
+
+  res.setHeader('X-Sprite-Frames', sprite.frames);
+  res.setHeader('X-Sprite-Frame-Width', sprite.frameWidth);
+  res.setHeader('X-Sprite-Frame-Height', sprite.frameHeight);
+
+  await DownloadUtil.sendStored(req, res, sprite.key, {
+    contentType: 'image/webp',
+    etag: `"${file.checksum}-sprite"`
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/search:
+ *   get:
+ *     summary: Search files by name, description, tags and contents
+ *     description: Covers the user's own files and files shared with them. Results are ranked, with HTML snippets highlighting matches in <mark>.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [image, video, audio, text, pdf, document, spreadsheet, presentation, archive]
+ *       - in: query
+ *         name: minSize
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxSize
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: folderId
+ *         description: Only this folder and its subfolders
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/search', requireScope('files:read'), authenticateJWT, [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query is required'),
+  query('type').optional().isIn(Object.keys(searchService.mimeFamilies)),
+  query('minSize').optional().isInt({ min: 0 }),
+  query('maxSize').optional().isInt({ min: 0 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('folderId').optional().isUUID(),
+  query('ownerId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { q, type, minSize, maxSize, from, to, folderId, ownerId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { files, total } = await searchService.search(req.user, {
+    q,
+    type,
+    folderId,
+    ownerId,
+    minSize: minSize === undefined ? undefined : parseInt(minSize),
+    maxSize: maxSize === undefined ? undefined : parseInt(maxSize),
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    files: files.map(({ file, rank, snippet }) => ({
+      id: file.id,
+      originalName: file.originalName,
+      size: file.size,
+      mimeType: file.mimeType,
+      description: file.description,
+      tags: file.tags,
+      thumbnailPath: file.thumbnailPath,
+      createdAt: file.createdAt,
+      folder: file.folder,
+      owner: file.owner,
+      isOwner: file.userId === req.user.id,
+      rank,
+      snippet
+    })),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   get:
+ *     summary: Get file details
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const file = await permissionService.getFile(req.user, id, 'viewer', {
+    include: [{ model: Folder, as: 'folder' }]
+  });
+
+  res.json({
+    success: true,
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      size: file.size,
+      mimeType: file.mimeType,
+      version: file.version,
+      description: file.description,
+      tags: file.tags,
+      thumbnailPath: file.thumbnailPath,
+      createdAt: file.createdAt,
+      downloadCount: file.downloadCount,
+      viewCount: file.viewCount,
+      folder: file.folder,
+      preview: previewService.describe(file),
+      scan: {
+        status: file.scanStatus,
+        signature: file.scanResult?.signature || null,
+        scannedAt: file.scanResult?.scannedAt || null
+      },
+      isOwner: file.userId === req.user.id,
+      role: file.accessRole
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files:
+ *   get:
+ *     summary: Get user's files
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { folderId, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const whereClause = {
+    isDeleted: false,
+    parentVersionId: null
+  };
+
+  // Inside a folder, everyone with access to it sees all of its files
+  if (folderId) {
+    await permissionService.getFolder(req.user, folderId);
+    whereClause.folderId = folderId;
+  } else {
+    whereClause.userId = req.user.id;
+  }
+
+  const { count, rows: files } = await File.findAndCountAll({
+    where: whereClause,
+    include: [{ model: Folder, as: 'folder' }],
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    files: files.map(file => ({
+      id: file.id,
+      originalName: file.originalName,
+      size: file.size,
+      mimeType: file.mimeType,
+      thumbnailPath: file.thumbnailPath,
+      createdAt: file.createdAt,
+      folder: file.folder
+    })),
+    pagination: {
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   put:
+ *     summary: Update file metadata
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id', requireScope('files:write'), authenticateJWT, [
+  body('description').optional().trim(),
+  body('tags').optional().isArray()
+], asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { description, tags } = req.body;
+
+  const file = await permissionService.getFile(req.user, id, 'editor');
+
+  const oldValues = {
+    description: file.description,
+    tags: file.tags
+  };
+
+  if (description !== undefined) file.description = description;
+  if (tags !== undefined) file.tags = tags;
+
+  await file.save();
+
+  // Log update
+  await Log.create({
+    userId: req.user.id,
+    action: 'settings_update',
+    description: `Updated file metadata: ${file.originalName}`,
+    category: 'file_management',
+    resourceId: file.id,
+    oldValues,
+    newValues: { description, tags }
+  });
+
+  res.json({
+    success: true,
+    message: 'File updated successfully',
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      description: file.description,
+      tags: file.tags
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   delete:
+ *     summary: Move a file to the recycle bin
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const file = await permissionService.getFile(req.user, id, 'editor');
+  await fileService.deleteFile(file, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'File deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/move:
+ *   post:
+ *     summary: Move a file (with its version history) into another folder, or to the root
+ *     description: "`onConflict` decides what happens when the name is taken: `fail` (default, 409), `rename` to \"name (1).ext\", or `overwrite`, which sends the existing file to the recycle bin."
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *               onConflict:
+ *                 type: string
+ *                 enum: [fail, rename, overwrite]
+ */
+router.post('/:id/move', requireScope('files:write'), authenticateJWT, [
+  body('folderId').optional({ values: 'null' }).isUUID(),
+  body('onConflict').optional().isIn(fileService.conflictPolicies)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { folderId, onConflict } = req.body;
+
+  const file = await permissionService.getFile(req.user, req.params.id, 'editor');
+  const folder = folderId ? await permissionService.getFolder(req.user, folderId, 'editor') : null;
+
+  await fileService.moveFile(file, folder, { onConflict, userId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'File moved successfully',
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      folderId: file.folderId
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/copy:
+ *   post:
+ *     summary: Copy a file's current version into a folder, or the root
+ *     description: "The copy belongs to the destination's owner and counts towards their storage quota (413 if it doesn't fit). `onConflict` works as for moves."
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *               onConflict:
+ *                 type: string
+ *                 enum: [fail, rename, overwrite]
+ */
+router.post('/:id/copy', requireScope('files:write'), authenticateJWT, [
+  body('folderId').optional({ values: 'null' }).isUUID(),
+  body('onConflict').optional().isIn(fileService.conflictPolicies)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { folderId, onConflict } = req.body;
+
+  const file = await permissionService.getFile(req.user, req.params.id, 'viewer');
+  const folder = folderId ? await permissionService.getFolder(req.user, folderId, 'editor') : null;
+
+  const copy = await fileService.copyFile(file, folder, { onConflict, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'File copied successfully',
+    file: {
+      id: copy.id,
+      originalName: copy.originalName,
+      size: copy.size,
+      mimeType: copy.mimeType,
+      folderId: copy.folderId,
+      createdAt: copy.createdAt
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/share:
+ *   post:
+ *     summary: Create share link for file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/share', requireScope('shares:manage'), authenticateJWT, [
+  body('expiresAt').optional().isISO8601(),
+  body('password').optional().isLength({ min: 4 }),
+  body('maxDownloads').optional().isInt({ min: 1 }),
+  body('permissions').optional().isIn(['read', 'write', 'admin']),
+  body('ipWhitelist').optional().isArray({ max: 100 }),
+  body('ipWhitelist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range'),
+  body('ipBlacklist').optional().isArray({ max: 100 }),
+  body('ipBlacklist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { expiresAt, password, maxDownloads, permissions, ipWhitelist, ipBlacklist } = req.body;
+
+  const file = await permissionService.getFile(req.user, id, 'owner');
+
+  if (file.scanStatus === 'infected') {
+    return res.status(403).json({
+      success: false,
+      message: 'Quarantined files cannot be shared'
+    });
+  }
+
+  const shareLink = await ShareLink.create({
+    userId: req.user.id,
+    fileId: id,
+    token: require('crypto').randomBytes(32).toString('hex'),
+    expiresAt,
+    password,
+    maxDownloads,
+    permissions: permissions || 'read',
+    ipWhitelist: ipWhitelist || [],
+    ipBlacklist: ipBlacklist || []
+  });
 
   const shareUrl = `${process.env.FRONTEND_URL}/share/${shareLink.token}`;
 
@@ -472,9 +1315,301 @@ router.post('/:id/share', authenticateJWT, [
       url: shareUrl,
       expiresAt: shareLink.expiresAt,
       maxDownloads: shareLink.maxDownloads,
-      permissions: shareLink.permissions
+      permissions: shareLink.permissions,
+      ipWhitelist: shareLink.ipWhitelist,
+      ipBlacklist: shareLink.ipBlacklist
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/versions:
+ *   post:
+ *     summary: Upload a new version of a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               changeNote:
+ *                 type: string
+ */
+router.post('/:id/versions', requireScope('files:write'), authenticateJWT, reserveQuota(resolveVersionOwner, MAX_UPLOAD_SIZE), (req, res, next) => {
+  uploadSingle(req, res, (err) => {
+    if (err) {
+      return handleUploadError(err, req, res, next);
+    }
+    next();
+  });
+}, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
+
+  let file;
+  try {
+    file = await permissionService.getFile(req.user, id, 'editor');
+  } catch (error) {
+    await discardUploads([req.file]);
+    throw error;
+  }
+
+  await fileService.createVersion(file, req.file, req.user.id, {
+    changeNote: req.body.changeNote
+  }, { reservation: req.quotaReservation });
+
+  res.status(201).json({
+    success: true,
+    message: 'New version uploaded successfully',
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      version: file.version,
+      size: file.size,
+      mimeType: file.mimeType,
+      checksum: file.checksum,
+      updatedAt: file.updatedAt
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/versions:
+ *   get:
+ *     summary: List version history of a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/versions', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const file = await permissionService.getFile(req.user, id, 'viewer');
+
+  const versions = await fileService.getVersions(file);
+
+  res.json({
+    success: true,
+    currentVersion: file.version,
+    versions: versions.map(version => ({
+      version: version.version,
+      isCurrent: version.id === file.id,
+      size: version.size,
+      mimeType: version.mimeType,
+      checksum: version.checksum,
+      uploader: version.uploader,
+      changeNote: version.metadata?.changeNote,
+      restoredFrom: version.metadata?.restoredFrom,
+      createdAt: version.metadata?.uploadDate || version.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{version}/download:
+ *   get:
+ *     summary: Download a specific version of a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/versions/:version/download', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const file = await permissionService.getFile(req.user, id, 'viewer');
+
+  const fileVersion = await fileService.getVersion(file, parseInt(version));
+  scanService.assertDownloadable(fileVersion);
+
+  res.setHeader('Content-Type', fileVersion.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
+
+  const download = DownloadUtil.prepare(req, res, fileVersion);
+
+  // Log download
+  if (download.isNewDownload) {
+    await Log.create({
+      userId: req.user.id,
+      action: 'file_download',
+      description: `Downloaded version ${fileVersion.version} of file: ${file.originalName}`,
+      category: 'file_management',
+      resourceId: file.id
+    });
+  }
+
+  await DownloadUtil.send(req, res, fileVersion, download);
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore an older version as the current version
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/versions/:version/restore', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const file = await permissionService.getFile(req.user, id, 'editor');
+
+  await fileService.restoreVersion(file, parseInt(version), req.user.id);
+
+  res.json({
+    success: true,
+    message: `Version ${version} restored successfully`,
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      version: file.version,
+      size: file.size,
+      checksum: file.checksum
     }
   });
 }));
 
+/**
+ * @swagger
+ * /api/files/{id}/permissions:
+ *   get:
+ *     summary: List collaborators on a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/permissions', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const file = await permissionService.getFile(req.user, req.params.id, 'viewer');
+  const permissions = await permissionService.listPermissions(file, 'file');
+
+  res.json({
+    success: true,
+    owner: file.userId,
+    permissions: permissions.map(permission => permissionService.formatPermission(permission))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/permissions:
+ *   post:
+ *     summary: Invite a user by email as viewer, editor or owner of a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ */
+router.post('/:id/permissions', requireScope('shares:manage'), authenticateJWT, [
+  body('email').isEmail(),
+  body('role').isIn(['viewer', 'editor', 'owner'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const file = await permissionService.getFile(req.user, req.params.id, 'owner');
+  const permission = await permissionService.invite(file, 'file', req.user, req.body);
+
+  // Log sharing
+  await Log.create({
+    userId: req.user.id,
+    action: 'file_share',
+    description: `Invited ${permission.email} as ${permission.role} on file: ${file.originalName}`,
+    category: 'file_management',
+    resourceId: file.id,
+    metadata: { permissionId: permission.id, email: permission.email, role: permission.role }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: permission.isPending() ? 'Invitation sent' : 'Collaborator added',
+    permission: permissionService.formatPermission(permission)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/permissions/{permissionId}:
+ *   put:
+ *     summary: Change a collaborator's role on a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id/permissions/:permissionId', requireScope('shares:manage'), authenticateJWT, [
+  body('role').isIn(['viewer', 'editor', 'owner'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const file = await permissionService.getFile(req.user, req.params.id, 'owner');
+  const permission = await permissionService.changeRole(file, 'file', req.params.permissionId, req.body.role);
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    permission: permissionService.formatPermission(permission)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/permissions/{permissionId}:
+ *   delete:
+ *     summary: Revoke a collaborator's access to a file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/permissions/:permissionId', requireScope('shares:manage'), authenticateJWT, asyncHandler(async (req, res) => {
+  const file = await permissionService.getFile(req.user, req.params.id, 'owner');
+  await permissionService.revoke(file, 'file', req.params.permissionId);
+
+  res.json({
+    success: true,
+    message: 'Access revoked successfully'
+  });
+}));
+
 module.exports = router;
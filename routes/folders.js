@@ -1,9 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Folder, File, ShareLink, Log } = require('../models');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, requireScope } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const fileService = require('../services/fileService');
+const permissionService = require('../services/permissionService');
+const DownloadUtil = require('../utils/download');
+const IpRangeUtil = require('../utils/ipRange');
 
 const router = express.Router();
 
@@ -31,7 +34,7 @@ const router = express.Router();
  *               description:
  *                 type: string
  */
-router.post('/', authenticateJWT, [
+router.post('/', requireScope('files:write'), authenticateJWT, [
   body('name').trim().isLength({ min: 1, max: 255 }),
   body('parentId').optional().isUUID(),
   body('description').optional().trim()
@@ -47,20 +50,10 @@ router.post('/', authenticateJWT, [
 
   const { name, parentId, description } = req.body;
 
-  // Check if parent folder exists and belongs to user
-  if (parentId) {
-    const parentFolder = await Folder.findOne({
-      where: { id: parentId, userId: req.user.id }
-    });
-    if (!parentFolder) {
-      return res.status(404).json({
-        success: false,
-        message: 'Parent folder not found'
-      });
-    }
-  }
+  // Subfolders of a shared folder need editor access and belong to the parent's owner
+  const parentFolder = parentId ? await permissionService.getFolder(req.user, parentId, 'editor') : null;
 
-  const folder = await fileService.createFolder(name, req.user.id, parentId);
+  const folder = await fileService.createFolder(name, parentFolder ? parentFolder.userId : req.user.id, parentId);
 
   if (description) {
     folder.description = description;
@@ -105,18 +98,20 @@ router.post('/', authenticateJWT, [
  *           type: integer
  *           default: 20
  */
-router.get('/', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const { parentId, page = 1, limit = 20 } = req.query;
   const offset = (page - 1) * limit;
 
   const whereClause = {
-    userId: req.user.id,
     isDeleted: false
   };
 
   if (parentId) {
+    // Everyone with access to the parent sees all of its subfolders
+    await permissionService.getFolder(req.user, parentId);
     whereClause.parentId = parentId;
   } else {
+    whereClause.userId = req.user.id;
     whereClause.parentId = null; // Root folders
   }
 
@@ -155,10 +150,11 @@ router.get('/', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id/contents', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/:id/contents', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const contents = await fileService.getFolderContents(id, req.user.id);
+  const folder = await permissionService.getFolder(req.user, id, 'viewer');
+  const contents = await fileService.getFolderContents(folder);
 
   res.json({
     success: true,
@@ -166,7 +162,8 @@ router.get('/:id/contents', authenticateJWT, asyncHandler(async (req, res) => {
       id: contents.folder.id,
       name: contents.folder.name,
       path: contents.folder.path,
-      description: contents.folder.description
+      description: contents.folder.description,
+      role: folder.accessRole
     },
     files: contents.files.map(file => ({
       id: file.id,
@@ -194,19 +191,10 @@ router.get('/:id/contents', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:id', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/:id', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const folder = await Folder.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
-  });
-
-  if (!folder) {
-    return res.status(404).json({
-      success: false,
-      message: 'Folder not found'
-    });
-  }
+  const folder = await permissionService.getFolder(req.user, id, 'viewer');
 
   res.json({
     success: true,
@@ -233,7 +221,7 @@ router.get('/:id', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id', authenticateJWT, [
+router.put('/:id', requireScope('files:write'), authenticateJWT, [
   body('name').optional().trim().isLength({ min: 1, max: 255 }),
   body('description').optional().trim(),
   body('color').optional().isHexColor(),
@@ -242,16 +230,7 @@ router.put('/:id', authenticateJWT, [
   const { id } = req.params;
   const { name, description, color, icon } = req.body;
 
-  const folder = await Folder.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
-  });
-
-  if (!folder) {
-    return res.status(404).json({
-      success: false,
-      message: 'Folder not found'
-    });
-  }
+  const folder = await permissionService.getFolder(req.user, id, 'editor');
 
   const oldValues = {
     name: folder.name,
@@ -260,12 +239,16 @@ router.put('/:id', authenticateJWT, [
     icon: folder.icon
   };
 
-  if (name) folder.name = name;
   if (description !== undefined) folder.description = description;
   if (color) folder.color = color;
   if (icon) folder.icon = icon;
 
-  await folder.save();
+  // Renaming rewrites the paths of everything below the folder
+  if (name && name !== folder.name) {
+    await fileService.renameFolder(folder, name);
+  } else {
+    await folder.save();
+  }
 
   // Log update
   await Log.create({
@@ -284,6 +267,7 @@ router.put('/:id', authenticateJWT, [
     folder: {
       id: folder.id,
       name: folder.name,
+      path: folder.path,
       description: folder.description,
       color: folder.color,
       icon: folder.icon
@@ -291,20 +275,191 @@ router.put('/:id', authenticateJWT, [
   });
 }));
 
+/**
+ * @swagger
+ * /api/folders/{id}/move:
+ *   post:
+ *     summary: Move a folder and its contents under another folder, or to the root
+ *     description: "`onConflict` decides what happens when the name is taken: `fail` (default, 409), `rename` to \"name (1)\", or `overwrite`, which sends the existing folder to the recycle bin."
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *               onConflict:
+ *                 type: string
+ *                 enum: [fail, rename, overwrite]
+ */
+router.post('/:id/move', requireScope('files:write'), authenticateJWT, [
+  body('parentId').optional({ values: 'null' }).isUUID(),
+  body('onConflict').optional().isIn(fileService.conflictPolicies)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { parentId, onConflict } = req.body;
+
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'editor');
+  const parent = parentId ? await permissionService.getFolder(req.user, parentId, 'editor') : null;
+
+  await fileService.moveFolder(folder, parent, { onConflict, userId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Folder moved successfully',
+    folder: {
+      id: folder.id,
+      name: folder.name,
+      path: folder.path,
+      parentId: folder.parentId
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/copy:
+ *   post:
+ *     summary: Copy a folder with its subfolders and files
+ *     description: "Copies belong to the destination's owner and count towards their storage quota (413 if they don't fit). `onConflict` works as for moves."
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *               onConflict:
+ *                 type: string
+ *                 enum: [fail, rename, overwrite]
+ */
+router.post('/:id/copy', requireScope('files:write'), authenticateJWT, [
+  body('parentId').optional({ values: 'null' }).isUUID(),
+  body('onConflict').optional().isIn(fileService.conflictPolicies)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { parentId, onConflict } = req.body;
+
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'viewer');
+  const parent = parentId ? await permissionService.getFolder(req.user, parentId, 'editor') : null;
+
+  const copy = await fileService.copyFolder(folder, parent, { onConflict, userId: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Folder copied successfully',
+    folder: {
+      id: copy.folder.id,
+      name: copy.folder.name,
+      path: copy.folder.path,
+      parentId: copy.folder.parentId,
+      createdAt: copy.folder.createdAt
+    },
+    copied: {
+      folders: copy.folders,
+      files: copy.files
+    }
+  });
+}));
+
 /**
  * @swagger
  * /api/folders/{id}:
  *   delete:
- *     summary: Delete folder
+ *     summary: Move a folder and its contents to the recycle bin
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const folder = await permissionService.getFolder(req.user, id, 'editor');
+
+  await fileService.deleteFolder(folder);
+
+  // Log deletion
+  await Log.create({
+    userId: req.user.id,
+    action: 'folder_delete',
+    description: `Deleted folder: ${folder.name}`,
+    category: 'file_management',
+    resourceId: folder.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Folder deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/restore:
+ *   post:
+ *     summary: Restore a folder and its contents from the recycle bin
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/restore', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
+  const folder = await fileService.restoreFolder(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Folder restored successfully',
+    folder: {
+      id: folder.id,
+      name: folder.name,
+      path: folder.path,
+      parentId: folder.parentId
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a folder with all subfolders and files
  *     tags: [Folders]
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
+router.delete('/:id/permanent', requireScope('files:write'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const folder = await Folder.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
+    where: { id, userId: req.user.id },
+    paranoid: false
   });
 
   if (!folder) {
@@ -314,24 +469,52 @@ router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
     });
   }
 
-  // Soft delete
-  folder.isDeleted = true;
-  folder.deletedAt = new Date();
-  await folder.save();
+  await fileService.permanentlyDeleteFolder(folder.id);
 
-  // Log deletion
   await Log.create({
     userId: req.user.id,
     action: 'folder_delete',
-    description: `Deleted folder: ${folder.name}`,
+    description: `Permanently deleted folder: ${folder.name}`,
     category: 'file_management',
     resourceId: folder.id
   });
 
   res.json({
     success: true,
-    message: 'Folder deleted successfully'
+    message: 'Folder permanently deleted'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/zip:
+ *   get:
+ *     summary: Download a folder and everything in it as a ZIP archive
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/zip', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'viewer');
+  const entries = await fileService.getZipEntries([], [folder]);
+
+  if (!entries.some(entry => entry.file)) {
+    return res.status(404).json({
+      success: false,
+      message: 'No files found in folder'
+    });
+  }
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'file_download',
+    description: `Downloaded folder as ZIP: ${folder.name}`,
+    category: 'file_management',
+    resourceId: folder.id,
+    metadata: { entryCount: entries.length }
   });
+
+  await DownloadUtil.sendZip(res, entries, folder.name.replace(/["/\\]/g, '_'));
 }));
 
 /**
@@ -343,26 +526,42 @@ router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/:id/share', authenticateJWT, [
+router.post('/:id/share', requireScope('shares:manage'), authenticateJWT, [
   body('expiresAt').optional().isISO8601(),
   body('password').optional().isLength({ min: 4 }),
   body('maxDownloads').optional().isInt({ min: 1 }),
-  body('permissions').optional().isIn(['read', 'write', 'admin'])
+  body('permissions').optional().isIn(['read', 'write', 'admin']),
+  body('allowedTypes').optional().isArray(),
+  body('allowedTypes.*').isString().matches(/^[\w.+-]+\/([\w.+-]+|\*)$/),
+  body('maxUploadSize').optional().isInt({ min: 1 }),
+  body('ipWhitelist').optional().isArray({ max: 100 }),
+  body('ipWhitelist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range'),
+  body('ipBlacklist').optional().isArray({ max: 100 }),
+  body('ipBlacklist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range')
 ], asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { expiresAt, password, maxDownloads, permissions } = req.body;
-
-  const folder = await Folder.findOne({
-    where: { id, userId: req.user.id, isDeleted: false }
-  });
-
-  if (!folder) {
-    return res.status(404).json({
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      message: 'Folder not found'
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
 
+  const { id } = req.params;
+  const {
+    expiresAt,
+    password,
+    maxDownloads,
+    permissions,
+    allowedTypes,
+    maxUploadSize,
+    ipWhitelist,
+    ipBlacklist
+  } = req.body;
+
+  const folder = await permissionService.getFolder(req.user, id, 'owner');
+
   const shareLink = await ShareLink.create({
     userId: req.user.id,
     folderId: id,
@@ -370,7 +569,11 @@ router.post('/:id/share', authenticateJWT, [
     expiresAt,
     password,
     maxDownloads,
-    permissions: permissions || 'read'
+    permissions: permissions || 'read',
+    allowedTypes: allowedTypes || [],
+    maxUploadSize,
+    ipWhitelist: ipWhitelist || [],
+    ipBlacklist: ipBlacklist || []
   });
 
   const shareUrl = `${process.env.FRONTEND_URL}/share/${shareLink.token}`;
@@ -393,7 +596,11 @@ router.post('/:id/share', authenticateJWT, [
       url: shareUrl,
       expiresAt: shareLink.expiresAt,
       maxDownloads: shareLink.maxDownloads,
-      permissions: shareLink.permissions
+      permissions: shareLink.permissions,
+      allowedTypes: shareLink.allowedTypes,
+      maxUploadSize: shareLink.maxUploadSize,
+      ipWhitelist: shareLink.ipWhitelist,
+      ipBlacklist: shareLink.ipBlacklist
     }
   });
 }));
@@ -407,7 +614,7 @@ router.post('/:id/share', authenticateJWT, [
  *     security:
  *       - bearerAuth: []
  */
-router.get('/tree/structure', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/tree/structure', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const folders = await Folder.findAll({
     where: {
       userId: req.user.id,
@@ -449,4 +656,131 @@ router.get('/tree/structure', authenticateJWT, asyncHandler(async (req, res) =>
   });
 }));
 
+/**
+ * @swagger
+ * /api/folders/{id}/permissions:
+ *   get:
+ *     summary: List collaborators on a folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/permissions', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'viewer');
+  const permissions = await permissionService.listPermissions(folder, 'folder');
+
+  res.json({
+    success: true,
+    owner: folder.userId,
+    permissions: permissions.map(permission => permissionService.formatPermission(permission))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/permissions:
+ *   post:
+ *     summary: Invite a user by email as viewer, editor or owner of a folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ */
+router.post('/:id/permissions', requireScope('shares:manage'), authenticateJWT, [
+  body('email').isEmail(),
+  body('role').isIn(['viewer', 'editor', 'owner'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'owner');
+  const permission = await permissionService.invite(folder, 'folder', req.user, req.body);
+
+  // Log sharing
+  await Log.create({
+    userId: req.user.id,
+    action: 'folder_share',
+    description: `Invited ${permission.email} as ${permission.role} on folder: ${folder.name}`,
+    category: 'file_management',
+    resourceId: folder.id,
+    metadata: { permissionId: permission.id, email: permission.email, role: permission.role }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: permission.isPending() ? 'Invitation sent' : 'Collaborator added',
+    permission: permissionService.formatPermission(permission)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/permissions/{permissionId}:
+ *   put:
+ *     summary: Change a collaborator's role on a folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id/permissions/:permissionId', requireScope('shares:manage'), authenticateJWT, [
+  body('role').isIn(['viewer', 'editor', 'owner'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'owner');
+  const permission = await permissionService.changeRole(folder, 'folder', req.params.permissionId, req.body.role);
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    permission: permissionService.formatPermission(permission)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}/permissions/{permissionId}:
+ *   delete:
+ *     summary: Revoke a collaborator's access to a folder
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/permissions/:permissionId', requireScope('shares:manage'), authenticateJWT, asyncHandler(async (req, res) => {
+  const folder = await permissionService.getFolder(req.user, req.params.id, 'owner');
+  await permissionService.revoke(folder, 'folder', req.params.permissionId);
+
+  res.json({
+    success: true,
+    message: 'Access revoked successfully'
+  });
+}));
+
 module.exports = router;
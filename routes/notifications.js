@@ -1,7 +1,8 @@
 const express = require('express');
 const { Notification, Log } = require('../models');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, requireScope } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const realtimeService = require('../services/realtimeService');
 
 const router = express.Router();
 
@@ -14,7 +15,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/', requireScope('profile:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, unreadOnly = false } = req.query;
   const offset = (page - 1) * limit;
 
@@ -63,7 +64,7 @@ router.get('/', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/:id/read', authenticateJWT, asyncHandler(async (req, res) => {
+router.put('/:id/read', requireScope('profile:write'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const notification = await Notification.findOne({
@@ -79,6 +80,7 @@ router.put('/:id/read', authenticateJWT, asyncHandler(async (req, res) => {
 
   if (!notification.isRead) {
     await notification.markAsRead();
+    await realtimeService.pushUnreadCount(req.user.id);
   }
 
   res.json({
@@ -96,11 +98,12 @@ router.put('/:id/read', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/read-all', authenticateJWT, asyncHandler(async (req, res) => {
+router.put('/read-all', requireScope('profile:write'), authenticateJWT, asyncHandler(async (req, res) => {
   await Notification.update(
     { isRead: true, readAt: new Date() },
     { where: { userId: req.user.id, isRead: false } }
   );
+  await realtimeService.pushUnreadCount(req.user.id);
 
   res.json({
     success: true,
@@ -117,7 +120,7 @@ router.put('/read-all', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
+router.delete('/:id', requireScope('profile:write'), authenticateJWT, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const notification = await Notification.findOne({
@@ -132,6 +135,9 @@ router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
   }
 
   await notification.destroy();
+  if (!notification.isRead) {
+    await realtimeService.pushUnreadCount(req.user.id);
+  }
 
   res.json({
     success: true,
@@ -148,7 +154,7 @@ router.delete('/:id', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/count', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/count', requireScope('profile:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const unreadCount = await Notification.count({
     where: { userId: req.user.id, isRead: false }
   });
@@ -168,7 +174,7 @@ router.get('/count', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/create', authenticateJWT, asyncHandler(async (req, res) => {
+router.post('/create', requireScope('profile:write'), authenticateJWT, asyncHandler(async (req, res) => {
   const { type, title, message, priority = 'medium', actionUrl, actionText, expiresAt } = req.body;
 
   const notification = await Notification.create({
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { User, Payment, Subscription, Log } = require('../models');
-const { authenticateJWT, requirePremium } = require('../middleware/auth');
+const { authenticateJWT, requirePremium, require2FA } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const paymentService = require('../services/paymentService');
 
@@ -146,11 +146,12 @@ router.get('/history', authenticateJWT, asyncHandler(async (req, res) => {
  * /api/payments/refund/{paymentId}:
  *   post:
  *     summary: Refund payment
+ *     description: Users with 2FA enabled must have confirmed it recently (see /api/auth/confirm-2fa) or send `twoFactorToken`.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/refund/:paymentId', authenticateJWT, [
+router.post('/refund/:paymentId', authenticateJWT, require2FA, [
   body('amount').optional().isFloat({ min: 0.01 }),
   body('reason').optional().isString()
 ], asyncHandler(async (req, res) => {
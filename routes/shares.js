@@ -1,12 +1,97 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { ShareLink, File, Folder, User, Log } = require('../models');
-const { optionalAuth } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { ShareLink, File, Folder, User, Log, Notification } = require('../models');
+const { authenticateJWT, requireScope, optionalAuth } = require('../middleware/auth');
+const { MAX_UPLOAD_SIZE, uploadToShareLink, reserveQuota, handleUploadError } = require('../middleware/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { rejectThrottled } = require('../middleware/bruteForce');
 const fileService = require('../services/fileService');
+const { storage } = require('../services/storage');
+const DownloadUtil = require('../utils/download');
+const permissionService = require('../services/permissionService');
+const shareAnalyticsService = require('../services/shareAnalyticsService');
+const scanService = require('../services/scanService');
+const IpRangeUtil = require('../utils/ipRange');
+const bruteForceService = require('../services/bruteForceService');
 
 const router = express.Router();
 
+// Check a password-protected link's password, answering the request when it
+// is missing or wrong. Wrong guesses are throttled per link and per IP, and a
+// lockout alerts the link's owner.
+const checkSharePassword = async (req, res, shareLink, password) => {
+  if (!password) {
+    res.status(401).json({
+      success: false,
+      message: 'Password required'
+    });
+    return false;
+  }
+
+  const throttled = await bruteForceService.check('share_password', shareLink.token, req.ip);
+  if (throttled) {
+    rejectThrottled(res, throttled);
+    return false;
+  }
+
+  const bcrypt = require('bcryptjs');
+  if (!(await bcrypt.compare(String(password), shareLink.password))) {
+    await bruteForceService.fail('share_password', shareLink.token, req, { userId: shareLink.userId });
+    res.status(401).json({
+      success: false,
+      message: 'Invalid password'
+    });
+    return false;
+  }
+
+  await bruteForceService.succeed('share_password', shareLink.token);
+  return true;
+};
+
+// Access event action for each /:token route, keyed by the path segment after the token
+const SHARE_ACTIONS = {
+  '': 'view',
+  access: 'view',
+  folder: 'view',
+  download: 'download',
+  zip: 'zip',
+  upload: 'upload'
+};
+
+// Every /:token route: apply the link's IP rules and record the attempt once
+// the response has gone out. Unknown tokens are left to the route's own 404.
+router.param('token', async (req, res, next, token) => {
+  try {
+    const shareLink = await ShareLink.findOne({
+      where: { token },
+      attributes: ['id', 'ipWhitelist', 'ipBlacklist']
+    });
+
+    if (!shareLink) {
+      return next();
+    }
+
+    const action = SHARE_ACTIONS[req.path.split('/')[2] || ''] || 'view';
+    let outcome = null;
+
+    res.on('finish', () => {
+      shareAnalyticsService.record(shareLink, req, action, outcome || shareAnalyticsService.outcomeFor(res.statusCode));
+    });
+
+    if (!shareLink.isIpAllowed(req.ip)) {
+      outcome = 'blocked';
+      return res.status(403).json({
+        success: false,
+        message: 'Access to this share link is not allowed from your network'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/shares/{token}:
@@ -55,12 +140,16 @@ router.get('/:token', asyncHandler(async (req, res) => {
       downloadCount: shareLink.downloadCount,
       permissions: shareLink.permissions,
       hasPassword: !!shareLink.password,
+      acceptsUploads: shareLink.canUpload(),
+      allowedTypes: shareLink.allowedTypes,
+      maxUploadSize: shareLink.maxUploadSize,
       resource: {
         type: shareLink.file ? 'file' : 'folder',
         id: resource.id,
         name: shareLink.file ? resource.originalName : resource.name,
         size: shareLink.file ? resource.size : null,
         mimeType: shareLink.file ? resource.mimeType : null,
+        scanStatus: shareLink.file ? resource.scanStatus : null,
         description: resource.description
       },
       creator: shareLink.creator
@@ -114,14 +203,8 @@ router.post('/:token/access', [
     });
   }
 
-  const bcrypt = require('bcryptjs');
-  const isValidPassword = await bcrypt.compare(password, shareLink.password);
-
-  if (!isValidPassword) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid password'
-    });
+  if (!(await checkSharePassword(req, res, shareLink, password))) {
+    return;
   }
 
   // Mark as verified for this session
@@ -164,22 +247,8 @@ router.get('/:token/download', optionalAuth, asyncHandler(async (req, res) => {
   }
 
   // Check password if required
-  if (shareLink.password) {
-    if (!password) {
-      return res.status(401).json({
-        success: false,
-        message: 'Password required'
-      });
-    }
-
-    const bcrypt = require('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, shareLink.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid password'
-      });
-    }
+  if (shareLink.password && !(await checkSharePassword(req, res, shareLink, password))) {
+    return;
   }
 
   // Check permissions
@@ -190,27 +259,29 @@ router.get('/:token/download', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // Record download
-  await shareLink.recordDownload();
-
-  // Log download
-  if (req.user) {
-    await Log.create({
-      userId: req.user.id,
-      action: 'file_download',
-      description: `Downloaded shared file: ${shareLink.file.originalName}`,
-      category: 'file_management',
-      resourceId: shareLink.file.id
-    });
-  }
-
-  const fileStream = await fileService.getFileStream(shareLink.file.id);
+  scanService.assertDownloadable(shareLink.file);
 
   res.setHeader('Content-Type', shareLink.file.mimeType);
   res.setHeader('Content-Disposition', `attachment; filename="${shareLink.file.originalName}"`);
-  res.setHeader('Content-Length', shareLink.file.size);
 
-  fileStream.pipe(res);
+  const download = DownloadUtil.prepare(req, res, shareLink.file);
+
+  // Resumed or seeking range requests don't use up the link's download limit
+  if (download.isNewDownload) {
+    await shareLink.recordDownload();
+
+    if (req.user) {
+      await Log.create({
+        userId: req.user.id,
+        action: 'file_download',
+        description: `Downloaded shared file: ${shareLink.file.originalName}`,
+        category: 'file_management',
+        resourceId: shareLink.file.id
+      });
+    }
+  }
+
+  await DownloadUtil.send(req, res, shareLink.file, download);
 }));
 
 /**
@@ -231,7 +302,7 @@ router.get('/:token/folder', optionalAuth, asyncHandler(async (req, res) => {
         model: Folder,
         as: 'folder',
         include: [
-          { model: File, as: 'files', where: { isDeleted: false }, required: false },
+          { model: File, as: 'files', where: { isDeleted: false, parentVersionId: null }, required: false },
           { model: Folder, as: 'children', where: { isDeleted: false }, required: false }
         ]
       }
@@ -253,22 +324,8 @@ router.get('/:token/folder', optionalAuth, asyncHandler(async (req, res) => {
   }
 
   // Check password if required
-  if (shareLink.password) {
-    if (!password) {
-      return res.status(401).json({
-        success: false,
-        message: 'Password required'
-      });
-    }
-
-    const bcrypt = require('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, shareLink.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid password'
-      });
-    }
+  if (shareLink.password && !(await checkSharePassword(req, res, shareLink, password))) {
+    return;
   }
 
   // Check permissions
@@ -288,11 +345,13 @@ router.get('/:token/folder', optionalAuth, asyncHandler(async (req, res) => {
       id: shareLink.folder.id,
       name: shareLink.folder.name,
       description: shareLink.folder.description,
-      files: shareLink.folder.files.map(file => ({
+      // Quarantined files are hidden from link visitors
+      files: shareLink.folder.files.filter(file => file.scanStatus !== 'infected').map(file => ({
         id: file.id,
         originalName: file.originalName,
         size: file.size,
         mimeType: file.mimeType,
+        scanStatus: file.scanStatus,
         thumbnailPath: file.thumbnailPath,
         createdAt: file.createdAt
       })),
@@ -329,6 +388,13 @@ router.get('/:token/zip', optionalAuth, asyncHandler(async (req, res) => {
     });
   }
 
+  if (!shareLink.canDownload()) {
+    return res.status(410).json({
+      success: false,
+      message: 'Share link has expired or reached download limit'
+    });
+  }
+
   // Check permissions (write or admin required for ZIP download)
   if (!['write', 'admin'].includes(shareLink.permissions)) {
     return res.status(403).json({
@@ -338,70 +404,189 @@ router.get('/:token/zip', optionalAuth, asyncHandler(async (req, res) => {
   }
 
   // Check password and other validations same as above
-  if (shareLink.password) {
-    if (!password) {
-      return res.status(401).json({
-        success: false,
-        message: 'Password required'
-      });
-    }
-
-    const bcrypt = require('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, shareLink.password);
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid password'
-      });
-    }
+  if (shareLink.password && !(await checkSharePassword(req, res, shareLink, password))) {
+    return;
   }
 
-  // Get all files in folder recursively
-  const getAllFiles = async (folderId) => {
-    const files = await File.findAll({
-      where: { folderId, isDeleted: false }
-    });
+  const entries = await fileService.getZipEntries([], [shareLink.folder]);
 
-    const subfolders = await Folder.findAll({
-      where: { parentId: folderId, isDeleted: false }
+  if (!entries.some(entry => entry.file)) {
+    return res.status(404).json({
+      success: false,
+      message: 'No files found in folder'
     });
+  }
 
-    for (const subfolder of subfolders) {
-      const subFiles = await getAllFiles(subfolder.id);
-      files.push(...subFiles);
-    }
+  // Record download
+  await shareLink.recordDownload();
 
-    return files;
-  };
+  await DownloadUtil.sendZip(res, entries, `${shareLink.folder.name}_shared`);
+}));
+
+/**
+ * @swagger
+ * /api/shares/{token}/upload:
+ *   post:
+ *     summary: Upload a file into a shared folder through a write-enabled link
+ *     tags: [Shares]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               uploaderName:
+ *                 type: string
+ *               uploaderEmail:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.post('/:token/upload', optionalAuth, asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.query;
 
-  const allFiles = await getAllFiles(shareLink.folder.id);
+  const shareLink = await ShareLink.findOne({
+    where: { token },
+    include: [{ model: Folder, as: 'folder', where: { isDeleted: false } }]
+  });
 
-  if (allFiles.length === 0) {
+  if (!shareLink) {
     return res.status(404).json({
       success: false,
-      message: 'No files found in folder'
+      message: 'Share link not found or invalid'
+    });
+  }
+
+  if (!shareLink.isActive || shareLink.isExpired()) {
+    return res.status(410).json({
+      success: false,
+      message: 'Share link has expired'
     });
   }
 
-  // Create ZIP
-  const zipName = `${shareLink.folder.name}_shared`;
-  const zipPath = await fileService.createZip(allFiles, zipName);
+  if (!shareLink.canUpload()) {
+    return res.status(403).json({
+      success: false,
+      message: 'This share link does not accept uploads'
+    });
+  }
 
-  // Record download
-  await shareLink.recordDownload();
+  // Check password if required
+  if (shareLink.password && !(await checkSharePassword(req, res, shareLink, password))) {
+    return;
+  }
+
+  // Check permissions
+  if (shareLink.permissions === 'admin' && (!req.user || req.user.id !== shareLink.userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  req.shareLink = shareLink;
+  next();
+}), reserveQuota((req) => req.shareLink.folder.userId, MAX_UPLOAD_SIZE), (req, res, next) => {
+  uploadToShareLink(req, res, (err) => {
+    if (err) {
+      // Uploads are charged against the folder owner's storage
+      if (err.statusCode === 413) {
+        return res.status(413).json({
+          success: false,
+          message: 'The recipient does not have enough storage space for this file'
+        });
+      }
+      if (err.code === 'LIMIT_FILE_SIZE' && req.shareLink.maxUploadSize) {
+        return res.status(400).json({
+          success: false,
+          message: `File too large. This link accepts files up to ${req.shareLink.maxUploadSize} bytes.`
+        });
+      }
+      return handleUploadError(err, req, res, next);
+    }
+    next();
+  });
+}, [
+  body('uploaderName').optional().trim().isLength({ min: 1, max: 100 }),
+  body('uploaderEmail').optional().isEmail().normalizeEmail(),
+  body('description').optional().isLength({ max: 1000 })
+], asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
 
-  res.setHeader('Content-Type', 'application/zip');
-  res.setHeader('Content-Disposition', `attachment; filename="${zipName}.zip"`);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await storage.delete(req.file.key);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
 
-  const fs = require('fs');
-  const fileStream = fs.createReadStream(zipPath);
-  fileStream.pipe(res);
+  const { shareLink } = req;
+  const { folder } = shareLink;
 
-  // Clean up ZIP file after download
-  fileStream.on('end', () => {
-    fs.unlink(zipPath, (err) => {
-      if (err) console.error('Error deleting temp ZIP file:', err);
+  const uploaderName = req.body.uploaderName || (req.user && req.user.name) || null;
+  const uploaderEmail = req.body.uploaderEmail || (req.user && req.user.email) || null;
+
+  let file;
+  try {
+    file = await fileService.saveFile(
+      req.file,
+      folder.userId,
+      folder.id,
+      {
+        description: req.body.description,
+        tags: [],
+        uploadedVia: 'share_link',
+        shareLinkId: shareLink.id,
+        uploaderName,
+        uploaderEmail
+      },
+      req.user ? req.user.id : null,
+      { reservation: req.quotaReservation }
+    );
+  } catch (error) {
+    if (error.statusCode !== 413) throw error;
+    return res.status(413).json({
+      success: false,
+      message: 'The recipient does not have enough storage space for this file'
     });
+  }
+
+  await shareLink.recordUpload();
+
+  const uploader = uploaderName || uploaderEmail || 'Someone';
+  await Notification.create({
+    userId: folder.userId,
+    type: 'file_uploaded',
+    title: `${uploader} uploaded "${file.originalName}"`,
+    message: `A file was added to "${folder.name}" through your upload link.`,
+    actionUrl: `${process.env.FRONTEND_URL}/folders/${folder.id}`,
+    actionText: 'View folder',
+    metadata: { fileId: file.id, folderId: folder.id, shareLinkId: shareLink.id, uploaderName, uploaderEmail }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully',
+    file: {
+      id: file.id,
+      originalName: file.originalName,
+      size: file.size,
+      mimeType: file.mimeType,
+      createdAt: file.createdAt
+    }
   });
 }));
 
@@ -414,7 +599,7 @@ router.get('/:token/zip', optionalAuth, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.get('/user/links', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/user/links', requireScope('shares:manage'), optionalAuth, asyncHandler(async (req, res) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -440,7 +625,10 @@ router.get('/user/links', optionalAuth, asyncHandler(async (req, res) => {
       expiresAt: link.expiresAt,
       maxDownloads: link.maxDownloads,
       downloadCount: link.downloadCount,
+      uploadCount: link.uploadCount,
       permissions: link.permissions,
+      ipWhitelist: link.ipWhitelist,
+      ipBlacklist: link.ipBlacklist,
       isActive: link.isActive,
       resource: link.file ? {
         type: 'file',
@@ -457,6 +645,179 @@ router.get('/user/links', optionalAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /api/shares/user/shared-with-me:
+ *   get:
+ *     summary: Files and folders other users have shared with the current user
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/user/shared-with-me', requireScope('files:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const { files, folders } = await permissionService.getSharedWithMe(req.user);
+
+  res.json({
+    success: true,
+    files: files.map(grant => ({
+      id: grant.file.id,
+      originalName: grant.file.originalName,
+      size: grant.file.size,
+      mimeType: grant.file.mimeType,
+      thumbnailPath: grant.file.thumbnailPath,
+      role: grant.role,
+      owner: grant.file.owner,
+      sharedBy: grant.granter,
+      sharedAt: grant.createdAt
+    })),
+    folders: folders.map(grant => ({
+      id: grant.folder.id,
+      name: grant.folder.name,
+      description: grant.folder.description,
+      role: grant.role,
+      owner: grant.folder.owner,
+      sharedBy: grant.granter,
+      sharedAt: grant.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/shares/{id}/analytics:
+ *   get:
+ *     summary: Access time series and unique visitors for one of the user's share links
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ */
+router.get('/:id/analytics', requireScope('shares:manage'), authenticateJWT, [
+  query('days').optional().isInt({ min: 1, max: 365 }),
+  query('interval').optional().isIn(['hour', 'day'])
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const days = parseInt(req.query.days) || 30;
+  const interval = req.query.interval || 'day';
+
+  // Hourly series are capped at a week to keep responses small
+  if (interval === 'hour' && days > 7) {
+    return res.status(400).json({
+      success: false,
+      message: 'Hourly analytics are available for up to 7 days'
+    });
+  }
+
+  const shareLink = await ShareLink.findOne({
+    where: { id, userId: req.user.id }
+  });
+
+  if (!shareLink) {
+    return res.status(404).json({
+      success: false,
+      message: 'Share link not found'
+    });
+  }
+
+  const analytics = await shareAnalyticsService.getAnalytics(shareLink, { days, interval });
+
+  res.json({
+    success: true,
+    analytics: {
+      shareLinkId: shareLink.id,
+      accessCount: shareLink.accessCount,
+      downloadCount: shareLink.downloadCount,
+      lastAccessed: shareLink.lastAccessed,
+      lastAccessedIp: shareLink.lastAccessedIp,
+      ...analytics
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/shares/{id}/ip-rules:
+ *   put:
+ *     summary: Replace a share link's IP allow and deny lists
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ipWhitelist:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               ipBlacklist:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.put('/:id/ip-rules', requireScope('shares:manage'), authenticateJWT, [
+  body('ipWhitelist').optional().isArray({ max: 100 }),
+  body('ipWhitelist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range'),
+  body('ipBlacklist').optional().isArray({ max: 100 }),
+  body('ipBlacklist.*').custom(entry => IpRangeUtil.isValid(entry)).withMessage('Invalid IP address or CIDR range')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { ipWhitelist, ipBlacklist } = req.body;
+
+  const shareLink = await ShareLink.findOne({
+    where: { id, userId: req.user.id }
+  });
+
+  if (!shareLink) {
+    return res.status(404).json({
+      success: false,
+      message: 'Share link not found'
+    });
+  }
+
+  if (ipWhitelist !== undefined) shareLink.ipWhitelist = ipWhitelist.map(entry => entry.trim());
+  if (ipBlacklist !== undefined) shareLink.ipBlacklist = ipBlacklist.map(entry => entry.trim());
+  await shareLink.save();
+
+  res.json({
+    success: true,
+    message: 'IP rules updated successfully',
+    ipWhitelist: shareLink.ipWhitelist,
+    ipBlacklist: shareLink.ipBlacklist
+  });
+}));
+
 /**
  * @swagger
  * /api/shares/{id}:
@@ -466,7 +827,7 @@ router.get('/user/links', optionalAuth, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/:id', optionalAuth, asyncHandler(async (req, res) => {
+router.delete('/:id', requireScope('shares:manage'), optionalAuth, asyncHandler(async (req, res) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -1,9 +1,15 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { User, Log } = require('../models');
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, requireScope, require2FA } = require('../middleware/auth');
 const { uploadAvatar, handleUploadError } = require('../middleware/upload');
 const { asyncHandler } = require('../middleware/errorHandler');
+const followService = require('../services/followService');
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const webauthnService = require('../services/webauthnService');
+const CursorUtil = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -16,7 +22,7 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  */
-router.get('/profile', authenticateJWT, asyncHandler(async (req, res) => {
+router.get('/profile', requireScope('profile:read'), authenticateJWT, asyncHandler(async (req, res) => {
   const user = await User.findByPk(req.user.id, {
     attributes: { exclude: ['password', 'resetPasswordToken', 'resetPasswordExpires', 'twoFactorSecret'] }
   });
@@ -39,6 +45,7 @@ router.get('/profile', authenticateJWT, asyncHandler(async (req, res) => {
       role: user.role,
       isVerified: user.isVerified,
       twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorMethods: await twoFactorService.getMethods(user),
       storageUsage: user.getStorageUsage(),
       preferences: user.preferences,
       createdAt: user.createdAt,
@@ -56,7 +63,7 @@ router.get('/profile', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.put('/profile', authenticateJWT, [
+router.put('/profile', requireScope('profile:write'), authenticateJWT, [
   body('name').optional().trim().isLength({ min: 2, max: 100 }),
   body('bio').optional().trim().isLength({ max: 500 }),
   body('preferences').optional().isObject()
@@ -125,7 +132,7 @@ router.put('/profile', authenticateJWT, [
  *     security:
  *       - bearerAuth: []
  */
-router.post('/avatar', authenticateJWT, (req, res, next) => {
+router.post('/avatar', requireScope('profile:write'), authenticateJWT, (req, res, next) => {
   uploadAvatar(req, res, (err) => {
     if (err) {
       return handleUploadError(err, req, res, next);
@@ -144,11 +151,9 @@ router.post('/avatar', authenticateJWT, (req, res, next) => {
 
   // Delete old avatar if exists
   if (user.avatar) {
-    const fs = require('fs').promises;
-    const path = require('path');
-    const oldAvatarPath = path.join(__dirname, '../uploads/avatars', user.avatar);
+    const { storage } = require('../services/storage');
     try {
-      await fs.unlink(oldAvatarPath);
+      await storage.delete(`avatars/${user.avatar}`);
     } catch (error) {
       console.error('Error deleting old avatar:', error);
     }
@@ -177,11 +182,12 @@ router.post('/avatar', authenticateJWT, (req, res, next) => {
  * /api/users/change-password:
  *   post:
  *     summary: Change user password
+ *     description: Users with 2FA enabled must have confirmed it recently (see /api/auth/confirm-2fa) or send `twoFactorToken`.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.post('/change-password', authenticateJWT, [
+router.post('/change-password', authenticateJWT, require2FA, [
   body('currentPassword').exists(),
   body('newPassword').isLength({ min: 6 })
 ], asyncHandler(async (req, res) => {
@@ -208,49 +214,369 @@ router.post('/change-password', authenticateJWT, [
   user.password = newPassword;
   await user.save();
 
+  // Keep this device signed in and sign out the others
+  const revokedSessions = await sessionService.revokeAll(user.id, {
+    except: req.deviceSession.id,
+    reason: 'password_change'
+  });
+
   // Log password change
   await Log.create({
     userId: user.id,
     action: 'password_change',
     description: 'Changed password',
-    category: 'security'
+    category: 'security',
+    metadata: { revokedSessions }
   });
 
   res.json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    revokedSessions
   });
 }));
 
 /**
  * @swagger
- * /api/users/storage:
+ * /api/users/sessions:
  *   get:
- *     summary: Get user storage usage
+ *     summary: List the devices signed in to your account
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/storage', authenticateJWT, asyncHandler(async (req, res) => {
-  const { File } = require('../models');
+router.get('/sessions', authenticateJWT, asyncHandler(async (req, res) => {
+  const sessions = await sessionService.list(req.user.id, req.deviceSession.id);
 
-  const totalSize = await File.sum('size', {
-    where: { userId: req.user.id, isDeleted: false }
+  res.json({
+    success: true,
+    sessions
   });
+}));
 
-  const user = await User.findByPk(req.user.id);
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   delete:
+ *     summary: Sign out every other device
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/sessions', authenticateJWT, asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeAll(req.user.id, { except: req.deviceSession.id });
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'session_revoke',
+    description: `Signed out ${revoked} other session(s)`,
+    category: 'security',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: { revoked }
+  });
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    revoked
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one device; revoking the current session logs you out
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/sessions/:id', authenticateJWT, asyncHandler(async (req, res) => {
+  const session = await sessionService.revoke(req.user.id, req.params.id);
+
+  await Log.create({
+    userId: req.user.id,
+    action: 'session_revoke',
+    description: `Revoked session from ${session.userAgent || 'an unknown device'}`,
+    category: 'security',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    resourceId: session.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens:
+ *   get:
+ *     summary: List your personal access tokens and the scopes they can be granted
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/tokens', authenticateJWT, asyncHandler(async (req, res) => {
+  const tokens = await accessTokenService.list(req.user.id);
+
+  res.json({
+    success: true,
+    tokens: tokens.map(token => accessTokenService.format(token)),
+    availableScopes: accessTokenService.scopes
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens:
+ *   post:
+ *     summary: Create a personal access token for scripts and CI
+ *     description: The token is only returned in this response. Send it as `Authorization Bearer <token>`. Requires a recent 2FA confirmation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [files:read, files:write, shares:manage, profile:read, profile:write, admin:read, admin:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Omit or null for a token that never expires
+ */
+router.post('/tokens', authenticateJWT, require2FA, [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(Object.keys(accessTokenService.scopes)),
+  body('expiresAt').optional({ values: 'null' }).isISO8601()
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { accessToken, token } = await accessTokenService.create(req.user, {
+    name: req.body.name,
+    scopes: req.body.scopes,
+    expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
+  }, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Access token created. Copy it now; it will not be shown again.',
+    token,
+    accessToken: accessTokenService.format(accessToken)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/tokens/:id', authenticateJWT, asyncHandler(async (req, res) => {
+  await accessTokenService.revoke(req.user.id, req.params.id, req);
+
+  res.json({
+    success: true,
+    message: 'Access token revoked'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/webauthn-credentials:
+ *   get:
+ *     summary: List your passkeys and security keys
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/webauthn-credentials', authenticateJWT, asyncHandler(async (req, res) => {
+  const credentials = await webauthnService.list(req.user.id);
+
+  res.json({
+    success: true,
+    credentials: credentials.map(credential => webauthnService.format(credential))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/webauthn-credentials/{id}:
+ *   put:
+ *     summary: Rename a passkey or choose whether it signs in without a password
+ *     description: Requires a recent 2FA confirmation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               passwordless:
+ *                 type: boolean
+ */
+router.put('/webauthn-credentials/:id', authenticateJWT, require2FA, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('passwordless').optional().isBoolean().toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const credential = await webauthnService.update(req.user.id, req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Passkey updated successfully',
+    credential: webauthnService.format(credential)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/webauthn-credentials/{id}:
+ *   delete:
+ *     summary: Remove a passkey or security key
+ *     description: Requires a recent 2FA confirmation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/webauthn-credentials/:id', authenticateJWT, require2FA, asyncHandler(async (req, res) => {
+  await webauthnService.remove(req.user.id, req.params.id, req);
+
+  // Recovery codes go with the last second factor
+  if (!(await twoFactorService.isEnabled(req.user))) {
+    await twoFactorService.deleteRecoveryCodes(req.user.id);
+  }
+
+  res.json({
+    success: true,
+    message: 'Passkey removed successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/storage:
+ *   get:
+ *     summary: Get user storage usage
+ *     description: "`used` and `logical` count every file and retained version at full size (the quota); `physical` counts contents shared between them once. `reserved` is held by uploads in progress and is not available."
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/storage', requireScope('profile:read'), authenticateJWT, asyncHandler(async (req, res) => {
+  const fileService = require('../services/fileService');
+  const quotaService = require('../services/quotaService');
+
+  // The quota counts every file at full size; identical contents are only stored once
+  const [usage, physicalSize] = await Promise.all([
+    quotaService.getUsage(req.user.id),
+    fileService.getPhysicalStorageUsage(req.user.id)
+  ]);
 
   res.json({
     success: true,
     storage: {
-      used: totalSize || 0,
-      limit: user.storageLimit,
-      percentage: Math.round(((totalSize || 0) / user.storageLimit) * 100),
-      available: user.storageLimit - (totalSize || 0)
+      used: usage.used,
+      reserved: usage.reserved,
+      logical: usage.used,
+      physical: physicalSize,
+      limit: usage.limit,
+      percentage: usage.percentage,
+      available: usage.available
     }
   });
 }));
 
+// Cursor and page size for follower lists and the feed
+const pageValidation = [
+  query('cursor').optional().custom(value => CursorUtil.decode(value) !== null).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const getPageOptions = (req) => ({
+  cursor: req.query.cursor ? CursorUtil.decode(req.query.cursor) : null,
+  limit: parseInt(req.query.limit) || 20
+});
+
+/**
+ * @swagger
+ * /api/users/feed:
+ *   get:
+ *     summary: Public uploads and shares by the users you follow, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ */
+router.get('/feed', requireScope('profile:read'), authenticateJWT, pageValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { items, nextCursor } = await followService.getFeed(req.user.id, getPageOptions(req));
+
+  res.json({
+    success: true,
+    items,
+    nextCursor
+  });
+}));
+
 /**
  * @swagger
  * /api/users/follow/{userId}:
@@ -260,37 +586,59 @@ router.get('/storage', authenticateJWT, asyncHandler(async (req, res) => {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/follow/:userId', authenticateJWT, asyncHandler(async (req, res) => {
-  const { userId } = req.params;
+router.post('/follow/:userId', requireScope('profile:write'), authenticateJWT, [
+  param('userId').isUUID()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { user, created } = await followService.follow(req.user, req.params.userId);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? `Now following ${user.name}` : `Already following ${user.name}`
+  });
+}));
 
-  if (userId === req.user.id) {
+/**
+ * @swagger
+ * /api/users/follow/{userId}:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/follow/:userId', requireScope('profile:write'), authenticateJWT, [
+  param('userId').isUUID()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     return res.status(400).json({
       success: false,
-      message: 'Cannot follow yourself'
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
 
-  const targetUser = await User.findByPk(userId);
-  if (!targetUser) {
+  const removed = await followService.unfollow(req.user.id, req.params.userId);
+
+  if (!removed) {
     return res.status(404).json({
       success: false,
-      message: 'User not found'
+      message: 'You are not following this user'
     });
   }
 
-  // In a real implementation, you'd have a Follow model
-  // For now, we'll just log the action
-  await Log.create({
-    userId: req.user.id,
-    action: 'user_followed',
-    description: `Followed user: ${targetUser.name}`,
-    category: 'user_management',
-    resourceId: targetUser.id
-  });
-
   res.json({
     success: true,
-    message: `Now following ${targetUser.name}`
+    message: 'Unfollowed user'
   });
 }));
 
@@ -318,8 +666,9 @@ router.get('/:id', asyncHandler(async (req, res) => {
   // Get user's public files count
   const { File } = require('../models');
   const publicFilesCount = await File.count({
-    where: { userId: id, isPublic: true, isDeleted: false }
+    where: { userId: id, isPublic: true, isDeleted: false, parentVersionId: null }
   });
+  const { followers, following } = await followService.getCounts(id);
 
   res.json({
     success: true,
@@ -329,11 +678,103 @@ router.get('/:id', asyncHandler(async (req, res) => {
       avatar: user.avatar,
       bio: user.bio,
       publicFilesCount,
+      followersCount: followers,
+      followingCount: following,
       joinedAt: user.createdAt
     }
   });
 }));
 
+/**
+ * @swagger
+ * /api/users/{id}/followers:
+ *   get:
+ *     summary: List the users following a user, most recent first
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ */
+router.get('/:id/followers', pageValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { users, nextCursor } = await followService.listFollowers(user.id, getPageOptions(req));
+
+  res.json({
+    success: true,
+    users,
+    nextCursor
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: List the users a user follows, most recent first
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ */
+router.get('/:id/following', pageValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { users, nextCursor } = await followService.listFollowing(user.id, getPageOptions(req));
+
+  res.json({
+    success: true,
+    users,
+    nextCursor
+  });
+}));
+
 /**
  * @swagger
  * /api/users/search:
@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Log } = require('../models');
+const { authenticateJWT, require2FA } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const webauthnService = require('../services/webauthnService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/options:
+ *   post:
+ *     summary: Start registering a passkey or security key
+ *     description: Returns options for navigator.credentials.create(). Users with 2FA must have confirmed it recently.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/register/options', authenticateJWT, require2FA, asyncHandler(async (req, res) => {
+  const { challengeId, options } = await webauthnService.registrationOptions(req.user);
+
+  res.json({
+    success: true,
+    challengeId,
+    options
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/webauthn/register/verify:
+ *   post:
+ *     summary: Finish registering a passkey or security key
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeId, response]
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               response:
+ *                 type: object
+ *                 description: The credential from navigator.credentials.create(), JSON encoded
+ *               name:
+ *                 type: string
+ *               passwordless:
+ *                 type: boolean
+ *                 description: Whether the credential can sign in without a password (default true). It always works as a second factor.
+ */
+router.post('/register/verify', authenticateJWT, [
+  body('challengeId').isUUID(),
+  body('response').isObject(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('passwordless').optional().isBoolean().toBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const credential = await webauthnService.register(req.user, req.body, req);
+  await twoFactorService.markVerified(req.deviceSession);
+
+  // The first second factor on an account comes with recovery codes, so a lost
+  // key doesn't lock its owner out
+  const recoveryCodes = await twoFactorService.countRecoveryCodes(req.user.id) === 0
+    ? await twoFactorService.generateRecoveryCodes(req.user.id)
+    : undefined;
+
+  res.status(201).json({
+    success: true,
+    message: 'Passkey registered successfully',
+    credential: webauthnService.format(credential),
+    recoveryCodes
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/options:
+ *   post:
+ *     summary: Start a passwordless sign-in
+ *     description: The browser offers any discoverable passkey for this site; the one picked identifies the account.
+ *     tags: [Authentication]
+ */
+router.post('/login/options', asyncHandler(async (req, res) => {
+  // Never narrow the options to an account: listing its credential IDs would
+  // tell anyone asking which emails are registered. The passkey the browser
+  // picks names its user, and /login/verify checks its signature over the challenge.
+  const { challengeId, options } = await webauthnService.authenticationOptions();
+
+  res.json({
+    success: true,
+    challengeId,
+    options
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/webauthn/login/verify:
+ *   post:
+ *     summary: Sign in with a passkey
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeId, response]
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               response:
+ *                 type: object
+ *                 description: The assertion from navigator.credentials.get(), JSON encoded
+ */
+router.post('/login/verify', [
+  body('challengeId').isUUID(),
+  body('response').isObject(),
+  body('response.id').isString().notEmpty()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const credential = await webauthnService.authenticate(req.body, { passwordless: true });
+  if (!credential) {
+    return res.status(401).json({
+      success: false,
+      message: 'Passkey could not be verified'
+    });
+  }
+
+  const user = credential.user;
+  if (user.isActive === false) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is disabled'
+    });
+  }
+
+  if (!user.isVerified) {
+    return res.status(401).json({
+      success: false,
+      message: 'Please verify your email first'
+    });
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  // A passkey with user verification is already two factors
+  const { sessionId, token, refreshToken, expiresIn } = await sessionService.create(user, req, {
+    twoFactorVerified: true
+  });
+
+  await Log.create({
+    userId: user.id,
+    action: 'user_login',
+    description: `User logged in with a passkey: ${user.email}`,
+    category: 'authentication',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    metadata: { sessionId, twoFactorMethod: 'webauthn', credentialId: credential.id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      avatar: user.avatar,
+      storageUsage: user.getStorageUsage()
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/webauthn/confirm/options:
+ *   post:
+ *     summary: Start a WebAuthn step-up confirmation
+ *     description: Answer with POST /api/auth/confirm-2fa and the assertion as `webauthn`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/confirm/options', authenticateJWT, asyncHandler(async (req, res) => {
+  if (await webauthnService.count(req.user.id) === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No passkeys or security keys are registered'
+    });
+  }
+
+  const { challengeId, options } = await webauthnService.authenticationOptions(req.user);
+
+  res.json({
+    success: true,
+    challengeId,
+    options
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// Move files stored before deduplication onto shared blobs. Rows sharing a
+// stored object (restored versions) move together; objects whose contents
+// already have a blob are deleted once their rows point at it.
+//
+//   npm run dedupe-blobs
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { sequelize, File } = require('../models');
+const fileService = require('../services/fileService');
+const blobService = require('../services/blobService');
+
+// sha256 of the plaintext, for rows saved without a checksum
+const hashContents = async (file) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await fileService.openStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+
+    const objects = await File.findAll({
+      where: { blobId: null },
+      attributes: ['path'],
+      group: ['path'],
+      paranoid: false,
+      raw: true
+    });
+
+    let files = 0;
+    let failed = 0;
+    for (const { path } of objects) {
+      const rows = await File.findAll({ where: { path, blobId: null }, paranoid: false });
+      const [first] = rows;
+
+      try {
+        const checksum = first.checksum || await hashContents(first);
+
+        await sequelize.transaction(async (transaction) => {
+          const blob = await blobService.acquire({
+            checksum,
+            size: first.size,
+            path,
+            isEncrypted: first.isEncrypted,
+            encryptionKey: first.encryptionKey
+          }, transaction);
+
+          if (rows.length > 1) {
+            await blobService.retain(blob.id, transaction, rows.length - 1);
+          }
+
+          await File.update(blobService.attach(blob), {
+            where: { id: rows.map(row => row.id) },
+            paranoid: false,
+            transaction
+          });
+        });
+
+        files += rows.length;
+      } catch (error) {
+        console.error(`Skipping ${path}:`, error.message);
+        failed++;
+      }
+    }
+
+    const { savedBytes } = await blobService.getDedupStats({ top: 1 });
+    console.log(`Moved ${files} file(s) onto blobs (${failed} object(s) skipped); ${savedBytes} bytes saved overall`);
+    await sequelize.close();
+  } catch (error) {
+    console.error('Deduplication failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// Recount every user's storage usage from their files and fix any drift.
+// Run once after upgrading to incremental accounting; afterwards the quota
+// queue does the same nightly.
+//
+//   npm run reconcile-storage
+require('dotenv').config();
+
+const { sequelize } = require('../models');
+const quotaService = require('../services/quotaService');
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+
+    const result = await quotaService.reconcile();
+    for (const { userId, recorded, actual } of result.corrected) {
+      console.log(`${userId}: ${recorded} -> ${actual} bytes`);
+    }
+
+    console.log(`Checked ${result.users} user(s), corrected ${result.corrected.length}; dropped ${result.expiredReservations + result.orphanedReservations} stale reservation(s)`);
+    await sequelize.close();
+  } catch (error) {
+    console.error('Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+})();
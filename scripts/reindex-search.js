@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Rebuild the search index: recompute every file's weighted search vector and
+// queue text extraction for current, clean files. Run after upgrading or
+// changing SEARCH_LANGUAGE; the worker extracts the contents.
+//
+//   npm run reindex-search
+require('dotenv').config();
+
+const { sequelize, File } = require('../models');
+const searchService = require('../services/searchService');
+const jobs = require('../jobs');
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+
+    const files = await File.findAll({
+      where: { parentVersionId: null, isDeleted: false },
+      attributes: { exclude: ['contentText'] }
+    });
+
+    let queued = 0;
+    for (const file of files) {
+      await file.updateSearchVector();
+
+      if (file.scanStatus === 'clean' && searchService.getExtractor(file.mimeType)) {
+        await searchService.queue(file);
+        queued++;
+      }
+    }
+
+    console.log(`Reindexed ${files.length} file(s), queued text extraction for ${queued}`);
+    await jobs.closeQueues();
+    await sequelize.close();
+  } catch (error) {
+    console.error('Reindexing search failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Re-wrap every file's data key under the current master key (ENCRYPTION_MASTER_KEY_ID).
+// File contents are not re-encrypted. Keep the old master key configured until this
+// has finished; afterwards it can be removed from ENCRYPTION_MASTER_KEYS.
+//
+//   npm run rotate-keys
+require('dotenv').config();
+
+const { sequelize } = require('../models');
+const fileService = require('../services/fileService');
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+    const { rewrapped, keyId } = await fileService.rewrapEncryptionKeys();
+    console.log(`Re-wrapped ${rewrapped} data key(s) under master key "${keyId}"`);
+    await sequelize.close();
+  } catch (error) {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+  }
+})();
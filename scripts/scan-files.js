@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Queue virus scans for every stored file version that hasn't passed one, e.g.
+// files uploaded before scanning was enabled or whose scan failed. Files stay
+// undownloadable until the worker has scanned them.
+//
+//   npm run scan-files
+require('dotenv').config();
+
+const { sequelize, File } = require('../models');
+const scanService = require('../services/scanService');
+const jobs = require('../jobs');
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+
+    const files = await File.findAll({
+      where: { scanStatus: ['pending', 'error'] },
+      paranoid: false
+    });
+
+    for (const file of files) {
+      await scanService.queue(file);
+    }
+
+    console.log(`Queued virus scans for ${files.length} file(s)`);
+    await jobs.closeQueues();
+    await sequelize.close();
+  } catch (error) {
+    console.error('Queueing virus scans failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const { sequelize, ShareLink, Log } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const fileService = require('./fileService');
+const permissionService = require('./permissionService');
+
+const ACTIONS = ['delete', 'restore', 'move', 'addTags', 'removeTags', 'setPublic', 'share'];
+
+class BatchService {
+  constructor() {
+    this.actions = ACTIONS;
+    this.maxItems = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+    this.handlers = {
+      delete: this.deleteItems,
+      restore: this.restoreItems,
+      move: this.moveItems,
+      addTags: this.addTags,
+      removeTags: this.removeTags,
+      setPublic: this.setPublic,
+      share: this.share
+    };
+  }
+
+  // The files and folders an operation targets, files first
+  listItems(operation) {
+    return [
+      ...(operation.files || []).map(id => ({ type: 'file', id })),
+      ...(operation.folders || []).map(id => ({ type: 'folder', id }))
+    ];
+  }
+
+  countItems(operations) {
+    return operations.reduce((count, operation) => count + this.listItems(operation).length, 0);
+  }
+
+  // Run operations in order. Every item gets its own result, so one missing or
+  // forbidden item doesn't stop the rest.
+  async run(user, operations) {
+    const results = [];
+
+    for (const [index, operation] of operations.entries()) {
+      const itemResults = await this.handlers[operation.action].call(this, user, operation);
+      results.push(...itemResults.map(result => ({ operation: index, action: operation.action, ...result })));
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const summary = { total: results.length, succeeded, failed: results.length - succeeded };
+
+    await Log.create({
+      userId: user.id,
+      action: 'batch_operation',
+      description: `Ran ${operations.length} batch operation(s) on ${results.length} item(s)`,
+      category: 'file_management',
+      metadata: {
+        operations: operations.map(operation => ({
+          action: operation.action,
+          files: (operation.files || []).length,
+          folders: (operation.folders || []).length
+        })),
+        ...summary
+      }
+    });
+
+    return { summary, results };
+  }
+
+  load(user, type, id, role) {
+    return type === 'file'
+      ? permissionService.getFile(user, id, role)
+      : permissionService.getFolder(user, id, role);
+  }
+
+  describeError(error) {
+    if (error instanceof AppError) {
+      return { success: false, status: error.statusCode, error: error.message };
+    }
+
+    console.error('Batch item failed:', error);
+    return { success: false, status: 500, error: 'Server Error' };
+  }
+
+  // Apply an operation item by item; each item commits (or fails) on its own
+  async eachItem(operation, apply) {
+    const results = [];
+
+    for (const { type, id } of this.listItems(operation)) {
+      try {
+        results.push({ type, id, success: true, ...await apply(type, id) });
+      } catch (error) {
+        results.push({ type, id, ...this.describeError(error) });
+      }
+    }
+
+    return results;
+  }
+
+  // Check every item first, then change all the permitted ones in a single
+  // transaction: either all of them are updated or none are
+  async applyTogether(user, operation, { role, types = ['file', 'folder'], check = () => {} }, apply) {
+    const results = [];
+    const permitted = [];
+
+    for (const { type, id } of this.listItems(operation)) {
+      try {
+        if (!types.includes(type)) {
+          throw new AppError(`${operation.action} only applies to ${types.join(' and ')}s`, 400);
+        }
+
+        const item = await this.load(user, type, id, role);
+        check(type, item);
+
+        const result = { type, id, success: true };
+        results.push(result);
+        permitted.push({ result, type, item });
+      } catch (error) {
+        results.push({ type, id, ...this.describeError(error) });
+      }
+    }
+
+    if (permitted.length === 0) {
+      return results;
+    }
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        for (const { result, type, item } of permitted) {
+          Object.assign(result, await apply(type, item, transaction));
+        }
+      });
+    } catch (error) {
+      const failure = this.describeError(error);
+      for (const { result } of permitted) {
+        Object.assign(result, failure);
+      }
+    }
+
+    return results;
+  }
+
+  async deleteItems(user, operation) {
+    return await this.eachItem(operation, async (type, id) => {
+      if (type === 'file') {
+        await fileService.deleteFile(await permissionService.getFile(user, id, 'editor'), user.id);
+        return;
+      }
+
+      const folder = await permissionService.getFolder(user, id, 'editor');
+      await fileService.deleteFolder(folder);
+
+      await Log.create({
+        userId: user.id,
+        action: 'folder_delete',
+        description: `Deleted folder: ${folder.name}`,
+        category: 'file_management',
+        resourceId: folder.id
+      });
+    });
+  }
+
+  async restoreItems(user, operation) {
+    return await this.eachItem(operation, async (type, id) => {
+      if (type === 'file') {
+        await fileService.restoreFile(id, user.id);
+      } else {
+        await fileService.restoreFolder(id, user.id);
+      }
+    });
+  }
+
+  async moveItems(user, operation) {
+    const { destinationId, onConflict } = operation;
+
+    // Loaded once; every item fails with the destination's error if it can't be used
+    const destination = destinationId
+      ? permissionService.getFolder(user, destinationId, 'editor')
+      : Promise.resolve(null);
+    destination.catch(() => {});
+
+    return await this.eachItem(operation, async (type, id) => {
+      const options = { onConflict, userId: user.id };
+
+      if (type === 'file') {
+        const file = await fileService.moveFile(await permissionService.getFile(user, id, 'editor'), await destination, options);
+        return { originalName: file.originalName, folderId: file.folderId };
+      }
+
+      const folder = await fileService.moveFolder(await permissionService.getFolder(user, id, 'editor'), await destination, options);
+      return { name: folder.name, path: folder.path };
+    });
+  }
+
+  async addTags(user, operation) {
+    return await this.applyTogether(user, operation, { role: 'editor', types: ['file'] }, async (type, file, transaction) => {
+      file.tags = [...new Set([...(file.tags || []), ...operation.tags])];
+      await file.save({ transaction });
+      return { tags: file.tags };
+    });
+  }
+
+  async removeTags(user, operation) {
+    return await this.applyTogether(user, operation, { role: 'editor', types: ['file'] }, async (type, file, transaction) => {
+      file.tags = (file.tags || []).filter(tag => !operation.tags.includes(tag));
+      await file.save({ transaction });
+      return { tags: file.tags };
+    });
+  }
+
+  async setPublic(user, operation) {
+    return await this.applyTogether(user, operation, { role: 'owner' }, async (type, item, transaction) => {
+      item.isPublic = operation.isPublic;
+      await item.save({ transaction });
+      return { isPublic: item.isPublic };
+    });
+  }
+
+  // One share link per item, with the same settings for all of them
+  async share(user, operation) {
+    const { expiresAt, password, maxDownloads, permissions } = operation;
+
+    const check = (type, item) => {
+      if (type === 'file' && item.scanStatus === 'infected') {
+        throw new AppError('Quarantined files cannot be shared', 403);
+      }
+    };
+
+    return await this.applyTogether(user, operation, { role: 'owner', check }, async (type, item, transaction) => {
+      const shareLink = await ShareLink.create({
+        userId: user.id,
+        [type === 'file' ? 'fileId' : 'folderId']: item.id,
+        token: crypto.randomBytes(32).toString('hex'),
+        expiresAt,
+        password,
+        maxDownloads,
+        permissions: permissions || 'read'
+      }, { transaction });
+
+      await Log.create({
+        userId: user.id,
+        action: `${type}_share`,
+        description: `Shared ${type}: ${type === 'file' ? item.originalName : item.name}`,
+        category: 'file_management',
+        resourceId: item.id
+      }, { transaction });
+
+      return {
+        shareLink: {
+          id: shareLink.id,
+          token: shareLink.token,
+          url: `${process.env.FRONTEND_URL}/share/${shareLink.token}`,
+          expiresAt: shareLink.expiresAt
+        }
+      };
+    });
+  }
+}
+
+module.exports = new BatchService();
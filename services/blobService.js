@@ -0,0 +1,148 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Blob, File } = require('../models');
+const { storage } = require('./storage');
+
+class BlobService {
+  constructor() {
+    this.storage = storage;
+  }
+
+  // Take a reference to the blob for an upload's contents. When identical
+  // contents are already stored the fresh upload is dropped (once the
+  // transaction commits) and the existing blob is returned instead.
+  async acquire(upload, transaction) {
+    for (let attempt = 0; ; attempt++) {
+      // Row lock: a concurrent release can't delete the blob under us
+      const existing = await Blob.findOne({
+        where: { checksum: upload.checksum },
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+        transaction
+      });
+
+      if (existing) {
+        existing.refCount += 1;
+        await existing.save({ transaction });
+
+        if (existing.path !== upload.path) {
+          this.afterCommit(transaction, () => this.deleteObject(upload.path));
+        }
+
+        return existing;
+      }
+
+      const create = (savepoint) => Blob.create({
+        checksum: upload.checksum,
+        size: upload.size,
+        path: upload.path,
+        isEncrypted: Boolean(upload.isEncrypted),
+        encryptionKey: upload.encryptionKey || null,
+        refCount: 1
+      }, { transaction: savepoint });
+
+      try {
+        // A savepoint keeps the outer transaction usable if the insert collides
+        return transaction ? await sequelize.transaction({ transaction }, create) : await create();
+      } catch (error) {
+        // Another upload of the same contents created it first; take a reference to that one
+        if (!(error instanceof UniqueConstraintError) || attempt > 0) throw error;
+      }
+    }
+  }
+
+  // More file rows pointing at an existing blob (e.g. a restored version)
+  async retain(blobId, transaction, count = 1) {
+    await Blob.increment('refCount', { by: count, where: { id: blobId }, transaction });
+  }
+
+  // Drop a reference; the last one deletes the stored object after commit
+  async release(blobId, transaction) {
+    const blob = await Blob.findByPk(blobId, {
+      lock: transaction ? transaction.LOCK.UPDATE : undefined,
+      transaction
+    });
+    if (!blob) return null;
+
+    blob.refCount -= 1;
+    if (blob.refCount > 0) {
+      await blob.save({ transaction });
+      return blob;
+    }
+
+    await blob.destroy({ transaction });
+    this.afterCommit(transaction, () => this.deleteObject(blob.path));
+    return blob;
+  }
+
+  // The fields a file row copies from its blob
+  attach(blob) {
+    return {
+      blobId: blob.id,
+      path: blob.path,
+      checksum: blob.checksum,
+      isEncrypted: blob.isEncrypted,
+      encryptionKey: blob.encryptionKey
+    };
+  }
+
+  afterCommit(transaction, callback) {
+    if (transaction) {
+      transaction.afterCommit(callback);
+    } else {
+      callback();
+    }
+  }
+
+  async deleteObject(key) {
+    try {
+      await this.storage.delete(key);
+    } catch (error) {
+      console.error(`Error deleting blob ${key} from storage:`, error);
+    }
+  }
+
+  // Storage saved by deduplication across all files, versions and the trash.
+  // Logical bytes count every file row; physical bytes each stored object once.
+  async getDedupStats({ top = 10 } = {}) {
+    const queryInterface = sequelize.getQueryInterface();
+    const column = (attribute) => `${queryInterface.quoteIdentifier(Blob.name)}.${queryInterface.quoteIdentifier(Blob.rawAttributes[attribute].field)}`;
+
+    const [blobBytes, blobCount, sharedBlobs, logicalBytes, unblobbedBytes, fileCount, mostShared] = await Promise.all([
+      Blob.sum('size'),
+      Blob.count(),
+      Blob.count({ where: { refCount: { [Op.gt]: 1 } } }),
+      File.sum('size', { paranoid: false }),
+      // Files stored before deduplication that haven't been migrated to a blob
+      File.sum('size', { where: { blobId: null }, paranoid: false }),
+      File.count({ paranoid: false }),
+      Blob.findAll({
+        where: { refCount: { [Op.gt]: 1 } },
+        // Most bytes saved first
+        order: [[sequelize.literal(`(${column('refCount')} - 1) * ${column('size')}`), 'DESC']],
+        limit: top
+      })
+    ]);
+
+    const logical = Number(logicalBytes) || 0;
+    const physical = (Number(blobBytes) || 0) + (Number(unblobbedBytes) || 0);
+    const saved = Math.max(0, logical - physical);
+
+    return {
+      files: fileCount,
+      blobs: blobCount,
+      sharedBlobs,
+      logicalBytes: logical,
+      physicalBytes: physical,
+      savedBytes: saved,
+      savedPercentage: logical > 0 ? Math.round((saved / logical) * 1000) / 10 : 0,
+      mostShared: mostShared.map(blob => ({
+        id: blob.id,
+        checksum: blob.checksum,
+        size: Number(blob.size),
+        references: blob.refCount,
+        savedBytes: Number(blob.size) * (blob.refCount - 1)
+      }))
+    };
+  }
+}
+
+module.exports = new BlobService();
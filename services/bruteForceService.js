@@ -0,0 +1,211 @@
+const { Op } = require('sequelize');
+const { AuthThrottle, User, Log } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+
+const MINUTE = 60 * 1000;
+
+// How many failures each kind of subject gets for free before each further
+// one adds a growing delay, and how many lock it out. IPs get more room since
+// many people can share one.
+const POLICIES = {
+  login: {
+    label: 'sign-in',
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+  },
+  two_factor: {
+    label: 'two-factor code',
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+  },
+  password_reset: {
+    label: 'password reset',
+    account: { freeAttempts: 3, lockAfter: 5 },
+    ip: { freeAttempts: 5, lockAfter: 20 }
+  },
+  share_password: {
+    label: 'share link password',
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+  }
+};
+
+// Slows down and then locks out repeated failures at guessable secrets:
+// passwords, 2FA codes, share link passwords and reset requests. Each attempt
+// counts against the account (or share link) and the caller's IP.
+class BruteForceService {
+  constructor() {
+    this.policies = POLICIES;
+    // Failures older than this are forgotten
+    this.failureWindow = 60 * MINUTE;
+    // The first lockout lasts this long; each further one doubles, up to a day
+    this.lockoutDuration = (parseInt(process.env.LOCKOUT_MINUTES) || 15) * MINUTE;
+    this.maxLockoutDuration = 24 * 60 * MINUTE;
+    this.maxDelay = 60 * 1000;
+  }
+
+  subjects(key, ipAddress) {
+    const subjects = [{ kind: 'ip', subject: ipAddress || 'unknown' }];
+    if (key) {
+      subjects.unshift({ kind: 'account', subject: String(key) });
+    }
+    return subjects;
+  }
+
+  // Whether an attempt may go ahead. Returns null, or how long the caller
+  // must wait in seconds and whether that is a lockout.
+  async check(scope, key, ipAddress) {
+    const rows = await AuthThrottle.findAll({
+      where: { scope, [Op.or]: this.subjects(key, ipAddress) }
+    });
+
+    const now = Date.now();
+    let until = 0;
+    let locked = false;
+    for (const row of rows) {
+      if (row.isLocked()) {
+        locked = true;
+        until = Math.max(until, new Date(row.lockedUntil).getTime());
+      }
+      if (row.blockedUntil) {
+        until = Math.max(until, new Date(row.blockedUntil).getTime());
+      }
+    }
+
+    return until > now ? { retryAfter: Math.ceil((until - now) / 1000), locked } : null;
+  }
+
+  // Count a failed attempt against the account and the IP. userId is who to
+  // alert if the account is locked out (the share link owner for links).
+  async fail(scope, key, req, { userId = null } = {}) {
+    for (const { kind, subject } of this.subjects(key, req.ip)) {
+      await this.recordFailure(scope, kind, subject, kind === 'account' ? userId : null, req);
+    }
+  }
+
+  async recordFailure(scope, kind, subject, userId, req) {
+    const policy = this.policies[scope][kind];
+    const [row] = await AuthThrottle.findOrCreate({
+      where: { scope, kind, subject },
+      defaults: { userId }
+    });
+
+    // Start counting afresh once earlier failures are old enough
+    await AuthThrottle.update(
+      { failures: 0 },
+      { where: { id: row.id, lastFailureAt: { [Op.lt]: new Date(Date.now() - this.failureWindow) } } }
+    );
+    await AuthThrottle.increment('failures', { where: { id: row.id } });
+    await row.reload();
+
+    row.lastFailureAt = new Date();
+    if (userId) row.userId = userId;
+
+    const excess = row.failures - policy.freeAttempts;
+    if (excess > 0) {
+      row.blockedUntil = new Date(Date.now() + Math.min(1000 * 2 ** (excess - 1), this.maxDelay));
+    }
+    await row.save();
+
+    if (row.failures >= policy.lockAfter) {
+      await this.lock(row, req);
+    }
+  }
+
+  async lock(row, req) {
+    const { failures } = row;
+    const lockouts = row.lockouts + 1;
+    const lockedUntil = new Date(Date.now() + Math.min(this.lockoutDuration * 2 ** row.lockouts, this.maxLockoutDuration));
+
+    // Only the request that resets the counter records the lockout
+    const [updated] = await AuthThrottle.update(
+      { failures: 0, lockouts, lockedUntil, blockedUntil: null },
+      { where: { id: row.id, failures: { [Op.gte]: failures } } }
+    );
+    if (!updated) return;
+
+    const { label } = this.policies[row.scope];
+    const target = row.kind === 'ip' ? `IP ${row.subject}` : row.subject;
+
+    await Log.create({
+      userId: row.userId,
+      action: 'account_lockout',
+      description: `Locked ${target} out of ${label} after ${failures} failed attempts`,
+      category: 'security',
+      severity: 'high',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      resourceId: row.id,
+      metadata: { scope: row.scope, kind: row.kind, subject: row.subject, lockedUntil, lockouts }
+    });
+
+    if (row.kind === 'account' && row.userId) {
+      const owner = await User.findByPk(row.userId, { attributes: ['email', 'name'] });
+      if (owner) {
+        await emailService.queue('sendLockoutAlert', { email: owner.email, name: owner.name }, {
+          scope: row.scope,
+          ipAddress: req.ip,
+          lockedUntil: lockedUntil.toISOString()
+        }).catch(error => console.error('Error queueing lockout alert:', error));
+      }
+    }
+  }
+
+  // A successful attempt clears the account's failures. The IP's stay, since
+  // one correct password says nothing about guesses at other accounts.
+  async succeed(scope, key) {
+    if (!key) return;
+    await AuthThrottle.destroy({ where: { scope, kind: 'account', subject: String(key) } });
+  }
+
+  async listLockouts({ limit = 20, offset = 0 } = {}) {
+    return await AuthThrottle.findAndCountAll({
+      where: { lockedUntil: { [Op.gt]: new Date() } },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email', 'name'] }],
+      order: [['lockedUntil', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  async unlock(id) {
+    const row = await AuthThrottle.findByPk(id);
+    if (!row) {
+      throw new AppError('Lockout not found', 404);
+    }
+
+    await row.destroy();
+    return row;
+  }
+
+  // Clear every lockout and delay on a user's account and share links
+  async unlockUser(userId) {
+    return await AuthThrottle.destroy({ where: { userId, kind: 'account' } });
+  }
+
+  // Forget subjects with no recent failures and no lockout in force
+  async purge() {
+    return await AuthThrottle.destroy({
+      where: {
+        lastFailureAt: { [Op.lt]: new Date(Date.now() - this.maxLockoutDuration) },
+        [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lt]: new Date() } }]
+      }
+    });
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      scope: row.scope,
+      kind: row.kind,
+      subject: row.subject,
+      user: row.user ? { id: row.user.id, email: row.user.email, name: row.user.name } : null,
+      lockouts: row.lockouts,
+      lastFailureAt: row.lastFailureAt,
+      lockedUntil: row.lockedUntil
+    };
+  }
+}
+
+module.exports = new BruteForceService();
@@ -119,6 +119,34 @@ class EmailService {
     await this.transporter.sendMail(mailOptions);
   }
 
+  // Tell an account or share link owner that repeated failed attempts locked it
+  async sendLockoutAlert(user, { scope, ipAddress, lockedUntil }) {
+    const what = {
+      login: 'Sign-ins to your account',
+      two_factor: 'Two-factor codes for your account',
+      password_reset: 'Password reset requests for your account',
+      share_password: 'Password attempts on one of your share links'
+    }[scope];
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: 'Security Alert: Too Many Failed Attempts - ShareVault',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Too Many Failed Attempts</h2>
+          <p>Hi ${user.name},</p>
+          <p>${what} have been paused until ${new Date(lockedUntil).toUTCString()} after repeated failures.</p>
+          <p><strong>Last attempt from:</strong> ${ipAddress}</p>
+          <p>If this wasn't you, someone may be trying to guess your password. Consider changing it and turning on two-factor authentication.</p>
+          <a href="${process.env.FRONTEND_URL}/settings/security" style="background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Review Security Settings</a>
+        </div>
+      `
+    };
+
+    await this.transporter.sendMail(mailOptions);
+  }
+
   // Send admin notification
   async sendAdminNotification(subject, message, details = {}) {
     const adminEmail = process.env.ADMIN_EMAIL;
@@ -144,6 +172,12 @@ class EmailService {
     await this.transporter.sendMail(mailOptions);
   }
 
+  // Send one of the emails above from the email queue instead of inline.
+  // Arguments must be JSON-serializable.
+  async queue(method, ...args) {
+    return require('../jobs').enqueue('email', { method, args });
+  }
+
   // Generate secure token
   generateToken() {
     return crypto.randomBytes(32).toString('hex');
@@ -1,47 +1,104 @@
-const fs = require('fs').promises;
 const path = require('path');
-const sharp = require('sharp');
 const archiver = require('archiver');
 const crypto = require('crypto');
-const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { pipeline } = require('stream');
 const { Op } = require('sequelize');
-const { File, Folder, Log } = require('../models');
+const { sequelize, File, Folder, ShareLink, Permission, Log, Blob } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { storage } = require('./storage');
+const blobService = require('./blobService');
+const quotaService = require('./quotaService');
+const EncryptionUtil = require('../utils/encryption');
+
+// Container and archive formats that gain nothing from deflate
+const COMPRESSED_TYPES = [
+  'application/zip',
+  'application/x-rar-compressed',
+  'application/x-7z-compressed',
+  'application/gzip',
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Returns a function handing out names unique within one archive directory,
+// suffixing repeats as "name (1).ext". Path separators are replaced so stored
+// names can't escape the directory they are extracted into.
+const createNameAllocator = () => {
+  const used = new Set();
+
+  return (name) => {
+    const safeName = (name || 'untitled').replace(/[/\\]/g, '_').replace(/^\.+$/, '_');
+    const ext = path.extname(safeName);
+    const base = safeName.slice(0, safeName.length - ext.length);
+
+    let candidate = safeName;
+    for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+// What happens when a moved or copied item's name is taken in the destination
+const CONFLICT_POLICIES = ['fail', 'rename', 'overwrite'];
+
+// Older versions kept per file, by subscription plan
+const VERSION_RETENTION = {
+  free: 5,
+  premium: 25,
+  enterprise: 100
+};
 
 class FileService {
   constructor() {
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
-    this.useS3 = process.env.STORAGE_TYPE === 's3';
+    this.storage = storage;
+    this.conflictPolicies = CONFLICT_POLICIES;
   }
 
-  // Save uploaded file
-  async saveFile(file, userId, folderId = null, metadata = {}) {
+  // Save uploaded file; uploads into a shared folder belong to the folder's owner.
+  // Contents already stored under the same checksum are shared rather than kept
+  // twice. The size is charged to the owner's quota, from `reservation` when the
+  // upload was reserved for; if that fails the upload is discarded.
+  async saveFile(file, userId, folderId = null, metadata = {}, uploadedBy = userId, { reservation = null } = {}) {
     const fileData = {
       userId,
+      uploadedBy,
       folderId,
       originalName: file.originalname,
       fileName: file.filename || path.basename(file.path),
       mimeType: file.mimetype,
       size: file.size,
-      path: file.path,
-      s3Key: file.key,
-      checksum: await this.calculateChecksum(file.path || file.buffer),
+      path: file.key || file.path,
+      checksum: file.checksum || await this.calculateChecksum(file.buffer || file.key || file.path),
+      isEncrypted: Boolean(file.isEncrypted),
+      encryptionKey: file.encryptionKey || null,
+      description: metadata.description || null,
+      tags: Array.isArray(metadata.tags) ? metadata.tags : [],
       metadata: {
         ...metadata,
         uploadDate: new Date()
       }
     };
 
-    const savedFile = await File.create(fileData);
+    let savedFile;
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await quotaService.charge(userId, fileData.size, { transaction, reservation });
+        const blob = await blobService.acquire(fileData, transaction);
+        savedFile = await File.create({ ...fileData, ...blobService.attach(blob) }, { transaction });
+      });
+    } catch (error) {
+      await this.storage.delete(fileData.path).catch(() => {});
+      throw error;
+    }
 
     // Log the upload
     await Log.create({
-      userId,
+      userId: uploadedBy,
       action: 'file_upload',
       description: `Uploaded file: ${file.originalname}`,
       category: 'file_management',
@@ -49,102 +106,257 @@ class FileService {
       metadata: { fileSize: file.size, mimeType: file.mimetype }
     });
 
-    // Generate thumbnail for images/videos
-    if (this.isImage(file.mimetype)) {
-      await this.generateThumbnail(savedFile);
-    }
+    // Scanned for viruses in the background; previews follow once it's clean
+    await require('./scanService').queue(savedFile);
+    await require('./previewService').queue(savedFile);
 
     return savedFile;
   }
 
-  // Generate thumbnail for images
-  async generateThumbnail(file) {
-    try {
-      const thumbnailPath = path.join(__dirname, '../uploads/thumbnails', `${file.id}.jpg`);
-
-      if (this.useS3) {
-        // For S3, we'd need to download, process, and upload back
-        // This is a simplified version
-        const thumbnailBuffer = await sharp(file.path)
-          .resize(300, 300, { fit: 'cover' })
-          .jpeg({ quality: 80 })
-          .toBuffer();
-
-        const thumbnailKey = `thumbnails/${file.id}.jpg`;
-        await this.s3Client.send(new PutObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: thumbnailKey,
-          Body: thumbnailBuffer,
-          ContentType: 'image/jpeg'
-        }));
-
-        file.thumbnailPath = thumbnailKey;
-      } else {
-        await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
-        await sharp(file.path)
-          .resize(300, 300, { fit: 'cover' })
-          .jpeg({ quality: 80 })
-          .toFile(thumbnailPath);
+  // Calculate file checksum from a buffer or a stored object
+  async calculateChecksum(source) {
+    const hash = crypto.createHash('sha256');
 
-        file.thumbnailPath = thumbnailPath;
-      }
+    if (Buffer.isBuffer(source)) {
+      return hash.update(source).digest('hex');
+    }
 
-      await file.save();
-    } catch (error) {
-      console.error('Error generating thumbnail:', error);
+    for await (const chunk of await this.storage.getStream(source)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  // Already-compressed formats are stored as-is; deflating them again only costs CPU
+  isCompressed(mimeType) {
+    return /^(image\/(jpeg|png|gif|webp)|video\/|audio\/)/.test(mimeType) ||
+      COMPRESSED_TYPES.includes(mimeType);
+  }
+
+  // Archive entries for a selection: top-level files plus each folder's whole
+  // subtree, with paths mirroring the folder hierarchy. Files that haven't
+  // passed the virus scan are left out.
+  async getZipEntries(files = [], folders = []) {
+    const entries = [];
+    const allocateName = createNameAllocator();
+
+    for (const file of files.filter(file => file.scanStatus === 'clean')) {
+      entries.push({ file, name: allocateName(file.originalName) });
     }
+
+    for (const folder of folders) {
+      await this.addFolderZipEntries(folder, allocateName(folder.name), entries);
+    }
+
+    return entries;
   }
 
-  // Calculate file checksum
-  async calculateChecksum(filePath) {
-    const fileBuffer = await fs.readFile(filePath);
-    return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  async addFolderZipEntries(folder, prefix, entries) {
+    const [files, children] = await Promise.all([
+      File.findAll({
+        where: { folderId: folder.id, isDeleted: false, parentVersionId: null, scanStatus: 'clean' },
+        order: [['originalName', 'ASC']]
+      }),
+      Folder.findAll({
+        where: { parentId: folder.id, isDeleted: false },
+        order: [['name', 'ASC']]
+      })
+    ]);
+
+    // Keep empty folders so the extracted tree matches
+    if (files.length === 0 && children.length === 0) {
+      entries.push({ name: `${prefix}/`, directory: true });
+      return entries;
+    }
+
+    const allocateName = createNameAllocator();
+    for (const file of files) {
+      entries.push({ file, name: `${prefix}/${allocateName(file.originalName)}` });
+    }
+
+    for (const child of children) {
+      await this.addFolderZipEntries(child, `${prefix}/${allocateName(child.name)}`, entries);
+    }
+
+    return entries;
   }
 
-  // Compress files into ZIP
-  async createZip(files, zipName) {
-    const zipPath = path.join(__dirname, '../uploads/temp', `${zipName}.zip`);
-    await fs.mkdir(path.dirname(zipPath), { recursive: true });
+  // Stream a ZIP of `entries` straight into `output` (usually the response).
+  // Sources are opened one at a time, so only the current file is being read.
+  async streamZip(entries, output) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    let closed = false;
 
-    return new Promise((resolve, reject) => {
-      const output = fs.createWriteStream(zipPath);
-      const archive = archiver('zip', { zlib: { level: 9 } });
+    const failed = new Promise((resolve, reject) => archive.on('error', reject));
+    const finished = Promise.race([
+      new Promise(resolve => archive.on('end', resolve)),
+      failed
+    ]);
+    const aborted = new Promise(resolve => output.on('close', () => {
+      if (!output.writableFinished) {
+        closed = true;
+        archive.abort();
+        resolve();
+      }
+    }));
+
+    archive.pipe(output);
 
-      output.on('close', () => resolve(zipPath));
-      archive.on('error', reject);
+    for (const entry of entries) {
+      if (closed) break;
 
-      archive.pipe(output);
+      if (entry.directory) {
+        archive.append(Buffer.alloc(0), { name: entry.name });
+        continue;
+      }
 
-      files.forEach(file => {
-        archive.file(file.path, { name: file.originalName });
+      const source = await this.openStream(entry.file);
+      // Archiver ignores errors from its sources, so a storage read failing
+      // mid-file would otherwise leave the archive waiting forever
+      const added = new Promise((resolve, reject) => {
+        archive.once('entry', resolve);
+        source.once('error', reject);
+      });
+      archive.append(source, {
+        name: entry.name,
+        date: entry.file.updatedAt || entry.file.createdAt,
+        store: this.isCompressed(entry.file.mimeType)
       });
 
-      archive.finalize();
+      try {
+        await Promise.race([added, failed, aborted]);
+      } catch (error) {
+        // Don't let a truncated archive pass for a complete one
+        archive.abort();
+        output.destroy(error);
+        throw error;
+      }
+      if (closed) source.destroy();
+    }
+
+    if (closed) return;
+
+    archive.finalize();
+    await finished;
+  }
+
+  // Move a file and its retained versions to the owner's recycle bin
+  async deleteFile(file, userId, { transaction = null } = {}) {
+    const trash = async (transaction) => {
+      // Trashed files and versions stop counting towards the owner's quota
+      const trashedSize = await File.sum('size', {
+        where: { [Op.or]: [{ id: file.id }, { parentVersionId: file.id }], isDeleted: false },
+        transaction
+      });
+      await quotaService.credit(file.userId, trashedSize, { transaction });
+
+      const versions = { parentVersionId: file.id, isDeleted: false };
+      await File.update({ isDeleted: true, trashedWithId: file.id }, { where: versions, transaction });
+      await File.destroy({ where: { parentVersionId: file.id, trashedWithId: file.id }, transaction });
+
+      // Soft delete (paranoid destroy sets deletedAt)
+      file.isDeleted = true;
+      file.trashedWithId = null;
+      await file.save({ transaction });
+      await file.destroy({ transaction });
+    };
+
+    await (transaction ? trash(transaction) : sequelize.transaction(trash));
+
+    // Log the deletion
+    await Log.create({
+      userId,
+      action: 'file_delete',
+      description: `Deleted file: ${file.originalName}`,
+      category: 'file_management',
+      resourceId: file.id
     });
+
+    return file;
   }
 
-  // Delete file
-  async deleteFile(fileId, userId) {
-    const file = await File.findByPk(fileId);
+  // Move a folder and everything below it to the recycle bin
+  async deleteFolder(folder, { transaction = null } = {}) {
+    const trash = async (transaction) => {
+      const folderIds = await this.getDescendantFolderIds(folder.id, { transaction });
+      const files = await File.findAll({
+        where: { folderId: [folder.id, ...folderIds], isDeleted: false, parentVersionId: null },
+        attributes: ['id'],
+        transaction
+      });
+      const fileIds = files.map(file => file.id);
+      const trashedFiles = { [Op.or]: [{ id: fileIds }, { parentVersionId: fileIds }], isDeleted: false };
+
+      for (const [ownerId, size] of await this.sumSizeByOwner(trashedFiles, transaction)) {
+        await quotaService.credit(ownerId, size, { transaction });
+      }
+
+      // Items trashed with the folder remember it so they come back together
+      const trashed = { isDeleted: true, trashedWithId: folder.id };
+      await File.update(trashed, { where: trashedFiles, transaction });
+      await Folder.update(trashed, { where: { id: folderIds, isDeleted: false }, transaction });
+      await File.destroy({ where: { trashedWithId: folder.id }, transaction });
+      await Folder.destroy({ where: { trashedWithId: folder.id }, transaction });
+
+      folder.isDeleted = true;
+      folder.trashedWithId = null;
+      await folder.save({ transaction });
+      await folder.destroy({ transaction });
+    };
+
+    await (transaction ? trash(transaction) : sequelize.transaction(trash));
+
+    return folder;
+  }
+
+  // Bring a trashed file back; it lands in the root if its folder is still trashed
+  async restoreFile(fileId, userId) {
+    const file = await File.findOne({
+      where: { id: fileId, userId, isDeleted: true, parentVersionId: null },
+      paranoid: false
+    });
 
     if (!file) {
-      throw new Error('File not found');
+      throw new AppError('File not found in trash', 404);
     }
 
-    if (file.userId !== userId) {
-      throw new Error('Access denied');
+    if (file.folderId) {
+      const folder = await Folder.findByPk(file.folderId);
+      if (!folder || folder.isDeleted) {
+        file.folderId = null;
+      }
     }
 
-    // Soft delete
-    file.isDeleted = true;
-    file.deletedAt = new Date();
-    await file.save();
+    // A file trashed along with a folder can come back on its own. It and its
+    // versions then leave the folder's trash, so restoring the folder later
+    // doesn't bring them back (and charge for them) a second time.
+    const versions = { parentVersionId: file.id, trashedWithId: file.trashedWithId || file.id };
+
+    await sequelize.transaction(async (transaction) => {
+      // Restored files count towards the quota again, so they have to fit
+      const restoredSize = await File.sum('size', {
+        where: { [Op.or]: [{ id: file.id }, versions] },
+        paranoid: false,
+        transaction
+      });
+      await quotaService.charge(file.userId, Number(restoredSize) || 0, { transaction });
+
+      await File.restore({ where: versions, transaction });
+      await File.update(
+        { isDeleted: false, trashedWithId: null },
+        { where: versions, transaction }
+      );
+
+      await file.restore({ transaction });
+      file.isDeleted = false;
+      file.trashedWithId = null;
+      await file.save({ transaction });
+    });
 
-    // Log the deletion
     await Log.create({
       userId,
-      action: 'file_delete',
-      description: `Deleted file: ${file.originalName}`,
+      action: 'file_restore',
+      description: `Restored file from trash: ${file.originalName}`,
       category: 'file_management',
       resourceId: file.id
     });
@@ -152,59 +364,484 @@ class FileService {
     return file;
   }
 
+  // Bring a trashed folder back together with everything trashed along with it
+  async restoreFolder(folderId, userId) {
+    const folder = await Folder.findOne({
+      where: { id: folderId, userId, isDeleted: true },
+      paranoid: false
+    });
+
+    if (!folder) {
+      throw new AppError('Folder not found in trash', 404);
+    }
+
+    if (folder.parentId) {
+      const parent = await Folder.findByPk(folder.parentId);
+      if (!parent || parent.isDeleted) {
+        throw new AppError('Restore the parent folder first', 409);
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const restored = { isDeleted: false, trashedWithId: null };
+
+      // Restored files count towards their owners' quotas again, so they have to fit
+      for (const [ownerId, size] of await this.sumSizeByOwner({ trashedWithId: folder.id }, transaction, { paranoid: false })) {
+        await quotaService.charge(ownerId, size, { transaction });
+      }
+
+      await File.restore({ where: { trashedWithId: folder.id }, transaction });
+      await Folder.restore({ where: { trashedWithId: folder.id }, transaction });
+      await File.update(restored, { where: { trashedWithId: folder.id }, transaction });
+      await Folder.update(restored, { where: { trashedWithId: folder.id }, transaction });
+
+      await folder.restore({ transaction });
+      folder.isDeleted = false;
+      await folder.save({ transaction });
+    });
+
+    await Log.create({
+      userId,
+      action: 'folder_restore',
+      description: `Restored folder from trash: ${folder.name}`,
+      category: 'file_management',
+      resourceId: folder.id
+    });
+
+    return folder;
+  }
+
+  // Items the user deleted directly (not those trashed along with a folder)
+  async getTrash(userId) {
+    const [files, folders] = await Promise.all([
+      File.findAll({
+        where: { userId, isDeleted: true, parentVersionId: null, trashedWithId: null },
+        paranoid: false,
+        order: [['deletedAt', 'DESC']]
+      }),
+      Folder.findAll({
+        where: { userId, isDeleted: true, trashedWithId: null },
+        paranoid: false,
+        order: [['deletedAt', 'DESC']]
+      })
+    ]);
+
+    return { files, folders };
+  }
+
+  // Permanently delete everything in the user's recycle bin
+  async emptyTrash(userId) {
+    const { files, folders } = await this.getTrash(userId);
+
+    for (const folder of folders) {
+      await this.permanentlyDeleteFolder(folder.id);
+    }
+
+    for (const file of files) {
+      await this.permanentlyDeleteFile(file.id);
+    }
+
+    return { files: files.length, folders: folders.length };
+  }
+
+  // Permanently delete trashed items older than the retention window
+  async purgeExpiredTrash(retentionDays = this.getTrashRetentionDays()) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const [files, folders] = await Promise.all([
+      File.findAll({
+        where: { isDeleted: true, parentVersionId: null, trashedWithId: null, deletedAt: { [Op.lt]: cutoff } },
+        attributes: ['id'],
+        paranoid: false
+      }),
+      Folder.findAll({
+        where: { isDeleted: true, trashedWithId: null, deletedAt: { [Op.lt]: cutoff } },
+        attributes: ['id'],
+        paranoid: false
+      })
+    ]);
+
+    for (const folder of folders) {
+      await this.permanentlyDeleteFolder(folder.id);
+    }
+
+    for (const file of files) {
+      await this.permanentlyDeleteFile(file.id);
+    }
+
+    return { files: files.length, folders: folders.length };
+  }
+
+  getTrashRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  // Ids of all folders below a folder
+  async getDescendantFolderIds(folderId, { includeDeleted = false, transaction = null } = {}) {
+    const ids = [];
+    let frontier = [folderId];
+
+    while (frontier.length > 0) {
+      const children = await Folder.findAll({
+        where: includeDeleted ? { parentId: frontier } : { parentId: frontier, isDeleted: false },
+        attributes: ['id'],
+        paranoid: !includeDeleted,
+        transaction
+      });
+      frontier = children.map(child => child.id);
+      ids.push(...frontier);
+    }
+
+    return ids;
+  }
+
+  // Permanently delete a folder, its subfolders and all files in them
+  async permanentlyDeleteFolder(folderId) {
+    const folderIds = [folderId, ...await this.getDescendantFolderIds(folderId, { includeDeleted: true })];
+
+    const files = await File.findAll({
+      where: { folderId: folderIds, parentVersionId: null },
+      attributes: ['id'],
+      paranoid: false
+    });
+
+    for (const file of files) {
+      await this.permanentlyDeleteFile(file.id);
+    }
+
+    await ShareLink.destroy({ where: { folderId: folderIds } });
+    await Permission.destroy({ where: { folderId: folderIds } });
+    await Folder.destroy({ where: { id: folderIds }, force: true });
+  }
+
   // Permanently delete file
   async permanentlyDeleteFile(fileId) {
-    const file = await File.findByPk(fileId);
+    const file = await File.findByPk(fileId, { paranoid: false });
 
     if (!file) return;
 
-    // Delete from storage
-    if (this.useS3 && file.s3Key) {
-      await this.s3Client.send(new DeleteObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: file.s3Key
-      }));
-
-      if (file.thumbnailPath) {
-        await this.s3Client.send(new DeleteObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: file.thumbnailPath
-        }));
+    // Deleting the current version takes its retained history with it
+    if (!file.parentVersionId) {
+      const versions = await File.findAll({
+        where: { parentVersionId: file.id },
+        paranoid: false
+      });
+      for (const version of versions) {
+        await this.permanentlyDeleteFile(version.id);
       }
-    } else {
-      // Delete from local storage
-      try {
-        await fs.unlink(file.path);
-        if (file.thumbnailPath) {
-          await fs.unlink(file.thumbnailPath);
+    }
+
+    // Delete from storage. Blob contents go with their last reference.
+    try {
+      if (!file.blobId) {
+        // Stored before deduplication: a restored version shares its object with the version it came from
+        const isShared = await File.count({
+          where: { path: file.path, id: { [Op.ne]: file.id } },
+          paranoid: false
+        }) > 0;
+
+        if (!isShared) {
+          await this.storage.delete(file.path);
         }
-      } catch (error) {
-        console.error('Error deleting file from disk:', error);
       }
+      await require('./previewService').clear(file);
+    } catch (error) {
+      console.error('Error deleting file from storage:', error);
     }
 
-    await file.destroy();
+    await sequelize.transaction(async (transaction) => {
+      if (file.blobId) {
+        await blobService.release(file.blobId, transaction);
+      }
+
+      // Trashed files were already taken off the quota when they were trashed
+      if (!file.isDeleted && !file.deletedAt) {
+        await quotaService.credit(file.userId, file.size, { transaction });
+      }
+
+      await ShareLink.destroy({ where: { fileId: file.id }, transaction });
+      await Permission.destroy({ where: { fileId: file.id }, transaction });
+      await file.destroy({ force: true, transaction });
+    });
+  }
+
+  // Number of older versions kept per file for the owner's plan
+  async getVersionRetention(userId) {
+    const { User, Subscription } = require('../models');
+
+    const user = await User.findByPk(userId, {
+      include: [{ model: Subscription, as: 'subscription' }]
+    });
+
+    const subscription = user.subscription;
+    if (subscription && subscription.isActive()) {
+      if (Number.isInteger(subscription.features?.versionRetention)) {
+        return subscription.features.versionRetention;
+      }
+      return VERSION_RETENTION[subscription.planName] ?? VERSION_RETENTION.free;
+    }
+
+    return ['premium_user', 'admin'].includes(user.role) ? VERSION_RETENTION.premium : VERSION_RETENTION.free;
+  }
+
+  // Copy the current content of a file into a retained version row
+  async archiveCurrentVersion(file, transaction) {
+    return await File.create({
+      userId: file.userId,
+      parentVersionId: file.id,
+      uploadedBy: file.uploadedBy,
+      originalName: file.originalName,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size,
+      path: file.path,
+      s3Key: file.s3Key,
+      checksum: file.checksum,
+      isEncrypted: file.isEncrypted,
+      encryptionKey: file.encryptionKey,
+      blobId: file.blobId, // the current row's blob reference moves to the archived row
+      version: file.version,
+      scanStatus: file.scanStatus,
+      scanResult: file.scanResult,
+      quarantinedAt: file.quarantinedAt,
+      metadata: file.metadata
+    }, { transaction });
   }
 
-  // Get file stream for download
-  async getFileStream(fileId) {
+  // Upload a new revision; the file keeps its id so share links follow the latest version
+  // The old version is retained, so the new upload's full size is charged to the owner.
+  async createVersion(file, upload, uploaderId, metadata = {}, { reservation = null } = {}) {
+    const checksum = upload.checksum || await this.calculateChecksum(upload.buffer || upload.key || upload.path);
+    const { changeNote, restoredFrom, ...baseMetadata } = file.metadata || {};
+
+    const uploadPath = upload.key || upload.path;
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await quotaService.charge(file.userId, upload.size, { transaction, reservation });
+        await this.archiveCurrentVersion(file, transaction);
+
+        const blob = await blobService.acquire({
+          checksum,
+          size: upload.size,
+          path: uploadPath,
+          isEncrypted: Boolean(upload.isEncrypted),
+          encryptionKey: upload.encryptionKey || null
+        }, transaction);
+
+        file.fileName = upload.filename || path.basename(upload.path);
+        file.mimeType = upload.mimetype;
+        file.size = upload.size;
+        Object.assign(file, blobService.attach(blob));
+        file.s3Key = null;
+        file.thumbnailPath = null;
+        file.contentText = null;
+        file.version += 1;
+        file.uploadedBy = uploaderId;
+        file.metadata = { ...baseMetadata, ...metadata, uploadDate: new Date() };
+        await file.save({ transaction });
+      });
+    } catch (error) {
+      await this.storage.delete(uploadPath).catch(() => {});
+      throw error;
+    }
+
+    await Log.create({
+      userId: uploaderId,
+      action: 'file_version_create',
+      description: `Uploaded version ${file.version} of file: ${file.originalName}`,
+      category: 'file_management',
+      resourceId: file.id,
+      metadata: { version: file.version, fileSize: upload.size }
+    });
+
+    await require('./scanService').queue(file);
+    await require('./previewService').queue(file);
+
+    await this.pruneVersions(file);
+
+    return file;
+  }
+
+  // Promote an older version to be the current one as a new revision
+  async restoreVersion(file, versionNumber, userId) {
+    const target = await File.findOne({
+      where: { parentVersionId: file.id, version: versionNumber }
+    });
+
+    if (!target) {
+      throw new AppError('Version not found', 404);
+    }
+
+    const { changeNote, restoredFrom, ...baseMetadata } = target.metadata || {};
+
+    await sequelize.transaction(async (transaction) => {
+      // The old version stays retained, so its restored copy counts again
+      await quotaService.charge(file.userId, target.size, { transaction });
+      await this.archiveCurrentVersion(file, transaction);
+
+      // The restored revision is a second reference to the old version's blob
+      if (target.blobId) {
+        await blobService.retain(target.blobId, transaction);
+      }
+
+      file.fileName = target.fileName;
+      file.mimeType = target.mimeType;
+      file.size = target.size;
+      file.path = target.path;
+      file.s3Key = target.s3Key;
+      file.checksum = target.checksum;
+      file.isEncrypted = target.isEncrypted;
+      file.encryptionKey = target.encryptionKey;
+      file.blobId = target.blobId;
+      file.thumbnailPath = null;
+      file.contentText = null;
+      file.version += 1;
+      file.uploadedBy = userId;
+      file.metadata = { ...baseMetadata, restoredFrom: versionNumber, uploadDate: new Date() };
+      await file.save({ transaction });
+    });
+
+    await Log.create({
+      userId,
+      action: 'file_version_restore',
+      description: `Restored version ${versionNumber} of file: ${file.originalName}`,
+      category: 'file_management',
+      resourceId: file.id,
+      metadata: { restoredFrom: versionNumber, version: file.version }
+    });
+
+    await require('./scanService').queue(file);
+    await require('./previewService').queue(file);
+
+    await this.pruneVersions(file);
+
+    return file;
+  }
+
+  // Drop the oldest retained versions beyond the plan's retention limit
+  async pruneVersions(file) {
+    const retention = await this.getVersionRetention(file.userId);
+
+    const versions = await File.findAll({
+      where: { parentVersionId: file.id },
+      order: [['version', 'DESC']]
+    });
+
+    for (const version of versions.slice(retention)) {
+      await this.permanentlyDeleteFile(version.id);
+    }
+  }
+
+  // Version history, newest first, including the current version
+  async getVersions(file) {
+    const { User } = require('../models');
+
+    const versions = await File.findAll({
+      where: { parentVersionId: file.id },
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'name', 'email'] }],
+      order: [['version', 'DESC']]
+    });
+
+    const current = await File.findByPk(file.id, {
+      include: [{ model: User, as: 'uploader', attributes: ['id', 'name', 'email'] }]
+    });
+
+    return [current, ...versions];
+  }
+
+  // Find a specific version of a file by number
+  async getVersion(file, versionNumber) {
+    if (versionNumber === file.version) {
+      return file;
+    }
+
+    const version = await File.findOne({
+      where: { parentVersionId: file.id, version: versionNumber }
+    });
+
+    if (!version) {
+      throw new AppError('Version not found', 404);
+    }
+
+    return version;
+  }
+
+  // Get file stream for download, optionally limited to an inclusive { start, end } byte range
+  async getFileStream(fileId, range = null) {
     const file = await File.findByPk(fileId);
 
     if (!file) {
       throw new Error('File not found');
     }
 
-    if (this.useS3 && file.s3Key) {
-      const command = new GetObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: file.s3Key
-      });
+    return await this.openStream(file, range);
+  }
 
-      const response = await this.s3Client.send(command);
-      return response.Body;
+  // Read a stored file, decrypting transparently when it is encrypted at rest
+  async openStream(file, range = null) {
+    if (!file.isEncrypted) {
+      return range
+        ? await this.storage.getRange(file.path, range.start, range.end)
+        : await this.storage.getStream(file.path);
+    }
+
+    const size = Number(file.size);
+    const { start = 0, end = size - 1 } = range || {};
+    const dataKey = EncryptionUtil.unwrapDataKey(file.encryptionKey);
+
+    let stored;
+    if (range) {
+      // Fetch only the encrypted segments that cover the requested bytes
+      const encrypted = EncryptionUtil.getEncryptedRange(size, start, end);
+      stored = await this.storage.getRange(file.path, encrypted.start, encrypted.end);
     } else {
-      return fs.createReadStream(file.path);
+      stored = await this.storage.getStream(file.path);
     }
+
+    const decipher = EncryptionUtil.createDecryptStream(dataKey, size, start, end);
+    pipeline(stored, decipher, () => {});
+    return decipher;
+  }
+
+  // Re-wrap every data key that isn't under the current master key.
+  // Contents stay as they are; only the encryptionKey of files and blobs changes.
+  async rewrapEncryptionKeys(batchSize = 500) {
+    const currentKeyId = EncryptionUtil.getCurrentKeyId();
+    if (!currentKeyId) {
+      throw new Error('No encryption master key configured');
+    }
+
+    let rewrapped = 0;
+
+    for (const Model of [File, Blob]) {
+      let lastId = null;
+
+      for (;;) {
+        const rows = await Model.findAll({
+          where: lastId ? { isEncrypted: true, id: { [Op.gt]: lastId } } : { isEncrypted: true },
+          attributes: ['id', 'encryptionKey'],
+          order: [['id', 'ASC']],
+          limit: batchSize,
+          paranoid: false
+        });
+
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          if (EncryptionUtil.getKeyId(row.encryptionKey) !== currentKeyId) {
+            await Model.update(
+              { encryptionKey: EncryptionUtil.rewrapDataKey(row.encryptionKey) },
+              { where: { id: row.id }, paranoid: false }
+            );
+            rewrapped++;
+          }
+        }
+
+        lastId = rows[rows.length - 1].id;
+      }
+    }
+
+    return { rewrapped, keyId: currentKeyId };
   }
 
   // Create folder
@@ -238,23 +875,15 @@ class FileService {
     return folder;
   }
 
-  // Get folder contents
-  async getFolderContents(folderId, userId) {
-    const folder = await Folder.findOne({
-      where: { id: folderId, userId }
-    });
-
-    if (!folder) {
-      throw new Error('Folder not found');
-    }
-
+  // Get folder contents; access is checked by the caller
+  async getFolderContents(folder) {
     const [files, subfolders] = await Promise.all([
       File.findAll({
-        where: { folderId, isDeleted: false },
+        where: { folderId: folder.id, isDeleted: false, parentVersionId: null },
         order: [['createdAt', 'DESC']]
       }),
       Folder.findAll({
-        where: { parentId: folderId },
+        where: { parentId: folder.id },
         order: [['name', 'ASC']]
       })
     ]);
@@ -266,34 +895,334 @@ class FileService {
     };
   }
 
-  // Search files
-  async searchFiles(query, userId, filters = {}) {
-    const whereClause = {
+  // Rename a folder, rewriting the paths below it in the same transaction
+  async renameFolder(folder, name) {
+    await sequelize.transaction(async (transaction) => {
+      folder.name = name;
+      await this.rebuildFolderPaths(folder, transaction);
+    });
+
+    return folder;
+  }
+
+  // Move a folder (with everything below it) under `parent`, or to the root when
+  // `parent` is null. Moves never change ownership, so they stay within one
+  // owner's folders and leave the quota untouched.
+  async moveFolder(folder, parent, { onConflict = 'fail', userId }) {
+    this.assertSameOwner(folder, parent, userId);
+
+    await sequelize.transaction(async (transaction) => {
+      await this.assertNotInside(folder, parent, transaction);
+
+      folder.name = await this.resolveNameConflict(Folder, folder.name, {
+        parent,
+        ownerId: folder.userId,
+        onConflict,
+        item: folder,
+        userId,
+        transaction
+      });
+      folder.parentId = parent ? parent.id : null;
+      await this.rebuildFolderPaths(folder, transaction);
+    });
+
+    await Log.create({
       userId,
-      isDeleted: false,
-      [Op.or]: [
-        { originalName: { [Op.iLike]: `%${query}%` } },
-        { description: { [Op.iLike]: `%${query}%` } },
-        { tags: { [Op.contains]: [query] } }
-      ]
-    };
+      action: 'folder_move',
+      description: `Moved folder ${folder.name} to ${folder.path}`,
+      category: 'file_management',
+      resourceId: folder.id,
+      metadata: { parentId: folder.parentId, onConflict }
+    });
+
+    return folder;
+  }
+
+  // Copy a folder with its live subfolders and files (current versions only).
+  // The copies belong to the destination's owner and are charged to their quota.
+  async copyFolder(folder, parent, { onConflict = 'fail', userId }) {
+    const ownerId = parent ? parent.userId : userId;
+    const copiedFiles = [];
+    let copiedFolders = 0;
+
+    const copy = await sequelize.transaction(async (transaction) => {
+      await this.assertNotInside(folder, parent, transaction);
+
+      const name = await this.resolveNameConflict(Folder, folder.name, {
+        parent,
+        ownerId,
+        onConflict,
+        source: folder,
+        userId,
+        transaction
+      });
+
+      // The whole tree is read before anything is created
+      const folderIds = [folder.id, ...await this.getDescendantFolderIds(folder.id, { transaction })];
+      const [folders, files] = await Promise.all([
+        Folder.findAll({ where: { id: folderIds }, transaction }),
+        File.findAll({ where: { folderId: folderIds, isDeleted: false, parentVersionId: null }, transaction })
+      ]);
+
+      const totalSize = files.reduce((sum, file) => sum + Number(file.size), 0);
+      await quotaService.charge(ownerId, totalSize, { transaction });
+
+      const copyTree = async (source, copyParent, copyName) => {
+        const folderCopy = await Folder.create({
+          name: copyName,
+          path: `${copyParent ? copyParent.path : ''}/${copyName}`,
+          description: source.description,
+          color: source.color,
+          icon: source.icon,
+          metadata: source.metadata,
+          userId: ownerId,
+          parentId: copyParent ? copyParent.id : null
+        }, { transaction });
+        copiedFolders++;
+
+        for (const file of files.filter(file => file.folderId === source.id)) {
+          copiedFiles.push(await this.duplicateFile(file, {
+            userId: ownerId,
+            folderId: folderCopy.id,
+            uploadedBy: userId
+          }, transaction));
+        }
+
+        for (const child of folders.filter(child => child.parentId === source.id)) {
+          await copyTree(child, folderCopy, child.name);
+        }
+
+        return folderCopy;
+      };
+
+      return await copyTree(folder, parent, name);
+    });
+
+    await this.queueCopiedPreviews(copiedFiles);
+
+    await Log.create({
+      userId,
+      action: 'folder_copy',
+      description: `Copied folder ${folder.name} to ${copy.path}`,
+      category: 'file_management',
+      resourceId: copy.id,
+      metadata: { sourceId: folder.id, folders: copiedFolders, files: copiedFiles.length, onConflict }
+    });
+
+    return { folder: copy, folders: copiedFolders, files: copiedFiles.length };
+  }
+
+  // Move a file (with its retained versions) into `folder`, or to the root
+  async moveFile(file, folder, { onConflict = 'fail', userId }) {
+    this.assertSameOwner(file, folder, userId);
+
+    await sequelize.transaction(async (transaction) => {
+      file.originalName = await this.resolveNameConflict(File, file.originalName, {
+        parent: folder,
+        ownerId: file.userId,
+        onConflict,
+        item: file,
+        userId,
+        transaction
+      });
+      file.folderId = folder ? folder.id : null;
+      await file.save({ transaction });
+    });
+
+    await Log.create({
+      userId,
+      action: 'file_move',
+      description: `Moved file ${file.originalName} to ${folder ? folder.path : '/'}`,
+      category: 'file_management',
+      resourceId: file.id,
+      metadata: { folderId: file.folderId, onConflict }
+    });
+
+    return file;
+  }
+
+  // Copy a file's current version into `folder`, or the root. The copy shares
+  // the stored contents but counts in full towards its owner's quota.
+  async copyFile(file, folder, { onConflict = 'fail', userId }) {
+    const ownerId = folder ? folder.userId : userId;
+
+    const copy = await sequelize.transaction(async (transaction) => {
+      const name = await this.resolveNameConflict(File, file.originalName, {
+        parent: folder,
+        ownerId,
+        onConflict,
+        source: file,
+        userId,
+        transaction
+      });
+
+      await quotaService.charge(ownerId, file.size, { transaction });
+
+      return await this.duplicateFile(file, {
+        userId: ownerId,
+        folderId: folder ? folder.id : null,
+        originalName: name,
+        uploadedBy: userId
+      }, transaction);
+    });
+
+    await this.queueCopiedPreviews([copy]);
+
+    await Log.create({
+      userId,
+      action: 'file_copy',
+      description: `Copied file ${file.originalName} to ${folder ? folder.path : '/'}`,
+      category: 'file_management',
+      resourceId: copy.id,
+      metadata: { sourceId: file.id, onConflict }
+    });
+
+    return copy;
+  }
+
+  // A new file row with the same contents. Previews are rendered again for the
+  // copy; the extracted search text and scan result carry over.
+  async duplicateFile(file, values, transaction) {
+    if (file.blobId) {
+      await blobService.retain(file.blobId, transaction);
+    }
+
+    const { processing, ...metadata } = file.metadata || {};
+
+    return await File.create({
+      originalName: file.originalName,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size,
+      path: file.path,
+      s3Key: file.s3Key,
+      checksum: file.checksum,
+      isEncrypted: file.isEncrypted,
+      encryptionKey: file.encryptionKey,
+      blobId: file.blobId,
+      scanStatus: file.scanStatus,
+      scanResult: file.scanResult,
+      quarantinedAt: file.quarantinedAt,
+      tags: file.tags,
+      description: file.description,
+      contentText: file.contentText,
+      metadata: { ...metadata, copiedFrom: file.id },
+      ...values
+    }, { transaction });
+  }
+
+  async queueCopiedPreviews(files) {
+    const previewService = require('./previewService');
 
-    if (filters.mimeType) {
-      whereClause.mimeType = filters.mimeType;
+    for (const file of files) {
+      try {
+        await previewService.queue(file);
+      } catch (error) {
+        console.error('Error queueing preview for copied file:', error);
+      }
     }
+  }
 
-    if (filters.folderId) {
-      whereClause.folderId = filters.folderId;
+  // Moving into another owner's folder would hand the item over; that's a copy
+  assertSameOwner(item, parent, userId) {
+    if ((parent ? parent.userId : userId) !== item.userId) {
+      throw new AppError('Items can only be moved between folders of the same owner; copy them instead', 400);
     }
+  }
 
-    return await File.findAll({
-      where: whereClause,
-      include: [{ model: Folder, as: 'folder' }],
-      order: [['createdAt', 'DESC']]
-    });
+  // Reject a destination inside the folder itself. The folder and every
+  // ancestor of the destination are locked, so two crossing moves can't both pass.
+  async assertNotInside(folder, parent, transaction) {
+    const lock = transaction.LOCK.UPDATE;
+    await Folder.findByPk(folder.id, { transaction, lock });
+
+    let currentId = parent ? parent.id : null;
+    while (currentId) {
+      if (currentId === folder.id) {
+        throw new AppError('A folder cannot be moved or copied into itself or one of its subfolders', 400);
+      }
+
+      const current = await Folder.findByPk(currentId, { attributes: ['id', 'parentId'], transaction, lock });
+      currentId = current ? current.parentId : null;
+    }
   }
 
-  // Get storage usage
+  // The name an item arriving in a folder (or an owner's root) should take.
+  // `item` is the thing being moved; `source` the original of a copy.
+  // 'fail' refuses a clash, 'rename' picks a free "name (1)" and 'overwrite'
+  // sends the existing item to the recycle bin.
+  async resolveNameConflict(Model, name, { parent, ownerId, onConflict, item = null, source = null, userId, transaction }) {
+    const nameField = Model === File ? 'originalName' : 'name';
+    const where = Model === File
+      ? { folderId: parent ? parent.id : null, parentVersionId: null, isDeleted: false }
+      : { parentId: parent ? parent.id : null, isDeleted: false };
+    if (!parent) where.userId = ownerId;
+
+    const existing = await Model.findOne({ where: { ...where, [nameField]: name }, transaction });
+    if (!existing || (item && existing.id === item.id)) {
+      return name;
+    }
+
+    if (onConflict === 'rename') {
+      const siblings = await Model.findAll({ where, attributes: [nameField], transaction });
+      const allocateName = createNameAllocator();
+      siblings.forEach(sibling => allocateName(sibling[nameField]));
+      return allocateName(name);
+    }
+
+    if (onConflict === 'overwrite') {
+      const moving = item || source;
+      if (existing.id === moving.id) {
+        throw new AppError(`"${name}" can't be overwritten by a copy of itself`, 409);
+      }
+
+      // Trashing a folder that holds the item would take the item with it
+      if (Model === Folder && (await require('./permissionService').getAncestorFolderIds(moving.id)).includes(existing.id)) {
+        throw new AppError(`"${name}" contains the folder being ${item ? 'moved' : 'copied'} and can't be overwritten`, 409);
+      }
+
+      if (Model === File) {
+        await this.deleteFile(existing, userId, { transaction });
+      } else {
+        await this.deleteFolder(existing, { transaction });
+      }
+      return name;
+    }
+
+    throw new AppError(`An item named "${name}" already exists in the destination`, 409);
+  }
+
+  // Recompute the materialized path of a folder and everything below it.
+  // Trashed subfolders are included so they come back in the right place.
+  async rebuildFolderPaths(folder, transaction) {
+    const parent = folder.parentId
+      ? await Folder.findByPk(folder.parentId, { transaction, paranoid: false })
+      : null;
+    folder.path = `${parent ? parent.path : ''}/${folder.name}`;
+    await folder.save({ transaction });
+
+    let frontier = [folder];
+    while (frontier.length > 0) {
+      const paths = new Map(frontier.map(node => [node.id, node.path]));
+      const children = await Folder.findAll({
+        where: { parentId: [...paths.keys()] },
+        paranoid: false,
+        transaction
+      });
+
+      for (const child of children) {
+        const childPath = `${paths.get(child.parentId)}/${child.name}`;
+        if (child.path !== childPath) {
+          child.path = childPath;
+          await child.save({ transaction });
+        }
+      }
+
+      frontier = children;
+    }
+  }
+
+  // Get storage usage (retained versions count towards it)
   async getStorageUsage(userId) {
     const result = await File.sum('size', {
       where: { userId, isDeleted: false }
@@ -302,6 +1231,19 @@ class FileService {
     return result || 0;
   }
 
+  // Bytes the same files occupy in storage, counting contents shared between
+  // them (identical uploads, restored versions) once. Quotas count every file in full.
+  async getPhysicalStorageUsage(userId) {
+    const objects = await File.findAll({
+      where: { userId, isDeleted: false },
+      attributes: ['path', [sequelize.fn('MAX', sequelize.col('size')), 'size']],
+      group: ['path'],
+      raw: true
+    });
+
+    return objects.reduce((total, object) => total + Number(object.size), 0);
+  }
+
   // Check if file type is image
   isImage(mimeType) {
     return mimeType.startsWith('image/');
@@ -312,22 +1254,18 @@ class FileService {
     return mimeType.startsWith('video/');
   }
 
-  // Validate file size against user limits
-  async validateFileSize(userId, fileSize) {
-    const { User, Subscription } = require('../models');
-
-    const user = await User.findByPk(userId, {
-      include: [{ model: Subscription, as: 'subscription' }]
+  // Total size of the matching files for each owner, as [userId, bytes] pairs
+  async sumSizeByOwner(where, transaction, { paranoid = true } = {}) {
+    const totals = await File.findAll({
+      attributes: ['userId', [sequelize.fn('SUM', sequelize.col('size')), 'total']],
+      where,
+      group: ['userId'],
+      paranoid,
+      raw: true,
+      transaction
     });
 
-    const currentUsage = await this.getStorageUsage(userId);
-    const limit = user.subscription?.storageLimit || user.storageLimit;
-
-    if (currentUsage + fileSize > limit) {
-      throw new Error('Storage limit exceeded');
-    }
-
-    return true;
+    return totals.map(row => [row.userId, Number(row.total) || 0]);
   }
 }
 
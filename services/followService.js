@@ -0,0 +1,210 @@
+const { Op } = require('sequelize');
+const { User, Follow, File, Folder, ShareLink, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const CursorUtil = require('../utils/cursor');
+
+const PROFILE_ATTRIBUTES = ['id', 'name', 'avatar', 'bio'];
+const FILE_ATTRIBUTES = ['id', 'originalName', 'mimeType', 'size', 'thumbnailPath', 'description', 'tags'];
+
+class FollowService {
+  async follow(follower, followingId) {
+    if (followingId === follower.id) {
+      throw new AppError('Cannot follow yourself', 400);
+    }
+
+    const user = await User.findOne({ where: { id: followingId, isActive: true } });
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Following twice is a no-op, and only the first follow notifies
+    const [follow, created] = await Follow.findOrCreate({
+      where: { followerId: follower.id, followingId }
+    });
+
+    if (created) {
+      await Notification.create({
+        userId: followingId,
+        type: 'user_followed',
+        title: `${follower.name} started following you`,
+        message: `${follower.name} will now see your public uploads and shares in their feed.`,
+        actionUrl: `${process.env.FRONTEND_URL}/users/${follower.id}`,
+        actionText: 'View profile',
+        metadata: { followerId: follower.id }
+      });
+    }
+
+    return { user, follow, created };
+  }
+
+  // Returns whether there was a follow to remove
+  async unfollow(followerId, followingId) {
+    const removed = await Follow.destroy({ where: { followerId, followingId } });
+    return removed > 0;
+  }
+
+  async getCounts(userId) {
+    const [followers, following] = await Promise.all([
+      Follow.count({ where: { followingId: userId } }),
+      Follow.count({ where: { followerId: userId } })
+    ]);
+
+    return { followers, following };
+  }
+
+  async isFollowing(followerId, followingId) {
+    return Boolean(await Follow.findOne({ where: { followerId, followingId } }));
+  }
+
+  async listFollowers(userId, options) {
+    return await this.listUsers({ followingId: userId }, 'follower', options);
+  }
+
+  async listFollowing(userId, options) {
+    return await this.listUsers({ followerId: userId }, 'following', options);
+  }
+
+  // A page of the users on one side of a follow list, most recently followed first
+  async listUsers(where, as, { cursor = null, limit = 20 } = {}) {
+    const follows = await Follow.findAll({
+      where: { ...where, ...CursorUtil.after(cursor) },
+      include: [{ model: User, as, attributes: PROFILE_ATTRIBUTES }],
+      order: CursorUtil.order,
+      limit: limit + 1
+    });
+
+    const { items, nextCursor } = CursorUtil.page(follows, limit);
+
+    return {
+      users: items.map(follow => ({
+        id: follow[as].id,
+        name: follow[as].name,
+        avatar: follow[as].avatar,
+        bio: follow[as].bio,
+        followedAt: follow.createdAt
+      })),
+      nextCursor
+    };
+  }
+
+  // Public uploads and shares by the users someone follows, newest first.
+  // Each source is read a page past the cursor and the two are merged.
+  async getFeed(userId, { cursor = null, limit = 20 } = {}) {
+    const follows = await Follow.findAll({ where: { followerId: userId }, attributes: ['followingId'] });
+    const userIds = follows.map(follow => follow.followingId);
+
+    if (userIds.length === 0) {
+      return { items: [], nextCursor: null };
+    }
+
+    const [uploads, shares] = await Promise.all([
+      this.getUploads(userIds, cursor, limit + 1),
+      this.getShares(userIds, cursor, limit + 1)
+    ]);
+
+    const entries = [
+      ...uploads.map(file => ({
+        id: file.id,
+        createdAt: file.createdAt,
+        item: {
+          type: 'upload',
+          createdAt: file.createdAt,
+          user: this.formatUser(file.owner),
+          file: this.formatFile(file)
+        }
+      })),
+      ...shares.map(link => ({
+        id: link.id,
+        createdAt: link.createdAt,
+        item: {
+          type: 'share',
+          createdAt: link.createdAt,
+          user: this.formatUser(link.creator),
+          share: {
+            url: `${process.env.FRONTEND_URL}/share/${link.token}`,
+            expiresAt: link.expiresAt
+          },
+          ...(link.file
+            ? { file: this.formatFile(link.file) }
+            : { folder: { id: link.folder.id, name: link.folder.name } })
+        }
+      }))
+    ].sort(CursorUtil.compare);
+
+    const { items, nextCursor } = CursorUtil.page(entries, limit);
+    return { items: items.map(entry => entry.item), nextCursor };
+  }
+
+  // Current versions that are public and passed the virus scan
+  async getUploads(userIds, cursor, limit) {
+    return await File.findAll({
+      where: {
+        userId: { [Op.in]: userIds },
+        isPublic: true,
+        isDeleted: false,
+        parentVersionId: null,
+        scanStatus: 'clean',
+        ...CursorUtil.after(cursor)
+      },
+      attributes: [...FILE_ATTRIBUTES, 'userId', 'createdAt'],
+      include: [{ model: User, as: 'owner', attributes: PROFILE_ATTRIBUTES }],
+      order: CursorUtil.order,
+      limit
+    });
+  }
+
+  // Read-only links anyone can open, on items their owner made public
+  async getShares(userIds, cursor, limit) {
+    return await ShareLink.findAll({
+      where: {
+        userId: { [Op.in]: userIds },
+        isActive: true,
+        password: null,
+        permissions: 'read',
+        [Op.and]: [
+          { [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }] },
+          { [Op.or]: [{ '$file.id$': { [Op.ne]: null } }, { '$folder.id$': { [Op.ne]: null } }] },
+          CursorUtil.after(cursor)
+        ]
+      },
+      include: [
+        { model: User, as: 'creator', attributes: PROFILE_ATTRIBUTES },
+        {
+          model: File,
+          as: 'file',
+          required: false,
+          where: { isPublic: true, isDeleted: false, scanStatus: 'clean' },
+          attributes: FILE_ATTRIBUTES
+        },
+        {
+          model: Folder,
+          as: 'folder',
+          required: false,
+          where: { isPublic: true, isDeleted: false },
+          attributes: ['id', 'name']
+        }
+      ],
+      order: CursorUtil.order,
+      limit,
+      subQuery: false
+    });
+  }
+
+  formatUser(user) {
+    return { id: user.id, name: user.name, avatar: user.avatar };
+  }
+
+  formatFile(file) {
+    return {
+      id: file.id,
+      originalName: file.originalName,
+      mimeType: file.mimeType,
+      size: Number(file.size),
+      thumbnailPath: file.thumbnailPath,
+      description: file.description,
+      tags: file.tags
+    };
+  }
+}
+
+module.exports = new FollowService();
@@ -0,0 +1,237 @@
+const { Op } = require('sequelize');
+const { File, Folder, Permission, User, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+
+class PermissionService {
+  // Grants that apply to a user: their own, plus invites sent to their address
+  // once they have verified it. Anyone can register an unverified account
+  // under an invited address, so that alone must not unlock the invite.
+  granteeWhere(user) {
+    const grantees = [{ userId: user.id }];
+    if (user.isVerified) {
+      grantees.push({ userId: null, email: user.email.toLowerCase() });
+    }
+
+    return { [Op.or]: grantees };
+  }
+
+  // The folder itself followed by each of its ancestors up to the root
+  async getAncestorFolderIds(folderId) {
+    const ids = [];
+    let currentId = folderId;
+
+    while (currentId && !ids.includes(currentId)) {
+      const folder = await Folder.findByPk(currentId, { attributes: ['id', 'parentId'] });
+      if (!folder) break;
+      ids.push(folder.id);
+      currentId = folder.parentId;
+    }
+
+    return ids;
+  }
+
+  // Highest role the user holds on a file or folder, or null without access.
+  // Grants on a folder apply to everything below it.
+  async getRole(user, resource, type) {
+    if (resource.userId === user.id) {
+      return 'owner';
+    }
+
+    const folderIds = await this.getAncestorFolderIds(type === 'file' ? resource.folderId : resource.id);
+    const targets = [];
+    if (type === 'file') targets.push({ fileId: resource.id });
+    if (folderIds.length > 0) targets.push({ folderId: folderIds });
+
+    if (targets.length === 0) {
+      return null;
+    }
+
+    const grants = await Permission.findAll({
+      where: { [Op.and]: [{ [Op.or]: targets }, this.granteeWhere(user)] },
+      attributes: ['role']
+    });
+
+    return grants.reduce((best, grant) => (
+      !best || this.hasRole(grant.role, best) ? grant.role : best
+    ), null);
+  }
+
+  hasRole(role, required) {
+    return Boolean(role) && Permission.ROLE_RANK[role] >= Permission.ROLE_RANK[required];
+  }
+
+  // Load a file the user may act on with at least `required`.
+  // Files the user can't see at all are reported as missing.
+  async getFile(user, fileId, required = 'viewer', options = {}) {
+    const file = await File.findOne({
+      ...options,
+      where: { id: fileId, isDeleted: false, parentVersionId: null }
+    });
+
+    return await this.authorize(user, file, 'file', required, 'File not found');
+  }
+
+  async getFolder(user, folderId, required = 'viewer', options = {}) {
+    const folder = await Folder.findOne({
+      ...options,
+      where: { id: folderId, isDeleted: false }
+    });
+
+    return await this.authorize(user, folder, 'folder', required, 'Folder not found');
+  }
+
+  async authorize(user, resource, type, required, notFoundMessage) {
+    if (!resource) {
+      throw new AppError(notFoundMessage, 404);
+    }
+
+    const role = await this.getRole(user, resource, type);
+    if (!role) {
+      throw new AppError(notFoundMessage, 404);
+    }
+
+    if (!this.hasRole(role, required)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    resource.accessRole = role;
+    return resource;
+  }
+
+  resourceWhere(resource, type) {
+    return type === 'file' ? { fileId: resource.id } : { folderId: resource.id };
+  }
+
+  formatPermission(permission) {
+    return {
+      id: permission.id,
+      email: permission.email,
+      role: permission.role,
+      pending: permission.isPending(),
+      user: permission.user || null,
+      grantedBy: permission.granter || permission.grantedBy,
+      createdAt: permission.createdAt
+    };
+  }
+
+  // Collaborators granted directly on a file or folder
+  async listPermissions(resource, type) {
+    return await Permission.findAll({
+      where: this.resourceWhere(resource, type),
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'email', 'avatar'] },
+        { model: User, as: 'granter', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  // Grant a role to an account or invite an address that has none yet
+  async invite(resource, type, inviter, { email, role }) {
+    const normalizedEmail = email.toLowerCase();
+
+    const owner = await User.findByPk(resource.userId, { attributes: ['id', 'email'] });
+    if (owner && owner.email.toLowerCase() === normalizedEmail) {
+      throw new AppError('The owner already has full access', 400);
+    }
+
+    const existing = await Permission.findOne({
+      where: { ...this.resourceWhere(resource, type), email: normalizedEmail }
+    });
+    if (existing) {
+      throw new AppError('This address already has access; change its role instead', 409);
+    }
+
+    // An unverified account only gets the invite once it verifies the address
+    const invitee = await User.findOne({ where: { email: normalizedEmail, isVerified: true } });
+
+    const permission = await Permission.create({
+      ...this.resourceWhere(resource, type),
+      email: normalizedEmail,
+      userId: invitee ? invitee.id : null,
+      role,
+      grantedBy: inviter.id
+    });
+
+    const name = type === 'file' ? resource.originalName : resource.name;
+    const url = `${process.env.FRONTEND_URL}/shared-with-me`;
+
+    if (invitee) {
+      await Notification.create({
+        userId: invitee.id,
+        type: type === 'file' ? 'file_shared' : 'folder_shared',
+        title: `${inviter.name} shared "${name}" with you`,
+        message: `You were added as ${role} on "${name}".`,
+        actionUrl: url,
+        actionText: 'Open',
+        metadata: { permissionId: permission.id, [`${type}Id`]: resource.id, role }
+      });
+    }
+
+    try {
+      await emailService.queue('sendFileShareNotification', normalizedEmail, inviter.name, name, url);
+    } catch (error) {
+      console.error('Error queueing share invitation:', error);
+    }
+
+    return permission;
+  }
+
+  async findPermission(resource, type, permissionId) {
+    const permission = await Permission.findOne({
+      where: { id: permissionId, ...this.resourceWhere(resource, type) }
+    });
+
+    if (!permission) {
+      throw new AppError('Collaborator not found', 404);
+    }
+
+    return permission;
+  }
+
+  async changeRole(resource, type, permissionId, role) {
+    const permission = await this.findPermission(resource, type, permissionId);
+    permission.role = role;
+    await permission.save();
+    return permission;
+  }
+
+  async revoke(resource, type, permissionId) {
+    const permission = await this.findPermission(resource, type, permissionId);
+    await permission.destroy();
+    return permission;
+  }
+
+  // Files and folders other users have shared with this user
+  async getSharedWithMe(user) {
+    const grants = await Permission.findAll({
+      where: this.granteeWhere(user),
+      include: [
+        {
+          model: File,
+          as: 'file',
+          where: { isDeleted: false },
+          required: false,
+          include: [{ model: User, as: 'owner', attributes: ['id', 'name', 'email'] }]
+        },
+        {
+          model: Folder,
+          as: 'folder',
+          where: { isDeleted: false },
+          required: false,
+          include: [{ model: User, as: 'owner', attributes: ['id', 'name', 'email'] }]
+        },
+        { model: User, as: 'granter', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return {
+      files: grants.filter(grant => grant.file),
+      folders: grants.filter(grant => grant.folder)
+    };
+  }
+}
+
+module.exports = new PermissionService();
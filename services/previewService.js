@@ -0,0 +1,277 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { File } = require('../models');
+const { storage, StorageAdapter } = require('./storage');
+const fileService = require('./fileService');
+
+const execFileAsync = promisify(execFile);
+const ffprobeAsync = promisify(ffmpeg.ffprobe);
+
+// Longest edge of each thumbnail size, in pixels
+const THUMBNAIL_SIZES = {
+  small: 128,
+  medium: 512,
+  large: 1024
+};
+
+// Frames in a video scrub sprite, laid out in one row
+const SPRITE_FRAMES = 10;
+const SPRITE_FRAME_WIDTH = 160;
+
+const OFFICE_TYPES = [
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/rtf'
+];
+
+class PreviewService {
+  constructor() {
+    this.storage = storage;
+    this.sizes = THUMBNAIL_SIZES;
+    this.timeout = parseInt(process.env.PREVIEW_TIMEOUT_MS) || 120000;
+  }
+
+  // Which renderer handles a MIME type, or null when previews aren't supported
+  getKind(mimeType) {
+    if (!mimeType) return null;
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (OFFICE_TYPES.includes(mimeType)) return 'office';
+    return null;
+  }
+
+  getKey(fileId, name) {
+    return `previews/${fileId}/${name}.webp`;
+  }
+
+  // Drop a file's current previews and schedule new ones for its current contents
+  async queue(file) {
+    await this.clear(file);
+
+    const kind = this.getKind(file.mimeType);
+    file.previewStatus = kind ? 'pending' : 'none';
+    file.previews = {};
+    file.thumbnailPath = null;
+    await file.save();
+
+    // Unscanned contents are never rendered; scanService queues again once they're clean
+    if (!kind || file.scanStatus !== 'clean') {
+      return file;
+    }
+
+    try {
+      await require('../jobs').enqueue('thumbnails', { fileId: file.id });
+    } catch (error) {
+      console.error('Error queueing preview generation:', error);
+    }
+
+    return file;
+  }
+
+  // Delete every stored preview of a file, including legacy JPEG thumbnails
+  async clear(file) {
+    const keys = new Set();
+    if (file.thumbnailPath) keys.add(file.thumbnailPath);
+
+    const previews = file.previews || {};
+    for (const size of Object.values(previews.sizes || {})) {
+      keys.add(size.key);
+    }
+    if (previews.sprite) keys.add(previews.sprite.key);
+
+    for (const key of keys) {
+      try {
+        await this.storage.delete(key);
+      } catch (error) {
+        console.error('Error deleting preview:', error);
+      }
+    }
+  }
+
+  // Public view of a file's previews, without storage keys
+  describe(file) {
+    const previews = file.previews || {};
+    const sizes = {};
+    for (const [name, size] of Object.entries(previews.sizes || {})) {
+      sizes[name] = { width: size.width, height: size.height };
+    }
+
+    let sprite = null;
+    if (previews.sprite) {
+      const { key, ...layout } = previews.sprite;
+      sprite = layout;
+    }
+
+    return { status: file.previewStatus, sizes, sprite };
+  }
+
+  // Render and store previews for a file. Run by the thumbnails queue.
+  async generate(fileId) {
+    const file = await File.findByPk(fileId);
+    if (!file || file.isDeleted) {
+      return null;
+    }
+
+    const kind = this.getKind(file.mimeType);
+    if (!kind) {
+      return file;
+    }
+
+    const checksum = file.checksum;
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sharevault-preview-'));
+
+    try {
+      const { image, sprite } = await this.render(file, kind, workDir);
+      const sizes = await this.renderSizes(image);
+
+      // A newer version arrived while rendering; its own job will produce its previews
+      await file.reload();
+      if (file.checksum !== checksum) {
+        return file;
+      }
+
+      const previews = { sizes: {}, generatedAt: new Date() };
+      for (const [name, rendered] of Object.entries(sizes)) {
+        const key = this.getKey(file.id, name);
+        await this.storage.put(key, rendered.buffer, { contentType: 'image/webp' });
+        previews.sizes[name] = { key, width: rendered.width, height: rendered.height };
+      }
+
+      if (sprite) {
+        const key = this.getKey(file.id, 'sprite');
+        await this.storage.put(key, sprite.buffer, { contentType: 'image/webp' });
+        previews.sprite = { key, ...sprite.layout };
+      }
+
+      file.previews = previews;
+      file.previewStatus = 'ready';
+      file.thumbnailPath = previews.sizes.medium.key;
+      await file.save();
+
+      return file;
+    } catch (error) {
+      file.previewStatus = 'failed';
+      file.previews = { error: error.message };
+      await file.save();
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Produce the source image for thumbnails (and a sprite for videos)
+  async render(file, kind, workDir) {
+    if (kind === 'image') {
+      return { image: await StorageAdapter.toBuffer(await fileService.openStream(file)) };
+    }
+
+    const input = path.join(workDir, `source${path.extname(file.originalName || '').toLowerCase()}`);
+    await pipeline(await fileService.openStream(file), fs.createWriteStream(input));
+
+    if (kind === 'video') {
+      return await this.renderVideo(input, workDir);
+    }
+
+    const pdf = kind === 'office' ? await this.convertToPdf(input, workDir) : input;
+    return { image: await this.renderPdfPage(pdf, workDir) };
+  }
+
+  // WebP thumbnails at each size, never upscaled past the source
+  async renderSizes(image) {
+    const sizes = {};
+
+    for (const [name, edge] of Object.entries(this.sizes)) {
+      const { data, info } = await sharp(image)
+        .rotate()
+        .resize(edge, edge, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      sizes[name] = { buffer: data, width: info.width, height: info.height };
+    }
+
+    return sizes;
+  }
+
+  async renderPdfPage(input, workDir) {
+    const outputPrefix = path.join(workDir, 'page');
+    await execFileAsync(process.env.PDFTOPPM_PATH || 'pdftoppm', [
+      '-png', '-f', '1', '-l', '1', '-r', '150', '-singlefile', input, outputPrefix
+    ], { timeout: this.timeout });
+
+    return await fs.promises.readFile(`${outputPrefix}.png`);
+  }
+
+  async convertToPdf(input, workDir) {
+    await execFileAsync(process.env.LIBREOFFICE_PATH || 'soffice', [
+      `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+      '--headless', '--convert-to', 'pdf', '--outdir', workDir, input
+    ], { timeout: this.timeout });
+
+    return path.join(workDir, `${path.basename(input, path.extname(input))}.pdf`);
+  }
+
+  // Poster frame from 10% into the video plus a strip of evenly spaced frames
+  async renderVideo(input, workDir) {
+    const { format } = await ffprobeAsync(input);
+    const duration = Number(format.duration) || 0;
+    const posterPath = path.join(workDir, 'poster.png');
+    const spritePath = path.join(workDir, 'sprite.png');
+
+    await this.runFfmpeg(
+      ffmpeg(input, { timeout: this.timeout / 1000 })
+        .seekInput(Math.min(duration * 0.1, 30))
+        .frames(1)
+        .output(posterPath)
+    );
+
+    const image = await fs.promises.readFile(posterPath);
+    if (duration <= 0) {
+      return { image };
+    }
+
+    await this.runFfmpeg(
+      ffmpeg(input, { timeout: this.timeout / 1000 })
+        .videoFilters(`fps=${SPRITE_FRAMES}/${duration},scale=${SPRITE_FRAME_WIDTH}:-2,tile=${SPRITE_FRAMES}x1`)
+        .frames(1)
+        .output(spritePath)
+    );
+
+    const { data, info } = await sharp(spritePath).webp({ quality: 70 }).toBuffer({ resolveWithObject: true });
+
+    return {
+      image,
+      sprite: {
+        buffer: data,
+        layout: {
+          frames: SPRITE_FRAMES,
+          frameWidth: Math.round(info.width / SPRITE_FRAMES),
+          frameHeight: info.height,
+          interval: duration / SPRITE_FRAMES
+        }
+      }
+    };
+  }
+
+  runFfmpeg(command) {
+    return new Promise((resolve, reject) => {
+      command.on('end', resolve).on('error', reject).run();
+    });
+  }
+}
+
+module.exports = new PreviewService();
@@ -0,0 +1,219 @@
+const { Op } = require('sequelize');
+const { sequelize, User, Subscription, File, UploadSession, QuotaReservation, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+// Usage levels (percent of the limit) that warn the owner, highest first.
+// The soft warning is a heads-up; past the hard one uploads will soon be refused.
+const THRESHOLDS = [
+  { percentage: 95, kind: 'hard', priority: 'urgent' },
+  { percentage: 80, kind: 'soft', priority: 'high' }
+];
+
+class QuotaService {
+  constructor() {
+    this.reservationTTL = (parseInt(process.env.QUOTA_RESERVATION_TTL_MINUTES) || 60) * 60 * 1000;
+  }
+
+  // Lock the user's row so concurrent reservations and charges are serialised
+  async lockAccount(userId, transaction) {
+    const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const subscription = await Subscription.findOne({ where: { userId }, transaction });
+    return { user, limit: Number(subscription?.storageLimit || user.storageLimit) };
+  }
+
+  async getReservedBytes(userId, transaction) {
+    const reserved = await QuotaReservation.sum('bytes', {
+      where: {
+        userId,
+        [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+      },
+      transaction
+    });
+
+    return Number(reserved) || 0;
+  }
+
+  async assertAvailable({ user, limit }, bytes, transaction) {
+    const reserved = await this.getReservedBytes(user.id, transaction);
+    if (Number(user.storageUsed) + reserved + bytes > limit) {
+      throw new AppError('Storage limit exceeded', 413);
+    }
+  }
+
+  // Hold quota for bytes about to be written. Chunked upload sessions hold
+  // theirs until they end; other reservations lapse after a while.
+  async reserve(userId, bytes, { uploadSessionId = null, transaction = null } = {}) {
+    const run = async (t) => {
+      await this.assertAvailable(await this.lockAccount(userId, t), bytes, t);
+
+      return await QuotaReservation.create({
+        userId,
+        bytes,
+        uploadSessionId,
+        expiresAt: uploadSessionId ? null : new Date(Date.now() + this.reservationTTL)
+      }, { transaction: t });
+    };
+
+    return transaction ? await run(transaction) : await sequelize.transaction(run);
+  }
+
+  async release(reservation) {
+    await QuotaReservation.destroy({ where: { id: reservation.id } });
+  }
+
+  async releaseSession(uploadSessionId) {
+    await QuotaReservation.destroy({ where: { uploadSessionId } });
+  }
+
+  // Count newly stored bytes against the user's quota. Bytes covered by the
+  // reservation were already checked; anything beyond it must still fit.
+  async charge(userId, bytes, { transaction, reservation = null }) {
+    const account = await this.lockAccount(userId, transaction);
+
+    let unreserved = Number(bytes);
+    if (reservation && reservation.userId === userId) {
+      const covered = Math.min(unreserved, Number(reservation.bytes));
+      reservation.bytes = Number(reservation.bytes) - covered;
+      await reservation.save({ transaction });
+      unreserved -= covered;
+    }
+
+    if (unreserved > 0) {
+      await this.assertAvailable(account, unreserved, transaction);
+    }
+
+    account.user.storageUsed = Number(account.user.storageUsed) + Number(bytes);
+    await account.user.save({ transaction });
+
+    transaction.afterCommit(() => this.checkThresholds(userId));
+  }
+
+  // Stop counting bytes that were trashed or deleted
+  async credit(userId, bytes, { transaction = null } = {}) {
+    if (!bytes) return;
+
+    await User.decrement('storageUsed', { by: Number(bytes), where: { id: userId }, transaction });
+
+    if (transaction) {
+      transaction.afterCommit(() => this.checkThresholds(userId));
+    } else {
+      await this.checkThresholds(userId);
+    }
+  }
+
+  // Warn the owner the first time usage crosses each threshold; dropping back
+  // below one re-arms it
+  async checkThresholds(userId) {
+    try {
+      const { used, limit, percentage } = await this.getUsage(userId);
+      const user = await User.findByPk(userId, { attributes: ['id', 'storageWarningLevel'] });
+      const reached = THRESHOLDS.find(threshold => percentage >= threshold.percentage);
+      const level = reached ? reached.percentage : 0;
+
+      if (level === user.storageWarningLevel) return;
+
+      // Only one concurrent check gets to move the level, so the warning goes out once
+      const [updated] = await User.update(
+        { storageWarningLevel: level },
+        { where: { id: userId, storageWarningLevel: user.storageWarningLevel } }
+      );
+
+      if (updated && level > user.storageWarningLevel) {
+        await Notification.create({
+          userId,
+          type: 'storage_warning',
+          title: reached.kind === 'hard' ? 'Your storage is almost full' : `You've used ${level}% of your storage`,
+          message: reached.kind === 'hard'
+            ? `You've used ${percentage}% of your storage. New uploads will be refused once it is full; free up space or upgrade your plan.`
+            : `You've used ${percentage}% of your storage. Consider emptying your trash or upgrading your plan.`,
+          priority: reached.priority,
+          actionUrl: `${process.env.FRONTEND_URL}/settings/storage`,
+          actionText: 'Manage storage',
+          metadata: { threshold: level, kind: reached.kind, used, limit }
+        });
+      }
+    } catch (error) {
+      console.error('Error checking storage thresholds:', error);
+    }
+  }
+
+  async getUsage(userId) {
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'storageUsed', 'storageLimit'],
+      include: [{ model: Subscription, as: 'subscription', attributes: ['storageLimit'] }]
+    });
+
+    const used = Number(user.storageUsed);
+    const reserved = await this.getReservedBytes(userId);
+    const limit = Number(user.subscription?.storageLimit || user.storageLimit);
+
+    return {
+      used,
+      reserved,
+      limit,
+      percentage: Math.round((used / limit) * 100),
+      available: Math.max(0, limit - used - reserved)
+    };
+  }
+
+  // What storageUsed should be: live, untrashed files and retained versions
+  async getActualUsage(userId, transaction) {
+    return Number(await File.sum('size', { where: { userId, isDeleted: false }, transaction })) || 0;
+  }
+
+  // Fix drift between storageUsed and the files actually stored, and drop
+  // reservations left behind by crashed requests or finished upload sessions
+  async reconcile() {
+    const expired = await QuotaReservation.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+    let orphaned = 0;
+    const sessionReservations = await QuotaReservation.findAll({
+      where: { uploadSessionId: { [Op.ne]: null } },
+      include: [{ model: UploadSession, as: 'uploadSession' }]
+    });
+    for (const reservation of sessionReservations) {
+      if (!reservation.uploadSession || !reservation.uploadSession.isActive()) {
+        await reservation.destroy();
+        orphaned++;
+      }
+    }
+
+    const totals = await File.findAll({
+      attributes: ['userId', [sequelize.fn('SUM', sequelize.col('size')), 'total']],
+      where: { isDeleted: false },
+      group: ['userId'],
+      raw: true
+    });
+    const actual = new Map(totals.map(row => [row.userId, Number(row.total) || 0]));
+
+    const users = await User.findAll({ attributes: ['id', 'storageUsed'] });
+    const corrected = [];
+
+    for (const { id } of users.filter(user => Number(user.storageUsed) !== (actual.get(user.id) || 0))) {
+      // Recount under the row lock so uploads finishing meanwhile aren't lost
+      const drift = await sequelize.transaction(async (transaction) => {
+        const user = await User.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        const used = await this.getActualUsage(id, transaction);
+        const recorded = Number(user.storageUsed);
+        if (recorded === used) return null;
+
+        user.storageUsed = used;
+        await user.save({ transaction });
+        return { userId: id, recorded, actual: used };
+      });
+
+      if (drift) {
+        corrected.push(drift);
+        await this.checkThresholds(id);
+      }
+    }
+
+    return { users: users.length, corrected, expiredReservations: expired, orphanedReservations: orphaned };
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,152 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const { Notification } = require('../models');
+
+// Pushes notifications and progress to a user's open Socket.io connections.
+// Every socket joins a room for its user, so events reach all of their tabs
+// and devices. With SOCKET_REDIS_URL set, rooms span every web instance and
+// worker processes can publish to them too.
+class RealtimeService {
+  constructor() {
+    this.io = null;
+    this.redisClients = [];
+  }
+
+  room(userId) {
+    return `user:${userId}`;
+  }
+
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  // Start Socket.io on the web server. Called without a server (the worker),
+  // it only publishes events to the web instances through Redis.
+  async attach(httpServer = null) {
+    const io = new Server(httpServer || undefined, {
+      cors: {
+        origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    if (process.env.SOCKET_REDIS_URL) {
+      const { createClient } = require('redis');
+      const { createAdapter } = require('@socket.io/redis-adapter');
+
+      const pubClient = createClient({ url: process.env.SOCKET_REDIS_URL });
+      const subClient = pubClient.duplicate();
+      pubClient.on('error', error => console.error('Socket.io Redis error:', error.message));
+      subClient.on('error', error => console.error('Socket.io Redis error:', error.message));
+
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient));
+      this.redisClients = [pubClient, subClient];
+    }
+
+    io.use((socket, next) => {
+      this.authenticate(socket)
+        .then(({ user, session }) => {
+          socket.data.userId = user.id;
+          socket.data.sessionId = session.id;
+          next();
+        })
+        .catch(() => next(new Error('Authentication failed')));
+    });
+
+    io.on('connection', async (socket) => {
+      socket.join([this.room(socket.data.userId), this.sessionRoom(socket.data.sessionId)]);
+      await this.pushUnreadCount(socket.data.userId, socket);
+    });
+
+    this.io = io;
+    return io;
+  }
+
+  // The same bearer token the REST API takes, sent as `auth.token` in the
+  // handshake or in an Authorization header
+  async authenticate(socket) {
+    const header = socket.handshake.headers.authorization || '';
+    const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    if (!token) {
+      throw new Error('No token');
+    }
+
+    const auth = await require('./sessionService').authenticate(jwt.verify(token, process.env.JWT_SECRET));
+    if (!auth || auth.user.isActive === false) {
+      throw new Error('Session ended');
+    }
+
+    return auth;
+  }
+
+  // Close the sockets of a signed-out or revoked session
+  disconnectSession(sessionId) {
+    if (!this.io) return;
+
+    try {
+      this.io.in(this.sessionRoom(sessionId)).disconnectSockets(true);
+    } catch (error) {
+      console.error(`Error disconnecting sockets of session ${sessionId}:`, error);
+    }
+  }
+
+  // Best effort: a failed push must never fail the request or job behind it
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+
+    try {
+      this.io.to(this.room(userId)).emit(event, payload);
+    } catch (error) {
+      console.error(`Error pushing ${event} to user ${userId}:`, error);
+    }
+  }
+
+  async pushNotification(notification) {
+    this.emitToUser(notification.userId, 'notification', this.formatNotification(notification));
+    await this.pushUnreadCount(notification.userId);
+  }
+
+  // Send the unread count to all of a user's sockets, or just one that connected
+  async pushUnreadCount(userId, socket = null) {
+    if (!this.io) return;
+
+    try {
+      const count = await Notification.count({ where: { userId, isRead: false } });
+      if (socket) {
+        socket.emit('notifications:unread', { count });
+      } else {
+        this.emitToUser(userId, 'notifications:unread', { count });
+      }
+    } catch (error) {
+      console.error(`Error pushing unread count to user ${userId}:`, error);
+    }
+  }
+
+  formatNotification(notification) {
+    return {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      isRead: notification.isRead,
+      priority: notification.priority,
+      actionUrl: notification.actionUrl,
+      actionText: notification.actionText,
+      metadata: notification.metadata,
+      createdAt: notification.createdAt
+    };
+  }
+
+  async close() {
+    if (this.io) {
+      await new Promise(resolve => this.io.close(() => resolve()));
+      this.io = null;
+    }
+
+    await Promise.all(this.redisClients.map(client => client.quit().catch(() => {})));
+    this.redisClients = [];
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,137 @@
+const { File, Log, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { scanner } = require('./scanner');
+const fileService = require('./fileService');
+
+class ScanService {
+  constructor() {
+    this.scanner = scanner;
+  }
+
+  // Mark a file's current contents unscanned and schedule a scan. Until it
+  // comes back clean the file can't be downloaded.
+  async queue(file) {
+    file.scanStatus = 'pending';
+    file.scanResult = {};
+    file.quarantinedAt = null;
+    await file.save();
+
+    try {
+      await require('../jobs').enqueue('virus-scan', { fileId: file.id });
+    } catch (error) {
+      console.error('Error queueing virus scan:', error);
+    }
+
+    return file;
+  }
+
+  // Scan a file's stored contents. Run by the virus-scan queue.
+  async scan(fileId) {
+    const file = await File.findByPk(fileId, { paranoid: false });
+    if (!file) {
+      return null;
+    }
+
+    const checksum = file.checksum;
+
+    try {
+      const result = await this.scanner.scan(await fileService.openStream(file));
+
+      // A newer version arrived while scanning; its own job will scan it
+      await file.reload();
+      if (file.checksum !== checksum) {
+        return file;
+      }
+
+      if (result.infected) {
+        return await this.quarantine(file, result.signature);
+      }
+
+      file.scanStatus = 'clean';
+      file.scanResult = { engine: this.scanner.engine, scannedAt: new Date() };
+      await file.save();
+
+      // Previews and search text only come from contents that passed the scan
+      if (!file.parentVersionId) {
+        await require('./previewService').queue(file);
+        await require('./searchService').queue(file);
+      }
+
+      return file;
+    } catch (error) {
+      file.scanStatus = 'error';
+      file.scanResult = { engine: this.scanner.engine, error: error.message, scannedAt: new Date() };
+      await file.save();
+      throw error;
+    }
+  }
+
+  // Block an infected file and tell its owner. Its contents stay in storage for review.
+  async quarantine(file, signature) {
+    file.scanStatus = 'infected';
+    file.scanResult = { engine: this.scanner.engine, signature, scannedAt: new Date() };
+    file.quarantinedAt = new Date();
+    await file.save();
+
+    await Log.create({
+      userId: file.uploadedBy || file.userId,
+      action: 'file_quarantine',
+      description: `Quarantined file ${file.originalName}: ${signature} detected`,
+      category: 'security',
+      severity: 'critical',
+      resourceId: file.id,
+      metadata: { signature, engine: this.scanner.engine, ownerId: file.userId, version: file.version }
+    });
+
+    await Notification.create({
+      userId: file.userId,
+      type: 'file_quarantined',
+      title: `"${file.originalName}" was quarantined`,
+      message: `Malware (${signature}) was detected in "${file.originalName}". It can't be downloaded or shared until an administrator reviews it.`,
+      metadata: { fileId: file.parentVersionId || file.id, version: file.version, signature }
+    });
+
+    return file;
+  }
+
+  // Clear a quarantined file after review (e.g. a false positive)
+  async release(file, adminId) {
+    file.scanStatus = 'clean';
+    file.scanResult = { ...file.scanResult, releasedBy: adminId, releasedAt: new Date() };
+    file.quarantinedAt = null;
+    await file.save();
+
+    await Log.create({
+      userId: adminId,
+      action: 'file_quarantine_release',
+      description: `Released file ${file.originalName} from quarantine`,
+      category: 'security',
+      severity: 'high',
+      resourceId: file.id,
+      metadata: { signature: file.scanResult.signature, ownerId: file.userId }
+    });
+
+    if (!file.parentVersionId) {
+      await require('./previewService').queue(file);
+      await require('./searchService').queue(file);
+    }
+
+    return file;
+  }
+
+  // Throws unless the file's contents passed the virus scan
+  assertDownloadable(file) {
+    switch (file.scanStatus) {
+      case 'clean':
+        return;
+      case 'infected':
+        throw new AppError('This file has been quarantined because malware was detected', 403);
+      case 'error':
+        throw new AppError('This file could not be scanned for viruses and is unavailable', 409);
+      default:
+        throw new AppError('This file is still being scanned for viruses', 409);
+    }
+  }
+}
+
+module.exports = new ScanService();
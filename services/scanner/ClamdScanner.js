@@ -0,0 +1,36 @@
+const clamav = require('clamav.js');
+const VirusScanner = require('./VirusScanner');
+
+// Streams content to a clamd daemon with INSTREAM, over TCP or a Unix socket.
+// clamd refuses streams above its StreamMaxLength; those scans fail with an error.
+class ClamdScanner extends VirusScanner {
+  constructor({ host = '127.0.0.1', port = 3310, socket, timeout = 60000 } = {}) {
+    super();
+    this.type = 'clamd';
+    // clamav.js passes its port to net.connect, which also accepts a socket path
+    this.client = clamav.createScanner(socket || port, host);
+    this.timeout = timeout;
+  }
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(new Error(`clamd did not answer within ${this.timeout}ms`));
+      }, this.timeout);
+
+      stream.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      this.client.scan(stream, (error, object, signature) => {
+        clearTimeout(timer);
+        if (error) return reject(error);
+        resolve({ infected: Boolean(signature), signature: signature || null });
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
@@ -0,0 +1,35 @@
+const VirusScanner = require('./VirusScanner');
+const StorageAdapter = require('../storage/StorageAdapter');
+
+// The standard antivirus test string; every real engine detects it
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Matches content against known byte patterns; used by the test suite and for
+// local experiments without clamd. Detects the EICAR test file by default.
+class FakeScanner extends VirusScanner {
+  constructor({ signatures = { [EICAR]: 'Eicar-Test-Signature' } } = {}) {
+    super();
+    this.type = 'fake';
+    this.signatures = new Map(Object.entries(signatures));
+  }
+
+  addSignature(pattern, name) {
+    this.signatures.set(pattern, name);
+  }
+
+  async scan(stream) {
+    const content = await StorageAdapter.toBuffer(stream);
+
+    for (const [pattern, name] of this.signatures) {
+      if (content.includes(pattern)) {
+        return { infected: true, signature: name };
+      }
+    }
+
+    return { infected: false, signature: null };
+  }
+}
+
+FakeScanner.EICAR = EICAR;
+
+module.exports = FakeScanner;
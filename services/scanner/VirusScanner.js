@@ -0,0 +1,15 @@
+// Interface every virus scanner implements
+class VirusScanner {
+  // Scan a readable stream; resolves to { infected, signature } where signature
+  // names the detected malware (null when clean). Rejects when the scan itself fails.
+  async scan(stream) {
+    throw new Error(`${this.constructor.name} does not implement scan()`);
+  }
+
+  // Short engine name recorded with scan results
+  get engine() {
+    return this.type;
+  }
+}
+
+module.exports = VirusScanner;
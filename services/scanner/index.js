@@ -0,0 +1,29 @@
+const VirusScanner = require('./VirusScanner');
+const ClamdScanner = require('./ClamdScanner');
+const FakeScanner = require('./FakeScanner');
+
+// Build the scanner named by VIRUS_SCANNER (clamd or fake).
+// Tests default to the fake scanner so they never need a clamd daemon.
+const createScanner = (type = process.env.VIRUS_SCANNER || (process.env.NODE_ENV === 'test' ? 'fake' : 'clamd')) => {
+  switch (type) {
+    case 'clamd':
+      return new ClamdScanner({
+        host: process.env.CLAMD_HOST,
+        port: parseInt(process.env.CLAMD_PORT) || undefined,
+        socket: process.env.CLAMD_SOCKET,
+        timeout: parseInt(process.env.CLAMD_TIMEOUT_MS) || undefined
+      });
+    case 'fake':
+      return new FakeScanner();
+    default:
+      throw new Error(`Unknown VIRUS_SCANNER: ${type}`);
+  }
+};
+
+module.exports = {
+  scanner: createScanner(),
+  createScanner,
+  VirusScanner,
+  ClamdScanner,
+  FakeScanner
+};
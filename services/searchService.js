@@ -0,0 +1,340 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { Op } = require('sequelize');
+const { sequelize, File, Folder, User } = require('../models');
+const { StorageAdapter } = require('./storage');
+const fileService = require('./fileService');
+const permissionService = require('./permissionService');
+const TextExtractionUtil = require('../utils/textExtraction');
+
+const execFileAsync = promisify(execFile);
+
+// Values of the `type` search filter and the MIME types each covers ("%" is a wildcard)
+const MIME_FAMILIES = {
+  image: ['image/%'],
+  video: ['video/%'],
+  audio: ['audio/%'],
+  text: ['text/%'],
+  pdf: ['application/pdf'],
+  document: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf'
+  ],
+  spreadsheet: [
+    'text/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.oasis.opendocument.spreadsheet'
+  ],
+  presentation: [
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.presentation'
+  ],
+  archive: [
+    'application/zip',
+    'application/x-rar-compressed',
+    'application/x-7z-compressed',
+    'application/gzip',
+    'application/x-tar'
+  ]
+};
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TEXT_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript'];
+
+// ts_rank's default weights for A..D, reused by the SQLite fallback
+const RANK_WEIGHTS = { A: 1.0, B: 0.4, C: 0.2, D: 0.1 };
+
+// Longer documents are only indexed by their beginning
+const MAX_CONTENT_CHARS = 100000;
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class SearchService {
+  constructor() {
+    this.mimeFamilies = MIME_FAMILIES;
+    this.language = process.env.SEARCH_LANGUAGE || 'english';
+    this.maxExtractBytes = (parseInt(process.env.SEARCH_MAX_EXTRACT_MB) || 50) * 1024 * 1024;
+    this.timeout = parseInt(process.env.PREVIEW_TIMEOUT_MS) || 120000;
+  }
+
+  // PostgreSQL gets tsvector search; other dialects (the SQLite test database) fall back to LIKE
+  isFullText() {
+    return sequelize.getDialect() === 'postgres';
+  }
+
+  // How text is pulled out of a MIME type, or null when it isn't
+  getExtractor(mimeType) {
+    if (!mimeType) return null;
+    if (mimeType.startsWith('text/') || TEXT_TYPES.includes(mimeType)) return 'text';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType === DOCX_TYPE) return 'docx';
+    return null;
+  }
+
+  // Schedule text extraction for a file's current contents
+  async queue(file) {
+    if (!this.getExtractor(file.mimeType)) {
+      return file;
+    }
+
+    try {
+      await require('../jobs').enqueue('search-index', { fileId: file.id });
+    } catch (error) {
+      console.error('Error queueing search indexing:', error);
+    }
+
+    return file;
+  }
+
+  // Extract and store a file's text. Run by the search-index queue.
+  async index(fileId) {
+    const file = await File.findByPk(fileId);
+    if (!file || file.parentVersionId) {
+      return null;
+    }
+
+    const extractor = this.getExtractor(file.mimeType);
+    const checksum = file.checksum;
+
+    let text = null;
+    if (extractor && Number(file.size) <= this.maxExtractBytes) {
+      text = await this.extractText(file, extractor);
+    }
+
+    // A newer version arrived meanwhile; its own job indexes it
+    await file.reload();
+    if (file.checksum !== checksum) {
+      return file;
+    }
+
+    // PostgreSQL text can't hold NUL characters
+    file.contentText = text
+      ? text.replace(/\u0000/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_CONTENT_CHARS) || null
+      : null;
+    await file.save();
+
+    return file;
+  }
+
+  async extractText(file, extractor) {
+    const buffer = await StorageAdapter.toBuffer(await fileService.openStream(file));
+
+    switch (extractor) {
+      case 'docx':
+        return TextExtractionUtil.fromDocx(buffer);
+      case 'pdf':
+        return await this.extractPdfText(buffer);
+      default:
+        return buffer.toString('utf8');
+    }
+  }
+
+  // Poppler's pdftotext, installed alongside pdftoppm for previews
+  async extractPdfText(buffer) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sharevault-search-'));
+
+    try {
+      const input = path.join(workDir, 'source.pdf');
+      await fs.promises.writeFile(input, buffer);
+
+      const { stdout } = await execFileAsync(process.env.PDFTOTEXT_PATH || 'pdftotext', [
+        '-enc', 'UTF-8', '-q', input, '-'
+      ], { timeout: this.timeout, maxBuffer: 32 * 1024 * 1024 });
+
+      return stdout;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Lower-cased words of a query; punctuation only separates them
+  getTerms(query) {
+    return [...new Set((query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, MAX_TERMS);
+  }
+
+  // Files the user may see: their own, ones shared with them and everything in shared folders
+  async getScope(user) {
+    const { files, folders } = await permissionService.getSharedWithMe(user);
+
+    const folderIds = [];
+    for (const grant of folders) {
+      folderIds.push(grant.folder.id, ...await fileService.getDescendantFolderIds(grant.folder.id));
+    }
+
+    return {
+      [Op.or]: [
+        { userId: user.id },
+        { id: files.map(grant => grant.file.id) },
+        { folderId: folderIds }
+      ]
+    };
+  }
+
+  async getFilters(user, { minSize, maxSize, from, to, type, folderId, ownerId }) {
+    const filters = [];
+
+    if (minSize !== undefined) filters.push({ size: { [Op.gte]: minSize } });
+    if (maxSize !== undefined) filters.push({ size: { [Op.lte]: maxSize } });
+    if (from) filters.push({ createdAt: { [Op.gte]: from } });
+    if (to) filters.push({ createdAt: { [Op.lte]: to } });
+    if (ownerId) filters.push({ userId: ownerId });
+
+    if (type) {
+      filters.push({
+        [Op.or]: MIME_FAMILIES[type].map(mimeType => (
+          mimeType.includes('%') ? { mimeType: { [Op.like]: mimeType } } : { mimeType }
+        ))
+      });
+    }
+
+    // A folder and everything below it
+    if (folderId) {
+      const folder = await permissionService.getFolder(user, folderId, 'viewer');
+      filters.push({ folderId: [folder.id, ...await fileService.getDescendantFolderIds(folder.id)] });
+    }
+
+    return filters;
+  }
+
+  // Ranked, paginated search. Resolves to { files, total } where each file
+  // carries a `rank` and an HTML-escaped `snippet` with matches in <mark>.
+  async search(user, { q, page = 1, limit = 20, ...filters }) {
+    const terms = this.getTerms(q);
+    if (terms.length === 0) {
+      return { files: [], total: 0 };
+    }
+
+    const conditions = [
+      { isDeleted: false, parentVersionId: null },
+      await this.getScope(user),
+      ...await this.getFilters(user, filters)
+    ];
+
+    const options = {
+      include: [
+        { model: Folder, as: 'folder', attributes: ['id', 'name'] },
+        { model: User, as: 'owner', attributes: ['id', 'name', 'email'] }
+      ]
+    };
+
+    return this.isFullText()
+      ? await this.searchFullText(terms, conditions, options, page, limit)
+      : await this.searchBasic(terms, conditions, options, page, limit);
+  }
+
+  async searchFullText(terms, conditions, options, page, limit) {
+    const queryInterface = sequelize.getQueryInterface();
+    const column = (attribute) => `${queryInterface.quoteIdentifier(File.name)}.${queryInterface.quoteIdentifier(File.rawAttributes[attribute].field)}`;
+
+    const language = sequelize.escape(this.language);
+    // Prefix matching, so "quart" finds "quarterly"; terms are letters and digits only
+    const query = `to_tsquery(${language}, ${sequelize.escape(terms.map(term => `${term}:*`).join(' & '))})`;
+    const source = `coalesce(nullif(${column('contentText')}, ''), ${column('description')}, '')`;
+    const escapedSource = `replace(replace(replace(${source}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+    const { count, rows } = await File.findAndCountAll({
+      ...options,
+      where: { [Op.and]: [...conditions, sequelize.literal(`${column('searchVector')} @@ ${query}`)] },
+      attributes: {
+        include: [
+          [sequelize.literal(`ts_rank_cd(${column('searchVector')}, ${query})`), 'rank'],
+          [sequelize.literal(
+            `ts_headline(${language}, ${escapedSource}, ${query}, 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2')`
+          ), 'snippet']
+        ],
+        exclude: ['contentText', 'searchVector', 'encryptionKey']
+      },
+      order: [[sequelize.literal('"rank"'), 'DESC'], ['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return {
+      files: rows.map(file => ({ file, rank: Number(file.get('rank')), snippet: file.get('snippet') || null })),
+      total: count
+    };
+  }
+
+  // Every term must appear in some indexed field; ranking happens here rather than in SQL
+  async searchBasic(terms, conditions, options, page, limit) {
+    const matches = (term) => ({ [Op.like]: `%${term}%` });
+
+    const rows = await File.findAll({
+      ...options,
+      where: {
+        [Op.and]: [
+          ...conditions,
+          ...terms.map(term => ({
+            [Op.or]: [
+              { originalName: matches(term) },
+              { description: matches(term) },
+              { contentText: matches(term) },
+              sequelize.where(sequelize.cast(sequelize.col(`${File.name}.tags`), 'TEXT'), matches(term))
+            ]
+          }))
+        ]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const results = rows
+      .map(file => ({
+        file,
+        rank: this.rank(file, terms),
+        snippet: this.buildSnippet(file.contentText || file.description, terms)
+      }))
+      .sort((a, b) => b.rank - a.rank);
+
+    return {
+      files: results.slice((page - 1) * limit, page * limit),
+      total: results.length
+    };
+  }
+
+  // Each term scores the weight of the best field containing it
+  rank(file, terms) {
+    const fields = Object.entries(File.SEARCH_WEIGHTS).map(([attribute, weight]) => {
+      const value = file[attribute];
+      return { text: (Array.isArray(value) ? value.join(' ') : value || '').toLowerCase(), weight: RANK_WEIGHTS[weight] };
+    });
+
+    return terms.reduce((score, term) => (
+      score + Math.max(0, ...fields.filter(field => field.text.includes(term)).map(field => field.weight))
+    ), 0);
+  }
+
+  // Excerpt around the first match with every match wrapped in <mark>
+  buildSnippet(text, terms) {
+    if (!text) return null;
+
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_LENGTH / 4) : 0;
+    const excerpt = text.slice(start, start + SNIPPET_LENGTH);
+
+    // Split on matches so only the surrounding text needs escaping
+    const highlighted = excerpt
+      .split(new RegExp(`(${terms.join('|')})`, 'iu'))
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+  }
+}
+
+module.exports = new SearchService();
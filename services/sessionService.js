@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, User, DeviceSession, RefreshToken, LoginCode, Log } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const realtimeService = require('./realtimeService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Each sign-in starts a device session with a short-lived access token (a JWT
+// naming the session) and a refresh token that is swapped for a new one on
+// every use. A refresh token presented twice has leaked, so that revokes the
+// whole session along with every token issued to it.
+class SessionService {
+  constructor() {
+    this.accessTokenTTL = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+    this.refreshTokenTTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY;
+    // How stale lastSeenAt may get before a request updates it
+    this.lastSeenInterval = 5 * 60 * 1000;
+    this.loginCodeTTL = 60 * 1000;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Start a session for a user who just proved who they are, noting whether
+  // that included a 2FA check
+  async create(user, req, { twoFactorVerified = false } = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const session = await DeviceSession.create({
+        userId: user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + this.refreshTokenTTL),
+        twoFactorVerifiedAt: twoFactorVerified ? new Date() : null
+      }, { transaction });
+
+      const refreshToken = await this.issueRefreshToken(session, transaction);
+      return this.formatTokens(user, session, refreshToken);
+    });
+  }
+
+  // OAuth callbacks send the browser back to the frontend, and redirect URLs
+  // end up in history, logs and Referer headers. So they carry a one-time
+  // code the frontend swaps for tokens right away, not the tokens themselves.
+  async createLoginCode(user) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await LoginCode.create({
+      userId: user.id,
+      codeHash: this.hashToken(code),
+      expiresAt: new Date(Date.now() + this.loginCodeTTL)
+    });
+    return code;
+  }
+
+  // The user a login code was issued to, or null. Only the request that
+  // deletes the code may use it, so it can't be replayed.
+  async redeemLoginCode(code) {
+    const loginCode = await LoginCode.findOne({
+      where: { codeHash: this.hashToken(code) },
+      include: [{ model: User, as: 'user' }]
+    });
+    if (!loginCode) return null;
+
+    const deleted = await LoginCode.destroy({ where: { id: loginCode.id } });
+    if (!deleted || new Date(loginCode.expiresAt) <= new Date()) return null;
+    if (!loginCode.user || loginCode.user.isActive === false) return null;
+
+    return loginCode.user;
+  }
+
+  async issueRefreshToken(session, transaction) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await RefreshToken.create({ sessionId: session.id, tokenHash: this.hashToken(token) }, { transaction });
+    return token;
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { id: user.id, email: user.email, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTTL }
+    );
+  }
+
+  formatTokens(user, session, refreshToken) {
+    return {
+      sessionId: session.id,
+      token: this.signAccessToken(user, session),
+      refreshToken,
+      expiresIn: this.accessTokenTTL,
+      refreshExpiresAt: session.expiresAt
+    };
+  }
+
+  // Swap a refresh token for a new access and refresh token pair
+  async refresh(refreshToken, req) {
+    const outcome = await sequelize.transaction(async (transaction) => {
+      const stored = await RefreshToken.findOne({
+        where: { tokenHash: this.hashToken(refreshToken) },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!stored) return { error: 'invalid' };
+
+      const session = await DeviceSession.findByPk(stored.sessionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!session || !session.isActive()) return { error: 'invalid' };
+
+      if (stored.usedAt) {
+        await this.end(session, 'reuse_detected', transaction);
+        await Log.create({
+          userId: session.userId,
+          action: 'refresh_token_reuse',
+          description: 'A refresh token was used twice; its session was revoked',
+          category: 'security',
+          severity: 'critical',
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          resourceId: session.id,
+          metadata: { sessionId: session.id, tokenIssuedAt: stored.createdAt, tokenUsedAt: stored.usedAt }
+        }, { transaction });
+        return { error: 'reused', session };
+      }
+
+      const user = await User.findByPk(session.userId, { transaction });
+      if (!user || user.isActive === false) {
+        await this.end(session, 'account_disabled', transaction);
+        return { error: 'invalid', session };
+      }
+
+      stored.usedAt = new Date();
+      await stored.save({ transaction });
+
+      session.ipAddress = req.ip;
+      session.userAgent = req.get('User-Agent') || session.userAgent;
+      session.lastSeenAt = new Date();
+      session.expiresAt = new Date(Date.now() + this.refreshTokenTTL);
+      await session.save({ transaction });
+
+      const next = await this.issueRefreshToken(session, transaction);
+      return { tokens: this.formatTokens(user, session, next) };
+    });
+
+    if (outcome.session) {
+      this.disconnect([outcome.session.id]);
+    }
+
+    if (outcome.error === 'reused') {
+      throw new AppError('Refresh token has already been used; the session has been revoked', 401);
+    }
+
+    if (outcome.error) {
+      throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    return outcome.tokens;
+  }
+
+  // The user and session behind an access token's claims, or null once the
+  // session has ended or the account is disabled. Used for every
+  // authenticated request and socket.
+  async authenticate(payload) {
+    if (!payload || !payload.sid) return null;
+
+    const session = await DeviceSession.findOne({
+      where: { id: payload.sid, userId: payload.id },
+      include: [{ model: User, as: 'user' }]
+    });
+    if (!session || !session.isActive() || !session.user) return null;
+    if (session.user.isActive === false) return null;
+
+    if (Date.now() - new Date(session.lastSeenAt) > this.lastSeenInterval) {
+      await DeviceSession.update({ lastSeenAt: new Date() }, { where: { id: session.id } });
+    }
+
+    return { user: session.user, session };
+  }
+
+  async list(userId, currentSessionId = null) {
+    const sessions = await DeviceSession.findAll({
+      where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    return sessions.map(session => ({
+      id: session.id,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const session = await DeviceSession.findOne({ where: { id: sessionId, userId, revokedAt: null } });
+    if (!session || !session.isActive()) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await this.end(session, reason);
+    this.disconnect([session.id]);
+    return session;
+  }
+
+  // End all of a user's sessions, except optionally the one making the request.
+  // Returns how many were revoked.
+  async revokeAll(userId, { except = null, reason = 'revoked' } = {}) {
+    const where = { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } };
+    if (except) {
+      where.id = { [Op.ne]: except };
+    }
+
+    const sessions = await DeviceSession.findAll({ where, attributes: ['id'] });
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(session => session.id);
+    await DeviceSession.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { id: { [Op.in]: ids }, revokedAt: null } }
+    );
+    this.disconnect(ids);
+
+    return ids.length;
+  }
+
+  async end(session, reason, transaction = null) {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save({ transaction });
+  }
+
+  // Drop sockets opened with the ended sessions' access tokens
+  disconnect(sessionIds) {
+    sessionIds.forEach(sessionId => realtimeService.disconnectSession(sessionId));
+  }
+
+  // Forget sessions that ended more than retentionDays ago along with their
+  // tokens, and used tokens too old to matter for reuse detection
+  async purge(retentionDays = 30) {
+    const cutoff = new Date(Date.now() - retentionDays * DAY);
+    const ended = await DeviceSession.findAll({
+      where: {
+        [Op.or]: [
+          { revokedAt: { [Op.lt]: cutoff } },
+          { expiresAt: { [Op.lt]: cutoff } }
+        ]
+      },
+      attributes: ['id']
+    });
+    const ids = ended.map(session => session.id);
+
+    if (ids.length > 0) {
+      await RefreshToken.destroy({ where: { sessionId: { [Op.in]: ids } } });
+      await DeviceSession.destroy({ where: { id: { [Op.in]: ids } } });
+    }
+
+    const tokens = await RefreshToken.destroy({
+      where: { usedAt: { [Op.lt]: new Date(Date.now() - this.refreshTokenTTL) } }
+    });
+
+    return { sessions: ids.length, tokens };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,119 @@
+const { Op } = require('sequelize');
+const { ShareAccess } = require('../models');
+const IpRangeUtil = require('../utils/ipRange');
+
+class ShareAnalyticsService {
+  // Map a response status onto the outcome stored with the access event
+  outcomeFor(statusCode) {
+    if (statusCode < 400) return 'allowed';
+    if (statusCode === 401) return 'unauthorized';
+    if (statusCode === 403) return 'denied';
+    if (statusCode === 410) return 'expired';
+    return 'failed';
+  }
+
+  // Store an access event. Failures are logged but never reach the visitor.
+  async record(shareLink, req, action, outcome) {
+    try {
+      await ShareAccess.create({
+        shareLinkId: shareLink.id,
+        userId: req.user ? req.user.id : null,
+        action,
+        outcome,
+        ipAddress: IpRangeUtil.normalize(req.ip) || null,
+        userAgent: req.get('User-Agent') || null,
+        referrer: req.get('Referer') || null
+      });
+    } catch (error) {
+      console.error('Error recording share access:', error);
+    }
+  }
+
+  // Start of the hour or UTC day `date` falls in, as an ISO string
+  bucketFor(date, interval) {
+    const bucket = new Date(date);
+    bucket.setUTCMinutes(0, 0, 0);
+    if (interval === 'day') {
+      bucket.setUTCHours(0);
+    }
+    return bucket.toISOString();
+  }
+
+  // Signed-in visitors are counted once per account, anonymous ones per address
+  visitorKey(event) {
+    return event.userId ? `user:${event.userId}` : `ip:${event.ipAddress}`;
+  }
+
+  // Per-link totals and a time series of views, downloads and visitors
+  async getAnalytics(shareLink, { days = 30, interval = 'day' } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const events = await ShareAccess.findAll({
+      where: { shareLinkId: shareLink.id, createdAt: { [Op.gte]: since } },
+      attributes: ['action', 'outcome', 'userId', 'ipAddress', 'referrer', 'createdAt'],
+      order: [['createdAt', 'ASC']],
+      raw: true
+    });
+
+    const emptyCounts = () => ({ view: 0, download: 0, zip: 0, upload: 0, denied: 0 });
+    const totals = emptyCounts();
+    const visitors = new Set();
+    const buckets = new Map();
+    const referrers = new Map();
+
+    // Pre-fill the range so periods without traffic show up as zeros
+    const step = interval === 'day' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+    for (let time = new Date(this.bucketFor(since, interval)).getTime(); time <= Date.now(); time += step) {
+      buckets.set(new Date(time).toISOString(), { counts: emptyCounts(), visitors: new Set() });
+    }
+
+    for (const event of events) {
+      const key = this.bucketFor(event.createdAt, interval);
+      if (!buckets.has(key)) {
+        buckets.set(key, { counts: emptyCounts(), visitors: new Set() });
+      }
+      const bucket = buckets.get(key);
+
+      if (event.outcome === 'allowed') {
+        bucket.counts[event.action] += 1;
+        totals[event.action] += 1;
+        bucket.visitors.add(this.visitorKey(event));
+        visitors.add(this.visitorKey(event));
+
+        if (event.referrer) {
+          referrers.set(event.referrer, (referrers.get(event.referrer) || 0) + 1);
+        }
+      } else {
+        bucket.counts.denied += 1;
+        totals.denied += 1;
+      }
+    }
+
+    return {
+      range: { since, until: new Date(), interval },
+      totals: {
+        views: totals.view,
+        downloads: totals.download,
+        zipDownloads: totals.zip,
+        uploads: totals.upload,
+        denied: totals.denied,
+        uniqueVisitors: visitors.size
+      },
+      series: Array.from(buckets.entries()).map(([period, bucket]) => ({
+        period,
+        views: bucket.counts.view,
+        downloads: bucket.counts.download,
+        zipDownloads: bucket.counts.zip,
+        uploads: bucket.counts.upload,
+        denied: bucket.counts.denied,
+        uniqueVisitors: bucket.visitors.size
+      })),
+      topReferrers: Array.from(referrers.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([referrer, count]) => ({ referrer, count }))
+    };
+  }
+}
+
+module.exports = new ShareAnalyticsService();
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { AppError } = require('../../middleware/errorHandler');
+const StorageAdapter = require('./StorageAdapter');
+
+// Stores objects as files below a root directory
+class LocalStorageAdapter extends StorageAdapter {
+  constructor({ root }) {
+    super();
+    this.type = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Map a key to a path, refusing anything that escapes the root.
+  // Older rows store absolute paths inside the root, which resolve unchanged.
+  resolve(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return fullPath;
+  }
+
+  async put(key, body) {
+    const target = this.resolve(key);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+
+    // Write to a temp name first so a failed write never leaves a partial object
+    const tempPath = `${target}.${crypto.randomBytes(4).toString('hex')}.part`;
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fsp.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fsp.rename(tempPath, target);
+    } catch (error) {
+      await fsp.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const { size } = await fsp.stat(target);
+    return { key, size };
+  }
+
+  async getStream(key) {
+    if (!await this.stat(key)) {
+      throw this.notFound(key);
+    }
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async getRange(key, start, end) {
+    if (!await this.stat(key)) {
+      throw this.notFound(key);
+    }
+    return fs.createReadStream(this.resolve(key), { start, end });
+  }
+
+  async delete(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this.resolve(key));
+      if (!stats.isFile()) return null;
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,49 @@
+const { Readable } = require('stream');
+const StorageAdapter = require('./StorageAdapter');
+
+// Keeps objects in a Map; used by the test suite and for local experiments
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.type = 'memory';
+    this.objects = new Map();
+  }
+
+  async put(key, body, { contentType } = {}) {
+    const data = Buffer.isBuffer(body) ? Buffer.from(body) : await StorageAdapter.toBuffer(body);
+    this.objects.set(key, { data, contentType, lastModified: new Date() });
+    return { key, size: data.length };
+  }
+
+  async getStream(key) {
+    return Readable.from([this.read(key).data]);
+  }
+
+  async getRange(key, start, end) {
+    return Readable.from([this.read(key).data.subarray(start, end + 1)]);
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    if (!object) return null;
+    return { size: object.data.length, lastModified: object.lastModified, contentType: object.contentType };
+  }
+
+  read(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      throw this.notFound(key);
+    }
+    return object;
+  }
+
+  clear() {
+    this.objects.clear();
+  }
+}
+
+module.exports = MemoryStorageAdapter;
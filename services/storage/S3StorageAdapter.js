@@ -0,0 +1,92 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const StorageAdapter = require('./StorageAdapter');
+
+const isNotFound = (error) =>
+  error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+// Stores objects in an S3 bucket; `endpoint` + `forcePathStyle` point it at MinIO and friends
+class S3StorageAdapter extends StorageAdapter {
+  constructor({ bucket, region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey }) {
+    super();
+    this.type = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async put(key, body, { contentType, contentLength } = {}) {
+    if (Buffer.isBuffer(body) || contentLength !== undefined) {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentLength: Buffer.isBuffer(body) ? body.length : contentLength,
+        ContentType: contentType
+      }));
+      return { key, size: Buffer.isBuffer(body) ? body.length : contentLength };
+    }
+
+    // Streams of unknown length go up as a multipart upload
+    const upload = new Upload({
+      client: this.client,
+      params: { Bucket: this.bucket, Key: key, Body: body, ContentType: contentType }
+    });
+    await upload.done();
+
+    const { size } = await this.stat(key);
+    return { key, size };
+  }
+
+  async getStream(key) {
+    return await this.getObject(key);
+  }
+
+  async getRange(key, start, end) {
+    return await this.getObject(key, `bytes=${start}-${end}`);
+  }
+
+  async getObject(key, range) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: range
+      }));
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) throw this.notFound(key);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = S3StorageAdapter;
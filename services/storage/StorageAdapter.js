@@ -0,0 +1,52 @@
+const { AppError } = require('../../middleware/errorHandler');
+
+// Interface every storage backend implements. Keys are forward-slash paths
+// relative to the backend root, e.g. "uploads/1700000000-ab12-report.pdf".
+class StorageAdapter {
+  // Store a Buffer or readable stream under key; resolves to { key, size }
+  async put(key, body, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement put()`);
+  }
+
+  // Readable stream of the whole object
+  async getStream(key) {
+    throw new Error(`${this.constructor.name} does not implement getStream()`);
+  }
+
+  // Readable stream of bytes start..end (inclusive, like an HTTP Range header)
+  async getRange(key, start, end) {
+    throw new Error(`${this.constructor.name} does not implement getRange()`);
+  }
+
+  // Remove an object; deleting a missing key is not an error
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  // { size, lastModified, contentType } or null when the key doesn't exist
+  async stat(key) {
+    throw new Error(`${this.constructor.name} does not implement stat()`);
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async getBuffer(key) {
+    return await StorageAdapter.toBuffer(await this.getStream(key));
+  }
+
+  notFound(key) {
+    return new AppError(`Object not found in storage: ${key}`, 404);
+  }
+
+  static async toBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = StorageAdapter;
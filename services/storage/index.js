@@ -0,0 +1,38 @@
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+const S3StorageAdapter = require('./S3StorageAdapter');
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+
+// Build the backend named by STORAGE_TYPE (local, s3 or memory).
+// Tests default to the in-memory backend so they never touch disk or the network.
+const createStorageAdapter = (type = process.env.STORAGE_TYPE || (process.env.NODE_ENV === 'test' ? 'memory' : 'local')) => {
+  switch (type) {
+    case 'local':
+      return new LocalStorageAdapter({
+        root: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../uploads')
+      });
+    case 's3':
+      return new S3StorageAdapter({
+        bucket: process.env.S3_BUCKET_NAME,
+        region: process.env.AWS_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      });
+    case 'memory':
+      return new MemoryStorageAdapter();
+    default:
+      throw new Error(`Unknown STORAGE_TYPE: ${type}`);
+  }
+};
+
+module.exports = {
+  storage: createStorageAdapter(),
+  createStorageAdapter,
+  StorageAdapter,
+  LocalStorageAdapter,
+  S3StorageAdapter,
+  MemoryStorageAdapter
+};
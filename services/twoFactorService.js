@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const { RecoveryCode, DeviceSession, WebAuthnCredential, Log } = require('../models');
+
+// Recovery codes avoid characters that are easy to misread when written down
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// TOTP checks, one-time recovery codes and step-up confirmation. A session
+// counts as recently verified for stepUpWindow after its user last passed a
+// 2FA check on it, at login or through POST /api/auth/confirm-2fa. Registered
+// WebAuthn credentials are a second factor too (see webauthnService).
+class TwoFactorService {
+  constructor() {
+    this.recoveryCodeCount = 10;
+    this.stepUpWindow = (parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 10) * 60 * 1000;
+  }
+
+  // The second factors a user has set up: 'totp' and/or 'webauthn'
+  async getMethods(user) {
+    const methods = user.twoFactorEnabled ? ['totp'] : [];
+    if (await WebAuthnCredential.count({ where: { userId: user.id } }) > 0) {
+      methods.push('webauthn');
+    }
+    return methods;
+  }
+
+  async isEnabled(user) {
+    return (await this.getMethods(user)).length > 0;
+  }
+
+  // Codes are compared without case, spaces or dashes
+  hashCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateCode() {
+    const chars = Array.from({ length: 10 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  }
+
+  // Replace the user's recovery codes. Returns the new codes, which are never
+  // shown again.
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => this.generateCode());
+
+    await RecoveryCode.destroy({ where: { userId } });
+    await RecoveryCode.bulkCreate(codes.map(code => ({ userId, codeHash: this.hashCode(code) })));
+
+    return codes;
+  }
+
+  async countRecoveryCodes(userId) {
+    return await RecoveryCode.count({ where: { userId, usedAt: null } });
+  }
+
+  async deleteRecoveryCodes(userId) {
+    await RecoveryCode.destroy({ where: { userId } });
+  }
+
+  verifyTotp(user, token) {
+    return Boolean(user.twoFactorSecret) && speakeasy.totp.verify({
+      secret: user.twoFactorSecret,
+      encoding: 'base32',
+      token: String(token)
+    });
+  }
+
+  // Redeem a recovery code. The conditional update lets only one request use it.
+  async useRecoveryCode(user, code, req) {
+    const [used] = await RecoveryCode.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, codeHash: this.hashCode(code), usedAt: null } }
+    );
+    if (!used) return false;
+
+    const remaining = await this.countRecoveryCodes(user.id);
+    await Log.create({
+      userId: user.id,
+      action: 'recovery_code_use',
+      description: `Recovery code used; ${remaining} left`,
+      category: 'security',
+      severity: 'high',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      metadata: { remaining }
+    });
+
+    return true;
+  }
+
+  // Check a 6-digit TOTP token or a recovery code. Returns which one matched,
+  // or null.
+  async verify(user, code, req) {
+    if (!code) return null;
+
+    if (/^\d{6}$/.test(String(code).trim())) {
+      return user.twoFactorEnabled && this.verifyTotp(user, String(code).trim()) ? 'totp' : null;
+    }
+
+    return await this.useRecoveryCode(user, code, req) ? 'recovery_code' : null;
+  }
+
+  // Check whichever second factor was sent: a TOTP token or recovery code, or
+  // a WebAuthn assertion ({ challengeId, response }). Returns the method used.
+  async confirm(user, { token, webauthn }, req) {
+    if (webauthn) {
+      const webauthnService = require('./webauthnService');
+      return await webauthnService.authenticate(webauthn, { userId: user.id }) ? 'webauthn' : null;
+    }
+
+    return await this.verify(user, token, req);
+  }
+
+  async markVerified(session) {
+    if (!session) return;
+
+    session.twoFactorVerifiedAt = new Date();
+    await DeviceSession.update({ twoFactorVerifiedAt: session.twoFactorVerifiedAt }, { where: { id: session.id } });
+  }
+
+  isRecentlyVerified(session) {
+    return Boolean(session?.twoFactorVerifiedAt) &&
+      Date.now() - new Date(session.twoFactorVerifiedAt) < this.stepUpWindow;
+  }
+
+  verifiedUntil(session) {
+    return new Date(new Date(session.twoFactorVerifiedAt).getTime() + this.stepUpWindow);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const { Op } = require('sequelize');
+const { sequelize, UploadSession, Folder, QuotaReservation } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { allowedTypes } = require('../middleware/upload');
+const fileService = require('./fileService');
+const permissionService = require('./permissionService');
+const quotaService = require('./quotaService');
+const realtimeService = require('./realtimeService');
+const { storage } = require('./storage');
+const EncryptionUtil = require('../utils/encryption');
+
+const MB = 1024 * 1024;
+
+class UploadService {
+  constructor() {
+    this.defaultChunkSize = 8 * MB;
+    this.minChunkSize = 1 * MB;
+    this.maxChunkSize = 64 * MB;
+    this.sessionTTL = (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+  }
+
+  // Start a resumable upload session
+  async createSession(user, { originalName, mimeType, totalSize, checksum, chunkSize, folderId, description, tags }) {
+    if (!allowedTypes.includes(mimeType)) {
+      throw new AppError('Invalid file type', 400);
+    }
+
+    // Uploads into a shared folder need editor access and count against the folder owner's quota
+    const folder = folderId ? await permissionService.getFolder(user, folderId, 'editor') : null;
+
+    const size = Math.min(Math.max(chunkSize || this.defaultChunkSize, this.minChunkSize), this.maxChunkSize);
+
+    // The session holds its full size against the quota until it ends
+    return await sequelize.transaction(async (transaction) => {
+      const session = await UploadSession.create({
+        userId: user.id,
+        folderId: folderId || null,
+        originalName,
+        mimeType,
+        totalSize,
+        chunkSize: size,
+        totalChunks: Math.max(Math.ceil(totalSize / size), 1),
+        checksum: checksum.toLowerCase(),
+        expiresAt: new Date(Date.now() + this.sessionTTL),
+        metadata: { description, tags: tags || [] }
+      }, { transaction });
+
+      await quotaService.reserve(folder ? folder.userId : user.id, totalSize, {
+        uploadSessionId: session.id,
+        transaction
+      });
+
+      return session;
+    });
+  }
+
+  // Load a session owned by the user, rejecting finished or expired ones
+  async getSession(sessionId, userId) {
+    const session = await UploadSession.findOne({ where: { id: sessionId, userId } });
+
+    if (!session) {
+      throw new AppError('Upload session not found', 404);
+    }
+
+    if (!session.isActive()) {
+      throw new AppError(`Upload session is ${session.isExpired() ? 'expired' : session.status}`, 410);
+    }
+
+    return session;
+  }
+
+  // Store one numbered chunk; re-sending a chunk overwrites it
+  async writeChunk(session, index, data, chunkChecksum) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new AppError(`Chunk index must be between 0 and ${session.totalChunks - 1}`, 400);
+    }
+
+    const expectedLength = session.getChunkLength(index);
+    if (!Buffer.isBuffer(data) || data.length !== expectedLength) {
+      throw new AppError(`Chunk ${index} must be exactly ${expectedLength} bytes`, 400);
+    }
+
+    if (chunkChecksum) {
+      const actual = crypto.createHash('sha256').update(data).digest('hex');
+      if (actual !== chunkChecksum.toLowerCase()) {
+        throw new AppError(`Checksum mismatch for chunk ${index}`, 422);
+      }
+    }
+
+    await storage.put(this.getChunkKey(session.id, index), data);
+
+    const updated = await sequelize.transaction(async (transaction) => {
+      const locked = await UploadSession.findByPk(session.id, { transaction, lock: transaction.LOCK.UPDATE });
+      locked.receivedChunks = [...new Set([...locked.receivedChunks, index])].sort((a, b) => a - b);
+      locked.expiresAt = new Date(Date.now() + this.sessionTTL);
+      await locked.save({ transaction });
+      return locked;
+    });
+
+    this.pushProgress(updated);
+    return updated;
+  }
+
+  // Let the uploader's other tabs and devices follow the upload
+  pushProgress(session) {
+    const receivedBytes = session.getReceivedBytes();
+    const totalSize = Number(session.totalSize);
+
+    realtimeService.emitToUser(session.userId, 'upload:progress', {
+      sessionId: session.id,
+      status: session.status,
+      fileId: session.fileId || null,
+      receivedChunks: session.receivedChunks.length,
+      totalChunks: session.totalChunks,
+      receivedBytes,
+      totalSize,
+      percentage: totalSize > 0 ? Math.floor((receivedBytes / totalSize) * 100) : 100
+    });
+  }
+
+  // Assemble all chunks, verify the checksum and hand the result to fileService
+  async completeSession(session) {
+    const missing = session.getMissingChunks();
+    if (missing.length > 0) {
+      throw new AppError(`Missing chunks: ${missing.join(', ')}`, 409);
+    }
+
+    // The target folder may have been deleted since the session started
+    const folder = session.folderId ? await Folder.findByPk(session.folderId) : null;
+    const ownerId = folder ? folder.userId : session.userId;
+
+    const reservation = await QuotaReservation.findOne({ where: { uploadSessionId: session.id } });
+
+    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
+    const fileName = `${Date.now()}-${uniqueSuffix}-${session.originalName.replace(/[/\\]/g, '_')}`;
+    const key = `uploads/${fileName}`;
+    const hash = crypto.createHash('sha256');
+
+    // Stream the chunks into storage in order, hashing as they pass through
+    const chunkKeys = Array.from({ length: session.totalChunks }, (_, i) => this.getChunkKey(session.id, i));
+    async function* assemble() {
+      for (const chunkKey of chunkKeys) {
+        const chunk = await storage.getBuffer(chunkKey);
+        hash.update(chunk);
+        yield chunk;
+      }
+    }
+
+    let body = Readable.from(assemble());
+    let contentLength = Number(session.totalSize);
+    let encryption = {};
+    if (EncryptionUtil.isEnabled()) {
+      const { dataKey, wrappedKey } = EncryptionUtil.generateDataKey();
+      const cipher = EncryptionUtil.createEncryptStream(dataKey);
+      pipeline(body, cipher, () => {});
+      body = cipher;
+      contentLength = EncryptionUtil.encryptedSize(contentLength);
+      encryption = { isEncrypted: true, encryptionKey: wrappedKey };
+    }
+
+    try {
+      await storage.put(key, body, { contentType: session.mimeType, contentLength });
+    } catch (error) {
+      await storage.delete(key).catch(() => {});
+      throw error;
+    }
+
+    const checksum = hash.digest('hex');
+    if (checksum !== session.checksum) {
+      await storage.delete(key);
+      await this.discardChunks(session);
+      await quotaService.releaseSession(session.id);
+      session.status = 'failed';
+      session.metadata = { ...session.metadata, actualChecksum: checksum };
+      await session.save();
+      throw new AppError('Checksum mismatch: assembled file does not match the declared sha256', 422);
+    }
+
+    const file = {
+      originalname: session.originalName,
+      filename: fileName,
+      mimetype: session.mimeType,
+      size: Number(session.totalSize),
+      key,
+      checksum,
+      ...encryption
+    };
+
+    const savedFile = await fileService.saveFile(
+      file,
+      ownerId,
+      folder ? folder.id : null,
+      session.metadata,
+      session.userId,
+      { reservation }
+    );
+
+    session.status = 'completed';
+    session.completedAt = new Date();
+    session.fileId = savedFile.id;
+    await session.save();
+    this.pushProgress(session);
+    await quotaService.releaseSession(session.id);
+    await this.discardChunks(session);
+
+    return savedFile;
+  }
+
+  // Cancel an upload and drop any stored chunks
+  async abortSession(session) {
+    session.status = 'aborted';
+    await session.save();
+    await quotaService.releaseSession(session.id);
+    await this.discardChunks(session);
+  }
+
+  // Mark abandoned sessions as expired and free their chunk storage
+  async expireSessions() {
+    const sessions = await UploadSession.findAll({
+      where: { status: 'active', expiresAt: { [Op.lt]: new Date() } }
+    });
+
+    for (const session of sessions) {
+      session.status = 'expired';
+      await session.save();
+      await quotaService.releaseSession(session.id);
+      await this.discardChunks(session);
+    }
+
+    return sessions.length;
+  }
+
+  // Delete every chunk slot; chunks that never arrived are simply skipped
+  async discardChunks(session) {
+    for (let i = 0; i < session.totalChunks; i++) {
+      try {
+        await storage.delete(this.getChunkKey(session.id, i));
+      } catch (error) {
+        console.error('Error deleting upload chunk:', error);
+      }
+    }
+  }
+
+  getChunkKey(sessionId, index) {
+    return `chunks/${sessionId}/${index}`;
+  }
+}
+
+module.exports = new UploadService();
@@ -0,0 +1,257 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const { Op } = require('sequelize');
+const { User, WebAuthnCredential, WebAuthnChallenge, Log } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+// Registration and authentication ceremonies for passkeys and security keys.
+// Each ceremony starts with options holding a stored challenge; the browser's
+// response is checked against it and the challenge is then thrown away.
+class WebAuthnService {
+  constructor() {
+    this.origin = process.env.WEBAUTHN_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.rpID = process.env.WEBAUTHN_RP_ID || new URL(this.origin).hostname;
+    this.rpName = process.env.WEBAUTHN_RP_NAME || 'ShareVault';
+    this.challengeTTL = 5 * 60 * 1000;
+    this.maxPerUser = 20;
+  }
+
+  async createChallenge(purpose, challenge, userId = null) {
+    return await WebAuthnChallenge.create({
+      userId,
+      purpose,
+      challenge,
+      expiresAt: new Date(Date.now() + this.challengeTTL)
+    });
+  }
+
+  // Take a challenge out of circulation. Only the request that deletes it may
+  // use it, so a response can't be replayed.
+  async consumeChallenge(id, purpose) {
+    const challenge = await WebAuthnChallenge.findOne({ where: { id, purpose } });
+    if (!challenge) return null;
+
+    const deleted = await WebAuthnChallenge.destroy({ where: { id } });
+    if (!deleted || new Date(challenge.expiresAt) <= new Date()) return null;
+
+    return challenge;
+  }
+
+  toWebAuthnCredential(credential) {
+    return {
+      id: credential.credentialId,
+      publicKey: isoBase64URL.toBuffer(credential.publicKey),
+      counter: Number(credential.counter),
+      transports: credential.transports
+    };
+  }
+
+  async registrationOptions(user) {
+    const credentials = await this.list(user.id);
+    if (credentials.length >= this.maxPerUser) {
+      throw new AppError(`You can register at most ${this.maxPerUser} passkeys and security keys`, 400);
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userName: user.email,
+      userDisplayName: user.name,
+      userID: isoUint8Array.fromUTF8String(user.id),
+      excludeCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+    });
+
+    const challenge = await this.createChallenge('registration', options.challenge, user.id);
+    return { challengeId: challenge.id, options };
+  }
+
+  async register(user, { challengeId, response, name, passwordless = true }, req) {
+    const challenge = await this.consumeChallenge(challengeId, 'registration');
+    if (!challenge || challenge.userId !== user.id) {
+      throw new AppError('Registration challenge is invalid or has expired', 400);
+    }
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: this.origin,
+        expectedRPID: this.rpID,
+        requireUserVerification: false
+      });
+    } catch (error) {
+      throw new AppError(`Registration could not be verified: ${error.message}`, 400);
+    }
+
+    if (!verification.verified) {
+      throw new AppError('Registration could not be verified', 400);
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+    if (await WebAuthnCredential.count({ where: { credentialId: credential.id } })) {
+      throw new AppError('This authenticator is already registered', 409);
+    }
+
+    const saved = await WebAuthnCredential.create({
+      userId: user.id,
+      name: name || 'Passkey',
+      credentialId: credential.id,
+      publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      passwordless
+    });
+
+    await Log.create({
+      userId: user.id,
+      action: 'webauthn_register',
+      description: `Registered ${passwordless ? 'passkey' : 'security key'} "${saved.name}"`,
+      category: 'security',
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      resourceId: saved.id
+    });
+
+    return saved;
+  }
+
+  // Options for signing in or confirming 2FA. Without a user the browser offers
+  // whichever discoverable passkey the person picks.
+  async authenticationOptions(user = null) {
+    const credentials = user ? await this.list(user.id) : [];
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      userVerification: 'preferred'
+    });
+
+    const challenge = await this.createChallenge('authentication', options.challenge, user ? user.id : null);
+    return { challengeId: challenge.id, options };
+  }
+
+  // Check an assertion. Returns the credential used, with its user, or null.
+  // Passwordless sign-ins need a passwordless credential and a verified user
+  // (PIN or biometric); as a second factor presence is enough.
+  async authenticate({ challengeId, response }, { userId = null, passwordless = false } = {}) {
+    const challenge = await this.consumeChallenge(challengeId, 'authentication');
+    if (!challenge || !response || !response.id) return null;
+
+    const expectedUserId = userId || challenge.userId;
+    if (userId && challenge.userId && challenge.userId !== userId) return null;
+
+    const credential = await WebAuthnCredential.findOne({
+      where: { credentialId: response.id },
+      include: [{ model: User, as: 'user' }]
+    });
+    if (!credential || !credential.user) return null;
+    if (expectedUserId && credential.userId !== expectedUserId) return null;
+    if (passwordless && !credential.passwordless) return null;
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge: challenge.challenge,
+        expectedOrigin: this.origin,
+        expectedRPID: this.rpID,
+        credential: this.toWebAuthnCredential(credential),
+        requireUserVerification: passwordless
+      });
+    } catch (error) {
+      // Includes a sign counter going backwards, a sign of a cloned authenticator
+      console.error(`WebAuthn assertion for credential ${credential.id} rejected:`, error.message);
+      return null;
+    }
+
+    if (!verification.verified) return null;
+
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.backedUp = verification.authenticationInfo.credentialBackedUp;
+    credential.lastUsedAt = new Date();
+    await credential.save();
+
+    return credential;
+  }
+
+  async list(userId) {
+    return await WebAuthnCredential.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  async count(userId) {
+    return await WebAuthnCredential.count({ where: { userId } });
+  }
+
+  async update(userId, id, { name, passwordless }) {
+    const credential = await WebAuthnCredential.findOne({ where: { id, userId } });
+    if (!credential) {
+      throw new AppError('Credential not found', 404);
+    }
+
+    if (name !== undefined) credential.name = name;
+    if (passwordless !== undefined) credential.passwordless = passwordless;
+    await credential.save();
+
+    return credential;
+  }
+
+  async remove(userId, id, req) {
+    const credential = await WebAuthnCredential.findOne({ where: { id, userId } });
+    if (!credential) {
+      throw new AppError('Credential not found', 404);
+    }
+
+    await credential.destroy();
+
+    await Log.create({
+      userId,
+      action: 'webauthn_remove',
+      description: `Removed passkey "${credential.name}"`,
+      category: 'security',
+      severity: 'medium',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      resourceId: credential.id
+    });
+
+    return credential;
+  }
+
+  async purgeChallenges() {
+    return await WebAuthnChallenge.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+  }
+
+  format(credential) {
+    return {
+      id: credential.id,
+      name: credential.name,
+      passwordless: credential.passwordless,
+      deviceType: credential.deviceType,
+      backedUp: credential.backedUp,
+      transports: credential.transports,
+      lastUsedAt: credential.lastUsedAt,
+      createdAt: credential.createdAt
+    };
+  }
+}
+
+module.exports = new WebAuthnService();
@@ -0,0 +1,106 @@
+jest.mock('../models', () => ({
+  User: {},
+  PersonalAccessToken: { count: jest.fn(), create: jest.fn(), findOne: jest.fn(), update: jest.fn() },
+  Log: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+const { PersonalAccessToken } = require('../models');
+const accessTokenService = require('../services/accessTokenService');
+const { authenticateJWT, requireScope } = require('../middleware/auth');
+
+const createRequest = (token) => ({
+  ip: '203.0.113.7',
+  get: (header) => (header === 'Authorization' ? `Bearer ${token}` : 'curl/8.0')
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createStoredToken = (values) => ({
+  id: 'token-1',
+  scopes: ['files:read'],
+  lastUsedAt: null,
+  user: { id: 'user-1', role: 'user', isActive: true },
+  isExpired() { return false; },
+  ...values
+});
+
+// Run the middleware chain a route would, stopping at the first response
+const run = async (middlewares, req, res) => {
+  for (const middleware of middlewares) {
+    const next = jest.fn();
+    await new Promise((resolve) => {
+      res.json.mockImplementation(() => { resolve(); return res; });
+      middleware(req, res, (...args) => { next(...args); resolve(); });
+    });
+    if (!next.mock.calls.length) return false;
+  }
+  return true;
+};
+
+describe('Personal access tokens', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PersonalAccessToken.count.mockResolvedValue(0);
+    PersonalAccessToken.create.mockImplementation(async values => ({ id: 'token-1', ...values }));
+  });
+
+  it('stores only a hash of the token', async () => {
+    const user = { id: 'user-1', role: 'user' };
+    const { token } = await accessTokenService.create(user, { name: 'CI', scopes: ['files:read'] }, createRequest());
+
+    expect(token.startsWith('svp_')).toBe(true);
+    const values = PersonalAccessToken.create.mock.calls[0][0];
+    expect(values.tokenHash).toBe(accessTokenService.hashToken(token));
+    expect(Object.values(values)).not.toContain(token);
+  });
+
+  it('only lets admins grant admin scopes', async () => {
+    await expect(accessTokenService.create(
+      { id: 'user-1', role: 'user' }, { name: 'CI', scopes: ['admin:read'] }, createRequest()
+    )).rejects.toMatchObject({ statusCode: 403 });
+    expect(PersonalAccessToken.create).not.toHaveBeenCalled();
+  });
+
+  it('accepts a token carrying the scopes the route declared', async () => {
+    PersonalAccessToken.findOne.mockResolvedValue(createStoredToken());
+    const req = createRequest('svp_valid');
+    const res = createResponse();
+
+    expect(await run([requireScope('files:read'), authenticateJWT], req, res)).toBe(true);
+    expect(req.user.id).toBe('user-1');
+    expect(PersonalAccessToken.update).toHaveBeenCalledWith(
+      expect.objectContaining({ lastUsedIp: '203.0.113.7' }),
+      { where: { id: 'token-1' } }
+    );
+  });
+
+  it('rejects a token missing a required scope', async () => {
+    PersonalAccessToken.findOne.mockResolvedValue(createStoredToken());
+    const res = createResponse();
+
+    expect(await run([requireScope('files:write'), authenticateJWT], createRequest('svp_valid'), res)).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiredScopes: ['files:write'] }));
+  });
+
+  it('rejects tokens on routes that declare no scopes', async () => {
+    PersonalAccessToken.findOne.mockResolvedValue(createStoredToken());
+    const res = createResponse();
+
+    expect(await run([authenticateJWT], createRequest('svp_valid'), res)).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('rejects expired tokens', async () => {
+    PersonalAccessToken.findOne.mockResolvedValue(createStoredToken({ isExpired: () => true }));
+    const res = createResponse();
+
+    expect(await run([requireScope('files:read'), authenticateJWT], createRequest('svp_old'), res)).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -10,12 +10,32 @@ jest.mock('../models', () => ({
   },
   Log: {
     create: jest.fn().mockResolvedValue(true)
+  },
+  DeviceSession: {
+    create: jest.fn(async (values) => ({ id: 'session-1', ...values }))
+  },
+  RefreshToken: {
+    create: jest.fn().mockResolvedValue(true)
+  },
+  WebAuthnCredential: {
+    count: jest.fn().mockResolvedValue(0)
+  },
+  AuthThrottle: {
+    findAll: jest.fn().mockResolvedValue([]),
+    findOrCreate: jest.fn(async ({ where }) => [{ id: 'throttle-1', ...where, failures: 1, lockouts: 0, reload: jest.fn(), save: jest.fn() }]),
+    update: jest.fn().mockResolvedValue([0]),
+    increment: jest.fn().mockResolvedValue(true),
+    destroy: jest.fn().mockResolvedValue(0)
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
   }
 }));
 
 // Mock the email service
 jest.mock('../services/emailService', () => ({
   sendVerificationEmail: jest.fn().mockResolvedValue(true),
+  sendPasswordResetEmail: jest.fn().mockResolvedValue(true),
   generateToken: jest.fn().mockReturnValue('mock-token')
 }));
 
@@ -24,7 +44,8 @@ jest.mock('jsonwebtoken', () => ({
   sign: jest.fn().mockReturnValue('mock-jwt-token')
 }));
 
-const { User, Log } = require('../models');
+const { User, Log, AuthThrottle } = require('../models');
+const emailService = require('../services/emailService');
 const jwt = require('jsonwebtoken');
 
 describe('Authentication', () => {
@@ -113,11 +134,12 @@ describe('Authentication', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body).toHaveProperty('token');
+      expect(response.body.refreshToken).toEqual(expect.any(String));
       expect(mockUser.comparePassword).toHaveBeenCalledWith('password123');
       expect(jwt.sign).toHaveBeenCalledWith(
-        { id: '123', email: 'test@example.com' },
+        { id: '123', email: 'test@example.com', sid: 'session-1' },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
+        { expiresIn: '15m' }
       );
     });
 
@@ -143,6 +165,44 @@ describe('Authentication', () => {
       expect(mockUser.comparePassword).toHaveBeenCalledWith('wrongpassword');
     });
   });
+
+  describe('POST /api/auth/forgot-password', () => {
+    const createUser = (values) => ({
+      id: '123',
+      email: 'test@example.com',
+      save: jest.fn().mockResolvedValue(true),
+      ...values
+    });
+
+    const forgot = () => request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' });
+
+    it('does not count a request when no reset email went out recently', async () => {
+      const user = createUser({ resetPasswordExpires: new Date(Date.now() + 30 * 60 * 1000) });
+      User.findOne.mockResolvedValue(user);
+
+      const response = await forgot();
+
+      expect(response.status).toBe(200);
+      expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith(user, 'mock-token');
+      expect(AuthThrottle.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('counts a request made moments after the last reset email', async () => {
+      User.findOne.mockResolvedValue(createUser({ resetPasswordExpires: new Date(Date.now() + 59 * 60 * 1000) }));
+
+      expect((await forgot()).status).toBe(200);
+      expect(AuthThrottle.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { scope: 'password_reset', kind: 'account', subject: 'test@example.com' }
+      }));
+    });
+
+    it('counts requests for unknown addresses', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      expect((await forgot()).status).toBe(404);
+      expect(AuthThrottle.findOrCreate).toHaveBeenCalled();
+    });
+  });
 });
 
 describe('Health Check', () => {
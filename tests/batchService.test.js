@@ -0,0 +1,79 @@
+jest.mock('../models', () => ({
+  ShareLink: {
+    create: jest.fn()
+  },
+  Log: {
+    create: jest.fn().mockResolvedValue(true)
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+jest.mock('../services/permissionService', () => ({
+  getFile: jest.fn(),
+  getFolder: jest.fn()
+}));
+
+const { Log } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const permissionService = require('../services/permissionService');
+const batchService = require('../services/batchService');
+
+const user = { id: 'user-1' };
+
+const createFile = (id, tags = []) => ({
+  id,
+  tags,
+  save: jest.fn().mockResolvedValue(true)
+});
+
+describe('BatchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reports each item, carrying on past ones that fail', async () => {
+    const files = { 'file-1': createFile('file-1', ['old']), 'file-2': createFile('file-2') };
+    permissionService.getFile.mockImplementation(async (_, id) => {
+      if (!files[id]) throw new AppError('File not found', 404);
+      return files[id];
+    });
+
+    const { summary, results } = await batchService.run(user, [
+      { action: 'addTags', files: ['file-1', 'missing', 'file-2'], folders: ['folder-1'], tags: ['q3', 'old'] }
+    ]);
+
+    expect(summary).toEqual({ total: 4, succeeded: 2, failed: 2 });
+    expect(results).toEqual([
+      { operation: 0, action: 'addTags', type: 'file', id: 'file-1', success: true, tags: ['old', 'q3'] },
+      { operation: 0, action: 'addTags', type: 'file', id: 'missing', success: false, status: 404, error: 'File not found' },
+      { operation: 0, action: 'addTags', type: 'file', id: 'file-2', success: true, tags: ['q3', 'old'] },
+      { operation: 0, action: 'addTags', type: 'folder', id: 'folder-1', success: false, status: 400, error: 'addTags only applies to files' }
+    ]);
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'batch_operation' }));
+  });
+
+  it('fails every item of a grouped change when one of them can\'t be saved', async () => {
+    const saved = createFile('file-1');
+    const broken = createFile('file-2');
+    broken.save.mockRejectedValue(new Error('connection lost'));
+    permissionService.getFile.mockImplementation(async (_, id) => (id === 'file-1' ? saved : broken));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { summary, results } = await batchService.run(user, [
+      { action: 'setPublic', files: ['file-1', 'file-2'], isPublic: true }
+    ]);
+
+    expect(summary.failed).toBe(2);
+    expect(results.map(result => result.error)).toEqual(['Server Error', 'Server Error']);
+    console.error.mockRestore();
+  });
+
+  it('counts the items across operations', () => {
+    expect(batchService.countItems([
+      { action: 'delete', files: ['a', 'b'] },
+      { action: 'move', folders: ['c'], files: [] }
+    ])).toBe(3);
+  });
+});
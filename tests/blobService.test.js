@@ -0,0 +1,105 @@
+jest.mock('../models', () => ({
+  Blob: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    increment: jest.fn().mockResolvedValue(true)
+  },
+  File: {},
+  sequelize: {
+    transaction: jest.fn((options, callback) => callback(options.transaction))
+  }
+}));
+
+const { Blob } = require('../models');
+const { storage } = require('../services/storage');
+const blobService = require('../services/blobService');
+
+// Enough of a Sequelize transaction to collect commit callbacks
+const createTransaction = () => {
+  const callbacks = [];
+  return {
+    LOCK: { UPDATE: 'UPDATE' },
+    afterCommit: (callback) => callbacks.push(callback),
+    commit: async () => {
+      for (const callback of callbacks) await callback();
+    }
+  };
+};
+
+const createBlob = (values) => ({
+  id: 'blob-1',
+  checksum: 'abc',
+  size: 5,
+  path: 'uploads/original',
+  isEncrypted: false,
+  encryptionKey: null,
+  refCount: 1,
+  save: jest.fn().mockResolvedValue(true),
+  destroy: jest.fn().mockResolvedValue(true),
+  ...values
+});
+
+describe('BlobService', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storage.clear();
+    await storage.put('uploads/original', Buffer.from('hello'));
+  });
+
+  it('stores new contents as a blob with one reference', async () => {
+    Blob.findOne.mockResolvedValue(null);
+    Blob.create.mockImplementation(async (values) => createBlob({ id: 'blob-2', ...values }));
+    const transaction = createTransaction();
+
+    const blob = await blobService.acquire({ checksum: 'def', size: 3, path: 'uploads/new' }, transaction);
+
+    expect(blob).toMatchObject({ checksum: 'def', path: 'uploads/new', refCount: 1 });
+    expect(blobService.attach(blob)).toEqual({
+      blobId: 'blob-2',
+      path: 'uploads/new',
+      checksum: 'def',
+      isEncrypted: false,
+      encryptionKey: null
+    });
+  });
+
+  it('shares existing contents and drops the duplicate upload after commit', async () => {
+    const existing = createBlob({ refCount: 2 });
+    Blob.findOne.mockResolvedValue(existing);
+    await storage.put('uploads/duplicate', Buffer.from('hello'));
+    const transaction = createTransaction();
+
+    const blob = await blobService.acquire({ checksum: 'abc', size: 5, path: 'uploads/duplicate' }, transaction);
+
+    expect(blob).toBe(existing);
+    expect(existing.refCount).toBe(3);
+    expect(Blob.create).not.toHaveBeenCalled();
+    expect(await storage.exists('uploads/duplicate')).toBe(true);
+
+    await transaction.commit();
+    expect(await storage.exists('uploads/duplicate')).toBe(false);
+    expect(await storage.exists('uploads/original')).toBe(true);
+  });
+
+  it('keeps the stored object until the last reference is released', async () => {
+    const blob = createBlob({ refCount: 2 });
+    Blob.findByPk.mockResolvedValue(blob);
+
+    let transaction = createTransaction();
+    await blobService.release(blob.id, transaction);
+    await transaction.commit();
+
+    expect(blob.refCount).toBe(1);
+    expect(blob.destroy).not.toHaveBeenCalled();
+    expect(await storage.exists('uploads/original')).toBe(true);
+
+    transaction = createTransaction();
+    await blobService.release(blob.id, transaction);
+    expect(blob.destroy).toHaveBeenCalled();
+    expect(await storage.exists('uploads/original')).toBe(true);
+
+    await transaction.commit();
+    expect(await storage.exists('uploads/original')).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => ({
+  AuthThrottle: {
+    findAll: jest.fn(),
+    findOrCreate: jest.fn(),
+    update: jest.fn(),
+    increment: jest.fn(),
+    destroy: jest.fn()
+  },
+  User: { findByPk: jest.fn() },
+  Log: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+jest.mock('../services/emailService', () => ({
+  queue: jest.fn().mockResolvedValue(true)
+}));
+
+const { AuthThrottle, User, Log } = require('../models');
+const emailService = require('../services/emailService');
+const bruteForceService = require('../services/bruteForceService');
+
+const createRequest = (ip = '203.0.113.7') => ({ ip, get: () => 'Mozilla/5.0' });
+
+// Enough of Sequelize's where clauses for the service: equality, Op.lt, Op.gt,
+// Op.gte and Op.or
+const matches = (row, where) => Object.keys(where).concat(Object.getOwnPropertySymbols(where)).every(key => {
+  const condition = where[key];
+  if (key === Op.or) return condition.some(option => matches(row, option));
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (Op.lt in condition) return row[key] !== null && row[key] < condition[Op.lt];
+    if (Op.gt in condition) return row[key] !== null && row[key] > condition[Op.gt];
+    if (Op.gte in condition) return row[key] >= condition[Op.gte];
+  }
+  return row[key] === condition;
+});
+
+describe('BruteForceService', () => {
+  let rows;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows = [];
+
+    AuthThrottle.findAll.mockImplementation(async ({ where }) => rows.filter(row => matches(row, where)));
+    AuthThrottle.findOrCreate.mockImplementation(async ({ where, defaults }) => {
+      let row = rows.find(candidate => matches(candidate, where));
+      if (!row) {
+        row = {
+          id: `throttle-${rows.length + 1}`,
+          ...where,
+          ...defaults,
+          failures: 0,
+          lockouts: 0,
+          lastFailureAt: null,
+          blockedUntil: null,
+          lockedUntil: null,
+          reload: jest.fn(),
+          save: jest.fn(),
+          isLocked() { return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date(); }
+        };
+        rows.push(row);
+      }
+      return [row, true];
+    });
+    AuthThrottle.update.mockImplementation(async (values, { where }) => {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, values));
+      return [matched.length];
+    });
+    AuthThrottle.increment.mockImplementation(async (field, { where }) => {
+      rows.filter(row => matches(row, where)).forEach(row => { row[field]++; });
+    });
+    AuthThrottle.destroy.mockImplementation(async ({ where }) => {
+      const before = rows.length;
+      rows = rows.filter(row => !matches(row, where));
+      return before - rows.length;
+    });
+    User.findByPk.mockResolvedValue({ email: 'a@example.com', name: 'Alice' });
+  });
+
+  const failTimes = async (count, scope = 'login', key = 'a@example.com', req = createRequest()) => {
+    for (let i = 0; i < count; i++) {
+      await bruteForceService.fail(scope, key, req, { userId: 'user-1' });
+    }
+  };
+
+  it('allows a few free attempts, then doubles the delay after each failure', async () => {
+    await failTimes(3);
+    expect(await bruteForceService.check('login', 'a@example.com', '203.0.113.7')).toBeNull();
+
+    await failTimes(1);
+    expect(await bruteForceService.check('login', 'a@example.com', '203.0.113.7')).toEqual({ retryAfter: 1, locked: false });
+
+    await failTimes(2);
+    expect(await bruteForceService.check('login', 'a@example.com', '203.0.113.7')).toEqual({ retryAfter: 4, locked: false });
+  });
+
+  it('locks the account out, logs it at high severity and alerts the owner', async () => {
+    await failTimes(10);
+
+    const result = await bruteForceService.check('login', 'a@example.com', '198.51.100.1');
+    expect(result.locked).toBe(true);
+    expect(result.retryAfter).toBe(bruteForceService.lockoutDuration / 1000);
+
+    expect(Log.create).toHaveBeenCalledTimes(1);
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      action: 'account_lockout',
+      severity: 'high'
+    }));
+    expect(emailService.queue).toHaveBeenCalledWith(
+      'sendLockoutAlert',
+      { email: 'a@example.com', name: 'Alice' },
+      expect.objectContaining({ scope: 'login', ipAddress: '203.0.113.7' })
+    );
+  });
+
+  it('makes each further lockout last twice as long', async () => {
+    await failTimes(10);
+    rows.find(row => row.kind === 'account').lockedUntil = new Date(Date.now() - 1000);
+    await failTimes(10, 'login', 'a@example.com', createRequest('198.51.100.1'));
+
+    const { retryAfter } = await bruteForceService.check('login', 'a@example.com', '192.0.2.1');
+    expect(retryAfter).toBe(2 * bruteForceService.lockoutDuration / 1000);
+  });
+
+  it('slows down an IP guessing at many accounts', async () => {
+    for (let i = 0; i < 11; i++) {
+      await bruteForceService.fail('login', `user${i}@example.com`, createRequest());
+    }
+
+    expect(await bruteForceService.check('login', 'new@example.com', '203.0.113.7')).toEqual({ retryAfter: 1, locked: false });
+    expect(await bruteForceService.check('login', 'new@example.com', '198.51.100.1')).toBeNull();
+  });
+
+  it('clears the account on success but not the IP', async () => {
+    await failTimes(5);
+
+    await bruteForceService.succeed('login', 'a@example.com');
+
+    expect(rows.map(row => row.kind)).toEqual(['ip']);
+    expect(rows[0].failures).toBe(5);
+  });
+
+  it('keeps scopes apart', async () => {
+    await failTimes(10, 'share_password', 'share-token');
+
+    expect(await bruteForceService.check('share_password', 'share-token', '198.51.100.1')).toMatchObject({ locked: true });
+    expect(await bruteForceService.check('login', 'share-token', '198.51.100.1')).toBeNull();
+  });
+});
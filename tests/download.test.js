@@ -0,0 +1,133 @@
+jest.mock('../services/fileService', () => ({ getFileStream: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+const fileService = require('../services/fileService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const DownloadUtil = require('../utils/download');
+
+const data = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const file = {
+  id: 'file-1',
+  size: data.length,
+  checksum: 'c0ffee',
+  metadata: { uploadDate: '2024-01-15T10:00:00.000Z' }
+};
+const lastModified = new Date(file.metadata.uploadDate).toUTCString();
+
+// The same steps as the download routes
+const app = express();
+app.all('/download', asyncHandler(async (req, res) => {
+  res.setHeader('Content-Type', 'text/plain');
+  const download = DownloadUtil.prepare(req, res, file);
+  res.setHeader('X-New-Download', String(download.isNewDownload));
+  await DownloadUtil.send(req, res, file, download);
+}));
+
+// Keep the body as raw bytes whatever its type
+const raw = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const download = (headers = {}) => request(app).get('/download').set(headers).buffer(true).parse(raw);
+
+describe('DownloadUtil', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileService.getFileStream.mockImplementation(async (id, range) => Readable.from([
+      range ? data.subarray(range.start, range.end + 1) : data
+    ]));
+  });
+
+  it('sends the whole file with validators when no range is asked for', async () => {
+    const res = await download();
+
+    expect(res.status).toBe(200);
+    expect(res.body.equals(data)).toBe(true);
+    expect(res.headers).toMatchObject({
+      'accept-ranges': 'bytes',
+      etag: '"c0ffee"',
+      'last-modified': lastModified,
+      'content-length': String(data.length),
+      'x-new-download': 'true'
+    });
+  });
+
+  it('answers a single range with 206 and Content-Range', async () => {
+    const res = await download({ Range: 'bytes=10-19' });
+
+    expect(res.status).toBe(206);
+    expect(res.body.toString()).toBe('abcdefghij');
+    expect(res.headers['content-range']).toBe(`bytes 10-19/${data.length}`);
+    expect(res.headers['content-length']).toBe('10');
+    expect(fileService.getFileStream).toHaveBeenCalledWith('file-1', { start: 10, end: 19 });
+    expect(res.headers['x-new-download']).toBe('false');
+  });
+
+  it('supports suffix and open-ended ranges', async () => {
+    expect((await download({ Range: 'bytes=-4' })).body.toString()).toBe('wxyz');
+    expect((await download({ Range: 'bytes=30-' })).body.toString()).toBe('uvwxyz');
+  });
+
+  it('refuses unsatisfiable ranges with 416', async () => {
+    const res = await download({ Range: 'bytes=100-200' });
+
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe(`bytes */${data.length}`);
+    expect(fileService.getFileStream).not.toHaveBeenCalled();
+  });
+
+  it('answers 304 when the client copy is current', async () => {
+    expect((await download({ 'If-None-Match': '"c0ffee"' })).status).toBe(304);
+    expect((await download({ 'If-Modified-Since': lastModified })).status).toBe(304);
+    expect((await download({ 'If-None-Match': '"stale"' })).status).toBe(200);
+    expect(fileService.getFileStream).toHaveBeenCalledTimes(1);
+  });
+
+  it('honours a range only while If-Range still matches', async () => {
+    expect((await download({ Range: 'bytes=0-3', 'If-Range': '"c0ffee"' })).status).toBe(206);
+    expect((await download({ Range: 'bytes=0-3', 'If-Range': lastModified })).status).toBe(206);
+
+    const stale = await download({ Range: 'bytes=0-3', 'If-Range': '"stale"' });
+    expect(stale.status).toBe(200);
+    expect(stale.body.equals(data)).toBe(true);
+
+    expect((await download({ Range: 'bytes=0-3', 'If-Range': 'Mon, 01 Jan 2024 00:00:00 GMT' })).status).toBe(200);
+  });
+
+  it('sends several ranges as multipart/byteranges', async () => {
+    const res = await download({ Range: 'bytes=0-2,10-12' });
+
+    expect(res.status).toBe(206);
+    const [, boundary] = res.headers['content-type'].match(/^multipart\/byteranges; boundary=(\w+)$/);
+    expect(res.headers['content-length']).toBe(String(res.body.length));
+    expect(res.body.toString()).toBe(
+      `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-2/${data.length}\r\n\r\n012` +
+      `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 10-12/${data.length}\r\n\r\nabc` +
+      `\r\n--${boundary}--\r\n`
+    );
+  });
+
+  it('sends only headers for HEAD', async () => {
+    const res = await request(app).head('/download').set('Range', 'bytes=5-9');
+
+    expect(res.status).toBe(206);
+    expect(res.headers['content-length']).toBe('5');
+    expect(fileService.getFileStream).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['whole file', {}],
+    ['range', { Range: 'bytes=2-30' }]
+  ])('cuts the connection when storage fails mid-stream (%s)', async (name, headers) => {
+    fileService.getFileStream.mockImplementation(async () => Readable.from((async function* () {
+      yield data.subarray(0, 2);
+      throw new Error('Encrypted file failed integrity check');
+    })()));
+
+    await expect(download(headers)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const EncryptionUtil = require('../utils/encryption');
+
+const { SEGMENT_SIZE } = EncryptionUtil;
+const TAG_LENGTH = 16;
+const STRIDE = SEGMENT_SIZE + TAG_LENGTH;
+
+// Push `input` through a transform in uneven pieces, as storage streams arrive
+const run = async (transform, input, pieceSize = 10007) => {
+  const pieces = [];
+  for (let i = 0; i < input.length; i += pieceSize) pieces.push(input.subarray(i, i + pieceSize));
+
+  const output = [];
+  await pipeline(Readable.from(pieces), transform, new Writable({
+    write(chunk, encoding, done) {
+      output.push(chunk);
+      done();
+    }
+  }));
+  return Buffer.concat(output);
+};
+
+const encrypt = (dataKey, plaintext) => run(EncryptionUtil.createEncryptStream(dataKey), plaintext);
+const decrypt = (dataKey, ciphertext, size, start, end) =>
+  run(EncryptionUtil.createDecryptStream(dataKey, size, start, end), ciphertext);
+
+describe('EncryptionUtil', () => {
+  const dataKey = crypto.randomBytes(32);
+
+  describe('segmented file encryption', () => {
+    it.each([
+      ['empty', 0],
+      ['one byte', 1],
+      ['one byte short of a segment', SEGMENT_SIZE - 1],
+      ['exactly one segment', SEGMENT_SIZE],
+      ['one byte over a segment', SEGMENT_SIZE + 1],
+      ['several segments', 3 * SEGMENT_SIZE + 123]
+    ])('round-trips %s', async (name, size) => {
+      const plaintext = crypto.randomBytes(size);
+
+      const ciphertext = await encrypt(dataKey, plaintext);
+
+      expect(ciphertext.length).toBe(EncryptionUtil.encryptedSize(size));
+      expect(ciphertext.length).toBe(size + EncryptionUtil.segmentCount(size) * TAG_LENGTH);
+      expect((await decrypt(dataKey, ciphertext, size)).equals(plaintext)).toBe(true);
+    });
+
+    it('gives equal plaintext different ciphertext per key and per segment', async () => {
+      const plaintext = Buffer.alloc(SEGMENT_SIZE * 2);
+
+      const first = await encrypt(dataKey, plaintext);
+      const second = await encrypt(crypto.randomBytes(32), plaintext);
+
+      expect(first.subarray(0, 32).equals(second.subarray(0, 32))).toBe(false);
+      expect(first.subarray(0, 32).equals(first.subarray(STRIDE, STRIDE + 32))).toBe(false);
+    });
+  });
+
+  describe('ranged decryption', () => {
+    const size = 3 * SEGMENT_SIZE + 100;
+    const plaintext = crypto.randomBytes(size);
+    let ciphertext;
+
+    beforeAll(async () => {
+      ciphertext = await encrypt(dataKey, plaintext);
+    });
+
+    it.each([
+      ['the first byte', 0, 0],
+      ['the last byte', size - 1, size - 1],
+      ['a range inside one segment', 100, 200],
+      ['a range ending on a segment boundary', 10, SEGMENT_SIZE - 1],
+      ['a range starting on a segment boundary', SEGMENT_SIZE, SEGMENT_SIZE + 9],
+      ['a range across one boundary', SEGMENT_SIZE - 10, SEGMENT_SIZE + 10],
+      ['a range across several boundaries into the short final segment', 10, size - 10]
+    ])('decrypts %s from just the segments that cover it', async (name, start, end) => {
+      const range = EncryptionUtil.getEncryptedRange(size, start, end);
+      expect(range.start).toBe(range.first * STRIDE);
+      expect(range.end).toBe(Math.min((range.last + 1) * STRIDE, ciphertext.length) - 1);
+
+      const stored = ciphertext.subarray(range.start, range.end + 1);
+      const output = await decrypt(dataKey, stored, size, start, end);
+
+      expect(output.equals(plaintext.subarray(start, end + 1))).toBe(true);
+    });
+  });
+
+  describe('integrity', () => {
+    const size = 2 * SEGMENT_SIZE + 500;
+    const plaintext = crypto.randomBytes(size);
+    let ciphertext;
+
+    beforeAll(async () => {
+      ciphertext = await encrypt(dataKey, plaintext);
+    });
+
+    const rejects = promise => expect(promise).rejects.toThrow('Encrypted file failed integrity check');
+
+    it('rejects a flipped bit in any segment', async () => {
+      for (const offset of [0, STRIDE + 5, ciphertext.length - 1]) {
+        const tampered = Buffer.from(ciphertext);
+        tampered[offset] ^= 1;
+        await rejects(decrypt(dataKey, tampered, size));
+      }
+    });
+
+    it('rejects a file cut short, even on a segment boundary', async () => {
+      await rejects(decrypt(dataKey, ciphertext.subarray(0, ciphertext.length - 1), size));
+      await rejects(decrypt(dataKey, ciphertext.subarray(0, 2 * STRIDE), size));
+      // Passing the cut length as the size still fails: the last segment kept isn't flagged final
+      await rejects(decrypt(dataKey, ciphertext.subarray(0, 2 * STRIDE), 2 * SEGMENT_SIZE));
+    });
+
+    it('rejects reordered segments', async () => {
+      const reordered = Buffer.concat([
+        ciphertext.subarray(STRIDE, 2 * STRIDE),
+        ciphertext.subarray(0, STRIDE),
+        ciphertext.subarray(2 * STRIDE)
+      ]);
+
+      await rejects(decrypt(dataKey, reordered, size));
+    });
+
+    it('rejects a segment served for another position in a range request', async () => {
+      // Bytes from segment 0 where the range needs segment 1
+      await rejects(decrypt(dataKey, ciphertext.subarray(0, STRIDE), size, SEGMENT_SIZE, SEGMENT_SIZE + 10));
+    });
+
+    it('rejects the wrong data key', async () => {
+      await rejects(decrypt(crypto.randomBytes(32), ciphertext, size));
+    });
+  });
+
+  describe('data key wrapping', () => {
+    const keyA = crypto.randomBytes(32).toString('base64');
+    const keyB = crypto.randomBytes(32).toString('base64');
+
+    afterEach(() => {
+      delete process.env.ENCRYPTION_MASTER_KEYS;
+      delete process.env.ENCRYPTION_MASTER_KEY_ID;
+      EncryptionUtil.resetMasterKeys();
+    });
+
+    it('unwraps keys wrapped under a retired master key and rewraps them under the current one', () => {
+      process.env.ENCRYPTION_MASTER_KEYS = `a:${keyA}`;
+      EncryptionUtil.resetMasterKeys();
+      const { dataKey: key, wrappedKey } = EncryptionUtil.generateDataKey();
+      expect(EncryptionUtil.getKeyId(wrappedKey)).toBe('a');
+
+      process.env.ENCRYPTION_MASTER_KEYS = `a:${keyA},b:${keyB}`;
+      EncryptionUtil.resetMasterKeys();
+
+      expect(EncryptionUtil.unwrapDataKey(wrappedKey).equals(key)).toBe(true);
+      const rewrapped = EncryptionUtil.rewrapDataKey(wrappedKey);
+      expect(EncryptionUtil.getKeyId(rewrapped)).toBe('b');
+      expect(EncryptionUtil.unwrapDataKey(rewrapped).equals(key)).toBe(true);
+    });
+
+    it('rejects a wrapped key relabelled with another master key id', () => {
+      process.env.ENCRYPTION_MASTER_KEYS = `a:${keyA},b:${keyB}`;
+      EncryptionUtil.resetMasterKeys();
+      const { wrappedKey } = EncryptionUtil.generateDataKey();
+
+      expect(() => EncryptionUtil.unwrapDataKey(wrappedKey.replace(/^b:/, 'a:'))).toThrow();
+    });
+  });
+});
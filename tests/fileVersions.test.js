@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => ({
+  File: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), count: jest.fn() },
+  User: { findByPk: jest.fn() },
+  Subscription: {},
+  ShareLink: { destroy: jest.fn().mockResolvedValue(0) },
+  Permission: { destroy: jest.fn().mockResolvedValue(0) },
+  Log: { create: jest.fn().mockResolvedValue(true) },
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+
+jest.mock('../services/blobService', () => ({
+  acquire: jest.fn(async upload => ({ id: `blob-${upload.checksum}`, ...upload })),
+  attach: blob => ({
+    blobId: blob.id,
+    path: blob.path,
+    checksum: blob.checksum,
+    isEncrypted: blob.isEncrypted,
+    encryptionKey: blob.encryptionKey
+  }),
+  retain: jest.fn().mockResolvedValue(true),
+  release: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../services/quotaService', () => ({ charge: jest.fn(), credit: jest.fn() }));
+jest.mock('../services/scanService', () => ({ queue: jest.fn().mockResolvedValue(true) }));
+jest.mock('../services/previewService', () => ({
+  queue: jest.fn().mockResolvedValue(true),
+  clear: jest.fn().mockResolvedValue(true)
+}));
+
+const { File, User, Log } = require('../models');
+const blobService = require('../services/blobService');
+const quotaService = require('../services/quotaService');
+const fileService = require('../services/fileService');
+
+// Enough of Sequelize's where clauses for version lookups
+const matches = (row, where) => Object.keys(where).every(key => {
+  const condition = where[key];
+  if (condition && typeof condition === 'object' && Op.ne in condition) return row[key] !== condition[Op.ne];
+  return row[key] === condition;
+});
+
+describe('File versions', () => {
+  let rows;
+  let usage;
+  let file;
+
+  const upload = (checksum, size) => ({
+    filename: `${checksum}.txt`,
+    mimetype: 'text/plain',
+    size,
+    key: `uploads/${checksum}.txt`,
+    checksum
+  });
+
+  const createRow = values => {
+    const row = {
+      id: `file-${rows.length + 1}`,
+      parentVersionId: null,
+      isDeleted: false,
+      deletedAt: null,
+      metadata: {},
+      save: jest.fn().mockResolvedValue(true),
+      destroy: jest.fn(async () => { rows = rows.filter(other => other !== row); }),
+      ...values
+    };
+    rows.push(row);
+    return row;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows = [];
+    usage = 0;
+
+    quotaService.charge.mockImplementation(async (userId, bytes) => { usage += Number(bytes); });
+    quotaService.credit.mockImplementation(async (userId, bytes) => { usage -= Number(bytes); });
+
+    File.create.mockImplementation(async values => createRow(values));
+    File.findOne.mockImplementation(async ({ where }) => rows.find(row => matches(row, where)) || null);
+    File.findByPk.mockImplementation(async id => rows.find(row => row.id === id) || null);
+    File.count.mockImplementation(async ({ where }) => rows.filter(row => matches(row, where)).length);
+    File.findAll.mockImplementation(async ({ where, order }) => {
+      const found = rows.filter(row => matches(row, where));
+      return order ? found.sort((a, b) => b.version - a.version) : found;
+    });
+    User.findByPk.mockResolvedValue({ role: 'user', subscription: null });
+
+    file = createRow({
+      userId: 'user-1',
+      originalName: 'notes.txt',
+      fileName: 'v1.txt',
+      mimeType: 'text/plain',
+      size: 100,
+      path: 'uploads/v1.txt',
+      checksum: 'v1',
+      blobId: 'blob-v1',
+      version: 1
+    });
+    usage = 100;
+  });
+
+  it('keeps the previous content as a version and charges the new upload', async () => {
+    await fileService.createVersion(file, upload('v2', 250), 'user-2', { changeNote: 'Second draft' });
+
+    expect(file).toMatchObject({ version: 2, size: 250, checksum: 'v2', blobId: 'blob-v2', uploadedBy: 'user-2' });
+    expect(file.metadata.changeNote).toBe('Second draft');
+
+    const archived = rows.find(row => row.parentVersionId === file.id);
+    expect(archived).toMatchObject({ version: 1, size: 100, checksum: 'v1', blobId: 'blob-v1', path: 'uploads/v1.txt' });
+    expect(usage).toBe(350);
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'file_version_create' }));
+  });
+
+  it('restores an older version as a new revision sharing its blob', async () => {
+    await fileService.createVersion(file, upload('v2', 250), 'user-1');
+
+    await fileService.restoreVersion(file, 1, 'user-1');
+
+    expect(file).toMatchObject({ version: 3, size: 100, checksum: 'v1', blobId: 'blob-v1', path: 'uploads/v1.txt' });
+    expect(file.metadata.restoredFrom).toBe(1);
+    expect(blobService.retain).toHaveBeenCalledWith('blob-v1', expect.anything());
+    expect(rows.filter(row => row.parentVersionId === file.id).map(row => row.version).sort()).toEqual([1, 2]);
+    expect(usage).toBe(450);
+  });
+
+  it('refuses to restore a version that does not exist', async () => {
+    await expect(fileService.restoreVersion(file, 7, 'user-1')).rejects.toMatchObject({ statusCode: 404 });
+    expect(file.version).toBe(1);
+  });
+
+  it('prunes the oldest versions beyond the plan limit and credits their size back', async () => {
+    User.findByPk.mockResolvedValue({
+      role: 'user',
+      subscription: { isActive: () => true, features: { versionRetention: 2 } }
+    });
+
+    await fileService.createVersion(file, upload('v2', 200), 'user-1');
+    await fileService.createVersion(file, upload('v3', 300), 'user-1');
+    expect(usage).toBe(600);
+
+    await fileService.createVersion(file, upload('v4', 400), 'user-1');
+
+    const kept = rows.filter(row => row.parentVersionId === file.id).map(row => row.version).sort();
+    expect(kept).toEqual([2, 3]);
+    expect(blobService.release).toHaveBeenCalledWith('blob-v1', expect.anything());
+    expect(usage).toBe(900);
+  });
+
+  it('keeps more versions on paid plans', async () => {
+    User.findByPk.mockResolvedValue({ role: 'user', subscription: { isActive: () => true, planName: 'premium', features: {} } });
+
+    expect(await fileService.getVersionRetention('user-1')).toBe(25);
+
+    User.findByPk.mockResolvedValue({ role: 'user', subscription: null });
+    expect(await fileService.getVersionRetention('user-1')).toBe(5);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../models', () => ({
+  Folder: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn()
+  },
+  File: {
+    findOne: jest.fn(),
+    findAll: jest.fn()
+  },
+  Log: {
+    create: jest.fn().mockResolvedValue(true)
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+
+const { Folder, File } = require('../models');
+const fileService = require('../services/fileService');
+
+// A small folder tree kept in memory: /docs/sub/deep and /archive
+const createTree = () => {
+  const folders = [
+    { id: 'docs', name: 'docs', path: '/docs', parentId: null },
+    { id: 'sub', name: 'sub', path: '/docs/sub', parentId: 'docs' },
+    { id: 'deep', name: 'deep', path: '/docs/sub/deep', parentId: 'sub' },
+    { id: 'archive', name: 'archive', path: '/archive', parentId: null }
+  ].map(folder => ({
+    userId: 'owner-1',
+    isDeleted: false,
+    save: jest.fn().mockResolvedValue(true),
+    ...folder
+  }));
+
+  Folder.findByPk.mockImplementation(async (id) => folders.find(folder => folder.id === id) || null);
+  Folder.findAll.mockImplementation(async ({ where }) => folders.filter(folder => where.parentId.includes(folder.parentId)));
+
+  return Object.fromEntries(folders.map(folder => [folder.id, folder]));
+};
+
+describe('Folder moves', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Folder.findOne.mockResolvedValue(null);
+  });
+
+  it('rewrites the paths of the whole subtree', async () => {
+    const tree = createTree();
+
+    await fileService.moveFolder(tree.sub, tree.archive, { userId: 'owner-1' });
+
+    expect(tree.sub).toMatchObject({ parentId: 'archive', path: '/archive/sub' });
+    expect(tree.deep.path).toBe('/archive/sub/deep');
+    expect(tree.deep.save).toHaveBeenCalled();
+  });
+
+  it('refuses to move a folder into one of its subfolders', async () => {
+    const tree = createTree();
+
+    await expect(fileService.moveFolder(tree.docs, tree.deep, { userId: 'owner-1' })).rejects.toMatchObject({
+      message: 'A folder cannot be moved or copied into itself or one of its subfolders',
+      statusCode: 400
+    });
+    expect(tree.docs.save).not.toHaveBeenCalled();
+  });
+
+  it('fails or renames when the name is taken in the destination', async () => {
+    const tree = createTree();
+    Folder.findOne.mockResolvedValue({ id: 'other', name: 'sub' });
+    Folder.findAll.mockImplementation(async ({ where }) => (
+      where.parentId === 'archive' ? [{ name: 'sub' }, { name: 'sub (1)' }] : []
+    ));
+
+    await expect(fileService.moveFolder(tree.sub, tree.archive, { userId: 'owner-1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    await fileService.moveFolder(tree.sub, tree.archive, { onConflict: 'rename', userId: 'owner-1' });
+    expect(tree.sub).toMatchObject({ name: 'sub (2)', path: '/archive/sub (2)' });
+  });
+
+  it('keeps file moves within one owner', async () => {
+    const file = { id: 'file-1', userId: 'owner-1', originalName: 'a.txt', save: jest.fn() };
+    File.findOne.mockResolvedValue(null);
+
+    await expect(fileService.moveFile(file, { id: 'shared', userId: 'owner-2' }, { userId: 'owner-1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(file.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+jest.mock('../models', () => ({
+  User: { findOne: jest.fn() },
+  Follow: { findOrCreate: jest.fn(), findAll: jest.fn() },
+  File: { findAll: jest.fn() },
+  Folder: {},
+  ShareLink: { findAll: jest.fn() },
+  Notification: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+const { User, Follow, File, ShareLink, Notification } = require('../models');
+const followService = require('../services/followService');
+const CursorUtil = require('../utils/cursor');
+
+const follower = { id: 'user-a', name: 'Ada' };
+const owner = { id: 'user-b', name: 'Bob', avatar: null };
+
+const createFile = (id, createdAt) => ({
+  id,
+  createdAt: new Date(createdAt),
+  originalName: `${id}.txt`,
+  size: 10,
+  owner
+});
+
+describe('FollowService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('notifies a user only the first time someone follows them', async () => {
+    User.findOne.mockResolvedValue(owner);
+    Follow.findOrCreate.mockResolvedValueOnce([{}, true]).mockResolvedValueOnce([{}, false]);
+
+    expect((await followService.follow(follower, owner.id)).created).toBe(true);
+    expect((await followService.follow(follower, owner.id)).created).toBe(false);
+
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: owner.id,
+      type: 'user_followed',
+      metadata: { followerId: follower.id }
+    }));
+  });
+
+  it('refuses to follow yourself', async () => {
+    await expect(followService.follow(follower, follower.id)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Follow.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it('round-trips cursors and rejects malformed ones', () => {
+    const cursor = CursorUtil.encode({ createdAt: new Date('2024-01-02T03:04:05Z'), id: 'file-1' });
+
+    expect(CursorUtil.decode(cursor)).toEqual({ createdAt: new Date('2024-01-02T03:04:05Z'), id: 'file-1' });
+    expect(CursorUtil.decode('garbage')).toBeNull();
+    expect(CursorUtil.decode(Buffer.from('["not a date","x"]').toString('base64url'))).toBeNull();
+  });
+
+  it('merges uploads and shares into one page, newest first', async () => {
+    Follow.findAll.mockResolvedValue([{ followingId: owner.id }]);
+    File.findAll.mockResolvedValue([
+      createFile('file-3', '2024-01-03T00:00:00Z'),
+      createFile('file-1', '2024-01-01T00:00:00Z')
+    ]);
+    ShareLink.findAll.mockResolvedValue([{
+      id: 'link-1',
+      token: 'abc',
+      createdAt: new Date('2024-01-02T00:00:00Z'),
+      creator: owner,
+      file: createFile('file-1', '2024-01-01T00:00:00Z')
+    }]);
+
+    const page = await followService.getFeed(follower.id, { limit: 2 });
+
+    expect(page.items.map(item => item.type)).toEqual(['upload', 'share']);
+    expect(page.items[1].share.url).toMatch(/\/share\/abc$/);
+    expect(CursorUtil.decode(page.nextCursor)).toEqual({ createdAt: new Date('2024-01-02T00:00:00Z'), id: 'link-1' });
+  });
+
+  it('returns an empty feed without querying when following nobody', async () => {
+    Follow.findAll.mockResolvedValue([]);
+
+    expect(await followService.getFeed(follower.id)).toEqual({ items: [], nextCursor: null });
+    expect(File.findAll).not.toHaveBeenCalled();
+  });
+});
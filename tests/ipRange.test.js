@@ -0,0 +1,33 @@
+const IpRangeUtil = require('../utils/ipRange');
+
+describe('IpRangeUtil', () => {
+  it('validates addresses and CIDR ranges', () => {
+    expect(IpRangeUtil.isValid('203.0.113.7')).toBe(true);
+    expect(IpRangeUtil.isValid('10.0.0.0/8')).toBe(true);
+    expect(IpRangeUtil.isValid('2001:db8::/32')).toBe(true);
+    expect(IpRangeUtil.isValid('10.0.0.0/33')).toBe(false);
+    expect(IpRangeUtil.isValid('10.0.0.0/8/1')).toBe(false);
+    expect(IpRangeUtil.isValid('example.com')).toBe(false);
+  });
+
+  it('matches single addresses and ranges', () => {
+    const entries = ['10.0.0.0/8', '192.168.1.20', '2001:db8::/32'];
+
+    expect(IpRangeUtil.matches(entries, '10.200.3.4')).toBe(true);
+    expect(IpRangeUtil.matches(entries, '192.168.1.20')).toBe(true);
+    expect(IpRangeUtil.matches(entries, '192.168.1.21')).toBe(false);
+    expect(IpRangeUtil.matches(entries, '2001:db8::1')).toBe(true);
+    expect(IpRangeUtil.matches(entries, '2001:db9::1')).toBe(false);
+  });
+
+  it('treats IPv4-mapped IPv6 client addresses as IPv4', () => {
+    expect(IpRangeUtil.normalize('::ffff:10.1.2.3')).toBe('10.1.2.3');
+    expect(IpRangeUtil.matches(['10.0.0.0/8'], '::ffff:10.1.2.3')).toBe(true);
+  });
+
+  it('ignores malformed entries and never matches an empty list', () => {
+    expect(IpRangeUtil.matches(['not-an-ip', '10.0.0.1'], '10.0.0.1')).toBe(true);
+    expect(IpRangeUtil.matches([], '10.0.0.1')).toBe(false);
+    expect(IpRangeUtil.matches(['10.0.0.0/8'], undefined)).toBe(false);
+  });
+});
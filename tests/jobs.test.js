@@ -0,0 +1,105 @@
+jest.mock('../models', () => ({
+  File: {
+    findByPk: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+jest.mock('../jobs/processors/thumbnails', () => jest.fn());
+
+const { File } = require('../models');
+const thumbnails = require('../jobs/processors/thumbnails');
+const jobs = require('../jobs');
+
+// A file row whose metadata the status tracker updates
+const createFile = () => {
+  const file = {
+    id: 'file-1',
+    metadata: {},
+    save: jest.fn().mockResolvedValue(true)
+  };
+  File.findByPk.mockResolvedValue(file);
+  return file;
+};
+
+describe('Background jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    await jobs.closeQueues();
+  });
+
+  it('uses the in-process queue under test', () => {
+    expect(jobs.getQueue('thumbnails').constructor.name).toBe('MemoryQueue');
+    expect(() => jobs.getQueue('nope')).toThrow('Unknown queue: nope');
+  });
+
+  it('runs queued jobs and records their status on the file', async () => {
+    const file = createFile();
+    thumbnails.mockResolvedValue({ status: 'ready' });
+
+    const job = await jobs.enqueue('thumbnails', { fileId: file.id });
+    expect(file.metadata.processing.thumbnails).toMatchObject({ jobId: job.id, status: 'queued' });
+
+    jobs.startProcessing(['thumbnails']);
+    await jobs.getQueue('thumbnails').whenIdle();
+
+    expect(thumbnails).toHaveBeenCalledWith(job);
+    expect(await job.getState()).toBe('completed');
+    expect(job.returnvalue).toEqual({ status: 'ready' });
+    expect(file.metadata.processing.thumbnails).toMatchObject({ status: 'completed', attempts: 1 });
+  });
+
+  it('retries failures up to the queue policy, then marks the job failed', async () => {
+    const file = createFile();
+    thumbnails.mockRejectedValue(new Error('renderer crashed'));
+
+    jobs.startProcessing(['thumbnails']);
+    const job = await jobs.enqueue('thumbnails', { fileId: file.id });
+    await jobs.getQueue('thumbnails').whenIdle();
+
+    expect(job.opts).toMatchObject({ attempts: 3, backoff: { type: 'exponential', delay: 30000 } });
+    expect(thumbnails).toHaveBeenCalledTimes(3);
+    expect(await job.getState()).toBe('failed');
+    expect(job.failedReason).toBe('renderer crashed');
+    expect(file.metadata.processing.thumbnails).toMatchObject({
+      status: 'failed',
+      attempts: 3,
+      error: 'renderer crashed'
+    });
+  });
+
+  it('runs a failed job again when retried', async () => {
+    createFile();
+    thumbnails.mockRejectedValueOnce(new Error('boom')).mockResolvedValue({ status: 'ready' });
+
+    jobs.startProcessing(['thumbnails']);
+    const job = await jobs.enqueue('thumbnails', { fileId: 'file-1' }, { attempts: 1 });
+    const queue = jobs.getQueue('thumbnails');
+    await queue.whenIdle();
+    expect(await job.getState()).toBe('failed');
+
+    await job.retry();
+    await queue.whenIdle();
+
+    expect(await job.getState()).toBe('completed');
+    expect(await queue.getJobCounts()).toMatchObject({ completed: 1, failed: 0 });
+  });
+
+  it('cancels jobs that have not started', async () => {
+    const queue = jobs.getQueue('zip');
+    const waiting = await jobs.enqueue('zip', { userId: 'user-1' });
+    const delayed = await jobs.enqueue('purge', { type: 'export', key: 'exports/a.zip' }, { delay: 60000 });
+
+    expect(await delayed.getState()).toBe('delayed');
+
+    await waiting.remove();
+
+    expect(await queue.getJob(waiting.id)).toBeNull();
+    expect(await queue.getJobs(['waiting'])).toHaveLength(0);
+  });
+});
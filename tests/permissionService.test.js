@@ -0,0 +1,129 @@
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => ({
+  File: { findOne: jest.fn() },
+  Folder: { findByPk: jest.fn(), findOne: jest.fn() },
+  Permission: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  User: { findByPk: jest.fn(), findOne: jest.fn() },
+  Notification: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+jest.mock('../services/emailService', () => ({ queue: jest.fn().mockResolvedValue(true) }));
+
+const { File, Folder, Permission, User, Notification } = require('../models');
+const permissionService = require('../services/permissionService');
+
+Permission.ROLE_RANK = jest.requireActual('../models/Permission').ROLE_RANK;
+
+// Enough of Sequelize's where clauses for grant lookups: equality, IN lists,
+// Op.and and Op.or
+const matches = (row, where) => Object.keys(where).every(key => {
+  const condition = where[key];
+  return Array.isArray(condition) ? condition.includes(row[key]) : row[key] === condition;
+}) &&
+  (!where[Op.and] || where[Op.and].every(part => matches(row, part))) &&
+  (!where[Op.or] || where[Op.or].some(part => matches(row, part)));
+
+// Alice's tree: Clients > Acme > Contracts, with a contract in Contracts
+const folders = {
+  clients: { id: 'clients', userId: 'alice', parentId: null },
+  acme: { id: 'acme', userId: 'alice', parentId: 'clients' },
+  contracts: { id: 'contracts', userId: 'alice', parentId: 'acme' }
+};
+const contract = { id: 'contract', userId: 'alice', folderId: 'contracts', originalName: 'msa.pdf' };
+
+const bob = { id: 'bob', email: 'bob@example.com', isVerified: true };
+const carol = { id: 'carol', email: 'carol@example.com', isVerified: true };
+
+describe('PermissionService', () => {
+  let grants;
+
+  const grant = values => grants.push({ userId: null, fileId: null, folderId: null, ...values });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    grants = [];
+
+    Folder.findByPk.mockImplementation(async id => folders[id] || null);
+    Folder.findOne.mockImplementation(async ({ where }) => folders[where.id] || null);
+    File.findOne.mockImplementation(async ({ where }) => (where.id === contract.id ? { ...contract } : null));
+    Permission.findAll.mockImplementation(async ({ where }) => grants.filter(row => matches(row, where)));
+  });
+
+  describe('inherited roles', () => {
+    it('applies a folder grant to everything below it', async () => {
+      grant({ folderId: 'clients', userId: 'bob', email: bob.email, role: 'viewer' });
+
+      expect(await permissionService.getRole(bob, folders.contracts, 'folder')).toBe('viewer');
+      expect(await permissionService.getRole(bob, contract, 'file')).toBe('viewer');
+      expect(await permissionService.getRole(carol, contract, 'file')).toBeNull();
+    });
+
+    it('takes the highest role among direct and inherited grants', async () => {
+      grant({ folderId: 'clients', userId: 'bob', email: bob.email, role: 'viewer' });
+      grant({ folderId: 'acme', userId: 'bob', email: bob.email, role: 'editor' });
+
+      expect(await permissionService.getRole(bob, folders.clients, 'folder')).toBe('viewer');
+      expect(await permissionService.getRole(bob, folders.acme, 'folder')).toBe('editor');
+      expect(await permissionService.getRole(bob, contract, 'file')).toBe('editor');
+
+      grant({ fileId: 'contract', userId: 'bob', email: bob.email, role: 'owner' });
+      expect(await permissionService.getRole(bob, contract, 'file')).toBe('owner');
+    });
+
+    it('does not let a grant on a subfolder reach up to its parents', async () => {
+      grant({ folderId: 'contracts', userId: 'bob', email: bob.email, role: 'editor' });
+
+      expect(await permissionService.getRole(bob, folders.acme, 'folder')).toBeNull();
+    });
+
+    it('hides items without access and refuses actions above the role', async () => {
+      grant({ folderId: 'acme', userId: 'bob', email: bob.email, role: 'viewer' });
+
+      await expect(permissionService.getFile(carol, 'contract')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(permissionService.getFile(bob, 'contract', 'editor')).rejects.toMatchObject({ statusCode: 403 });
+      expect((await permissionService.getFile(bob, 'contract')).accessRole).toBe('viewer');
+      expect((await permissionService.getFile({ id: 'alice' }, 'contract', 'owner')).accessRole).toBe('owner');
+    });
+  });
+
+  describe('pending invites', () => {
+    const dave = { id: 'dave', email: 'Dave@Example.com', isVerified: false };
+
+    beforeEach(() => {
+      grant({ folderId: 'acme', email: 'dave@example.com', role: 'editor' });
+    });
+
+    it('ignores an invite for an address its account has not verified', async () => {
+      expect(await permissionService.getRole(dave, contract, 'file')).toBeNull();
+      await expect(permissionService.getFolder(dave, 'acme')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('applies the invite once the address is verified', async () => {
+      expect(await permissionService.getRole({ ...dave, isVerified: true }, contract, 'file')).toBe('editor');
+    });
+
+    it('leaves invites to unverified accounts pending', async () => {
+      User.findByPk.mockResolvedValue({ id: 'alice', email: 'alice@example.com' });
+      Permission.findOne.mockResolvedValue(null);
+      Permission.create.mockImplementation(async values => ({ id: 'permission-1', ...values }));
+      User.findOne.mockImplementation(async ({ where }) => (
+        where.email === 'erin@example.com' && where.isVerified ? { id: 'erin' } : null
+      ));
+
+      const pending = await permissionService.invite(folders.acme, 'folder', { id: 'alice', name: 'Alice' }, {
+        email: 'dave@example.com',
+        role: 'viewer'
+      });
+      expect(pending.userId).toBeNull();
+      expect(Notification.create).not.toHaveBeenCalled();
+
+      const bound = await permissionService.invite(folders.acme, 'folder', { id: 'alice', name: 'Alice' }, {
+        email: 'erin@example.com',
+        role: 'viewer'
+      });
+      expect(bound.userId).toBe('erin');
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'erin' }));
+    });
+  });
+});
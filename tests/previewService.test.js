@@ -0,0 +1,195 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { spawnSync } = require('child_process');
+
+jest.mock('../models', () => ({
+  File: {
+    findByPk: jest.fn()
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+const { File } = require('../models');
+const { storage } = require('../services/storage');
+const previewService = require('../services/previewService');
+
+// External renderers are optional on developer machines; their tests only run where installed
+const hasBinary = (command, args) => !spawnSync(command, args).error;
+const hasFfmpeg = hasBinary(process.env.FFMPEG_PATH || 'ffmpeg', ['-version']);
+const hasPdftoppm = hasBinary(process.env.PDFTOPPM_PATH || 'pdftoppm', ['-v']);
+const hasLibreOffice = hasBinary(process.env.LIBREOFFICE_PATH || 'soffice', ['--version']);
+
+// A stored file record as generate() sees it
+const createFile = async (name, mimeType, contents) => {
+  const key = `uploads/${Date.now()}-${name}`;
+  await storage.put(key, contents);
+
+  const file = {
+    id: `file-${Math.random().toString(16).slice(2)}`,
+    originalName: name,
+    mimeType,
+    path: key,
+    size: contents.length,
+    checksum: 'checksum',
+    isEncrypted: false,
+    isDeleted: false,
+    previewStatus: 'pending',
+    previews: {},
+    thumbnailPath: null,
+    save: jest.fn().mockResolvedValue(true),
+    reload: jest.fn().mockResolvedValue(true)
+  };
+
+  File.findByPk.mockResolvedValue(file);
+  return file;
+};
+
+const stored = async (key) => sharp(await storage.getBuffer(key)).metadata();
+
+// Smallest well-formed one-page PDF, with byte offsets computed for the xref table
+const createPdf = () => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 100] >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+};
+
+describe('PreviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+  });
+
+  it('picks a renderer by MIME type', () => {
+    expect(previewService.getKind('image/png')).toBe('image');
+    expect(previewService.getKind('video/mp4')).toBe('video');
+    expect(previewService.getKind('application/pdf')).toBe('pdf');
+    expect(previewService.getKind('application/vnd.openxmlformats-officedocument.wordprocessingml.document')).toBe('office');
+    expect(previewService.getKind('application/zip')).toBeNull();
+  });
+
+  it('renders small, medium and large WebP thumbnails for images', async () => {
+    const image = await sharp({
+      create: { width: 2000, height: 1000, channels: 3, background: '#3366cc' }
+    }).png().toBuffer();
+    const file = await createFile('photo.png', 'image/png', image);
+
+    await previewService.generate(file.id);
+
+    expect(file.previewStatus).toBe('ready');
+    expect(file.thumbnailPath).toBe(`previews/${file.id}/medium.webp`);
+    expect(file.previews.sizes.small).toMatchObject({ width: 128, height: 64 });
+    expect(file.previews.sizes.medium).toMatchObject({ width: 512, height: 256 });
+    expect(file.previews.sizes.large).toMatchObject({ width: 1024, height: 512 });
+
+    const large = await stored(file.previews.sizes.large.key);
+    expect(large.format).toBe('webp');
+    expect(large.width).toBe(1024);
+  });
+
+  it('never upscales small images', async () => {
+    const image = await sharp({
+      create: { width: 100, height: 40, channels: 3, background: '#ffffff' }
+    }).jpeg().toBuffer();
+    const file = await createFile('icon.jpg', 'image/jpeg', image);
+
+    await previewService.generate(file.id);
+
+    expect(file.previews.sizes.large).toMatchObject({ width: 100, height: 40 });
+  });
+
+  it('marks the file as failed when the source cannot be rendered', async () => {
+    const file = await createFile('broken.png', 'image/png', Buffer.from('not an image'));
+
+    await expect(previewService.generate(file.id)).rejects.toThrow();
+
+    expect(file.previewStatus).toBe('failed');
+    expect(file.previews.error).toBeDefined();
+  });
+
+  it('discards previews rendered for contents that changed meanwhile', async () => {
+    const image = await sharp({
+      create: { width: 64, height: 64, channels: 3, background: '#000000' }
+    }).png().toBuffer();
+    const file = await createFile('old.png', 'image/png', image);
+    file.reload.mockImplementation(async () => {
+      file.checksum = 'newer-version';
+    });
+
+    await previewService.generate(file.id);
+
+    expect(file.previewStatus).toBe('pending');
+    expect(await storage.exists(`previews/${file.id}/medium.webp`)).toBe(false);
+  });
+
+  it('clears stored previews and queues a fresh render', async () => {
+    const image = await sharp({
+      create: { width: 64, height: 64, channels: 3, background: '#000000' }
+    }).png().toBuffer();
+    const file = await createFile('again.png', 'image/png', image);
+    await previewService.generate(file.id);
+
+    await previewService.queue(file);
+
+    expect(file.previewStatus).toBe('pending');
+    expect(file.thumbnailPath).toBeNull();
+    expect(await storage.exists(`previews/${file.id}/small.webp`)).toBe(false);
+  });
+
+  (hasFfmpeg ? it : it.skip)('renders a poster frame and scrub sprite for videos', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sharevault-fixture-'));
+    const fixture = path.join(dir, 'clip.mp4');
+    spawnSync(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-y', '-f', 'lavfi', '-i', 'testsrc=duration=3:size=320x240:rate=10', '-pix_fmt', 'yuv420p', fixture
+    ]);
+    const file = await createFile('clip.mp4', 'video/mp4', await fs.promises.readFile(fixture));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+
+    await previewService.generate(file.id);
+
+    expect(file.previewStatus).toBe('ready');
+    expect(file.previews.sizes.medium).toMatchObject({ width: 320, height: 240 });
+    expect(file.previews.sprite).toMatchObject({ frames: 10, frameWidth: 160, frameHeight: 120 });
+
+    const sprite = await stored(file.previews.sprite.key);
+    expect(sprite.width).toBe(1600);
+  }, 60000);
+
+  (hasPdftoppm ? it : it.skip)('renders the first page of PDFs', async () => {
+    const file = await createFile('doc.pdf', 'application/pdf', createPdf());
+
+    await previewService.generate(file.id);
+
+    expect(file.previewStatus).toBe('ready');
+    const medium = file.previews.sizes.medium;
+    expect(medium.width / medium.height).toBeCloseTo(2, 1);
+  }, 60000);
+
+  (hasLibreOffice && hasPdftoppm ? it : it.skip)('renders office documents through PDF', async () => {
+    const file = await createFile('notes.rtf', 'application/rtf', Buffer.from('{\\rtf1\\ansi Quarterly notes\\par}'));
+
+    await previewService.generate(file.id);
+
+    expect(file.previewStatus).toBe('ready');
+    expect(file.previews.sizes.small.width).toBeGreaterThan(0);
+  }, 120000);
+});
@@ -0,0 +1,158 @@
+jest.mock('../models', () => ({
+  User: {
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  Subscription: {
+    findOne: jest.fn().mockResolvedValue(null)
+  },
+  File: {
+    sum: jest.fn(),
+    findAll: jest.fn()
+  },
+  UploadSession: {},
+  QuotaReservation: {
+    sum: jest.fn(),
+    create: jest.fn(),
+    destroy: jest.fn(),
+    findAll: jest.fn()
+  },
+  Notification: {
+    create: jest.fn()
+  },
+  sequelize: {
+    fn: jest.fn(),
+    col: jest.fn(),
+    transaction: jest.fn()
+  }
+}));
+
+const { User, File, QuotaReservation, Notification, sequelize } = require('../models');
+const quotaService = require('../services/quotaService');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Enough of a Sequelize transaction to collect commit callbacks
+const createTransaction = () => {
+  const callbacks = [];
+  return {
+    LOCK: { UPDATE: 'UPDATE' },
+    afterCommit: (callback) => callbacks.push(callback),
+    commit: async () => {
+      for (const callback of callbacks) await callback();
+    }
+  };
+};
+
+const createUser = (values) => ({
+  id: 'user-1',
+  storageUsed: 0,
+  storageLimit: GB,
+  storageWarningLevel: 0,
+  subscription: null,
+  save: jest.fn().mockResolvedValue(true),
+  ...values
+});
+
+describe('QuotaService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    QuotaReservation.sum.mockResolvedValue(0);
+    QuotaReservation.create.mockImplementation(async (values) => ({ id: 'reservation-1', ...values }));
+    User.update.mockResolvedValue([1]);
+    sequelize.transaction.mockImplementation(callback => callback(createTransaction()));
+  });
+
+  it('refuses reservations that would exceed the limit, counting other reservations', async () => {
+    User.findByPk.mockResolvedValue(createUser({ storageUsed: 0.5 * GB }));
+    QuotaReservation.sum.mockResolvedValue(0.3 * GB);
+
+    await expect(quotaService.reserve('user-1', 0.3 * GB)).rejects.toMatchObject({
+      message: 'Storage limit exceeded',
+      statusCode: 413
+    });
+    expect(QuotaReservation.create).not.toHaveBeenCalled();
+
+    const reservation = await quotaService.reserve('user-1', 0.2 * GB);
+    expect(reservation).toMatchObject({ userId: 'user-1', bytes: 0.2 * GB, uploadSessionId: null });
+    expect(reservation.expiresAt).toBeInstanceOf(Date);
+  });
+
+  it('charges uploads from their reservation without checking the limit again', async () => {
+    const user = createUser({ storageUsed: 512 * MB });
+    User.findByPk.mockResolvedValue(user);
+    // The upload's own reservation is what fills the account
+    QuotaReservation.sum.mockResolvedValue(512 * MB);
+    const reservation = { userId: 'user-1', bytes: 512 * MB, save: jest.fn().mockResolvedValue(true) };
+
+    await quotaService.charge('user-1', 400 * MB, { transaction: createTransaction(), reservation });
+
+    expect(user.storageUsed).toBe(912 * MB);
+    expect(reservation.bytes).toBe(112 * MB);
+
+    // Without a reservation the same upload no longer fits
+    await expect(quotaService.charge('user-1', 400 * MB, { transaction: createTransaction() }))
+      .rejects.toMatchObject({ statusCode: 413 });
+  });
+
+  it('warns once per threshold and re-arms when usage drops', async () => {
+    const user = createUser();
+    // Each lookup loads a fresh copy of the row
+    User.findByPk.mockImplementation(async () => ({ ...user }));
+    User.update.mockImplementation(async ({ storageWarningLevel }) => {
+      user.storageWarningLevel = storageWarningLevel;
+      return [1];
+    });
+
+    const usageAt = async (used) => {
+      user.storageUsed = used;
+      await quotaService.checkThresholds('user-1');
+    };
+
+    await usageAt(0.81 * GB);
+    await usageAt(0.85 * GB);
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+    expect(Notification.create.mock.calls[0][0]).toMatchObject({
+      type: 'storage_warning',
+      priority: 'high',
+      metadata: { threshold: 80, kind: 'soft' }
+    });
+
+    await usageAt(0.96 * GB);
+    expect(Notification.create).toHaveBeenCalledTimes(2);
+    expect(Notification.create.mock.calls[1][0]).toMatchObject({
+      priority: 'urgent',
+      metadata: { threshold: 95, kind: 'hard' }
+    });
+
+    await usageAt(0.5 * GB);
+    expect(user.storageWarningLevel).toBe(0);
+    await usageAt(0.82 * GB);
+    expect(Notification.create).toHaveBeenCalledTimes(3);
+  });
+
+  it('corrects recorded usage that drifted from the stored files', async () => {
+    const drifted = createUser({ storageUsed: 900 });
+    const accurate = createUser({ id: 'user-2', storageUsed: 300 });
+    QuotaReservation.destroy.mockResolvedValue(2);
+    QuotaReservation.findAll.mockResolvedValue([]);
+    File.findAll.mockResolvedValue([{ userId: 'user-1', total: '400' }, { userId: 'user-2', total: '300' }]);
+    File.sum.mockResolvedValue(400);
+    User.findAll.mockResolvedValue([drifted, accurate]);
+    User.findByPk.mockResolvedValue(drifted);
+
+    const result = await quotaService.reconcile();
+
+    expect(result).toEqual({
+      users: 2,
+      corrected: [{ userId: 'user-1', recorded: 900, actual: 400 }],
+      expiredReservations: 2,
+      orphanedReservations: 0
+    });
+    expect(drifted.storageUsed).toBe(400);
+    expect(drifted.save).toHaveBeenCalled();
+    expect(accurate.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+
+jest.mock('../models', () => ({
+  DeviceSession: { findOne: jest.fn(), update: jest.fn() },
+  Notification: { count: jest.fn() }
+}));
+
+const { DeviceSession, Notification } = require('../models');
+const realtimeService = require('../services/realtimeService');
+
+// Access tokens name the user's device session
+const token = (id) => jwt.sign({ id, sid: `session-${id}` }, process.env.JWT_SECRET);
+
+// Resolves with the next payload of an event
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+describe('RealtimeService', () => {
+  let server;
+  let url;
+  const sockets = [];
+
+  // Connect a client and wait for the handshake to finish either way
+  const open = (auth) => new Promise((resolve) => {
+    const socket = connect(url, { auth, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', () => resolve(socket));
+  });
+
+  beforeAll(async () => {
+    server = http.createServer();
+    await realtimeService.attach(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.close());
+    await realtimeService.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DeviceSession.findOne.mockImplementation(async ({ where }) => (where.userId === 'missing' ? null : {
+      id: where.id,
+      lastSeenAt: new Date(),
+      isActive: () => true,
+      user: { id: where.userId, isActive: true }
+    }));
+    Notification.count.mockResolvedValue(3);
+  });
+
+  it('rejects handshakes without a valid token', async () => {
+    const anonymous = await open({});
+    expect(anonymous.connected).toBe(false);
+
+    const forged = await open({ token: jwt.sign({ id: 'user-a' }, 'wrong secret') });
+    expect(forged.connected).toBe(false);
+
+    const unknown = await open({ token: token('missing') });
+    expect(unknown.connected).toBe(false);
+  });
+
+  it('disconnects the sockets of a revoked session', async () => {
+    const socket = await open({ token: token('user-d') });
+    expect(socket.connected).toBe(true);
+
+    const disconnected = next(socket, 'disconnect');
+    realtimeService.disconnectSession('session-user-d');
+
+    expect(await disconnected).toBe('io server disconnect');
+  });
+
+  it('sends the unread count on connect', async () => {
+    const socket = connect(url, { auth: { token: token('user-a') }, transports: ['websocket'], reconnection: false });
+    sockets.push(socket);
+
+    expect(await next(socket, 'notifications:unread')).toEqual({ count: 3 });
+  });
+
+  it('pushes notifications and progress only to the owner', async () => {
+    const owner = await open({ token: token('user-b') });
+    const other = await open({ token: token('user-c') });
+    const leaked = jest.fn();
+    other.on('notification', leaked);
+    other.on('file:processing', leaked);
+
+    const received = next(owner, 'notification');
+    const count = next(owner, 'notifications:unread');
+    Notification.count.mockResolvedValue(4);
+    await realtimeService.pushNotification({ id: 'n-1', userId: 'user-b', type: 'user_followed', title: 'Hi', isRead: false });
+
+    expect(await received).toMatchObject({ id: 'n-1', type: 'user_followed', title: 'Hi' });
+    expect(await count).toEqual({ count: 4 });
+
+    const progress = next(owner, 'file:processing');
+    realtimeService.emitToUser('user-b', 'file:processing', { fileId: 'file-1', queue: 'thumbnails', status: 'completed' });
+    expect(await progress).toEqual({ fileId: 'file-1', queue: 'thumbnails', status: 'completed' });
+
+    // Anything sent to user-c would have arrived by now, after user-b's events
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(leaked).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+const net = require('net');
+const { Readable } = require('stream');
+
+jest.mock('../models', () => ({
+  File: {
+    findByPk: jest.fn()
+  },
+  Log: {
+    create: jest.fn().mockResolvedValue(true)
+  },
+  Notification: {
+    create: jest.fn().mockResolvedValue(true)
+  },
+  sequelize: {
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+const { File, Log, Notification } = require('../models');
+const { storage } = require('../services/storage');
+const { ClamdScanner, FakeScanner } = require('../services/scanner');
+const scanService = require('../services/scanService');
+
+// A stored file record as scan() sees it
+const createFile = async (contents) => {
+  const key = `uploads/${Date.now()}-upload.bin`;
+  await storage.put(key, Buffer.from(contents));
+
+  const file = {
+    id: `file-${Math.random().toString(16).slice(2)}`,
+    userId: 'owner-1',
+    uploadedBy: 'owner-1',
+    originalName: 'upload.bin',
+    mimeType: 'application/octet-stream',
+    path: key,
+    checksum: 'checksum',
+    isEncrypted: false,
+    version: 1,
+    parentVersionId: null,
+    scanStatus: 'pending',
+    scanResult: {},
+    quarantinedAt: null,
+    save: jest.fn().mockResolvedValue(true),
+    reload: jest.fn().mockResolvedValue(true)
+  };
+
+  File.findByPk.mockResolvedValue(file);
+  return file;
+};
+
+// Minimal clamd speaking the INSTREAM protocol: answers once the zero-length chunk arrives
+const startClamd = (reply) => new Promise(resolve => {
+  const server = net.createServer(socket => {
+    let received = Buffer.alloc(0);
+    socket.on('data', data => {
+      received = Buffer.concat([received, data]);
+      if (received.subarray(-4).readInt32BE(0) === 0) {
+        socket.end(`${reply(received.toString('latin1'))}\n`);
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('ScanService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+  });
+
+  it('detects the EICAR test file with the fake scanner', async () => {
+    const scanner = new FakeScanner();
+
+    expect(await scanner.scan(Readable.from([Buffer.from(`prefix ${FakeScanner.EICAR}`)])))
+      .toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+    expect(await scanner.scan(Readable.from([Buffer.from('hello')])))
+      .toEqual({ infected: false, signature: null });
+  });
+
+  it('marks clean uploads downloadable', async () => {
+    const file = await createFile('quarterly report');
+
+    await scanService.scan(file.id);
+
+    expect(file.scanStatus).toBe('clean');
+    expect(file.scanResult).toMatchObject({ engine: 'fake' });
+    expect(() => scanService.assertDownloadable(file)).not.toThrow();
+    expect(Log.create).not.toHaveBeenCalled();
+  });
+
+  it('quarantines infected uploads, logs critically and notifies the owner', async () => {
+    const file = await createFile(FakeScanner.EICAR);
+
+    await scanService.scan(file.id);
+
+    expect(file.scanStatus).toBe('infected');
+    expect(file.scanResult.signature).toBe('Eicar-Test-Signature');
+    expect(file.quarantinedAt).toBeInstanceOf(Date);
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'file_quarantine',
+      severity: 'critical',
+      category: 'security',
+      resourceId: file.id
+    }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'owner-1',
+      type: 'file_quarantined'
+    }));
+    expect(() => scanService.assertDownloadable(file)).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('records scanner failures and rethrows so the job is retried', async () => {
+    const file = await createFile('anything');
+    jest.spyOn(scanService.scanner, 'scan').mockRejectedValueOnce(new Error('clamd unavailable'));
+
+    await expect(scanService.scan(file.id)).rejects.toThrow('clamd unavailable');
+
+    expect(file.scanStatus).toBe('error');
+    expect(file.scanResult.error).toBe('clamd unavailable');
+    expect(() => scanService.assertDownloadable(file)).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('keeps pending files blocked', () => {
+    expect(() => scanService.assertDownloadable({ scanStatus: 'pending' }))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('talks INSTREAM to clamd', async () => {
+    const server = await startClamd(body => (body.includes('EICAR') ? 'stream: Eicar-Signature FOUND' : 'stream: OK'));
+    const scanner = new ClamdScanner({ host: '127.0.0.1', port: server.address().port, timeout: 5000 });
+
+    try {
+      expect(await scanner.scan(Readable.from([Buffer.from(FakeScanner.EICAR)])))
+        .toEqual({ infected: true, signature: 'Eicar-Signature' });
+      expect(await scanner.scan(Readable.from([Buffer.from('clean')])))
+        .toEqual({ infected: false, signature: null });
+    } finally {
+      server.close();
+    }
+  });
+});
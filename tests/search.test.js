@@ -0,0 +1,141 @@
+const archiver = require('archiver');
+const { spawnSync } = require('child_process');
+
+jest.mock('../models', () => ({
+  File: {
+    findByPk: jest.fn(),
+    SEARCH_WEIGHTS: { originalName: 'A', tags: 'B', description: 'C', contentText: 'D' }
+  },
+  sequelize: {
+    getDialect: () => 'sqlite',
+    transaction: jest.fn(callback => callback({}))
+  }
+}));
+
+const { File } = require('../models');
+const { storage } = require('../services/storage');
+const searchService = require('../services/searchService');
+const TextExtractionUtil = require('../utils/textExtraction');
+
+const hasPdftotext = !spawnSync(process.env.PDFTOTEXT_PATH || 'pdftotext', ['-v']).error;
+
+// A minimal Word document: only word/document.xml matters for extraction
+const createDocx = (body) => new Promise((resolve, reject) => {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  archive.append('<?xml version="1.0"?><Types/>', { name: '[Content_Types].xml' });
+  archive.append(`<?xml version="1.0"?><w:document><w:body>${body}</w:body></w:document>`, { name: 'word/document.xml' });
+  archive.finalize();
+});
+
+// A stored file record as index() sees it
+const createFile = async (name, mimeType, contents) => {
+  const key = `uploads/${Date.now()}-${name}`;
+  await storage.put(key, contents);
+
+  const file = {
+    id: `file-${Math.random().toString(16).slice(2)}`,
+    originalName: name,
+    mimeType,
+    path: key,
+    size: contents.length,
+    checksum: 'checksum',
+    isEncrypted: false,
+    parentVersionId: null,
+    contentText: null,
+    save: jest.fn().mockResolvedValue(true),
+    reload: jest.fn().mockResolvedValue(true)
+  };
+
+  File.findByPk.mockResolvedValue(file);
+  return file;
+};
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+  });
+
+  it('extracts paragraphs and entities from .docx files', async () => {
+    const docx = await createDocx(
+      '<w:p><w:r><w:t>Quarterly revenue</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t xml:space="preserve">R&amp;D &#x2192; growth</w:t></w:r></w:p>'
+    );
+
+    expect(TextExtractionUtil.fromDocx(docx)).toBe('Quarterly revenue\nR&D → growth');
+    expect(() => TextExtractionUtil.fromDocx(Buffer.from('not a zip'))).toThrow('Not a ZIP archive');
+  });
+
+  it('indexes the text of plain-text and Word files', async () => {
+    const text = await createFile('notes.txt', 'text/plain', Buffer.from('Meeting\n\n notes\u0000 for   Q3'));
+    await searchService.index(text.id);
+    expect(text.contentText).toBe('Meeting notes for Q3');
+    expect(text.save).toHaveBeenCalled();
+
+    const docx = await createFile(
+      'report.docx',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      await createDocx('<w:p><w:r><w:t>Budget forecast</w:t></w:r></w:p>')
+    );
+    await searchService.index(docx.id);
+    expect(docx.contentText).toBe('Budget forecast');
+  });
+
+  it('discards text extracted from contents that changed meanwhile', async () => {
+    const file = await createFile('notes.txt', 'text/plain', Buffer.from('old contents'));
+    file.reload.mockImplementation(async () => { file.checksum = 'newer'; });
+
+    await searchService.index(file.id);
+
+    expect(file.contentText).toBeNull();
+    expect(file.save).not.toHaveBeenCalled();
+  });
+
+  it('knows which files it can extract text from', () => {
+    expect(searchService.getExtractor('application/pdf')).toBe('pdf');
+    expect(searchService.getExtractor('text/markdown')).toBe('text');
+    expect(searchService.getExtractor('image/png')).toBeNull();
+  });
+
+  (hasPdftotext ? it : it.skip)('extracts PDF text with pdftotext', async () => {
+    const pdf = Buffer.from(
+      '%PDF-1.1\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n' +
+      '2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n' +
+      '3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 300 100]/Contents 4 0 R/Resources<</Font<</F1 5 0 R>>>>>>endobj\n' +
+      '4 0 obj<</Length 44>>stream\nBT /F1 18 Tf 20 40 Td (Invoice total) Tj ET\nendstream endobj\n' +
+      '5 0 obj<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>endobj\ntrailer<</Root 1 0 R>>\n%%EOF'
+    );
+
+    expect(await searchService.extractPdfText(pdf)).toContain('Invoice total');
+  });
+
+  it('splits queries into lower-cased words', () => {
+    expect(searchService.getTerms('Q3 "Revenue" report-final & <b>')).toEqual(['q3', 'revenue', 'report', 'final', 'b']);
+    expect(searchService.getTerms('  !! ')).toEqual([]);
+  });
+
+  it('ranks name matches above content matches', () => {
+    const byName = { originalName: 'budget.xlsx', tags: [], description: null, contentText: null };
+    const byContent = { originalName: 'notes.txt', tags: [], description: null, contentText: 'the budget is tight' };
+    const byTag = { originalName: 'plan.txt', tags: ['Budget'], description: null, contentText: null };
+
+    expect(searchService.rank(byName, ['budget'])).toBeGreaterThan(searchService.rank(byTag, ['budget']));
+    expect(searchService.rank(byTag, ['budget'])).toBeGreaterThan(searchService.rank(byContent, ['budget']));
+  });
+
+  it('highlights matches in an escaped snippet', () => {
+    const text = `${'filler '.repeat(40)}the <script> budget for Q3 budget review${' more'.repeat(40)}`;
+    const snippet = searchService.buildSnippet(text, ['budget']);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('&lt;script&gt; <mark>budget</mark> for Q3 <mark>budget</mark> review');
+    expect(snippet).not.toContain('<script>');
+    expect(searchService.buildSnippet(null, ['budget'])).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../models', () => ({
+  User: { findByPk: jest.fn() },
+  DeviceSession: { findByPk: jest.fn(), findOne: jest.fn(), update: jest.fn() },
+  RefreshToken: { findOne: jest.fn(), create: jest.fn().mockResolvedValue(true) },
+  LoginCode: { create: jest.fn(), findOne: jest.fn(), destroy: jest.fn() },
+  Log: { create: jest.fn().mockResolvedValue(true) },
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+
+const jwt = require('jsonwebtoken');
+const { User, DeviceSession, RefreshToken, LoginCode, Log } = require('../models');
+const sessionService = require('../services/sessionService');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0' };
+
+const createSession = (values) => ({
+  id: 'session-1',
+  userId: 'user-1',
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60000),
+  lastSeenAt: new Date(),
+  isActive() { return !this.revokedAt; },
+  save: jest.fn().mockResolvedValue(true),
+  ...values
+});
+
+const createStoredToken = (values) => ({
+  sessionId: 'session-1',
+  usedAt: null,
+  createdAt: new Date(),
+  save: jest.fn().mockResolvedValue(true),
+  ...values
+});
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue({ id: 'user-1', email: 'a@example.com', isActive: true });
+  });
+
+  it('rotates the refresh token and issues an access token for the session', async () => {
+    const stored = createStoredToken();
+    const session = createSession();
+    RefreshToken.findOne.mockResolvedValue(stored);
+    DeviceSession.findByPk.mockResolvedValue(session);
+
+    const tokens = await sessionService.refresh('old-token', req);
+
+    expect(stored.usedAt).toBeInstanceOf(Date);
+    expect(tokens.refreshToken).not.toBe('old-token');
+    expect(RefreshToken.create).toHaveBeenCalledWith(
+      { sessionId: 'session-1', tokenHash: sessionService.hashToken(tokens.refreshToken) },
+      expect.anything()
+    );
+    expect(jwt.verify(tokens.token, process.env.JWT_SECRET)).toMatchObject({ id: 'user-1', sid: 'session-1' });
+    expect(session.ipAddress).toBe('203.0.113.7');
+  });
+
+  it('revokes the whole session when a used refresh token comes back', async () => {
+    const session = createSession();
+    RefreshToken.findOne.mockResolvedValue(createStoredToken({ usedAt: new Date() }));
+    DeviceSession.findByPk.mockResolvedValue(session);
+
+    await expect(sessionService.refresh('stolen-token', req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('reuse_detected');
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'refresh_token_reuse' }), expect.anything());
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown refresh tokens and tokens of ended sessions', async () => {
+    RefreshToken.findOne.mockResolvedValue(null);
+    await expect(sessionService.refresh('made-up', req)).rejects.toMatchObject({ statusCode: 401 });
+
+    RefreshToken.findOne.mockResolvedValue(createStoredToken());
+    DeviceSession.findByPk.mockResolvedValue(createSession({ revokedAt: new Date() }));
+    await expect(sessionService.refresh('logged-out', req)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('only authenticates access tokens whose session is still active', async () => {
+    expect(await sessionService.authenticate({ id: 'user-1' })).toBeNull();
+
+    DeviceSession.findOne.mockResolvedValue(createSession({ revokedAt: new Date(), user: { id: 'user-1' } }));
+    expect(await sessionService.authenticate({ id: 'user-1', sid: 'session-1' })).toBeNull();
+
+    DeviceSession.findOne.mockResolvedValue(createSession({ user: { id: 'user-1' } }));
+    expect((await sessionService.authenticate({ id: 'user-1', sid: 'session-1' })).user.id).toBe('user-1');
+  });
+
+  it('stops authenticating access tokens once the account is disabled', async () => {
+    DeviceSession.findOne.mockResolvedValue(createSession({ lastSeenAt: new Date(0), user: { id: 'user-1', isActive: false } }));
+
+    expect(await sessionService.authenticate({ id: 'user-1', sid: 'session-1' })).toBeNull();
+    expect(DeviceSession.update).not.toHaveBeenCalled();
+  });
+
+  describe('OAuth login codes', () => {
+    let codes;
+
+    beforeEach(() => {
+      codes = new Map();
+      LoginCode.create.mockImplementation(async values => {
+        const code = { id: `code-${codes.size + 1}`, ...values, user: { id: values.userId, isActive: true } };
+        codes.set(code.id, code);
+        return code;
+      });
+      LoginCode.findOne.mockImplementation(async ({ where }) => (
+        [...codes.values()].find(code => code.codeHash === where.codeHash) || null
+      ));
+      LoginCode.destroy.mockImplementation(async ({ where }) => (codes.delete(where.id) ? 1 : 0));
+    });
+
+    it('stores only a hash and redeems each code once', async () => {
+      const code = await sessionService.createLoginCode({ id: 'user-1' });
+
+      expect(LoginCode.create).toHaveBeenCalledWith(expect.objectContaining({ codeHash: sessionService.hashToken(code) }));
+      expect((await sessionService.redeemLoginCode(code)).id).toBe('user-1');
+      expect(await sessionService.redeemLoginCode(code)).toBeNull();
+      expect(await sessionService.redeemLoginCode('made-up')).toBeNull();
+    });
+
+    it('refuses expired codes and codes of disabled accounts', async () => {
+      const expired = await sessionService.createLoginCode({ id: 'user-1' });
+      codes.get('code-1').expiresAt = new Date(Date.now() - 1000);
+      expect(await sessionService.redeemLoginCode(expired)).toBeNull();
+
+      const disabled = await sessionService.createLoginCode({ id: 'user-1' });
+      codes.get('code-1').user.isActive = false;
+      expect(await sessionService.redeemLoginCode(disabled)).toBeNull();
+      expect(codes.size).toBe(0);
+    });
+  });
+});
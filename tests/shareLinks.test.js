@@ -0,0 +1,230 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { Readable } = require('stream');
+const { DataTypes } = require('sequelize');
+
+jest.mock('../models', () => ({
+  ShareLink: { findOne: jest.fn() },
+  File: {},
+  Folder: {},
+  User: {},
+  ShareAccess: { create: jest.fn().mockResolvedValue(true) },
+  Log: { create: jest.fn().mockResolvedValue(true) },
+  Notification: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+jest.mock('../services/fileService', () => ({
+  saveFile: jest.fn(),
+  getFileStream: jest.fn()
+}));
+
+jest.mock('../services/quotaService', () => ({
+  reserve: jest.fn().mockResolvedValue({ id: 'reservation-1' }),
+  release: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../services/bruteForceService', () => ({
+  check: jest.fn().mockResolvedValue(null),
+  fail: jest.fn().mockResolvedValue(true),
+  succeed: jest.fn().mockResolvedValue(true)
+}));
+
+const app = require('../app');
+const { ShareLink, Notification } = require('../models');
+const fileService = require('../services/fileService');
+const bruteForceService = require('../services/bruteForceService');
+const { storage } = require('../services/storage');
+const { sequelize } = require('../config/database');
+const migration = require('../migrations/20261019120000-hash-share-link-passwords');
+
+const ShareLinkModel = jest.requireActual('../models/ShareLink');
+
+const report = { id: 'file-1', originalName: 'report.pdf', mimeType: 'application/pdf', size: 7, scanStatus: 'clean' };
+const inbox = { id: 'folder-1', userId: 'owner', name: 'Inbox' };
+
+// A link as created through the model, so its password goes through the hooks
+const createLink = async (values) => {
+  const link = ShareLinkModel.build({ id: 'link-1', token: 'token-1', ...values });
+  await ShareLinkModel.runHooks('beforeCreate', link);
+  Object.assign(link, { userId: 'owner', save: jest.fn().mockResolvedValue(true) });
+  ShareLink.findOne.mockResolvedValue(link);
+  return link;
+};
+
+const fileLink = values => createLink(values).then(link => Object.assign(link, { fileId: report.id, file: report }));
+const folderLink = values => createLink(values).then(link => Object.assign(link, { folderId: inbox.id, folder: inbox }));
+
+describe('Share links', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage.clear();
+    fileService.getFileStream.mockImplementation(async () => Readable.from([Buffer.from('%PDF-1.')]));
+  });
+
+  describe('password-protected links', () => {
+    it('stores the password hashed', async () => {
+      const link = await fileLink({ password: 'open sesame' });
+
+      expect(link.password).not.toBe('open sesame');
+      expect(await bcrypt.compare('open sesame', link.password)).toBe(true);
+    });
+
+    it('asks for the password before downloading', async () => {
+      await fileLink({ password: 'open sesame' });
+
+      const res = await request(app).get('/api/shares/token-1/download');
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Password required');
+      expect(fileService.getFileStream).not.toHaveBeenCalled();
+    });
+
+    it('counts a wrong password against the link', async () => {
+      await fileLink({ password: 'open sesame' });
+
+      const res = await request(app).get('/api/shares/token-1/download').query({ password: 'guess' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid password');
+      expect(bruteForceService.fail).toHaveBeenCalledWith('share_password', 'token-1', expect.anything(), { userId: 'owner' });
+      expect(fileService.getFileStream).not.toHaveBeenCalled();
+    });
+
+    it('downloads with the right password', async () => {
+      const link = await fileLink({ password: 'open sesame' });
+
+      const res = await request(app).get('/api/shares/token-1/download').query({ password: 'open sesame' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.toString()).toBe('%PDF-1.');
+      expect(link.downloadCount).toBe(1);
+      expect(bruteForceService.succeed).toHaveBeenCalledWith('share_password', 'token-1');
+    });
+
+    it('grants access through the access endpoint', async () => {
+      await fileLink({ password: 'open sesame' });
+
+      expect((await request(app).post('/api/shares/token-1/access').send({ password: 'guess' })).status).toBe(401);
+      expect((await request(app).post('/api/shares/token-1/access').send({ password: 'open sesame' })).body)
+        .toMatchObject({ success: true, message: 'Access granted' });
+    });
+  });
+
+  describe('expired links', () => {
+    const expiresAt = new Date(Date.now() - 60 * 1000);
+
+    it('refuses details and downloads once past expiry', async () => {
+      const link = await fileLink({ expiresAt });
+
+      expect((await request(app).get('/api/shares/token-1')).status).toBe(410);
+      expect((await request(app).get('/api/shares/token-1/download')).status).toBe(410);
+      expect(fileService.getFileStream).not.toHaveBeenCalled();
+      expect(link.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses downloads once the download limit is reached', async () => {
+      await fileLink({ maxDownloads: 2, downloadCount: 2 });
+
+      expect((await request(app).get('/api/shares/token-1/download')).status).toBe(410);
+    });
+
+    it('refuses uploads once past expiry', async () => {
+      await folderLink({ permissions: 'write', expiresAt });
+
+      const res = await request(app).post('/api/shares/token-1/upload')
+        .attach('file', Buffer.from('hello'), { filename: 'hello.txt', contentType: 'text/plain' });
+
+      expect(res.status).toBe(410);
+      expect(fileService.saveFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upload-enabled links', () => {
+    const upload = () => request(app).post('/api/shares/token-1/upload')
+      .field('uploaderName', 'Sam')
+      .attach('file', Buffer.from('hello'), { filename: 'hello.txt', contentType: 'text/plain' });
+
+    beforeEach(() => {
+      fileService.saveFile.mockImplementation(async (file, userId, folderId) => ({
+        id: 'file-2', originalName: file.originalname, size: file.size, mimeType: file.mimetype, folderId
+      }));
+    });
+
+    it('files an upload into the shared folder for its owner', async () => {
+      const link = await folderLink({ permissions: 'write' });
+
+      const res = await upload();
+
+      expect(res.status).toBe(201);
+      expect(res.body.file).toMatchObject({ id: 'file-2', originalName: 'hello.txt', size: 5 });
+      expect(fileService.saveFile).toHaveBeenCalledWith(
+        expect.objectContaining({ originalname: 'hello.txt' }),
+        'owner',
+        'folder-1',
+        expect.objectContaining({ uploadedVia: 'share_link', shareLinkId: 'link-1', uploaderName: 'Sam' }),
+        null,
+        { reservation: { id: 'reservation-1' } }
+      );
+      expect(link.uploadCount).toBe(1);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'owner', type: 'file_uploaded' }));
+    });
+
+    it('refuses uploads through a read-only link', async () => {
+      await folderLink({ permissions: 'read' });
+
+      const res = await upload();
+
+      expect(res.status).toBe(403);
+      expect(storage.objects.size).toBe(0);
+    });
+
+    it('refuses types the link does not accept before storing anything', async () => {
+      await folderLink({ permissions: 'write', allowedTypes: ['image/*'] });
+
+      const res = await upload();
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid file type for this upload link');
+      expect(storage.objects.size).toBe(0);
+      expect(fileService.saveFile).not.toHaveBeenCalled();
+    });
+
+    it('asks for the password of a protected upload link', async () => {
+      await folderLink({ permissions: 'write', password: 'drop' });
+
+      expect((await upload()).status).toBe(401);
+      expect((await upload().query({ password: 'drop' })).status).toBe(201);
+    });
+  });
+
+  describe('password hashing migration', () => {
+    const queryInterface = sequelize.getQueryInterface();
+    let hashed;
+
+    beforeAll(async () => {
+      await queryInterface.createTable('ShareLinks', {
+        id: { type: DataTypes.STRING, primaryKey: true },
+        password: { type: DataTypes.STRING, allowNull: true }
+      });
+      hashed = await bcrypt.hash('already', 10);
+      await queryInterface.bulkInsert('ShareLinks', [
+        { id: 'plain', password: 'open sesame' },
+        { id: 'hashed', password: hashed },
+        { id: 'open', password: null }
+      ]);
+    });
+
+    afterAll(() => queryInterface.dropTable('ShareLinks'));
+
+    it('hashes plaintext passwords and leaves hashed and empty ones alone', async () => {
+      await migration.up(queryInterface);
+
+      const rows = await sequelize.query('SELECT id, password FROM "ShareLinks"', { type: sequelize.QueryTypes.SELECT });
+      const passwords = Object.fromEntries(rows.map(row => [row.id, row.password]));
+
+      expect(await bcrypt.compare('open sesame', passwords.plain)).toBe(true);
+      expect(passwords.hashed).toBe(hashed);
+      expect(passwords.open).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  LocalStorageAdapter,
+  createStorageAdapter
+} = require('../services/storage');
+
+const read = (stream) => StorageAdapter.toBuffer(stream);
+
+// Both adapters must behave identically for the same sequence of calls
+const adapters = {
+  memory: async () => new MemoryStorageAdapter(),
+  local: async () => new LocalStorageAdapter({
+    root: await fs.mkdtemp(path.join(os.tmpdir(), 'sharevault-storage-'))
+  })
+};
+
+describe.each(Object.keys(adapters))('%s storage adapter', (name) => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = await adapters[name]();
+  });
+
+  afterEach(async () => {
+    if (storage.root) {
+      await fs.rm(storage.root, { recursive: true, force: true });
+    }
+  });
+
+  it('should store a buffer and read it back', async () => {
+    const result = await storage.put('uploads/a.txt', Buffer.from('hello world'), { contentType: 'text/plain' });
+
+    expect(result).toEqual({ key: 'uploads/a.txt', size: 11 });
+    expect((await read(await storage.getStream('uploads/a.txt'))).toString()).toBe('hello world');
+  });
+
+  it('should store a stream', async () => {
+    await storage.put('uploads/b.txt', Readable.from([Buffer.from('abc'), Buffer.from('def')]));
+
+    expect((await storage.getBuffer('uploads/b.txt')).toString()).toBe('abcdef');
+  });
+
+  it('should read an inclusive byte range', async () => {
+    await storage.put('uploads/c.txt', Buffer.from('0123456789'));
+
+    expect((await read(await storage.getRange('uploads/c.txt', 2, 5))).toString()).toBe('2345');
+  });
+
+  it('should report size and existence', async () => {
+    await storage.put('uploads/d.txt', Buffer.from('12345'));
+
+    expect((await storage.stat('uploads/d.txt')).size).toBe(5);
+    expect(await storage.exists('uploads/d.txt')).toBe(true);
+    expect(await storage.stat('uploads/missing.txt')).toBeNull();
+    expect(await storage.exists('uploads/missing.txt')).toBe(false);
+  });
+
+  it('should delete objects and ignore missing keys', async () => {
+    await storage.put('uploads/e.txt', Buffer.from('x'));
+    await storage.delete('uploads/e.txt');
+    await storage.delete('uploads/e.txt');
+
+    expect(await storage.exists('uploads/e.txt')).toBe(false);
+  });
+
+  it('should reject reads of missing objects with a 404', async () => {
+    await expect(storage.getStream('uploads/missing.txt')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('LocalStorageAdapter', () => {
+  it('should refuse keys that escape the root', () => {
+    const storage = new LocalStorageAdapter({ root: path.join(os.tmpdir(), 'sharevault-root') });
+
+    expect(() => storage.resolve('../etc/passwd')).toThrow('Invalid storage key');
+  });
+});
+
+describe('createStorageAdapter', () => {
+  it('should default to the in-memory adapter under test', () => {
+    expect(createStorageAdapter()).toBeInstanceOf(MemoryStorageAdapter);
+  });
+
+  it('should reject unknown storage types', () => {
+    expect(() => createStorageAdapter('ftp')).toThrow('Unknown STORAGE_TYPE: ftp');
+  });
+});
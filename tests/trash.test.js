@@ -0,0 +1,135 @@
+const { Op } = require('sequelize');
+
+jest.mock('../models', () => ({
+  File: {},
+  Folder: {},
+  ShareLink: {},
+  Permission: {},
+  Log: { create: jest.fn().mockResolvedValue(true) },
+  sequelize: {
+    transaction: jest.fn(callback => callback({})),
+    fn: (name, column) => ({ fn: name, column }),
+    col: name => name
+  }
+}));
+
+jest.mock('../services/quotaService', () => ({ charge: jest.fn(), credit: jest.fn() }));
+
+const models = require('../models');
+const quotaService = require('../services/quotaService');
+const fileService = require('../services/fileService');
+
+// Enough of Sequelize's where clauses for the recycle bin: equality, IN lists
+// and Op.or
+const matches = (row, where) => Object.keys(where).every(key => {
+  const condition = where[key];
+  if (Array.isArray(condition)) return condition.includes(row[key]);
+  return row[key] === (condition === undefined ? null : condition);
+}) && (!where[Op.or] || where[Op.or].some(option => matches(row, option)));
+
+// An in-memory paranoid table with the static and instance methods the service uses
+const createTable = (name) => {
+  const table = { rows: [] };
+  const visible = (options = {}) => table.rows.filter(row =>
+    (options.paranoid === false || !row.deletedAt) && matches(row, options.where || {}));
+
+  Object.assign(models[name], {
+    findAll: jest.fn(async (options) => {
+      const found = visible(options);
+      if (!options.group) return found;
+
+      // SUM(size) grouped by owner
+      const totals = new Map();
+      for (const row of found) totals.set(row.userId, (totals.get(row.userId) || 0) + row.size);
+      return [...totals].map(([userId, total]) => ({ userId, total }));
+    }),
+    findOne: jest.fn(async options => visible(options)[0] || null),
+    findByPk: jest.fn(async (id, options = {}) => visible({ ...options, where: { id } })[0] || null),
+    sum: jest.fn(async (field, options) => visible(options).reduce((total, row) => total + row[field], 0)),
+    update: jest.fn(async (values, options) => {
+      const found = visible(options);
+      found.forEach(row => Object.assign(row, values));
+      return [found.length];
+    }),
+    destroy: jest.fn(async options => visible(options).forEach(row => { row.deletedAt = new Date(); })),
+    restore: jest.fn(async options => visible({ ...options, paranoid: false }).forEach(row => { row.deletedAt = null; }))
+  });
+
+  table.add = (values) => {
+    const row = {
+      userId: 'user-1',
+      isDeleted: false,
+      trashedWithId: null,
+      deletedAt: null,
+      save: jest.fn().mockResolvedValue(true),
+      destroy: jest.fn(async () => { row.deletedAt = new Date(); }),
+      restore: jest.fn(async () => { row.deletedAt = null; }),
+      ...values
+    };
+    table.rows.push(row);
+    return row;
+  };
+
+  return table;
+};
+
+describe('Recycle bin', () => {
+  let files;
+  let folders;
+  let usage;
+  let folder;
+  let file;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = createTable('File');
+    folders = createTable('Folder');
+
+    usage = 0;
+    quotaService.charge.mockImplementation(async (userId, bytes) => { usage += Number(bytes); });
+    quotaService.credit.mockImplementation(async (userId, bytes) => { usage -= Number(bytes); });
+
+    folder = folders.add({ id: 'folder-1', name: 'Reports', parentId: null });
+    file = files.add({ id: 'file-1', originalName: 'q1.pdf', folderId: 'folder-1', parentVersionId: null, size: 100 });
+    files.add({ id: 'file-1-v1', folderId: 'folder-1', parentVersionId: 'file-1', size: 50 });
+    files.add({ id: 'file-2', originalName: 'q2.pdf', folderId: 'folder-1', parentVersionId: null, size: 30 });
+    usage = 180;
+  });
+
+  it('takes a trashed folder off the quota and charges it again on restore', async () => {
+    await fileService.deleteFolder(folder);
+    expect(usage).toBe(0);
+    expect(files.rows.every(row => row.isDeleted && row.trashedWithId === 'folder-1')).toBe(true);
+
+    await fileService.restoreFolder('folder-1', 'user-1');
+
+    expect(usage).toBe(180);
+    expect(files.rows.every(row => !row.isDeleted && !row.deletedAt && !row.trashedWithId)).toBe(true);
+  });
+
+  it('charges a file restored out of a trashed folder only once', async () => {
+    await fileService.deleteFolder(folder);
+
+    await fileService.restoreFile('file-1', 'user-1');
+
+    expect(usage).toBe(150);
+    expect(file).toMatchObject({ isDeleted: false, deletedAt: null, trashedWithId: null, folderId: null });
+    expect(files.rows.find(row => row.id === 'file-1-v1')).toMatchObject({ isDeleted: false, deletedAt: null, trashedWithId: null });
+
+    await fileService.restoreFolder('folder-1', 'user-1');
+
+    expect(usage).toBe(180);
+    expect(file.folderId).toBeNull();
+  });
+
+  it('restores a file trashed on its own together with its versions', async () => {
+    await fileService.deleteFile(file, 'user-1');
+    expect(usage).toBe(30);
+
+    await fileService.restoreFile('file-1', 'user-1');
+
+    expect(usage).toBe(180);
+    expect(file).toMatchObject({ isDeleted: false, folderId: 'folder-1' });
+    expect(files.rows.every(row => !row.isDeleted && !row.trashedWithId)).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../models', () => ({
+  User: {},
+  PersonalAccessToken: {},
+  RecoveryCode: {
+    destroy: jest.fn().mockResolvedValue(0),
+    bulkCreate: jest.fn().mockResolvedValue([]),
+    update: jest.fn(),
+    count: jest.fn().mockResolvedValue(9)
+  },
+  DeviceSession: { update: jest.fn().mockResolvedValue([1]) },
+  WebAuthnCredential: { count: jest.fn().mockResolvedValue(0) },
+  AuthThrottle: { findAll: jest.fn().mockResolvedValue([]), destroy: jest.fn().mockResolvedValue(0) },
+  Log: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+const speakeasy = require('speakeasy');
+const { RecoveryCode, DeviceSession, Log } = require('../models');
+const twoFactorService = require('../services/twoFactorService');
+const { require2FA } = require('../middleware/auth');
+
+const secret = speakeasy.generateSecret().base32;
+const user = { id: 'user-1', twoFactorEnabled: true, twoFactorSecret: secret };
+const currentToken = () => speakeasy.totp({ secret, encoding: 'base32' });
+
+const createRequest = (values) => ({
+  ip: '203.0.113.7',
+  get: () => 'Mozilla/5.0',
+  user,
+  body: {},
+  deviceSession: { id: 'session-1', twoFactorVerifiedAt: null },
+  ...values
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Two-factor authentication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores only hashes of newly generated recovery codes', async () => {
+    const codes = await twoFactorService.generateRecoveryCodes('user-1');
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(RecoveryCode.destroy).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+    const rows = RecoveryCode.bulkCreate.mock.calls[0][0];
+    expect(rows.map(row => row.codeHash)).toEqual(codes.map(code => twoFactorService.hashCode(code)));
+  });
+
+  it('accepts a recovery code once, however it is typed', async () => {
+    RecoveryCode.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+    const req = createRequest();
+
+    expect(await twoFactorService.verify(user, 'ABCDE FGHJK', req)).toBe('recovery_code');
+    expect(RecoveryCode.update.mock.calls[0][1].where).toMatchObject({
+      codeHash: twoFactorService.hashCode('abcde-fghjk'),
+      usedAt: null
+    });
+    expect(Log.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'recovery_code_use' }));
+
+    expect(await twoFactorService.verify(user, 'abcde-fghjk', req)).toBeNull();
+  });
+
+  it('asks for a fresh confirmation before sensitive actions', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await require2FA(createRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requires2FA: true }));
+  });
+
+  it('lets sessions confirmed within the step-up window through', async () => {
+    const next = jest.fn();
+
+    await require2FA(createRequest({ deviceSession: { id: 'session-1', twoFactorVerifiedAt: new Date() } }), createResponse(), next);
+    expect(next).toHaveBeenCalledWith();
+
+    const stale = new Date(Date.now() - twoFactorService.stepUpWindow - 1000);
+    const res = createResponse();
+    await require2FA(createRequest({ deviceSession: { id: 'session-1', twoFactorVerifiedAt: stale } }), res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('accepts a token sent with the request and records the confirmation', async () => {
+    const req = createRequest({ body: { twoFactorToken: currentToken() } });
+    const next = jest.fn();
+
+    await require2FA(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.deviceSession.twoFactorVerifiedAt).toBeInstanceOf(Date);
+    expect(DeviceSession.update).toHaveBeenCalledWith(
+      { twoFactorVerifiedAt: req.deviceSession.twoFactorVerifiedAt },
+      { where: { id: 'session-1' } }
+    );
+  });
+
+  it('does not get in the way of users without 2FA', async () => {
+    const next = jest.fn();
+
+    await require2FA(createRequest({ user: { id: 'user-2', twoFactorEnabled: false } }), createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
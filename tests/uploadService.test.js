@@ -0,0 +1,139 @@
+jest.mock('../models', () => ({
+  UploadSession: { create: jest.fn(), findByPk: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  Folder: { findByPk: jest.fn().mockResolvedValue(null) },
+  QuotaReservation: { findOne: jest.fn().mockResolvedValue(null) },
+  sequelize: {
+    transaction: jest.fn(callback => callback({ LOCK: { UPDATE: 'UPDATE' } }))
+  }
+}));
+
+jest.mock('../services/fileService', () => ({ saveFile: jest.fn() }));
+jest.mock('../services/quotaService', () => ({
+  reserve: jest.fn().mockResolvedValue(true),
+  releaseSession: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/realtimeService', () => ({ emitToUser: jest.fn() }));
+
+const crypto = require('crypto');
+const { UploadSession } = require('../models');
+const fileService = require('../services/fileService');
+const quotaService = require('../services/quotaService');
+const { storage } = require('../services/storage');
+const uploadService = require('../services/uploadService');
+
+// The real model, for its chunk arithmetic; nothing is written to a database
+const UploadSessionModel = jest.requireActual('../models/UploadSession');
+
+const MB = 1024 * 1024;
+const user = { id: 'user-1' };
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// 2.5 MB in 1 MB chunks: two full chunks and a short last one
+const data = crypto.randomBytes(2.5 * MB);
+const chunks = [data.subarray(0, MB), data.subarray(MB, 2 * MB), data.subarray(2 * MB)];
+
+const createSession = (values = {}) => uploadService.createSession(user, {
+  originalName: 'video.mp4',
+  mimeType: 'video/mp4',
+  totalSize: data.length,
+  checksum: sha256(data),
+  chunkSize: MB,
+  ...values
+});
+
+describe('UploadService', () => {
+  let session;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storage.clear();
+
+    UploadSession.create.mockImplementation(async values => {
+      session = UploadSessionModel.build({ id: crypto.randomUUID(), ...values });
+      session.save = jest.fn().mockResolvedValue(session);
+      return session;
+    });
+    UploadSession.findByPk.mockImplementation(async () => session);
+    fileService.saveFile.mockImplementation(async file => ({ id: 'file-1', ...file }));
+
+    await createSession();
+  });
+
+  it('splits the declared size into chunks and reserves it against the quota', () => {
+    expect(session.totalChunks).toBe(3);
+    expect(session.getChunkLength(2)).toBe(0.5 * MB);
+    expect(quotaService.reserve).toHaveBeenCalledWith('user-1', data.length, expect.objectContaining({ uploadSessionId: session.id }));
+  });
+
+  it('assembles chunks sent out of order and more than once', async () => {
+    await uploadService.writeChunk(session, 2, chunks[2]);
+    await uploadService.writeChunk(session, 0, crypto.randomBytes(MB));
+    await uploadService.writeChunk(session, 0, chunks[0], sha256(chunks[0]));
+    await uploadService.writeChunk(session, 1, chunks[1]);
+
+    expect(session.receivedChunks).toEqual([0, 1, 2]);
+
+    const file = await uploadService.completeSession(session);
+
+    expect(file.checksum).toBe(sha256(data));
+    expect(file.size).toBe(data.length);
+    expect(Buffer.compare(storage.read(file.key).data, data)).toBe(0);
+    expect(session.status).toBe('completed');
+    expect(session.fileId).toBe('file-1');
+    expect(storage.objects.has(uploadService.getChunkKey(session.id, 0))).toBe(false);
+    expect(quotaService.releaseSession).toHaveBeenCalledWith(session.id);
+  });
+
+  it('rejects chunks with the wrong index or size', async () => {
+    await expect(uploadService.writeChunk(session, 3, chunks[2])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(uploadService.writeChunk(session, -1, chunks[0])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(uploadService.writeChunk(session, 2, chunks[0])).rejects.toMatchObject({ statusCode: 400 });
+    expect(session.receivedChunks).toEqual([]);
+  });
+
+  it('rejects a chunk that does not match its checksum', async () => {
+    await expect(uploadService.writeChunk(session, 0, chunks[0], sha256(chunks[1])))
+      .rejects.toMatchObject({ statusCode: 422 });
+    expect(storage.objects.size).toBe(0);
+  });
+
+  it('will not complete while chunks are missing', async () => {
+    await uploadService.writeChunk(session, 1, chunks[1]);
+
+    await expect(uploadService.completeSession(session)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Missing chunks: 0, 2'
+    });
+    expect(fileService.saveFile).not.toHaveBeenCalled();
+  });
+
+  it('fails the session when the assembled file does not match the declared checksum', async () => {
+    await uploadService.writeChunk(session, 0, chunks[0]);
+    await uploadService.writeChunk(session, 1, crypto.randomBytes(MB));
+    await uploadService.writeChunk(session, 2, chunks[2]);
+
+    await expect(uploadService.completeSession(session)).rejects.toMatchObject({ statusCode: 422 });
+
+    expect(session.status).toBe('failed');
+    expect(fileService.saveFile).not.toHaveBeenCalled();
+    expect(quotaService.releaseSession).toHaveBeenCalledWith(session.id);
+    expect(storage.objects.size).toBe(0);
+  });
+
+  it('refuses expired sessions and frees them when they are swept', async () => {
+    await uploadService.writeChunk(session, 0, chunks[0]);
+    session.expiresAt = new Date(Date.now() - 1000);
+    UploadSession.findOne.mockResolvedValue(session);
+    UploadSession.findAll.mockResolvedValue([session]);
+
+    await expect(uploadService.getSession(session.id, 'user-1')).rejects.toMatchObject({
+      statusCode: 410,
+      message: 'Upload session is expired'
+    });
+
+    expect(await uploadService.expireSessions()).toBe(1);
+    expect(session.status).toBe('expired');
+    expect(quotaService.releaseSession).toHaveBeenCalledWith(session.id);
+    expect(storage.objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,227 @@
+jest.mock('../models', () => ({
+  User: { findOne: jest.fn() },
+  WebAuthnCredential: { findAll: jest.fn(), findOne: jest.fn(), count: jest.fn(), create: jest.fn() },
+  WebAuthnChallenge: { create: jest.fn(), findOne: jest.fn(), destroy: jest.fn() },
+  Log: { create: jest.fn().mockResolvedValue(true) }
+}));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+const app = require('../app');
+const { User, WebAuthnCredential, WebAuthnChallenge } = require('../models');
+const webauthnService = require('../services/webauthnService');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0' };
+const user = { id: 'user-1', email: 'a@example.com', name: 'Alice' };
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+const encode = data => isoBase64URL.fromBuffer(new Uint8Array(data));
+
+// A software authenticator: an ES256 key pair that answers ceremonies the
+// way a browser and security key would, with "none" attestation
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  let counter = 0;
+
+  const authData = (flags, attestedCredential = Buffer.alloc(0)) => {
+    const count = Buffer.alloc(4);
+    count.writeUInt32BE(counter);
+    return Buffer.concat([sha256(webauthnService.rpID), Buffer.from([flags]), count, attestedCredential]);
+  };
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({
+    type,
+    challenge,
+    origin: webauthnService.origin,
+    crossOrigin: false
+  }));
+
+  return {
+    id: encode(credentialId),
+    setCounter(value) { counter = value; },
+
+    attest(options) {
+      const coseKey = new Map([
+        [1, 2], [3, -7], [-1, 1],
+        [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+        [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+      ]);
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), length, credentialId, Buffer.from(isoCBOR.encode(coseKey))]);
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', new Uint8Array(authData(0x45, attested))]
+      ]));
+
+      return {
+        id: encode(credentialId),
+        rawId: encode(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: encode(clientData('webauthn.create', options.challenge)),
+          attestationObject: encode(attestationObject),
+          transports: ['usb']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    assert(options) {
+      counter++;
+      const data = authData(0x05);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const signature = crypto.sign('sha256', Buffer.concat([data, sha256(clientDataJSON)]), privateKey);
+
+      return {
+        id: encode(credentialId),
+        rawId: encode(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: encode(clientDataJSON),
+          authenticatorData: encode(data),
+          signature: encode(signature)
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+};
+
+describe('WebAuthnService', () => {
+  let challenges;
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    challenges = new Map();
+    stored = null;
+
+    WebAuthnChallenge.create.mockImplementation(async values => {
+      const challenge = { id: crypto.randomUUID(), ...values };
+      challenges.set(challenge.id, challenge);
+      return challenge;
+    });
+    WebAuthnChallenge.findOne.mockImplementation(async ({ where }) => challenges.get(where.id) || null);
+    WebAuthnChallenge.destroy.mockImplementation(async ({ where }) => (challenges.delete(where.id) ? 1 : 0));
+
+    WebAuthnCredential.findAll.mockImplementation(async () => (stored ? [stored] : []));
+    WebAuthnCredential.count.mockImplementation(async () => (stored ? 1 : 0));
+    WebAuthnCredential.create.mockImplementation(async values => {
+      stored = { id: 'credential-1', ...values, user, save: jest.fn().mockResolvedValue(true) };
+      return stored;
+    });
+    WebAuthnCredential.findOne.mockImplementation(async ({ where }) => (
+      stored && stored.credentialId === where.credentialId ? stored : null
+    ));
+  });
+
+  const register = async (authenticator, values = {}) => {
+    const { challengeId, options } = await webauthnService.registrationOptions(user);
+    return await webauthnService.register(user, { challengeId, response: authenticator.attest(options), ...values }, req);
+  };
+
+  const signIn = async (authenticator, settings) => {
+    const { challengeId, options } = await webauthnService.authenticationOptions(settings.userId ? user : null);
+    return { challengeId, result: await webauthnService.authenticate({ challengeId, response: authenticator.assert(options) }, settings) };
+  };
+
+  it('registers a credential from an attestation', async () => {
+    const authenticator = createAuthenticator();
+
+    const credential = await register(authenticator, { name: 'YubiKey' });
+
+    expect(credential).toMatchObject({
+      userId: 'user-1',
+      name: 'YubiKey',
+      credentialId: authenticator.id,
+      counter: 0,
+      transports: ['usb'],
+      passwordless: true
+    });
+    expect(challenges.size).toBe(0);
+  });
+
+  it('signs in with the credential, tracking its counter and last use', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+
+    const { result } = await signIn(authenticator, { passwordless: true });
+
+    expect(result).toBe(stored);
+    expect(stored.counter).toBe(1);
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('accepts each challenge only once', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+
+    const { challengeId, options } = await webauthnService.authenticationOptions(user);
+    const response = authenticator.assert(options);
+
+    expect(await webauthnService.authenticate({ challengeId, response }, { userId: 'user-1' })).toBe(stored);
+    expect(await webauthnService.authenticate({ challengeId, response }, { userId: 'user-1' })).toBeNull();
+  });
+
+  it('rejects a sign counter that went backwards', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+    stored.counter = 10;
+    authenticator.setCounter(4);
+
+    const { result } = await signIn(authenticator, { userId: 'user-1' });
+
+    expect(result).toBeNull();
+    expect(stored.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects assertions signed by a different key', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+    const impostor = createAuthenticator();
+    const { challengeId, options } = await webauthnService.authenticationOptions(user);
+
+    const response = { ...impostor.assert(options), id: authenticator.id, rawId: authenticator.id };
+
+    expect(await webauthnService.authenticate({ challengeId, response }, { userId: 'user-1' })).toBeNull();
+  });
+
+  it('keeps second-factor-only keys out of passwordless sign-in', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator, { passwordless: false });
+
+    expect((await signIn(authenticator, { passwordless: true })).result).toBeNull();
+    expect((await signIn(authenticator, { userId: 'user-1' })).result).toBe(stored);
+  });
+
+  it('gives every email the same sign-in options, so they reveal no accounts', async () => {
+    const authenticator = createAuthenticator();
+    await register(authenticator);
+    User.findOne.mockImplementation(async ({ where }) => (where.email === user.email ? user : null));
+
+    const start = body => request(app).post('/api/auth/webauthn/login/options').send(body);
+    const known = await start({ email: user.email });
+    const unknown = await start({ email: 'nobody@example.com' });
+    const anonymous = await start({});
+
+    // Everything but the challenge itself
+    const shape = res => ({
+      status: res.status,
+      keys: Object.keys(res.body).sort(),
+      options: { ...res.body.options, challenge: res.body.options.challenge.length }
+    });
+    expect(shape(known)).toEqual(shape(unknown));
+    expect(shape(known)).toEqual(shape(anonymous));
+    expect(known.body.options.allowCredentials).toEqual([]);
+    expect(JSON.stringify(known.body)).not.toContain(authenticator.id);
+
+    // The passkey the browser picks still signs its owner in
+    const response = authenticator.assert(known.body.options);
+    expect(await webauthnService.authenticate({ challengeId: known.body.challengeId, response }, { passwordless: true })).toBe(stored);
+  });
+});
@@ -0,0 +1,202 @@
+jest.mock('../models', () => ({
+  File: { findAll: jest.fn() },
+  Folder: { findAll: jest.fn() },
+  ShareLink: {},
+  Permission: {},
+  Log: { create: jest.fn().mockResolvedValue(true) },
+  sequelize: { transaction: jest.fn(callback => callback({})) }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { PassThrough, Readable } = require('stream');
+const { File, Folder } = require('../models');
+const { storage } = require('../services/storage');
+const fileService = require('../services/fileService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const DownloadUtil = require('../utils/download');
+const TextExtractionUtil = require('../utils/textExtraction');
+
+// Names and compression methods from the archive's central directory
+const listZip = (buffer) => {
+  const end = TextExtractionUtil.findEndOfCentralDirectory(buffer);
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = buffer.readUInt16LE(end + 10); i > 0; i--) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+};
+
+const matches = (row, where) => Object.keys(where).every(key => row[key] === where[key]);
+const byName = key => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+
+describe('ZIP downloads', () => {
+  let files;
+  let folders;
+  let selection;
+
+  const addFile = async (originalName, folderId, contents, values = {}) => {
+    const file = {
+      id: `file-${files.length + 1}`,
+      originalName,
+      folderId,
+      mimeType: 'text/plain',
+      path: `uploads/${files.length + 1}-${originalName}`,
+      size: contents.length,
+      isEncrypted: false,
+      isDeleted: false,
+      parentVersionId: null,
+      scanStatus: 'clean',
+      updatedAt: new Date('2024-01-15T10:00:00Z'),
+      ...values
+    };
+    await storage.put(file.path, contents);
+    files.push(file);
+    return file;
+  };
+
+  const addFolder = (name, parentId) => {
+    const folder = { id: `folder-${folders.length + 1}`, name, parentId, isDeleted: false };
+    folders.push(folder);
+    return folder;
+  };
+
+  // The same steps as the ZIP routes
+  const app = express();
+  app.get('/zip', asyncHandler(async (req, res) => {
+    const entries = await fileService.getZipEntries(selection.files, selection.folders);
+    await DownloadUtil.sendZip(res, entries, 'export');
+  }));
+
+  const raw = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const download = () => request(app).get('/zip').buffer(true).parse(raw);
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    storage.clear();
+    files = [];
+    folders = [];
+
+    File.findAll.mockImplementation(async ({ where }) => files.filter(row => matches(row, where)).sort(byName('originalName')));
+    Folder.findAll.mockImplementation(async ({ where }) => folders.filter(row => matches(row, where)).sort(byName('name')));
+  });
+
+  it('archives the selected files and folder trees with their contents', async () => {
+    const projects = addFolder('Projects', null);
+    const drafts = addFolder('Drafts', projects.id);
+    const old = addFolder('Old', drafts.id);
+    addFolder('Empty', projects.id);
+    await addFile('plan.txt', projects.id, 'the plan');
+    await addFile('outline.txt', drafts.id, 'first draft');
+    await addFile('notes.txt', old.id, 'older notes');
+    await addFile('photo.png', projects.id, Buffer.from('89504e47', 'hex'), { mimeType: 'image/png' });
+    const readme = await addFile('readme.txt', null, 'read me first');
+    selection = { files: [readme], folders: [projects] };
+
+    const res = await download();
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="export.zip"');
+    expect(listZip(res.body)).toEqual([
+      { name: 'readme.txt', method: 8 },
+      { name: 'Projects/photo.png', method: 0 },
+      { name: 'Projects/plan.txt', method: 8 },
+      { name: 'Projects/Drafts/outline.txt', method: 8 },
+      { name: 'Projects/Drafts/Old/notes.txt', method: 8 },
+      { name: 'Projects/Empty/', method: 0 }
+    ]);
+    expect(TextExtractionUtil.readZipEntry(res.body, 'readme.txt').toString()).toBe('read me first');
+    expect(TextExtractionUtil.readZipEntry(res.body, 'Projects/Drafts/Old/notes.txt').toString()).toBe('older notes');
+    expect(TextExtractionUtil.readZipEntry(res.body, 'Projects/photo.png').toString('hex')).toBe('89504e47');
+  });
+
+  it('leaves out files that have not passed the virus scan', async () => {
+    const shared = addFolder('Shared', null);
+    await addFile('clean.txt', shared.id, 'ok');
+    await addFile('pending.txt', shared.id, 'wait', { scanStatus: 'pending' });
+    const infected = await addFile('infected.txt', null, 'bad', { scanStatus: 'infected' });
+    selection = { files: [infected], folders: [shared] };
+
+    const res = await download();
+
+    expect(listZip(res.body).map(entry => entry.name)).toEqual(['Shared/clean.txt']);
+  });
+
+  it('gives colliding names within a directory distinct suffixes', async () => {
+    const reports = addFolder('Reports', null);
+    const otherReports = addFolder('reports', null);
+    addFolder('summary.txt', reports.id);
+    await addFile('Summary.txt', reports.id, 'a');
+    await addFile('summary.txt', reports.id, 'b');
+    await addFile('summary.txt', otherReports.id, 'c');
+    const top = await addFile('reports', null, 'd');
+    const sneaky = await addFile('../etc/passwd', null, 'e');
+    selection = { files: [top, sneaky], folders: [reports, otherReports] };
+
+    const res = await download();
+
+    expect(listZip(res.body).map(entry => entry.name)).toEqual([
+      'reports',
+      '.._etc_passwd',
+      'Reports (1)/Summary.txt',
+      'Reports (1)/summary (1).txt',
+      'Reports (1)/summary (2).txt/',
+      'reports (2)/summary.txt'
+    ]);
+    expect(TextExtractionUtil.readZipEntry(res.body, 'Reports (1)/summary (1).txt').toString()).toBe('b');
+  });
+
+  it('cuts the connection when storage fails mid-stream', async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const first = await addFile('first.txt', null, 'fine');
+    const broken = await addFile('broken.txt', null, 'never read');
+    const last = await addFile('last.txt', null, 'never reached');
+    selection = { files: [first, broken, last], folders: [] };
+
+    const getStream = storage.getStream.bind(storage);
+    jest.spyOn(storage, 'getStream').mockImplementation(async (key) => {
+      if (key !== broken.path) return getStream(key);
+      return Readable.from((async function* () {
+        yield Buffer.from('half');
+        throw new Error('Connection reset by storage backend');
+      })());
+    });
+
+    await expect(download()).rejects.toThrow();
+    expect(errors).toHaveBeenCalledWith('Error streaming ZIP archive:', expect.objectContaining({
+      message: 'Connection reset by storage backend'
+    }));
+    expect(storage.getStream).not.toHaveBeenCalledWith(last.path);
+  }, 10000);
+
+  it('fails an export rather than storing a truncated archive', async () => {
+    const broken = await addFile('broken.txt', null, 'never read');
+    jest.spyOn(storage, 'getStream').mockImplementation(async () => Readable.from((async function* () {
+      yield Buffer.from('half');
+      throw new Error('Connection reset by storage backend');
+    })()));
+
+    // As the ZIP export job writes archives
+    const output = new PassThrough();
+    await expect(Promise.all([
+      fileService.streamZip([{ file: broken, name: 'broken.txt' }], output),
+      storage.put('exports/export.zip', output)
+    ])).rejects.toThrow('Connection reset by storage backend');
+    expect(await storage.stat('exports/export.zip')).toBeNull();
+  }, 10000);
+});
@@ -0,0 +1,53 @@
+const { Op } = require('sequelize');
+
+// Opaque cursors for keyset pagination over (createdAt, id), newest first.
+// Unlike offsets they stay stable while new rows are being added.
+class CursorUtil {
+  static order = [['createdAt', 'DESC'], ['id', 'DESC']];
+
+  static encode(row) {
+    return Buffer.from(JSON.stringify([new Date(row.createdAt).toISOString(), row.id])).toString('base64url');
+  }
+
+  // { createdAt, id } for a cursor, or null if it is malformed
+  static decode(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      const date = new Date(createdAt);
+      if (typeof id !== 'string' || isNaN(date.getTime())) return null;
+      return { createdAt: date, id };
+    } catch {
+      return null;
+    }
+  }
+
+  // Where clause selecting the rows that come after the cursor
+  static after(cursor) {
+    if (!cursor) return {};
+
+    return {
+      [Op.or]: [
+        { createdAt: { [Op.lt]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { [Op.lt]: cursor.id } }
+      ]
+    };
+  }
+
+  // Sort comparator matching the order above, for merging several result sets
+  static compare(a, b) {
+    const byDate = new Date(b.createdAt) - new Date(a.createdAt);
+    if (byDate !== 0) return byDate;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+  }
+
+  // Trim rows fetched with limit + 1 to a page and the cursor for the next one
+  static page(rows, limit) {
+    const items = rows.slice(0, limit);
+    return {
+      items,
+      nextCursor: rows.length > limit ? this.encode(items[items.length - 1]) : null
+    };
+  }
+}
+
+module.exports = CursorUtil;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const fileService = require('../services/fileService');
+const { storage } = require('../services/storage');
+
+class DownloadUtil {
+  // Set validator headers and decide how to answer a download request.
+  // Returns { status, ranges, isNewDownload } where status is 200, 206, 304 or 416.
+  static prepare(req, res, file) {
+    const size = Number(file.size);
+    const etag = `"${file.checksum}"`;
+    const lastModified = new Date(file.metadata?.uploadDate || file.createdAt);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    // Handles If-None-Match and If-Modified-Since against the headers above
+    if (req.fresh) {
+      return { status: 304, ranges: null, isNewDownload: false };
+    }
+
+    const ranges = req.range(size, { combine: true });
+    const full = { status: 200, ranges: null, isNewDownload: true };
+
+    // No Range header, a malformed one or a unit other than bytes: send everything
+    if (ranges === undefined || ranges === -2 || (Array.isArray(ranges) && ranges.type !== 'bytes')) {
+      return full;
+    }
+
+    if (!DownloadUtil.matchesIfRange(req.get('If-Range'), etag, lastModified)) {
+      return full;
+    }
+
+    if (ranges === -1) {
+      return { status: 416, ranges: null, isNewDownload: false };
+    }
+
+    // Seeking around a video fires many range requests; only the one from byte 0 counts
+    return { status: 206, ranges, isNewDownload: ranges[0].start === 0 };
+  }
+
+  // If-Range holds either an entity tag or a date; a mismatch means the client's copy is stale
+  static matchesIfRange(ifRange, etag, lastModified) {
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      return ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+  }
+
+  // Write the response decided by prepare(); Content-Type should already be set
+  static async send(req, res, file, { status, ranges }) {
+    const size = Number(file.size);
+
+    if (status === 304) {
+      return res.status(304).end();
+    }
+
+    if (status === 416) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    if (status === 200) {
+      res.setHeader('Content-Length', size);
+      if (req.method === 'HEAD') return res.end();
+      return await DownloadUtil.pipe(await fileService.getFileStream(file.id), res);
+    }
+
+    res.status(206);
+
+    if (ranges.length === 1) {
+      const [{ start, end }] = ranges;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      if (req.method === 'HEAD') return res.end();
+      return await DownloadUtil.pipe(await fileService.getFileStream(file.id, { start, end }), res);
+    }
+
+    // Several ranges go out as multipart/byteranges
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const contentType = res.getHeader('Content-Type') || 'application/octet-stream';
+    const parts = ranges.map(({ start, end }, i) => ({
+      start,
+      end,
+      header: `${i > 0 ? '\r\n' : ''}--${boundary}\r\n` +
+        `Content-Type: ${contentType}\r\n` +
+        `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    }));
+    const trailer = `\r\n--${boundary}--\r\n`;
+    const length = parts.reduce(
+      (sum, part) => sum + Buffer.byteLength(part.header) + part.end - part.start + 1,
+      Buffer.byteLength(trailer)
+    );
+
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', length);
+    if (req.method === 'HEAD') return res.end();
+
+    try {
+      for (const part of parts) {
+        res.write(part.header);
+        await pipeline(await fileService.getFileStream(file.id, part), res, { end: false });
+      }
+      res.end(trailer);
+    } catch (error) {
+      res.destroy(error);
+    }
+  }
+
+  // Stream a body whose headers are already out. A storage read error or a
+  // failed integrity check while decrypting can then only be signalled by
+  // cutting the connection, so the client sees a truncated response.
+  static async pipe(source, res) {
+    try {
+      await pipeline(source, res);
+    } catch (error) {
+      res.destroy(error);
+    }
+  }
+
+  // Serve a derived object such as a thumbnail straight from storage, with
+  // an ETag so browsers can revalidate cheaply
+  static async sendStored(req, res, key, { contentType, etag }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('ETag', etag);
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const stat = await storage.stat(key);
+    if (!stat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview not found'
+      });
+    }
+
+    res.setHeader('Content-Length', stat.size);
+    if (req.method === 'HEAD') return res.end();
+
+    await DownloadUtil.pipe(await storage.getStream(key), res);
+  }
+
+  // Stream a ZIP archive of `entries` (see fileService.getZipEntries) as an attachment.
+  // Its length isn't known up front, so it goes out chunked and without range support.
+  static async sendZip(res, entries, filename) {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+    try {
+      await fileService.streamZip(entries, res);
+    } catch (error) {
+      // Headers are already out, so the only way to signal failure is to cut the connection
+      console.error('Error streaming ZIP archive:', error);
+      res.destroy(error);
+    }
+  }
+}
+
+module.exports = DownloadUtil;
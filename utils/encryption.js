@@ -1,26 +1,227 @@
 const crypto = require('crypto');
-const algorithm = 'aes-256-cbc';
-const key = crypto.scryptSync(process.env.ENCRYPTION_KEY, 'salt', 32);
-const iv = crypto.randomBytes(16);
+const { Transform } = require('stream');
+
+const algorithm = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Plaintext bytes per encrypted segment. Each segment carries its own auth tag,
+// so a byte range can be decrypted without reading the whole file.
+const SEGMENT_SIZE = 64 * 1024;
+const SEGMENT_STRIDE = SEGMENT_SIZE + TAG_LENGTH;
+
+let masterKeys = null;
 
 class EncryptionUtil {
+  // Master keys come from ENCRYPTION_MASTER_KEYS as "id:base64key,id:base64key".
+  // New data keys are wrapped with ENCRYPTION_MASTER_KEY_ID (default: the last one listed).
+  static getMasterKeys() {
+    if (!masterKeys) {
+      const keys = new Map();
+
+      for (const entry of (process.env.ENCRYPTION_MASTER_KEYS || '').split(',').filter(Boolean)) {
+        const [id, value = ''] = entry.trim().split(':');
+        const key = Buffer.from(value, 'base64');
+        if (!id || key.length !== 32) {
+          throw new Error(`Invalid master key "${id}": expected id:base64 encoding of 32 bytes`);
+        }
+        keys.set(id, key);
+      }
+
+      const currentId = process.env.ENCRYPTION_MASTER_KEY_ID || [...keys.keys()].pop() || null;
+      if (currentId && !keys.has(currentId)) {
+        throw new Error(`Unknown ENCRYPTION_MASTER_KEY_ID: ${currentId}`);
+      }
+
+      masterKeys = { keys, currentId };
+    }
+
+    return masterKeys;
+  }
+
+  // Forget cached master keys so the next call re-reads the environment
+  static resetMasterKeys() {
+    masterKeys = null;
+  }
+
+  // File encryption is on whenever at least one master key is configured
+  static isEnabled() {
+    return EncryptionUtil.getMasterKeys().keys.size > 0;
+  }
+
+  static getCurrentKeyId() {
+    return EncryptionUtil.getMasterKeys().currentId;
+  }
+
+  // Encrypt with the current master key; output is "keyId:iv:tag:ciphertext", base64 parts
+  static seal(plaintext) {
+    const { keys, currentId } = EncryptionUtil.getMasterKeys();
+    if (!currentId) {
+      throw new Error('No encryption master key configured');
+    }
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(algorithm, keys.get(currentId), iv);
+    cipher.setAAD(Buffer.from(currentId));
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return [currentId, iv, cipher.getAuthTag(), encrypted]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  // Decrypt a value produced by seal(), using whichever master key it names
+  static open(sealed) {
+    const [keyId, iv, tag, encrypted] = sealed.split(':');
+    const key = EncryptionUtil.getMasterKeys().keys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption master key "${keyId}" is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+  }
+
   // Encrypt data
   static encrypt(text) {
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+    return EncryptionUtil.seal(Buffer.from(text, 'utf8'));
+  }
+
+  // Decrypt data
+  static decrypt(sealed) {
+    return EncryptionUtil.open(sealed).toString('utf8');
+  }
+
+  static getKeyId(sealed) {
+    return sealed.split(':')[0];
+  }
+
+  // Random per-file data key plus its wrapped form for the database
+  static generateDataKey() {
+    const dataKey = crypto.randomBytes(32);
+    return { dataKey, wrappedKey: EncryptionUtil.seal(dataKey) };
+  }
+
+  static unwrapDataKey(wrappedKey) {
+    return EncryptionUtil.open(wrappedKey);
+  }
+
+  // Wrap a data key under the current master key; the file contents are untouched
+  static rewrapDataKey(wrappedKey) {
+    return EncryptionUtil.seal(EncryptionUtil.open(wrappedKey));
+  }
+
+  static segmentCount(size) {
+    return Math.max(Math.ceil(size / SEGMENT_SIZE), 1);
+  }
+
+  // Stored size of an encrypted file with `size` plaintext bytes
+  static encryptedSize(size) {
+    return size + EncryptionUtil.segmentCount(size) * TAG_LENGTH;
+  }
+
+  // Segments and stored byte range needed to serve plaintext bytes start..end
+  static getEncryptedRange(size, start, end) {
+    const first = Math.floor(start / SEGMENT_SIZE);
+    const last = Math.max(Math.floor(end / SEGMENT_SIZE), first);
     return {
-      encryptedData: encrypted,
-      iv: iv.toString('hex')
+      first,
+      last,
+      start: first * SEGMENT_STRIDE,
+      end: Math.min((last + 1) * SEGMENT_STRIDE, EncryptionUtil.encryptedSize(size)) - 1
     };
   }
 
-  // Decrypt data
-  static decrypt(encryptedData, ivHex) {
-    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(ivHex, 'hex'));
-    let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+  // Data keys are never reused across files, so the segment index is a safe nonce.
+  // The final segment is flagged in the AAD so truncation is detected.
+  static transformSegment(dataKey, index, data, isFinal, decrypt) {
+    const iv = Buffer.alloc(IV_LENGTH);
+    iv.writeBigUInt64BE(BigInt(index), IV_LENGTH - 8);
+    const aad = Buffer.from([isFinal ? 1 : 0]);
+
+    if (decrypt) {
+      const decipher = crypto.createDecipheriv(algorithm, dataKey, iv);
+      decipher.setAAD(aad);
+      decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+      return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+    }
+
+    const cipher = crypto.createCipheriv(algorithm, dataKey, iv);
+    cipher.setAAD(aad);
+    return Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  // Transform that encrypts a plaintext stream into tagged segments
+  static createEncryptStream(dataKey) {
+    let buffered = Buffer.alloc(0);
+    let index = 0;
+
+    return new Transform({
+      transform(chunk, encoding, done) {
+        buffered = Buffer.concat([buffered, chunk]);
+
+        // Hold back the last full segment until we know whether more data follows
+        while (buffered.length > SEGMENT_SIZE) {
+          this.push(EncryptionUtil.transformSegment(dataKey, index++, buffered.subarray(0, SEGMENT_SIZE), false));
+          buffered = buffered.subarray(SEGMENT_SIZE);
+        }
+        done();
+      },
+      flush(done) {
+        this.push(EncryptionUtil.transformSegment(dataKey, index, buffered, true));
+        done();
+      }
+    });
+  }
+
+  // Transform that decrypts the stored bytes from getEncryptedRange() for a file
+  // with `size` plaintext bytes and trims the output to plaintext bytes start..end
+  static createDecryptStream(dataKey, size, start = 0, end = size - 1) {
+    const { first, last } = EncryptionUtil.getEncryptedRange(size, start, end);
+    const finalIndex = EncryptionUtil.segmentCount(size) - 1;
+    let buffered = Buffer.alloc(0);
+    let index = first;
+    let skip = start - first * SEGMENT_SIZE;
+    let remaining = Math.max(end - start + 1, 0);
+
+    const decryptNext = (stream, data) => {
+      const plaintext = EncryptionUtil.transformSegment(dataKey, index, data, index === finalIndex, true);
+      const output = plaintext.subarray(skip, skip + remaining);
+      skip = 0;
+      remaining -= output.length;
+      index++;
+      if (output.length > 0) stream.push(output);
+    };
+
+    const authError = () => new Error('Encrypted file failed integrity check');
+
+    return new Transform({
+      transform(chunk, encoding, done) {
+        buffered = Buffer.concat([buffered, chunk]);
+        try {
+          while (buffered.length >= SEGMENT_STRIDE && index <= last) {
+            decryptNext(this, buffered.subarray(0, SEGMENT_STRIDE));
+            buffered = buffered.subarray(SEGMENT_STRIDE);
+          }
+          done();
+        } catch (error) {
+          done(authError());
+        }
+      },
+      flush(done) {
+        try {
+          // Only the file's final segment may be shorter than a full stride
+          if (index <= last && buffered.length >= TAG_LENGTH) {
+            decryptNext(this, buffered);
+          }
+          done(index > last ? null : authError());
+        } catch (error) {
+          done(authError());
+        }
+      }
+    });
   }
 
   // Generate secure token
@@ -28,7 +229,6 @@ class EncryptionUtil {
     return crypto.randomBytes(length).toString('hex');
   }
 
-  // Hash password (alternative to bcrypt for files)
   static hashPassword(password) {
     const salt = crypto.randomBytes(16).toString('hex');
     const hash = crypto.pbkdf2Sync(password, salt, 1000, 64, 'sha512').toString('hex');
@@ -43,4 +243,6 @@ class EncryptionUtil {
   }
 }
 
+EncryptionUtil.SEGMENT_SIZE = SEGMENT_SIZE;
+
 module.exports = EncryptionUtil;
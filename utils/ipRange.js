@@ -0,0 +1,53 @@
+const net = require('net');
+
+class IpRangeUtil {
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  static normalize(ip) {
+    if (!ip) return ip;
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    return mapped ? mapped[1] : ip;
+  }
+
+  // Split "addr" or "addr/prefix" into its parts, or null if malformed
+  static parse(entry) {
+    if (typeof entry !== 'string') return null;
+
+    const [rawAddress, rawPrefix, ...rest] = entry.trim().split('/');
+    if (rest.length > 0) return null;
+
+    const address = this.normalize(rawAddress);
+    const version = net.isIP(address);
+    if (!version) return null;
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (rawPrefix === undefined) {
+      return { address, prefix: maxPrefix, type: `ipv${version}` };
+    }
+
+    if (!/^\d+$/.test(rawPrefix) || Number(rawPrefix) > maxPrefix) return null;
+    return { address, prefix: Number(rawPrefix), type: `ipv${version}` };
+  }
+
+  static isValid(entry) {
+    return this.parse(entry) !== null;
+  }
+
+  // Whether `ip` falls inside any of the addresses or CIDR ranges in `entries`
+  static matches(entries, ip) {
+    const address = this.normalize(ip);
+    const version = net.isIP(address);
+    if (!version || !entries || entries.length === 0) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of entries) {
+      const range = this.parse(entry);
+      if (range) {
+        blockList.addSubnet(range.address, range.prefix, range.type);
+      }
+    }
+
+    return blockList.check(address, `ipv${version}`);
+  }
+}
+
+module.exports = IpRangeUtil;
@@ -0,0 +1,86 @@
+const zlib = require('zlib');
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+class TextExtractionUtil {
+  // Plain text of a .docx document: paragraphs become lines, markup is dropped
+  static fromDocx(buffer) {
+    const xml = TextExtractionUtil.readZipEntry(buffer, 'word/document.xml');
+    if (!xml) {
+      throw new Error('Not a Word document: word/document.xml is missing');
+    }
+
+    return TextExtractionUtil.decodeXml(
+      xml.toString('utf8')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>|<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+    ).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  // Contents of one entry of a ZIP archive held in memory, or null if absent.
+  // Reads the central directory, so it copes with data descriptors.
+  static readZipEntry(buffer, name) {
+    const end = TextExtractionUtil.findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const entryName = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (entryName === name) {
+        const dataStart = localOffset + 30 +
+          buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported ZIP compression method ${method}`);
+      }
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return null;
+  }
+
+  static findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus a comment of up to 64 KiB at the very end
+    const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+      if (buffer.readUInt32LE(offset) === 0x06054b50) {
+        return offset;
+      }
+    }
+
+    throw new Error('Not a ZIP archive');
+  }
+
+  static decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(point);
+      }
+      return XML_ENTITIES[code] ?? entity;
+    });
+  }
+}
+
+module.exports = TextExtractionUtil;
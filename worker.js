@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Background job worker: processes the queues defined in jobs/index.js apart from
+// the web server, and registers repeatable jobs such as the nightly trash purge.
+// Run as many workers as needed; WORKER_QUEUES limits one to some queues.
+//
+//   npm run worker
+//   WORKER_QUEUES=thumbnails,zip npm run worker
+require('dotenv').config();
+
+const { sequelize } = require('./models');
+const jobs = require('./jobs');
+const realtimeService = require('./services/realtimeService');
+
+const names = process.env.WORKER_QUEUES
+  ? process.env.WORKER_QUEUES.split(',').map(name => name.trim()).filter(Boolean)
+  : undefined;
+
+(async () => {
+  try {
+    await sequelize.authenticate();
+    const started = jobs.startProcessing(names);
+    await jobs.scheduleRepeatableJobs();
+
+    // Job progress and notifications reach the web instances' sockets through Redis
+    if (process.env.SOCKET_REDIS_URL) {
+      await realtimeService.attach();
+    }
+    console.log(`Worker processing queues: ${started.join(', ')}`);
+  } catch (error) {
+    console.error('Worker failed to start:', error.message);
+    process.exit(1);
+  }
+})();
+
+// Let active jobs finish before exiting; Bull hands unfinished ones to another worker
+const shutdown = async (signal) => {
+  console.log(`${signal} received, closing queues`);
+  try {
+    await jobs.closeQueues();
+    await realtimeService.close();
+    await sequelize.close();
+  } finally {
+    process.exit(0);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));